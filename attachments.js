@@ -0,0 +1,224 @@
+/**
+ * Attachment File Store (Main Process)
+ *
+ * This module handles:
+ * - Content-addressed storage of attachment files (named by their SHA-256)
+ * - Reading files back for the app:// protocol and sync uploads
+ * - Cleaning up files no attachment row refers to any more
+ * - Cleaning up file names and guessing MIME types
+ *
+ * Files live in <attachments dir>/<first 2 hex digits>/<sha256>. The same
+ * file attached twice (to one or several notes) is stored once; the
+ * attachments table (see db.js) records which notes use which file.
+ * Files are stored as-is, also when note text is encrypted (see field-crypto.js).
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+// Largest file that can be attached
+const MAX_ATTACHMENT_BYTES = 25 * 1024 * 1024;
+
+// Unreferenced files younger than this are kept: they may belong to an attachment being added
+const ORPHAN_GRACE_MS = 60 * 60 * 1000;
+
+const HASH_PATTERN = /^[0-9a-f]{64}$/;
+
+// URLs notes use to embed attachments, served by the app:// protocol in main.js
+const ATTACHMENT_URL_PREFIX = 'app://attachments/';
+
+// MIME types by file extension (anything else is application/octet-stream)
+const MIME_TYPES = {
+  png: 'image/png',
+  jpg: 'image/jpeg',
+  jpeg: 'image/jpeg',
+  gif: 'image/gif',
+  webp: 'image/webp',
+  bmp: 'image/bmp',
+  svg: 'image/svg+xml',
+  pdf: 'application/pdf',
+  txt: 'text/plain',
+  md: 'text/markdown',
+  csv: 'text/csv',
+  json: 'application/json',
+  zip: 'application/zip',
+  mp3: 'audio/mpeg',
+  wav: 'audio/wav',
+  mp4: 'video/mp4',
+  webm: 'video/webm',
+  doc: 'application/msword',
+  docx: 'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+  xlsx: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet'
+};
+
+/**
+ * Check that a value is a SHA-256 hex digest (and so safe to use in a path)
+ * @param {string} hash - Value to check
+ * @returns {boolean}
+ */
+const isAttachmentHash = (hash) => typeof hash === 'string' && HASH_PATTERN.test(hash);
+
+/**
+ * Hash file contents
+ * @param {Buffer} data - File contents
+ * @returns {string} SHA-256 hex digest
+ */
+const hashData = (data) => crypto.createHash('sha256').update(data).digest('hex');
+
+/**
+ * Path of a stored file
+ * @param {string} dir - Attachments folder
+ * @param {string} hash - SHA-256 of the file
+ * @returns {string} File path
+ * @throws {Error} If the hash is malformed
+ */
+const attachmentFilePath = (dir, hash) => {
+  if (!isAttachmentHash(hash)) {
+    throw new Error('Invalid attachment hash');
+  }
+  return path.join(dir, hash.slice(0, 2), hash);
+};
+
+/**
+ * Store file contents (no-op if the same file is already stored)
+ * Written to a temporary file first so a crash never leaves a partial file
+ * under the final name.
+ * @param {string} dir - Attachments folder
+ * @param {Buffer} data - File contents
+ * @returns {Object} { hash, size }
+ * @throws {Error} If the file is empty or larger than MAX_ATTACHMENT_BYTES
+ */
+const storeAttachmentFile = (dir, data) => {
+  if (data.length === 0) {
+    throw new Error('Cannot attach an empty file');
+  }
+  if (data.length > MAX_ATTACHMENT_BYTES) {
+    throw new Error(`Attachments can be at most ${MAX_ATTACHMENT_BYTES / (1024 * 1024)} MB`);
+  }
+
+  const hash = hashData(data);
+  const filePath = attachmentFilePath(dir, hash);
+
+  if (!fs.existsSync(filePath)) {
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    const tempPath = `${filePath}.${process.pid}.tmp`;
+    fs.writeFileSync(tempPath, data);
+    fs.renameSync(tempPath, filePath);
+  }
+
+  return { hash, size: data.length };
+};
+
+/**
+ * Check whether a file is stored
+ * @param {string} dir - Attachments folder
+ * @param {string} hash - SHA-256 of the file
+ * @returns {boolean}
+ */
+const hasAttachmentFile = (dir, hash) => isAttachmentHash(hash) && fs.existsSync(attachmentFilePath(dir, hash));
+
+/**
+ * Read a stored file
+ * @param {string} dir - Attachments folder
+ * @param {string} hash - SHA-256 of the file
+ * @returns {Promise<Buffer|null>} File contents, or null if the file is not stored
+ */
+const readAttachmentFile = async (dir, hash) => {
+  try {
+    return await fs.promises.readFile(attachmentFilePath(dir, hash));
+  } catch (error) {
+    if (error.code === 'ENOENT') return null;
+    throw error;
+  }
+};
+
+/**
+ * Delete stored files that are not in use
+ * Files changed within ORPHAN_GRACE_MS are kept, as are leftovers that do not
+ * look like attachment files (e.g. temporary files of a write in progress).
+ * @param {string} dir - Attachments folder
+ * @param {Set} usedHashes - Hashes still referenced by attachment rows
+ * @param {Date} now - Current time (default: now)
+ * @returns {number} Number of files deleted
+ */
+const removeOrphanFiles = (dir, usedHashes, now = new Date()) => {
+  if (!fs.existsSync(dir)) {
+    return 0;
+  }
+
+  let removed = 0;
+
+  for (const prefix of fs.readdirSync(dir)) {
+    const prefixDir = path.join(dir, prefix);
+    if (!/^[0-9a-f]{2}$/.test(prefix) || !fs.statSync(prefixDir).isDirectory()) continue;
+
+    for (const file of fs.readdirSync(prefixDir)) {
+      if (!isAttachmentHash(file) || usedHashes.has(file)) continue;
+
+      const filePath = path.join(prefixDir, file);
+      if (now.getTime() - fs.statSync(filePath).mtimeMs < ORPHAN_GRACE_MS) continue;
+
+      fs.unlinkSync(filePath);
+      removed++;
+    }
+  }
+
+  return removed;
+};
+
+/**
+ * Clean up a file name for storage and display
+ * Drops any folder part and control characters, and shortens long names.
+ * @param {string} name - Name as sent by the renderer or the server
+ * @returns {string} File name ('attachment' if nothing is left)
+ */
+const cleanFileName = (name) => {
+  const base = String(name || '').split(/[\\/]/).pop()
+    .replace(/[\u0000-\u001f\u007f]/g, '')
+    .trim();
+
+  if (!base || base === '.' || base === '..') {
+    return 'attachment';
+  }
+
+  if (base.length <= 200) {
+    return base;
+  }
+
+  // Keep the extension when shortening
+  const extension = path.extname(base).slice(0, 20);
+  return base.slice(0, 200 - extension.length) + extension;
+};
+
+/**
+ * Guess a file's MIME type from its name
+ * @param {string} fileName - File name
+ * @returns {string} MIME type
+ */
+const mimeTypeFor = (fileName) => {
+  const extension = path.extname(fileName).slice(1).toLowerCase();
+  return MIME_TYPES[extension] || 'application/octet-stream';
+};
+
+/**
+ * Build the URL a note uses to embed an attachment
+ * @param {string} hash - SHA-256 of the file
+ * @returns {string} app://attachments/<hash>
+ */
+const attachmentUrl = (hash) => `${ATTACHMENT_URL_PREFIX}${hash}`;
+
+module.exports = {
+  MAX_ATTACHMENT_BYTES,
+  ATTACHMENT_URL_PREFIX,
+  isAttachmentHash,
+  hashData,
+  attachmentFilePath,
+  storeAttachmentFile,
+  hasAttachmentFile,
+  readAttachmentFile,
+  removeOrphanFiles,
+  cleanFileName,
+  mimeTypeFor,
+  attachmentUrl
+};
@@ -0,0 +1,326 @@
+/**
+ * Authentication Module for Backend Sync (Main Process)
+ *
+ * This module handles:
+ * - Logging in against the sync API (username/password or API token)
+ * - Storing tokens encrypted at rest with Electron safeStorage
+ * - Adding the Authorization header to sync requests
+ * - Refreshing the access token automatically on 401 responses
+ * - Logging out and wiping stored tokens
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { app, safeStorage } = require('electron');
+
+/**
+ * Thrown when the server rejects our credentials and they cannot be refreshed
+ */
+class AuthError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'AuthError';
+  }
+}
+
+/**
+ * Get the path of the encrypted token file
+ * Kept in userData (not next to the dev database) so tokens never land in the project directory
+ */
+const getTokenPath = () => path.join(app.getPath('userData'), 'auth-tokens.json');
+
+// Current session, loaded lazily from disk
+// { apiUrl, username, accessToken, refreshToken }
+let session;
+
+// In-flight refresh, shared so concurrent 401s only refresh once
+let refreshPromise = null;
+
+const encrypt = (value) => {
+  return value ? safeStorage.encryptString(value).toString('base64') : null;
+};
+
+const decrypt = (value) => {
+  return value ? safeStorage.decryptString(Buffer.from(value, 'base64')) : null;
+};
+
+/**
+ * Load the stored session from disk
+ * @returns {Object|null} Session or null if not logged in
+ */
+const loadSession = () => {
+  if (session !== undefined) {
+    return session;
+  }
+
+  session = null;
+
+  try {
+    const tokenPath = getTokenPath();
+    if (fs.existsSync(tokenPath) && safeStorage.isEncryptionAvailable()) {
+      const stored = JSON.parse(fs.readFileSync(tokenPath, 'utf8'));
+      session = {
+        apiUrl: stored.apiUrl,
+        username: stored.username,
+        accessToken: decrypt(stored.accessToken),
+        refreshToken: decrypt(stored.refreshToken)
+      };
+    }
+  } catch (error) {
+    // Unreadable or undecryptable (e.g. copied from another machine): start logged out
+    console.error('Error loading stored session:', error);
+    session = null;
+  }
+
+  return session;
+};
+
+/**
+ * Save the session, encrypting tokens with safeStorage
+ * If the OS offers no encryption the session is kept in memory only
+ * @param {Object} newSession - { apiUrl, username, accessToken, refreshToken }
+ */
+const saveSession = (newSession) => {
+  session = newSession;
+
+  if (!safeStorage.isEncryptionAvailable()) {
+    console.warn('safeStorage encryption unavailable; session will not persist across restarts');
+    return;
+  }
+
+  const stored = {
+    apiUrl: newSession.apiUrl,
+    username: newSession.username,
+    accessToken: encrypt(newSession.accessToken),
+    refreshToken: encrypt(newSession.refreshToken)
+  };
+
+  fs.mkdirSync(path.dirname(getTokenPath()), { recursive: true });
+  fs.writeFileSync(getTokenPath(), JSON.stringify(stored), { mode: 0o600 });
+};
+
+/**
+ * Remove the session from memory and disk
+ */
+const clearSession = () => {
+  session = null;
+
+  try {
+    fs.rmSync(getTokenPath(), { force: true });
+  } catch (error) {
+    console.error('Error removing stored session:', error);
+  }
+};
+
+/**
+ * Parse a JSON response, turning error statuses into exceptions
+ */
+const readJson = async (response, action) => {
+  const body = await response.json().catch(() => ({}));
+
+  if (response.status === 401 || response.status === 403) {
+    throw new AuthError(body.message || `${action} failed: invalid credentials`);
+  }
+  if (!response.ok) {
+    throw new Error(body.message || `${action} failed: ${response.status} ${response.statusText}`);
+  }
+
+  return body;
+};
+
+/**
+ * Log in to the sync API
+ * - { username, password }: POST /api/auth/login -> { accessToken, refreshToken, user }
+ * - { apiToken }: the token is used as a bearer token and checked with GET /api/auth/me
+ * @param {string} apiUrl - Base URL of the NestJS API
+ * @param {Object} credentials - { username, password } or { apiToken }
+ * @returns {Promise<Object>} Public session info ({ loggedIn, username, apiUrl })
+ */
+const login = async (apiUrl, credentials = {}) => {
+  if (!apiUrl) {
+    throw new Error('API URL is required');
+  }
+
+  if (credentials.apiToken) {
+    const response = await fetch(`${apiUrl}/api/auth/me`, {
+      headers: { Authorization: `Bearer ${credentials.apiToken}` }
+    });
+    const user = await readJson(response, 'Login');
+
+    saveSession({
+      apiUrl,
+      username: user.username || 'API token',
+      accessToken: credentials.apiToken,
+      refreshToken: null
+    });
+  } else {
+    if (!credentials.username || !credentials.password) {
+      throw new Error('Username and password are required');
+    }
+
+    const response = await fetch(`${apiUrl}/api/auth/login`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ username: credentials.username, password: credentials.password })
+    });
+    const result = await readJson(response, 'Login');
+
+    saveSession({
+      apiUrl,
+      username: result.user?.username || credentials.username,
+      accessToken: result.accessToken,
+      refreshToken: result.refreshToken || null
+    });
+  }
+
+  return getSession();
+};
+
+/**
+ * Exchange the refresh token for a new access token
+ * @returns {Promise<void>}
+ * @throws {AuthError} If there is no refresh token or the server rejects it
+ */
+const refreshTokens = () => {
+  if (refreshPromise) {
+    return refreshPromise;
+  }
+
+  refreshPromise = (async () => {
+    const current = loadSession();
+
+    if (!current || !current.refreshToken) {
+      throw new AuthError('Session expired. Please log in again.');
+    }
+
+    const response = await fetch(`${current.apiUrl}/api/auth/refresh`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ refreshToken: current.refreshToken })
+    });
+
+    let result;
+    try {
+      result = await readJson(response, 'Token refresh');
+    } catch (error) {
+      if (error instanceof AuthError) {
+        // The refresh token itself was rejected - the session is over
+        clearSession();
+        throw new AuthError('Session expired. Please log in again.');
+      }
+      throw error;
+    }
+
+    saveSession({
+      ...current,
+      accessToken: result.accessToken,
+      // Servers that rotate refresh tokens send a new one
+      refreshToken: result.refreshToken || current.refreshToken
+    });
+  })().finally(() => {
+    refreshPromise = null;
+  });
+
+  return refreshPromise;
+};
+
+/**
+ * Check whether a request URL belongs to the API the session was created for
+ * Tokens are never sent to any other origin
+ */
+const isSessionUrl = (url, current) => {
+  try {
+    return new URL(url).origin === new URL(current.apiUrl).origin;
+  } catch (error) {
+    return false;
+  }
+};
+
+/**
+ * fetch() wrapper that authenticates requests to the logged-in API
+ * Adds the Authorization header and, on a 401, refreshes the access token
+ * once and retries. Requests are sent without credentials when not logged in.
+ * @param {string} url - Request URL
+ * @param {Object} options - fetch options
+ * @returns {Promise<Response>} fetch response
+ * @throws {AuthError} If the server still answers 401 (login required)
+ */
+const authorizedFetch = async (url, options = {}) => {
+  const send = () => {
+    const current = loadSession();
+    const headers = { ...(options.headers || {}) };
+
+    if (current && current.accessToken && isSessionUrl(url, current)) {
+      headers.Authorization = `Bearer ${current.accessToken}`;
+    }
+
+    return fetch(url, { ...options, headers });
+  };
+
+  let response = await send();
+
+  if (response.status === 401) {
+    const current = loadSession();
+
+    if (!current || !isSessionUrl(url, current)) {
+      throw new AuthError('The sync server requires you to log in.');
+    }
+
+    await refreshTokens();
+    response = await send();
+
+    if (response.status === 401) {
+      throw new AuthError('Session expired. Please log in again.');
+    }
+  }
+
+  return response;
+};
+
+/**
+ * Log out: tell the server (best effort) and wipe stored tokens
+ * @returns {Promise<Object>} Public session info (logged out)
+ */
+const logout = async () => {
+  const current = loadSession();
+
+  if (current && current.refreshToken) {
+    try {
+      await fetch(`${current.apiUrl}/api/auth/logout`, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          Authorization: `Bearer ${current.accessToken}`
+        },
+        body: JSON.stringify({ refreshToken: current.refreshToken })
+      });
+    } catch (error) {
+      // Offline or server down: the local tokens are wiped regardless
+      console.error('Error revoking session on server:', error);
+    }
+  }
+
+  clearSession();
+  return getSession();
+};
+
+/**
+ * Get public session info (never exposes tokens)
+ * @returns {Object} { loggedIn, username, apiUrl }
+ */
+const getSession = () => {
+  const current = loadSession();
+  return {
+    loggedIn: Boolean(current && current.accessToken),
+    username: current ? current.username : null,
+    apiUrl: current ? current.apiUrl : null
+  };
+};
+
+module.exports = {
+  login,
+  logout,
+  getSession,
+  authorizedFetch,
+  AuthError
+};
@@ -0,0 +1,173 @@
+const { test, beforeEach, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { electron, userDataDir, startStubServer } = require('./testing');
+const auth = require('./auth');
+
+const tokenPath = path.join(userDataDir, 'auth-tokens.json');
+
+// Stub sync API: access tokens are 'access-<n>', the current one is accepted
+const api = {
+  current: 1,
+  refreshes: 0,
+  rejectRefresh: false
+};
+
+let server;
+
+const stub = async (request, body) => {
+  const bearer = (request.headers.authorization || '').replace(/^Bearer /, '');
+
+  switch (`${request.method} ${request.path}`) {
+    case 'POST /api/auth/login':
+      if (body.password !== 'secret') {
+        return { status: 401, body: { message: 'Wrong password' } };
+      }
+      return { body: { accessToken: `access-${api.current}`, refreshToken: 'refresh-1', user: { username: body.username } } };
+
+    case 'POST /api/auth/refresh':
+      api.refreshes++;
+      // Let concurrent requests pile up on one refresh
+      await new Promise(resolve => setTimeout(resolve, 20));
+      if (api.rejectRefresh || body.refreshToken !== 'refresh-1') {
+        return { status: 401, body: { message: 'Refresh token revoked' } };
+      }
+      return { body: { accessToken: `access-${api.current}` } };
+
+    case 'GET /api/auth/me':
+      return bearer === 'api-token' ? { body: { username: 'robot' } } : { status: 401 };
+
+    case 'POST /api/auth/logout':
+      return { body: {} };
+
+    default:
+      return bearer === `access-${api.current}` ? { body: { ok: true } } : { status: 401 };
+  }
+};
+
+beforeEach(async () => {
+  if (!server) {
+    server = await startStubServer(stub);
+  }
+  server.requests.length = 0;
+  Object.assign(api, { current: 1, refreshes: 0, rejectRefresh: false });
+  electron.safeStorage.available = true;
+  await auth.logout();
+});
+
+after(() => server.close());
+
+test('login stores the tokens encrypted and authenticates API requests', async () => {
+  const session = await auth.login(server.url, { username: 'ana', password: 'secret' });
+  assert.deepStrictEqual(session, { loggedIn: true, username: 'ana', apiUrl: server.url });
+
+  const stored = fs.readFileSync(tokenPath, 'utf8');
+  assert.ok(!stored.includes('access-1') && !stored.includes('refresh-1'), 'tokens are not stored in plain text');
+
+  const response = await auth.authorizedFetch(`${server.url}/api/sync`);
+  assert.strictEqual(response.status, 200);
+  assert.strictEqual(server.requests.at(-1).headers.authorization, 'Bearer access-1');
+});
+
+test('the stored session is decrypted on the next start', async () => {
+  await auth.login(server.url, { username: 'ana', password: 'secret' });
+
+  // A fresh copy of the module has no session in memory
+  delete require.cache[require.resolve('./auth')];
+  const restarted = require('./auth');
+
+  assert.deepStrictEqual(restarted.getSession(), { loggedIn: true, username: 'ana', apiUrl: server.url });
+  await restarted.authorizedFetch(`${server.url}/api/sync`);
+  assert.strictEqual(server.requests.at(-1).headers.authorization, 'Bearer access-1');
+});
+
+test('a wrong password is an AuthError and nothing is stored', async () => {
+  await assert.rejects(auth.login(server.url, { username: 'ana', password: 'nope' }), {
+    name: 'AuthError',
+    message: 'Wrong password'
+  });
+  assert.strictEqual(auth.getSession().loggedIn, false);
+  assert.strictEqual(fs.existsSync(tokenPath), false);
+});
+
+test('an API token is checked against /api/auth/me', async () => {
+  const session = await auth.login(server.url, { apiToken: 'api-token' });
+  assert.strictEqual(session.username, 'robot');
+
+  await assert.rejects(auth.login(server.url, { apiToken: 'bad' }), { name: 'AuthError' });
+});
+
+test('a 401 refreshes the access token once and retries the request', async () => {
+  await auth.login(server.url, { username: 'ana', password: 'secret' });
+  api.current = 2;  // The server expired access-1
+  server.requests.length = 0;
+
+  const response = await auth.authorizedFetch(`${server.url}/api/changes`);
+
+  assert.strictEqual(response.status, 200);
+  assert.strictEqual(api.refreshes, 1);
+  assert.deepStrictEqual(
+    server.requests.map(request => `${request.path} ${request.headers.authorization || ''}`),
+    ['/api/changes Bearer access-1', '/api/auth/refresh ', '/api/changes Bearer access-2']
+  );
+});
+
+test('concurrent 401s share one refresh', async () => {
+  await auth.login(server.url, { username: 'ana', password: 'secret' });
+  api.current = 2;
+
+  const responses = await Promise.all([1, 2, 3].map(() => auth.authorizedFetch(`${server.url}/api/sync`)));
+
+  assert.deepStrictEqual(responses.map(response => response.status), [200, 200, 200]);
+  assert.strictEqual(api.refreshes, 1);
+});
+
+test('a rejected refresh token ends the session', async () => {
+  await auth.login(server.url, { username: 'ana', password: 'secret' });
+  api.current = 2;
+  api.rejectRefresh = true;
+
+  await assert.rejects(auth.authorizedFetch(`${server.url}/api/sync`), {
+    name: 'AuthError',
+    message: 'Session expired. Please log in again.'
+  });
+  assert.strictEqual(auth.getSession().loggedIn, false);
+  assert.strictEqual(fs.existsSync(tokenPath), false);
+});
+
+test('a 401 without a session asks the user to log in', async () => {
+  await assert.rejects(auth.authorizedFetch(`${server.url}/api/sync`), { name: 'AuthError' });
+  assert.strictEqual(server.requests.at(-1).headers.authorization, undefined);
+});
+
+test('tokens are never sent to another origin', async () => {
+  await auth.login(server.url, { username: 'ana', password: 'secret' });
+  const otherOrigin = server.url.replace('127.0.0.1', 'localhost');
+
+  await assert.rejects(auth.authorizedFetch(`${otherOrigin}/api/sync`), { name: 'AuthError' });
+  assert.strictEqual(server.requests.at(-1).headers.authorization, undefined);
+  assert.strictEqual(api.refreshes, 0);
+});
+
+test('without safeStorage the session is kept in memory only', async () => {
+  electron.safeStorage.available = false;
+
+  const session = await auth.login(server.url, { username: 'ana', password: 'secret' });
+
+  assert.strictEqual(session.loggedIn, true);
+  assert.strictEqual(fs.existsSync(tokenPath), false);
+
+  const response = await auth.authorizedFetch(`${server.url}/api/sync`);
+  assert.strictEqual(response.status, 200);
+});
+
+test('logout revokes the refresh token and wipes the stored tokens', async () => {
+  await auth.login(server.url, { username: 'ana', password: 'secret' });
+
+  const session = await auth.logout();
+
+  assert.deepStrictEqual(session, { loggedIn: false, username: null, apiUrl: null });
+  assert.deepStrictEqual(server.requests.at(-1).body, { refreshToken: 'refresh-1' });
+  assert.strictEqual(fs.existsSync(tokenPath), false);
+});
@@ -0,0 +1,177 @@
+/**
+ * Database Backup Files (Main Process)
+ *
+ * This module handles:
+ * - Naming and listing backup files in the backups folder
+ * - Choosing which backups to keep (daily / weekly rotation)
+ * - Checking that a backup file is a healthy notes database before restoring it
+ *
+ * The backups themselves are taken with db.createBackup() (SQLite online
+ * backup API), so they are consistent even while the app is writing.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const Database = require('better-sqlite3');
+const { getLatestVersion } = require('./migrations');
+
+// File names look like notes-backup-2024-05-01T08-30-00-000Z-scheduled.db
+const BACKUP_FILE_PATTERN = /^notes-backup-(\d{4}-\d{2}-\d{2})T(\d{2})-(\d{2})-(\d{2})-(\d{3})Z-([a-z-]+)\.db$/;
+
+// Why a backup was taken: on the schedule, from "Back Up Now", or just before a restore
+const BACKUP_KINDS = ['scheduled', 'manual', 'pre-restore'];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Build the file name for a new backup
+ * @param {string} kind - One of BACKUP_KINDS
+ * @param {Date} date - Time of the backup (default: now)
+ * @returns {string} File name
+ */
+const backupFileName = (kind, date = new Date()) => {
+  if (!BACKUP_KINDS.includes(kind)) {
+    throw new Error(`Unknown backup kind: ${kind}`);
+  }
+  return `notes-backup-${date.toISOString().replace(/[:.]/g, '-')}-${kind}.db`;
+};
+
+/**
+ * List the backups in a folder
+ * Files that do not follow the backup naming scheme are ignored.
+ * @param {string} dir - Backups folder
+ * @returns {Array} Array of { file, path, kind, createdAt (ISO), size }, newest first
+ */
+const listBackups = (dir) => {
+  if (!fs.existsSync(dir)) {
+    return [];
+  }
+
+  return fs.readdirSync(dir)
+    .map(file => ({ file, match: file.match(BACKUP_FILE_PATTERN) }))
+    .filter(({ match }) => match)
+    .map(({ file, match }) => {
+      const [, day, hours, minutes, seconds, millis, kind] = match;
+      const filePath = path.join(dir, file);
+      return {
+        file,
+        path: filePath,
+        kind,
+        createdAt: `${day}T${hours}:${minutes}:${seconds}.${millis}Z`,
+        size: fs.statSync(filePath).size
+      };
+    })
+    .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+};
+
+/**
+ * Find the backup with a given file name
+ * Only plain file names from listBackups() are accepted, never paths.
+ * @param {string} dir - Backups folder
+ * @param {string} file - Backup file name
+ * @returns {Object|null} Backup (see listBackups) or null
+ */
+const findBackup = (dir, file) => {
+  return listBackups(dir).find(backup => backup.file === file) || null;
+};
+
+/**
+ * Choose which backups to delete
+ * Keeps the newest backup of each of the last `keepDaily` days and of each
+ * of the last `keepWeekly` weeks (weeks start on Monday, UTC). The newest
+ * backup is always kept.
+ * @param {Array} backups - Backups from listBackups() (newest first)
+ * @param {Object} retention - { keepDaily, keepWeekly }
+ * @param {Date} now - Current time (default: now)
+ * @returns {Array} Backups to delete
+ */
+const selectBackupsToPrune = (backups, { keepDaily, keepWeekly }, now = new Date()) => {
+  const today = Math.floor(now.getTime() / DAY_MS);
+  const keep = new Set(backups.slice(0, 1));
+  const seenDays = new Set();
+  const seenWeeks = new Set();
+
+  for (const backup of backups) {
+    const day = Math.floor(new Date(backup.createdAt).getTime() / DAY_MS);
+    // Day 0 (1 Jan 1970) was a Thursday; shift so weeks start on Monday
+    const week = Math.floor((day + 3) / 7);
+
+    if (today - day < keepDaily && !seenDays.has(day)) {
+      seenDays.add(day);
+      keep.add(backup);
+    }
+    if (Math.floor((today + 3) / 7) - week < keepWeekly && !seenWeeks.has(week)) {
+      seenWeeks.add(week);
+      keep.add(backup);
+    }
+  }
+
+  return backups.filter(backup => !keep.has(backup));
+};
+
+/**
+ * Delete backups that fall outside the retention
+ * @param {string} dir - Backups folder
+ * @param {Object} retention - { keepDaily, keepWeekly }
+ * @returns {number} Number of backups deleted
+ */
+const pruneBackups = (dir, retention) => {
+  const expired = selectBackupsToPrune(listBackups(dir), retention);
+
+  for (const backup of expired) {
+    fs.unlinkSync(backup.path);
+  }
+
+  return expired.length;
+};
+
+/**
+ * Check that a file is a healthy notes database this app can open
+ * The file is opened read-only and is not modified.
+ * @param {string} filePath - Database file
+ * @returns {Object} { ok, problems, schemaVersion, notes } (notes counts rows, including tombstones)
+ */
+const verifyDatabaseFile = (filePath) => {
+  let file = null;
+
+  try {
+    file = new Database(filePath, { readonly: true, fileMustExist: true });
+
+    const problems = file.pragma('integrity_check')
+      .map(row => row.integrity_check)
+      .filter(message => message !== 'ok');
+    const schemaVersion = file.pragma('user_version', { simple: true });
+
+    if (schemaVersion > getLatestVersion()) {
+      problems.push(`Created by a newer version of the app (schema version ${schemaVersion})`);
+    }
+
+    const hasNotes = file.prepare("SELECT 1 FROM sqlite_master WHERE type = 'table' AND name = 'notes'").get();
+    if (!hasNotes) {
+      problems.push('Not a notes database');
+    }
+
+    return {
+      ok: problems.length === 0,
+      problems,
+      schemaVersion,
+      notes: hasNotes ? file.prepare('SELECT COUNT(*) AS count FROM notes').get().count : 0
+    };
+  } catch (error) {
+    return { ok: false, problems: [error.message], schemaVersion: null, notes: 0 };
+  } finally {
+    if (file) {
+      file.close();
+    }
+  }
+};
+
+module.exports = {
+  BACKUP_KINDS,
+  backupFileName,
+  listBackups,
+  findBackup,
+  selectBackupsToPrune,
+  pruneBackups,
+  verifyDatabaseFile
+};
@@ -0,0 +1,47 @@
+const { test, after } = require('node:test');
+const assert = require('node:assert');
+const path = require('path');
+const { userDataDir, startStubServer } = require('./testing');
+const db = require('./db');
+
+let nextServerId = 1;
+const serverReady = startStubServer((request, body) => {
+  if (request.path === '/api/sync') {
+    return {
+      body: {
+        syncedIds: body.notes.map(note => note.id),
+        idMap: body.notes.map(note => ({ localId: note.id, serverId: String(nextServerId++) }))
+      }
+    };
+  }
+  return { body: { changes: [], cursor: null, hasMore: false } };
+});
+
+after(async () => (await serverReady).close());
+
+test('restoring a backup brings back its notes', async () => {
+  const kept = db.addNote('In the backup', '');
+  const backupPath = path.join(userDataDir, 'restore-test.db');
+  await db.createBackup(backupPath);
+  const added = db.addNote('After the backup', '');
+
+  db.restoreBackup(backupPath);
+
+  assert.strictEqual(db.getNoteById(kept.id).title, 'In the backup');
+  assert.strictEqual(db.getNoteById(added.id), null);
+});
+
+test('sync pushes after a restore', async () => {
+  const server = await serverReady;
+  const backupPath = path.join(userDataDir, 'push-test.db');
+  await db.createBackup(backupPath);
+  db.restoreBackup(backupPath);
+
+  const note = db.addNote('Written after the restore', '');
+  const result = await db.syncWithBackend(server.url);
+
+  assert.strictEqual(result.success, true, result.error);
+  assert.ok(result.synced >= 1);
+  assert.strictEqual(db.getNoteById(note.id).sync_status, 'synced');
+  assert.strictEqual(db.countNotesToSync(), 0);
+});
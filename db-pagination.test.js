@@ -0,0 +1,93 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+require('./testing');
+const db = require('./db');
+
+// Notes sharing timestamps, so pages must break ties by ID
+const ids = db.addNotesBulk(Array.from({ length: 25 }, (_, n) => ({
+  title: `Page note ${String(n % 7).padStart(2, '0')}`,
+  content: n % 2 === 0 ? 'even apple' : 'odd apple',
+  created_at: `2024-01-0${1 + (n % 3)} 10:00:00`
+})));
+
+/**
+ * Follow nextCursor through every page
+ * @param {Function} fetchPage - (cursor) => { notes, nextCursor }
+ * @returns {Array} IDs of all notes, in page order
+ */
+const readAllPages = (fetchPage) => {
+  const seen = [];
+  let cursor = null;
+  do {
+    const page = fetchPage(cursor);
+    assert.ok(page.notes.length > 0 || seen.length === 0, 'only the first page may be empty');
+    seen.push(...page.notes.map(note => note.id));
+    cursor = page.nextCursor;
+  } while (cursor);
+  return seen;
+};
+
+for (const [sortBy, order] of [['created_at', 'DESC'], ['created_at', 'ASC'], ['title', 'ASC'], ['id', 'DESC']]) {
+  test(`pages sorted by ${sortBy} ${order} list every note once, in getNotes order`, () => {
+    const expected = db.getNotes(sortBy, order).map(note => note.id);
+    const paged = readAllPages(cursor => db.getNotesPage(sortBy, order, {}, { limit: 4, cursor }));
+
+    assert.deepStrictEqual(paged, expected);
+    assert.strictEqual(new Set(paged).size, ids.length);
+  });
+}
+
+test('the last page has no cursor', () => {
+  const page = db.getNotesPage('id', 'ASC', {}, { limit: ids.length });
+  assert.strictEqual(page.notes.length, ids.length);
+  assert.strictEqual(page.nextCursor, null);
+});
+
+test('notes added while scrolling do not shift later pages', () => {
+  const first = db.getNotesPage('created_at', 'DESC', {}, { limit: 5 });
+  const expectedRest = db.getNotes('created_at', 'DESC').slice(5).map(note => note.id);
+
+  // Newer than everything: it belongs before the first page, not in the next one
+  const added = db.addNote('Added while scrolling', '');
+
+  const rest = readAllPages(cursor => db.getNotesPage('created_at', 'DESC', {}, { limit: 5, cursor: cursor || first.nextCursor }));
+  assert.deepStrictEqual(rest, expectedRest);
+  assert.ok(!rest.includes(added.id));
+
+  db.deleteNote(added.id);
+});
+
+test('search pages list the same results as searchNotes', () => {
+  const expected = db.searchNotes('even').map(note => note.id);
+  const paged = readAllPages(cursor => db.searchNotesPage('even', {}, { limit: 3, cursor }));
+
+  assert.strictEqual(expected.length, 13);
+  assert.deepStrictEqual(paged, expected);
+});
+
+test('invalid cursors and page sizes are rejected', () => {
+  const { nextCursor } = db.getNotesPage('title', 'ASC', {}, { limit: 2 });
+
+  assert.throws(() => db.getNotesPage('created_at', 'DESC', {}, { limit: 2, cursor: nextCursor }), /Invalid page cursor/);
+  assert.throws(() => db.searchNotesPage('apple', {}, { limit: 2, cursor: nextCursor }), /Invalid page cursor/);
+  assert.throws(() => db.getNotesPage('title', 'ASC', {}, { limit: 2, cursor: 'not-a-cursor' }), /Invalid page cursor/);
+  assert.throws(() => db.getNotesPage('title', 'ASC', {}, { limit: 0 }), /Page size/);
+  assert.throws(() => db.getNotesPage('title', 'ASC', {}, { limit: 501 }), /Page size/);
+});
+
+test('a search cursor is only accepted for the query it was returned for', () => {
+  const { nextCursor } = db.searchNotesPage('even', {}, { limit: 2 });
+
+  assert.strictEqual(db.searchNotesPage('even', {}, { limit: 2, cursor: nextCursor }).notes.length, 2);
+  assert.throws(() => db.searchNotesPage('odd', {}, { limit: 2, cursor: nextCursor }), /Invalid page cursor/);
+  assert.throws(() => db.searchNotesPage('even apple', {}, { limit: 2, cursor: nextCursor }), /Invalid page cursor/);
+});
+
+test('title pages stay in order when titles are encrypted', () => {
+  const expected = db.getNotes('title', 'DESC').map(note => note.id);
+
+  db.enableEncryption('correct horse battery staple');
+  const paged = readAllPages(cursor => db.getNotesPage('title', 'DESC', {}, { limit: 4, cursor }));
+
+  assert.deepStrictEqual(paged, expected);
+});
@@ -0,0 +1,45 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const path = require('path');
+const Database = require('better-sqlite3');
+const { userDataDir } = require('./testing');
+const db = require('./db');
+
+// A second connection to the same file, to age revisions without waiting 90 days
+const raw = new Database(path.join(userDataDir, 'user-data.db'));
+
+test('editing a note untouched for longer than the retention keeps its previous version', () => {
+  const [id] = db.addNotesBulk([{ title: 'Old note', content: 'written long ago', created_at: '2020-01-01 09:00:00' }]);
+
+  db.updateNote(id, 'Old note', 'edited today');
+
+  const revisions = db.getNoteRevisions(id);
+  assert.strictEqual(revisions.length, 1);
+  // The history still shows when the old text was written
+  assert.strictEqual(revisions[0].created_at, '2020-01-01 09:00:00');
+  assert.strictEqual(db.diffRevisions(id, revisions[0].id, null).from.content, 'written long ago');
+});
+
+test('revisions saved more than 90 days ago are pruned', () => {
+  const note = db.addNote('Aging', 'v1');
+  db.updateNote(note.id, 'Aging', 'v2');
+  db.updateNote(note.id, 'Aging', 'v3');
+  const [newer, older] = db.getNoteRevisions(note.id);
+
+  raw.prepare("UPDATE note_revisions SET saved_at = datetime('now', '-91 days') WHERE id = ?").run(older.id);
+
+  assert.strictEqual(db.pruneRevisions(note.id), 1);
+  assert.deepStrictEqual(db.getNoteRevisions(note.id).map(revision => revision.id), [newer.id]);
+});
+
+test('only the newest 50 revisions of a note are kept', () => {
+  const note = db.addNote('Busy', 'v0');
+  for (let n = 1; n <= 55; n++) {
+    db.updateNote(note.id, 'Busy', `v${n}`);
+  }
+
+  const revisions = db.getNoteRevisions(note.id);
+  assert.strictEqual(revisions.length, 50);
+  assert.strictEqual(db.diffRevisions(note.id, revisions[0].id, null).from.content, 'v54');
+  assert.strictEqual(db.diffRevisions(note.id, revisions[49].id, null).from.content, 'v5');
+});
@@ -0,0 +1,232 @@
+const { test, before, beforeEach, after } = require('node:test');
+const assert = require('node:assert');
+const { startStubServer } = require('./testing');
+const db = require('./db');
+
+// Stub sync API: keeps the pushed notes and serves a scripted change feed
+const backend = {
+  notes: new Map(),     // server ID -> note
+  nextId: 1,
+  maxNotesPerRequest: Infinity,   // Larger requests get 413
+  tooLargeTitles: [],             // Notes the server never accepts (413 even alone)
+  rateLimited: [],                // Retry-After values of the next /api/sync answers (429)
+  failOnRequest: null,            // Number of the /api/sync request that fails with 500
+  whileSyncing: null,             // Called before answering /api/sync (e.g. to edit a note mid-request)
+  syncRequests: 0,
+  changes: []                     // Pages of the change feed: { changes, cursor, hasMore }
+};
+
+let server;
+
+const handleSync = (body) => {
+  backend.syncRequests++;
+
+  if (backend.rateLimited.length > 0) {
+    return { status: 429, headers: { 'Retry-After': backend.rateLimited.shift() } };
+  }
+  if (backend.syncRequests === backend.failOnRequest) {
+    return { status: 500 };
+  }
+  if (backend.whileSyncing) {
+    backend.whileSyncing(body);
+  }
+
+  const count = body.notes.length + body.deletions.length;
+  if (count > backend.maxNotesPerRequest || body.notes.some(note => backend.tooLargeTitles.includes(note.title))) {
+    return { status: 413 };
+  }
+
+  const result = { syncedIds: [], idMap: [], revisions: [], deletedIds: [] };
+  for (const note of body.notes) {
+    const serverId = note.server_id || String(backend.nextId++);
+    const revision = (backend.notes.get(serverId)?.revision || 0) + 1;
+    backend.notes.set(serverId, { ...note, id: serverId, revision });
+
+    result.syncedIds.push(note.id);
+    result.revisions.push({ localId: note.id, revision });
+    if (!note.server_id) {
+      result.idMap.push({ localId: note.id, serverId });
+    }
+  }
+  for (const deletion of body.deletions) {
+    backend.notes.delete(deletion.server_id);
+    result.deletedIds.push(deletion.id);
+  }
+  return { body: result };
+};
+
+before(async () => {
+  server = await startStubServer((request, body) => {
+    if (request.path === '/api/sync') {
+      return handleSync(body);
+    }
+    if (request.path === '/api/changes' && request.query.ids) {
+      const changes = request.query.ids.split(',').map(id => backend.notes.get(id)).filter(Boolean);
+      return { body: { changes, cursor: null, hasMore: false } };
+    }
+    if (request.path === '/api/changes') {
+      return { body: backend.changes.shift() || { changes: [], cursor: request.query.since || null, hasMore: false } };
+    }
+    return { status: 404 };
+  });
+});
+
+beforeEach(() => {
+  Object.assign(backend, {
+    maxNotesPerRequest: Infinity,
+    tooLargeTitles: [],
+    rateLimited: [],
+    failOnRequest: null,
+    whileSyncing: null,
+    syncRequests: 0,
+    changes: []
+  });
+  server.requests.length = 0;
+});
+
+after(() => server.close());
+
+const pushedIds = () => server.requests
+  .filter(request => request.path === '/api/sync')
+  .map(request => request.body.notes.map(note => note.id));
+
+test('pending notes are pushed in batches with progress', async () => {
+  const ids = db.addNotesBulk([1, 2, 3, 4, 5].map(n => ({ title: `Batch ${n}`, content: '' })));
+  const progress = [];
+
+  const result = await db.syncWithBackend(server.url, {
+    batchSize: 2,
+    onProgress: (update) => progress.push(update)
+  });
+
+  assert.strictEqual(result.success, true);
+  assert.strictEqual(result.synced, 5);
+  assert.deepStrictEqual(pushedIds(), [ids.slice(0, 2), ids.slice(2, 4), ids.slice(4)]);
+  assert.deepStrictEqual(
+    progress.filter(update => update.phase === 'push').map(update => update.sent),
+    [2, 4, 5]
+  );
+  assert.strictEqual(db.countNotesToSync(), 0);
+  assert.ok(ids.every(id => db.getNoteById(id).server_id));
+});
+
+test('a 413 halves the batch until the server accepts it', async () => {
+  const ids = db.addNotesBulk([1, 2, 3, 4].map(n => ({ title: `Large ${n}`, content: '' })));
+  backend.maxNotesPerRequest = 1;
+
+  const result = await db.syncWithBackend(server.url, { batchSize: 4 });
+
+  assert.strictEqual(result.success, true);
+  assert.strictEqual(result.synced, 4);
+  assert.deepStrictEqual(pushedIds(), [ids, ids.slice(0, 2), [ids[0]], [ids[1]], [ids[2]], [ids[3]]]);
+});
+
+test('a note the server never accepts is flagged and the rest are synced', async () => {
+  const [small, huge, last] = db.addNotesBulk(['Small', 'Huge', 'Last'].map(title => ({ title, content: '' })));
+  backend.tooLargeTitles = ['Huge'];
+
+  const result = await db.syncWithBackend(server.url, { batchSize: 10 });
+
+  assert.strictEqual(result.success, true);
+  assert.strictEqual(result.synced, 2);
+  assert.strictEqual(result.failed, 1);
+  assert.strictEqual(db.getNoteById(small).sync_status, 'synced');
+  assert.strictEqual(db.getNoteById(last).sync_status, 'synced');
+  assert.strictEqual(db.getNoteById(huge).sync_status, 'error');
+  assert.deepStrictEqual(
+    db.getSyncErrors().map(({ id, message }) => ({ id, message })),
+    [{ id: huge, message: 'Note is too large for the server to accept' }]
+  );
+});
+
+test('a 429 is retried after Retry-After', async () => {
+  const [id] = db.addNotesBulk([{ title: 'Rate limited', content: '' }]);
+  backend.rateLimited = ['0', '0'];
+
+  const result = await db.syncWithBackend(server.url);
+
+  assert.strictEqual(result.success, true);
+  assert.strictEqual(backend.syncRequests, 3);
+  assert.strictEqual(db.getNoteById(id).sync_status, 'synced');
+});
+
+test('a Retry-After longer than the sync is willing to wait ends the sync', async () => {
+  const [id] = db.addNotesBulk([{ title: 'Busy server', content: '' }]);
+  backend.rateLimited = ['120'];
+
+  const result = await db.syncWithBackend(server.url, { maxRetryWaitMs: 1000 });
+
+  assert.strictEqual(result.success, false);
+  assert.strictEqual(result.retryAfterMs, 120000);
+  assert.strictEqual(backend.syncRequests, 1);
+  assert.strictEqual(db.getNoteById(id).sync_status, 'pending');
+
+  // The next sync (the scheduler waits for retryAfterMs) sends it
+  assert.strictEqual((await db.syncWithBackend(server.url)).success, true);
+  assert.strictEqual(db.getNoteById(id).sync_status, 'synced');
+});
+
+test('an interrupted push keeps the batches already sent and resumes with the rest', async () => {
+  const ids = db.addNotesBulk([1, 2, 3, 4].map(n => ({ title: `Resume ${n}`, content: '' })));
+  backend.failOnRequest = 2;
+
+  const failed = await db.syncWithBackend(server.url, { batchSize: 2 });
+
+  assert.strictEqual(failed.success, false);
+  assert.deepStrictEqual(ids.map(id => db.getNoteById(id).sync_status), ['synced', 'synced', 'pending', 'pending']);
+
+  server.requests.length = 0;
+  const resumed = await db.syncWithBackend(server.url, { batchSize: 2 });
+
+  assert.strictEqual(resumed.success, true);
+  assert.deepStrictEqual(pushedIds(), [ids.slice(2)]);
+});
+
+test('a note edited while its batch is being sent stays pending', async () => {
+  const [id] = db.addNotesBulk([{ title: 'In flight', content: 'v1' }]);
+  backend.whileSyncing = () => db.updateNote(id, 'In flight', 'v2');
+
+  const first = await db.syncWithBackend(server.url);
+
+  assert.strictEqual(first.success, true);
+  const note = db.getNoteById(id);
+  assert.deepStrictEqual([note.content, note.sync_status, note.revision], ['v2', 'pending', 1]);
+  assert.strictEqual(db.countNotesToSync(), 1);
+
+  // The next sync sends the edit, based on the revision the first push created
+  backend.whileSyncing = null;
+  server.requests.length = 0;
+  assert.strictEqual((await db.syncWithBackend(server.url)).success, true);
+
+  const [pushed] = server.requests.filter(request => request.path === '/api/sync').map(request => request.body.notes[0]);
+  assert.deepStrictEqual([pushed.content, pushed.base_revision], ['v2', 1]);
+  assert.strictEqual(db.getNoteById(id).sync_status, 'synced');
+  assert.strictEqual(backend.notes.get(note.server_id).content, 'v2');
+});
+
+test('discarding a local change refetches only that note and keeps the pull cursor', async () => {
+  const [id, other] = db.addNotesBulk([{ title: 'Server title', content: 'server text' }, { title: 'Other', content: '' }]);
+  backend.changes = [{ changes: [], cursor: '42', hasMore: false }];
+  await db.syncWithBackend(server.url);
+  const serverId = db.getNoteById(id).server_id;
+
+  db.updateNote(id, 'Local title', 'local text');
+  db.markNotesSyncError([id], { [id]: 'Rejected' });
+  assert.strictEqual(db.discardLocalChange(id), true);
+  assert.strictEqual(db.getLastSyncCursor(), '42');
+
+  server.requests.length = 0;
+  const result = await db.syncWithBackend(server.url);
+
+  assert.strictEqual(result.success, true);
+  const pulls = server.requests.filter(request => request.path === '/api/changes').map(request => request.query);
+  assert.deepStrictEqual(pulls, [{ ids: serverId }, { limit: '100', since: '42' }]);
+  const note = db.getNoteById(id);
+  assert.deepStrictEqual([note.title, note.content, note.sync_status], ['Server title', 'server text', 'synced']);
+  assert.strictEqual(db.getNoteById(other).title, 'Other');
+
+  // Refetched once only
+  server.requests.length = 0;
+  await db.syncWithBackend(server.url);
+  assert.ok(server.requests.every(request => !request.query.ids));
+});
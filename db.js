@@ -2,15 +2,52 @@
  * Database Module for Electron App
  * 
  * This module handles all SQLite database operations including:
- * - Database initialization and table creation
+ * - Database initialization and schema migrations
  * - CRUD operations for notes
  * - Bulk operations using transactions
+ * - Tags (note_tags join table) and tag filtering
+ * - Nested notebooks
+ * - Revision history (note_revisions) with diff and restore
+ * - Trash with restore and scheduled purge
+ * - Importing notes with de-duplication (see markdown-notes.js for the files)
+ * - Optional encryption of note titles/content at rest (see field-crypto.js)
+ * - Online backups, integrity checks and restoring a backup (see backups.js for the files)
+ * - File attachments and their sync (see attachments.js for the files)
+ * - [[Wiki links]] between notes (note_links) and backlinks
+ * - Change events for notes, tags and notebooks (pushed to the windows by main.js)
+ * - Full-text search (FTS5)
  * - Performance optimizations (indexing)
  */
 
+const fs = require('fs');
 const path = require('path');
+const crypto = require('crypto');
+const { EventEmitter } = require('events');
 const Database = require('better-sqlite3');
 const { app } = require('electron');
+const { runMigrations } = require('./migrations');
+const { diffLines } = require('./text-diff');
+const {
+  DEFAULT_KDF_PARAMS,
+  deriveKey,
+  createSalt,
+  isEncryptedValue,
+  encryptValue,
+  decryptValue,
+  createKeyCheck,
+  verifyKeyCheck
+} = require('./field-crypto');
+const {
+  isAttachmentHash,
+  hashData,
+  storeAttachmentFile,
+  hasAttachmentFile,
+  readAttachmentFile,
+  removeOrphanFiles,
+  cleanFileName,
+  mimeTypeFor,
+  attachmentUrl
+} = require('./attachments');
 
 /**
  * Get the database path
@@ -28,326 +65,3638 @@ const getDbPath = () => {
   }
 };
 
-// Initialize database connection
 const dbPath = getDbPath();
-const db = new Database(dbPath);
 
-// Enable WAL mode for better concurrency and performance
-db.pragma('journal_mode = WAL');
+/**
+ * Initialize database schema
+ * Applies any pending schema migrations (see migrations.js)
+ * @param {Database} connection - Newly opened connection
+ */
+const initializeDatabase = (connection) => {
+  const { fromVersion, toVersion } = runMigrations(connection, dbPath);
+
+  if (toVersion !== fromVersion) {
+    console.log(`Database schema migrated from version ${fromVersion} to ${toVersion}`);
+  }
+
+  console.log('Database initialized successfully at:', dbPath);
+};
+
+/**
+ * Open the database file and bring its schema up to date
+ * Closes the connection again if the schema cannot be opened so the file is not left locked
+ * @returns {Database} Open connection
+ */
+const openDatabase = () => {
+  const connection = new Database(dbPath);
+  
+  try {
+    // Enable WAL mode for better concurrency and performance
+    connection.pragma('journal_mode = WAL');
+    
+    // Enforce foreign keys so ON DELETE CASCADE cleans up related rows
+    connection.pragma('foreign_keys = ON');
+    
+    initializeDatabase(connection);
+  } catch (error) {
+    connection.close();
+    throw error;
+  }
+  
+  return connection;
+};
+
+// Initialize database connection on module load
+// (replaced by a new connection when a backup is restored, see restoreBackup)
+let db = openDatabase();
+
+// ============================================
+// Change Events
+// ============================================
+
+// Emits 'change' with { table, type, ids } after notes, tags or notebooks are written
+// (type is 'insert', 'update' or 'delete'; for notes these follow what note lists show,
+// so moving a note to the Trash is a delete and restoring it an insert)
+const changeEvents = new EventEmitter();
+
+// Changes made since the last flush: table name -> Map of row id -> change type
+let pendingChanges = null;
+
+/**
+ * Report the changes recorded since the last flush, one event per table and type
+ */
+const flushChanges = () => {
+  const changes = pendingChanges;
+  pendingChanges = null;
+  
+  for (const [table, rows] of changes) {
+    for (const type of ['insert', 'update', 'delete']) {
+      const ids = [...rows].filter(([, rowType]) => rowType === type).map(([id]) => id);
+      if (ids.length > 0) {
+        changeEvents.emit('change', { table, type, ids });
+      }
+    }
+  }
+};
+
+/**
+ * Record a changed row (called by the temporary triggers of watchChanges)
+ * Changes are collected until the current task is done, so a transaction
+ * writing thousands of rows is reported once. An update does not replace
+ * an insert or delete recorded before; an insert or delete replaces anything.
+ * @param {string} table - Table name
+ * @param {string} type - 'insert', 'update' or 'delete'
+ * @param {number} id - Row id
+ */
+const recordChange = (table, type, id) => {
+  if (!pendingChanges) {
+    pendingChanges = new Map();
+    setImmediate(flushChanges);
+  }
+  if (!pendingChanges.has(table)) {
+    pendingChanges.set(table, new Map());
+  }
+  
+  const rows = pendingChanges.get(table);
+  if (type !== 'update' || !rows.has(id)) {
+    rows.set(id, type);
+  }
+};
+
+/**
+ * Watch the current connection for changes to notes, tags and notebooks
+ * Temporary triggers report every write, whichever function made it (including
+ * notes applied by sync). Tagging or untagging a note counts as an update of
+ * the note. A write that is rolled back may still be reported; listeners
+ * read back what they show, so this is harmless.
+ */
+const watchChanges = () => {
+  db.function('record_change', (table, type, id) => {
+    recordChange(table, type, id);
+    return null;
+  });
+  
+  db.exec(`
+    CREATE TEMP TRIGGER IF NOT EXISTS watch_notes_insert AFTER INSERT ON main.notes BEGIN
+      SELECT record_change('notes', 'insert', NEW.id);
+    END;
+    CREATE TEMP TRIGGER IF NOT EXISTS watch_notes_update AFTER UPDATE ON main.notes BEGIN
+      SELECT record_change('notes', CASE
+        WHEN (OLD.deleted_at IS NULL AND OLD.trashed_at IS NULL)
+          AND NOT (NEW.deleted_at IS NULL AND NEW.trashed_at IS NULL) THEN 'delete'
+        WHEN (NEW.deleted_at IS NULL AND NEW.trashed_at IS NULL)
+          AND NOT (OLD.deleted_at IS NULL AND OLD.trashed_at IS NULL) THEN 'insert'
+        ELSE 'update'
+      END, NEW.id);
+    END;
+    CREATE TEMP TRIGGER IF NOT EXISTS watch_notes_delete AFTER DELETE ON main.notes BEGIN
+      SELECT record_change('notes', 'delete', OLD.id);
+    END;
+    CREATE TEMP TRIGGER IF NOT EXISTS watch_note_tags_insert AFTER INSERT ON main.note_tags BEGIN
+      SELECT record_change('notes', 'update', NEW.note_id);
+    END;
+    CREATE TEMP TRIGGER IF NOT EXISTS watch_note_tags_delete AFTER DELETE ON main.note_tags BEGIN
+      SELECT record_change('notes', 'update', OLD.note_id);
+    END;
+  `);
+  
+  for (const table of ['tags', 'notebooks']) {
+    db.exec(`
+      CREATE TEMP TRIGGER IF NOT EXISTS watch_${table}_insert AFTER INSERT ON main.${table} BEGIN
+        SELECT record_change('${table}', 'insert', NEW.id);
+      END;
+      CREATE TEMP TRIGGER IF NOT EXISTS watch_${table}_update AFTER UPDATE ON main.${table} BEGIN
+        SELECT record_change('${table}', 'update', NEW.id);
+      END;
+      CREATE TEMP TRIGGER IF NOT EXISTS watch_${table}_delete AFTER DELETE ON main.${table} BEGIN
+        SELECT record_change('${table}', 'delete', OLD.id);
+      END;
+    `);
+  }
+};
+
+// ============================================
+// Encryption at Rest (optional)
+// ============================================
+
+/**
+ * Thrown when notes are read or written before the database is unlocked
+ */
+class DatabaseLockedError extends Error {
+  constructor(message = 'The notes database is locked. Enter your passphrase to unlock it.') {
+    super(message);
+    this.name = 'DatabaseLockedError';
+  }
+}
+
+// Shortest passphrase accepted when enabling encryption or changing the passphrase
+const MIN_PASSPHRASE_LENGTH = 8;
+
+// Columns holding note text; everything else (dates, IDs, tags, notebooks) stays plaintext
+const ENCRYPTED_COLUMNS = [
+  { table: 'notes', key: 'id', columns: ['title', 'content'] },
+  { table: 'note_revisions', key: 'id', columns: ['title', 'content'] },
+  { table: 'note_conflicts', key: 'note_id', columns: ['remote_title', 'remote_content'] },
+  { table: 'attachments', key: 'id', columns: ['file_name'] },
+  { table: 'note_links', key: 'id', columns: ['target_title'] }
+];
+
+/**
+ * Get the stored encryption settings
+ * @returns {Object|undefined} { salt, kdf_params, key_check } while encryption is enabled
+ */
+const getEncryptionSettings = () => {
+  return db.prepare('SELECT salt, kdf_params, key_check FROM encryption_settings WHERE id = 1').get();
+};
+
+let encryptionEnabled = false;
+
+// Key derived from the passphrase; null while locked or when encryption is off
+let encryptionKey = null;
+
+/**
+ * Encrypt a title/content value for storage (unchanged when encryption is off)
+ * @param {string|null} value - Plaintext
+ * @returns {string|null} Value to store
+ * @throws {DatabaseLockedError} If encryption is on and the database is locked
+ */
+const encryptField = (value) => {
+  if (!encryptionEnabled) return value;
+  if (!encryptionKey) throw new DatabaseLockedError();
+  return encryptValue(encryptionKey, value);
+};
+
+/**
+ * Decrypt a stored title/content value (plaintext values are returned as-is)
+ * @param {string|null} value - Stored value
+ * @returns {string|null} Plaintext
+ * @throws {DatabaseLockedError} If the value is encrypted and the database is locked
+ */
+const decryptField = (value) => {
+  if (!isEncryptedValue(value)) return value;
+  if (!encryptionKey) throw new DatabaseLockedError();
+  return decryptValue(encryptionKey, value);
+};
+
+/**
+ * Encrypt a value for an update, reusing the stored value if the text is unchanged
+ * Every encryption produces different ciphertext, so without this an update
+ * that does not change the text would still look like an edit (and add a revision).
+ * @param {string|null} value - New plaintext
+ * @param {string|null} stored - Currently stored value
+ * @returns {string|null} Value to store
+ */
+const encryptFieldFor = (value, stored) => {
+  return encryptionEnabled && decryptField(stored) === value ? stored : encryptField(value);
+};
+
+/**
+ * Decrypt the text columns of query results
+ * @param {Array} rows - Rows from notes, note_revisions or note_conflicts
+ * @param {Array} columns - Columns to decrypt
+ * @returns {Array} New row objects with plaintext values
+ */
+const decryptRows = (rows, columns = ['title', 'content']) => {
+  if (!encryptionEnabled) return rows;
+  
+  return rows.map(row => {
+    const decrypted = { ...row };
+    for (const column of columns) {
+      if (column in decrypted) {
+        decrypted[column] = decryptField(decrypted[column]);
+      }
+    }
+    return decrypted;
+  });
+};
+
+/**
+ * Set up the encryption state for the current connection
+ * A key that still fits the database (e.g. after restoring a backup
+ * encrypted with the same passphrase) keeps it unlocked.
+ * @param {Buffer|null} key - Key to keep using, if any
+ */
+const loadEncryptionState = (key = null) => {
+  const settings = getEncryptionSettings();
+  encryptionEnabled = Boolean(settings);
+  encryptionKey = settings && key && verifyKeyCheck(key, settings.key_check) ? key : null;
+  
+  // Keep temporary tables (the decrypted search index) in memory, never in temp files,
+  // and overwrite deleted content so plaintext does not linger in free pages
+  db.pragma('temp_store = MEMORY');
+  db.pragma(`secure_delete = ${encryptionEnabled ? 'ON' : 'OFF'}`);
+  
+  // Lets SQL (the temporary search index triggers) read encrypted columns
+  db.function('decrypt_field', (value) => decryptField(value));
+  
+  if (encryptionKey) {
+    createSearchIndex();
+  }
+};
+
+/**
+ * Build the in-memory full-text index of decrypted notes
+ * With encryption on, notes_fts only sees ciphertext, so search uses this
+ * TEMP table instead. Temporary triggers keep it up to date and it
+ * disappears when the connection closes.
+ */
+const createSearchIndex = () => {
+  dropSearchIndex();
+  db.exec(`
+    CREATE VIRTUAL TABLE temp.notes_search USING fts5(
+      title,
+      content,
+      tokenize = 'unicode61 remove_diacritics 2'
+    );
+
+    INSERT INTO temp.notes_search (rowid, title, content)
+    SELECT id, decrypt_field(title), decrypt_field(content) FROM main.notes;
+
+    CREATE TEMP TRIGGER notes_search_after_insert AFTER INSERT ON notes BEGIN
+      INSERT INTO notes_search (rowid, title, content)
+      VALUES (new.id, decrypt_field(new.title), decrypt_field(new.content));
+    END;
+
+    CREATE TEMP TRIGGER notes_search_after_delete AFTER DELETE ON notes BEGIN
+      DELETE FROM notes_search WHERE rowid = old.id;
+    END;
+
+    CREATE TEMP TRIGGER notes_search_after_update AFTER UPDATE OF title, content ON notes BEGIN
+      DELETE FROM notes_search WHERE rowid = old.id;
+      INSERT INTO notes_search (rowid, title, content)
+      VALUES (new.id, decrypt_field(new.title), decrypt_field(new.content));
+    END;
+  `);
+};
+
+/**
+ * Remove the in-memory search index and its triggers
+ */
+const dropSearchIndex = () => {
+  db.exec(`
+    DROP TRIGGER IF EXISTS temp.notes_search_after_insert;
+    DROP TRIGGER IF EXISTS temp.notes_search_after_delete;
+    DROP TRIGGER IF EXISTS temp.notes_search_after_update;
+    DROP TABLE IF EXISTS temp.notes_search;
+  `);
+};
+
+// Triggers that treat any title/content change as an edit (new revision, new note version)
+const EDIT_TRIGGERS = ['note_revisions_after_update', 'notes_version_after_update'];
+
+/**
+ * Rewrite every encrypted column (to encrypt, re-key or decrypt the library)
+ * Must run inside a transaction. The edit triggers are suspended because
+ * this is not an edit, and notes_fts is rebuilt from the new values.
+ * @param {Function} transform - (storedValue) => new stored value
+ */
+const rewriteEncryptedColumns = (transform) => {
+  const editTriggers = db.prepare(`
+    SELECT sql FROM sqlite_master WHERE type = 'trigger' AND name IN (${EDIT_TRIGGERS.map(() => '?').join(', ')})
+  `).pluck().all(...EDIT_TRIGGERS);
+  EDIT_TRIGGERS.forEach(name => db.exec(`DROP TRIGGER ${name}`));
+  
+  for (const { table, key, columns } of ENCRYPTED_COLUMNS) {
+    // Page through the table so large libraries are not loaded at once
+    const selectStmt = db.prepare(`
+      SELECT ${key} AS rowKey, ${columns.join(', ')} FROM ${table}
+      WHERE ${key} > ? ORDER BY ${key} LIMIT 500
+    `);
+    const updateStmt = db.prepare(`
+      UPDATE ${table} SET ${columns.map(column => `${column} = @${column}`).join(', ')}
+      WHERE ${key} = @rowKey
+    `);
+    
+    let lastKey = 0;
+    for (let rows = selectStmt.all(lastKey); rows.length > 0; rows = selectStmt.all(lastKey)) {
+      for (const row of rows) {
+        const values = { rowKey: row.rowKey };
+        for (const column of columns) {
+          values[column] = transform(row[column]);
+        }
+        updateStmt.run(values);
+        lastKey = row.rowKey;
+      }
+    }
+  }
+  
+  editTriggers.forEach(sql => db.exec(sql));
+  db.prepare("INSERT INTO notes_fts (notes_fts) VALUES ('rebuild')").run();
+};
+
+/**
+ * Compact the database so no old plaintext/ciphertext is left in free pages or the WAL
+ */
+const scrubFreePages = () => {
+  db.pragma('wal_checkpoint(TRUNCATE)');
+  db.exec('VACUUM');
+  db.pragma('wal_checkpoint(TRUNCATE)');
+};
+
+/**
+ * Check a new passphrase
+ * @param {string} passphrase - Proposed passphrase
+ * @throws {Error} If it is too short
+ */
+const validatePassphrase = (passphrase) => {
+  if (typeof passphrase !== 'string' || passphrase.length < MIN_PASSPHRASE_LENGTH) {
+    throw new Error(`Passphrase must be at least ${MIN_PASSPHRASE_LENGTH} characters`);
+  }
+};
+
+/**
+ * Derive the key for a passphrase and check it against the stored settings
+ * @param {string} passphrase - Entered passphrase
+ * @returns {Buffer|null} Key, or null if the passphrase is wrong
+ */
+const keyForPassphrase = (passphrase) => {
+  const settings = getEncryptionSettings();
+  if (!settings) return null;
+  
+  const key = deriveKey(String(passphrase ?? ''), settings.salt, JSON.parse(settings.kdf_params));
+  return verifyKeyCheck(key, settings.key_check) ? key : null;
+};
+
+/**
+ * Get the encryption status
+ * @returns {Object} { enabled, unlocked }
+ */
+const getEncryptionStatus = () => ({
+  enabled: encryptionEnabled,
+  unlocked: !encryptionEnabled || encryptionKey !== null
+});
+
+/**
+ * Check whether notes can be read (encryption off, or unlocked)
+ * @returns {boolean}
+ */
+const isUnlocked = () => getEncryptionStatus().unlocked;
+
+/**
+ * Unlock an encrypted database
+ * @param {string} passphrase - Passphrase
+ * @returns {boolean} True if unlocked (or not encrypted), false if the passphrase is wrong
+ */
+const unlockDatabase = (passphrase) => {
+  if (!encryptionEnabled) return true;
+  
+  const key = keyForPassphrase(passphrase);
+  if (!key) return false;
+  
+  encryptionKey = key;
+  createSearchIndex();
+  buildNoteLinks();
+  return true;
+};
+
+/**
+ * Turn on encryption: encrypt all note text with a key derived from the passphrase
+ * @param {string} passphrase - New passphrase
+ * @throws {Error} If encryption is already on or the passphrase is too short
+ */
+const enableEncryption = (passphrase) => {
+  if (encryptionEnabled) {
+    throw new Error('Encryption is already enabled');
+  }
+  validatePassphrase(passphrase);
+  
+  const salt = createSalt();
+  const key = deriveKey(passphrase, salt, DEFAULT_KDF_PARAMS);
+  
+  db.transaction(() => {
+    rewriteEncryptedColumns(value => encryptValue(key, value));
+    db.prepare(`
+      INSERT INTO encryption_settings (id, salt, kdf_params, key_check)
+      VALUES (1, ?, ?, ?)
+    `).run(salt, JSON.stringify(DEFAULT_KDF_PARAMS), createKeyCheck(key));
+  })();
+  
+  encryptionEnabled = true;
+  encryptionKey = key;
+  db.pragma('secure_delete = ON');
+  createSearchIndex();
+  scrubFreePages();
+};
+
+/**
+ * Change the passphrase and re-encrypt all note text with the new key
+ * @param {string} currentPassphrase - Current passphrase
+ * @param {string} newPassphrase - New passphrase
+ * @throws {Error} If encryption is off, the current passphrase is wrong or the new one is too short
+ */
+const changePassphrase = (currentPassphrase, newPassphrase) => {
+  if (!encryptionEnabled) {
+    throw new Error('Encryption is not enabled');
+  }
+  const oldKey = keyForPassphrase(currentPassphrase);
+  if (!oldKey) {
+    throw new Error('Current passphrase is incorrect');
+  }
+  validatePassphrase(newPassphrase);
+  
+  const salt = createSalt();
+  const newKey = deriveKey(newPassphrase, salt, DEFAULT_KDF_PARAMS);
+  
+  // The search index triggers decrypt with the active key, so rebuild it afterwards
+  dropSearchIndex();
+  try {
+    db.transaction(() => {
+      rewriteEncryptedColumns(value => encryptValue(newKey, decryptValue(oldKey, value)));
+      db.prepare(`
+        UPDATE encryption_settings SET salt = ?, kdf_params = ?, key_check = ?
+        WHERE id = 1
+      `).run(salt, JSON.stringify(DEFAULT_KDF_PARAMS), createKeyCheck(newKey));
+    })();
+    encryptionKey = newKey;
+  } finally {
+    createSearchIndex();
+  }
+  
+  scrubFreePages();
+};
+
+/**
+ * Turn off encryption: store all note text as plaintext again
+ * @param {string} passphrase - Current passphrase
+ * @throws {Error} If encryption is off or the passphrase is wrong
+ */
+const disableEncryption = (passphrase) => {
+  if (!encryptionEnabled) {
+    throw new Error('Encryption is not enabled');
+  }
+  const key = keyForPassphrase(passphrase);
+  if (!key) {
+    throw new Error('Passphrase is incorrect');
+  }
+  
+  dropSearchIndex();
+  try {
+    db.transaction(() => {
+      rewriteEncryptedColumns(value => decryptValue(key, value));
+      db.prepare('DELETE FROM encryption_settings').run();
+    })();
+  } catch (error) {
+    createSearchIndex();
+    throw error;
+  }
+  
+  encryptionEnabled = false;
+  encryptionKey = null;
+  db.pragma('secure_delete = OFF');
+};
+
+loadEncryptionState();
+
+// After loadEncryptionState: setting temp_store drops temporary triggers
+watchChanges();
+
+/**
+ * Add a new note to the database
+ * @param {string} title - Note title
+ * @param {string} content - Note content
+ * @param {number|null} notebookId - Notebook to file the note in (null for none)
+ * @returns {Object} The inserted note with generated ID
+ */
+const addNote = (title, content = '', notebookId = null) => {
+  const stmt = db.prepare(`
+    INSERT INTO notes (title, content, notebook_id, sync_status)
+    VALUES (?, ?, ?, 'pending')
+  `);
+  
+  const insert = db.transaction(() => {
+    const { lastInsertRowid } = stmt.run(encryptField(title), encryptField(content), notebookId || null);
+    refreshNoteLinks([{ id: lastInsertRowid, content }]);
+    return lastInsertRowid;
+  });
+  
+  // Return the newly created note
+  return getNoteById(insert());
+};
+
+/**
+ * Get a single note by ID
+ * Deleted notes (tombstones waiting to be synced) are treated as not found;
+ * notes in the Trash are returned (check trashed_at)
+ * @param {number} id - Note ID
+ * @returns {Object|null} Note object (with tags) or null if not found
+ */
+const getNoteById = (id) => {
+  const stmt = db.prepare('SELECT * FROM notes WHERE id = ? AND deleted_at IS NULL');
+  const note = stmt.get(id);
+  return note ? attachTags(decryptRows([note]))[0] : null;
+};
+
+// Largest page of notes getNotesPage() / searchNotesPage() return
+const MAX_PAGE_SIZE = 500;
+
+/**
+ * Build the opaque cursor that continues a page after a given row
+ * @param {string} sortKey - Sort the cursor belongs to (e.g. 'created_at:DESC', or 'rank:' and a hash of the search)
+ * @param {*} value - Sort value of the last row on the page
+ * @param {number} id - ID of the last row on the page (tie-breaker)
+ * @returns {string} Cursor for the next page
+ */
+const encodePageCursor = (sortKey, value, id) => {
+  return Buffer.from(JSON.stringify({ sort: sortKey, value, id })).toString('base64url');
+};
+
+/**
+ * Read a cursor built by encodePageCursor()
+ * @param {string} cursor - Cursor from a previous page
+ * @param {string} sortKey - Sort of the current request
+ * @returns {Object} { value, id } of the last row already returned
+ * @throws {Error} If the cursor is malformed or was made for another sort
+ */
+const decodePageCursor = (cursor, sortKey) => {
+  let decoded;
+  try {
+    decoded = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+  } catch (error) {
+    decoded = null;
+  }
+  
+  if (!decoded || decoded.sort !== sortKey || !Number.isSafeInteger(decoded.id) ||
+      !['string', 'number'].includes(typeof decoded.value)) {
+    throw new Error('Invalid page cursor');
+  }
+  
+  return { value: decoded.value, id: decoded.id };
+};
+
+/**
+ * Check and normalize page options
+ * @param {Object} page - { limit, cursor }
+ * @param {string} sortKey - Sort of the current request
+ * @returns {Object} { limit, after } (after is null on the first page)
+ * @throws {Error} If the limit is out of range or the cursor is invalid
+ */
+const readPageOptions = (page, sortKey) => {
+  const { limit = 50, cursor = null } = page || {};
+  const size = Number(limit);
+  if (!Number.isInteger(size) || size < 1 || size > MAX_PAGE_SIZE) {
+    throw new Error(`Page size must be a whole number between 1 and ${MAX_PAGE_SIZE}`);
+  }
+  
+  return { limit: size, after: cursor ? decodePageCursor(cursor, sortKey) : null };
+};
+
+/**
+ * Cut a page out of rows fetched with one extra row
+ * @param {Array} rows - Up to limit + 1 rows, in sort order
+ * @param {number} limit - Page size
+ * @param {string} sortKey - Sort the rows are in
+ * @param {Function} sortValue - (row) => value the rows are sorted by
+ * @returns {Object} { notes, nextCursor } (nextCursor is null on the last page)
+ */
+const toPage = (rows, limit, sortKey, sortValue) => {
+  if (rows.length <= limit) {
+    return { notes: attachTags(rows), nextCursor: null };
+  }
+  
+  const notes = rows.slice(0, limit);
+  const last = notes[notes.length - 1];
+  return { notes: attachTags(notes), nextCursor: encodePageCursor(sortKey, sortValue(last), last.id) };
+};
+
+/**
+ * Resolve the sort options of a notes query
+ * @param {string} sortBy - Column to sort by
+ * @param {string} order - Sort order 'ASC' or 'DESC'
+ * @returns {Object} { sortColumn, sortOrder, sortKey } (sortKey identifies the sort in page cursors)
+ */
+const resolveNoteSort = (sortBy, order) => {
+  // Validate sort column to prevent SQL injection
+  const allowedColumns = ['id', 'title', 'created_at', 'updated_at'];
+  const sortColumn = allowedColumns.includes(sortBy) ? sortBy : 'created_at';
+  const sortOrder = String(order).toUpperCase() === 'ASC' ? 'ASC' : 'DESC';
+  return { sortColumn, sortOrder, sortKey: `${sortColumn}:${sortOrder}` };
+};
+
+/**
+ * Query live notes in a stable order (sort column, then id)
+ * Shared by getNotes() and getNotesPage().
+ * @param {Object} sort - From resolveNoteSort()
+ * @param {Object} filter - Optional filter (see noteFilterClause)
+ * @param {Object|null} page - { limit, after } to fetch one page, or null for all notes
+ * @returns {Array} Decrypted notes without tags (limit + 1 at most when paging)
+ */
+const queryNotes = ({ sortColumn, sortOrder }, filter, page) => {
+  const after = page && page.after;
+  
+  // SQLite can only order the ciphertext, so sort encrypted titles here
+  if (encryptionEnabled && sortColumn === 'title') {
+    const direction = sortOrder === 'ASC' ? 1 : -1;
+    const compare = (a, b) => direction * (a.title.localeCompare(b.title) || a.id - b.id);
+    
+    let rows = decryptRows(db.prepare(`
+      SELECT * FROM notes
+      WHERE deleted_at IS NULL AND trashed_at IS NULL ${noteFilterClause(filter)}
+    `).all(noteFilterParams(filter))).sort(compare);
+    
+    if (after) {
+      rows = rows.filter(row => compare(row, { title: String(after.value), id: after.id }) > 0);
+    }
+    
+    return page ? rows.slice(0, page.limit + 1) : rows;
+  }
+  
+  // Keyset pagination: continue after the (sort value, id) of the previous page's last row
+  const keyset = after ? `AND (notes.${sortColumn}, notes.id) ${sortOrder === 'ASC' ? '>' : '<'} (@afterValue, @afterId)` : '';
+  
+  const stmt = db.prepare(`
+    SELECT * FROM notes 
+    WHERE deleted_at IS NULL AND trashed_at IS NULL ${noteFilterClause(filter)} ${keyset}
+    ORDER BY ${sortColumn} ${sortOrder}, id ${sortOrder}
+    ${page ? 'LIMIT @limit' : ''}
+  `);
+  
+  return decryptRows(stmt.all({
+    ...noteFilterParams(filter),
+    ...(after ? { afterValue: after.value, afterId: after.id } : {}),
+    ...(page ? { limit: page.limit + 1 } : {})
+  }));
+};
+
+/**
+ * Get all notes, optionally sorted and filtered by tags and notebook
+ * Notes in the Trash are left out (see getTrash)
+ * @param {string} sortBy - Column to sort by (default: 'created_at')
+ * @param {string} order - Sort order 'ASC' or 'DESC' (default: 'DESC')
+ * @param {Object} filter - Optional filter (see noteFilterClause)
+ * @returns {Array} Array of note objects (each with a tags array)
+ */
+const getNotes = (sortBy = 'created_at', order = 'DESC', filter = {}) => {
+  return attachTags(queryNotes(resolveNoteSort(sortBy, order), filter, null));
+};
+
+/**
+ * Get one page of notes (keyset pagination)
+ * Pages continue after the sort value and ID of the previous page's last
+ * note, so notes added or edited while scrolling do not shift later pages.
+ * @param {string} sortBy - Column to sort by (default: 'created_at')
+ * @param {string} order - Sort order 'ASC' or 'DESC' (default: 'DESC')
+ * @param {Object} filter - Optional filter (see noteFilterClause)
+ * @param {Object} page - { limit (1 to MAX_PAGE_SIZE, default 50), cursor (nextCursor of the previous page) }
+ * @returns {Object} { notes, nextCursor } (nextCursor is null on the last page)
+ * @throws {Error} If the page size or cursor is invalid
+ */
+const getNotesPage = (sortBy = 'created_at', order = 'DESC', filter = {}, page = {}) => {
+  const sort = resolveNoteSort(sortBy, order);
+  const { limit, after } = readPageOptions(page, sort.sortKey);
+  
+  const rows = queryNotes(sort, filter, { limit, after });
+  return toPage(rows, limit, sort.sortKey, row => row[sort.sortColumn]);
+};
+
+/**
+ * Thrown when a note is saved over a version other than the one the editor loaded
+ * (it was changed meanwhile in another window, by sync or by a rename of a linked note)
+ */
+class EditConflictError extends Error {
+  constructor(note) {
+    super('This note was changed elsewhere since it was opened');
+    this.name = 'EditConflictError';
+    this.note = note;   // The note as it is now
+  }
+}
+
+/**
+ * Update an existing note
+ * A note with an unresolved sync conflict keeps its 'conflict' status.
+ * Notes in the Trash must be restored before they can be edited.
+ * Every title/content change bumps the note's `version`; pass the version
+ * the text was loaded at to refuse overwriting changes made since.
+ * @param {number} id - Note ID
+ * @param {string} title - New title
+ * @param {string} content - New content
+ * @param {number|null} expectedVersion - Version the edit is based on (null: overwrite whatever is there)
+ * @returns {Object|null} Updated note or null if not found
+ * @throws {EditConflictError} If the note's version is not expectedVersion
+ */
+const updateNote = (id, title, content, expectedVersion = null) => {
+  const current = db.prepare('SELECT title, content, version FROM notes WHERE id = ?').get(id);
+  if (!current) {
+    return null; // Note not found
+  }
+  if (expectedVersion !== null && current.version !== expectedVersion) {
+    const note = getNoteById(id);
+    if (!note) {
+      return null; // Deleted meanwhile
+    }
+    throw new EditConflictError(note);
+  }
+  
+  const stmt = db.prepare(`
+    UPDATE notes 
+    SET title = ?, content = ?, updated_at = CURRENT_TIMESTAMP,
+        sync_status = CASE WHEN sync_status = 'conflict' THEN 'conflict' ELSE 'pending' END
+    WHERE id = ? AND deleted_at IS NULL AND trashed_at IS NULL
+  `);
+  
+  const update = db.transaction(() => {
+    const result = stmt.run(encryptFieldFor(title, current.title), encryptFieldFor(content, current.content), id);
+    if (result.changes === 0) {
+      return false;
+    }
+    
+    // A new title: keep [[links]] to the note working, and pick up links already using the new title
+    const oldTitle = decryptField(current.title);
+    const renamed = linkKey(oldTitle) !== linkKey(title);
+    if (renamed) {
+      renameNoteLinks(id, oldTitle, title);
+    }
+    refreshNoteLinks([{ id, content }], { resolveDangling: renamed });
+    return true;
+  });
+  
+  if (!update()) {
+    return null; // Note not found
+  }
+  
+  // An edit may fix whatever the server rejected, so retry on the next sync
+  db.prepare('UPDATE sync_errors SET next_retry_at = NULL WHERE note_id = ?').run(id);
+  pruneRevisions(id);
+  
+  return getNoteById(id);
+};
+
+/**
+ * Permanently delete a note by ID (use trashNote to move it to the Trash)
+ * Notes the server already knows about are soft-deleted: they become a
+ * tombstone (deleted_at set, sync_status 'pending') so the deletion is sent
+ * on the next sync, and are purged once the server acknowledges it.
+ * Notes that were never synced are removed immediately.
+ * @param {number} id - Note ID
+ * @returns {boolean} True if deleted, false if not found
+ */
+const deleteNote = (id) => {
+  const removeUnsynced = db.prepare(`
+    DELETE FROM notes
+    WHERE id = ? AND server_id IS NULL AND deleted_at IS NULL
+  `);
+  const tombstone = db.prepare(`
+    UPDATE notes
+    SET deleted_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP,
+        sync_status = CASE WHEN sync_status = 'conflict' THEN 'conflict' ELSE 'pending' END
+    WHERE id = ? AND deleted_at IS NULL
+  `);
+
+  const result = removeUnsynced.run(id);
+  if (result.changes > 0) {
+    deleteOrphanTags();
+    return true;
+  }
+
+  if (tombstone.run(id).changes === 0) {
+    return false;
+  }
+  
+  // Links to the note now dangle (a note created with its title picks them up)
+  db.prepare('UPDATE note_links SET target_id = NULL WHERE target_id = ?').run(id);
+
+  // Send the deletion on the next sync even if an earlier edit is backing off
+  db.prepare('UPDATE sync_errors SET next_retry_at = NULL WHERE note_id = ?').run(id);
+  return true;
+};
+
+// Days a note stays in the Trash before purgeTrash() deletes it for good
+const DEFAULT_TRASH_RETENTION_DAYS = 30;
+
+/**
+ * Move a note to the Trash
+ * The note is hidden from lists, search and stats but is still synced
+ * (with trashed_at set) so other devices move it to their Trash too.
+ * @param {number} id - Note ID
+ * @returns {boolean} True if trashed, false if not found or already in the Trash
+ */
+const trashNote = (id) => {
+  const result = db.prepare(`
+    UPDATE notes SET trashed_at = CURRENT_TIMESTAMP
+    WHERE id = ? AND deleted_at IS NULL AND trashed_at IS NULL
+  `).run(id);
+  
+  if (result.changes === 0) {
+    return false;
+  }
+  
+  markNotesChanged([id]);
+  return true;
+};
+
+/**
+ * Restore a note from the Trash
+ * @param {number} id - Note ID
+ * @returns {Object|null} Restored note or null if it is not in the Trash
+ */
+const restoreNote = (id) => {
+  const result = db.prepare(`
+    UPDATE notes SET trashed_at = NULL
+    WHERE id = ? AND deleted_at IS NULL AND trashed_at IS NOT NULL
+  `).run(id);
+  
+  if (result.changes === 0) {
+    return null;
+  }
+  
+  markNotesChanged([id]);
+  return getNoteById(id);
+};
+
+/**
+ * Get the notes in the Trash, most recently trashed first
+ * @returns {Array} Array of note objects (each with tags and trashed_at)
+ */
+const getTrash = () => {
+  const stmt = db.prepare(`
+    SELECT * FROM notes
+    WHERE deleted_at IS NULL AND trashed_at IS NOT NULL
+    ORDER BY trashed_at DESC, id DESC
+  `);
+  
+  return attachTags(decryptRows(stmt.all()));
+};
+
+/**
+ * Permanently delete every note in the Trash
+ * @returns {number} Number of notes deleted
+ */
+const emptyTrash = () => {
+  const ids = db.prepare(`
+    SELECT id FROM notes WHERE deleted_at IS NULL AND trashed_at IS NOT NULL
+  `).pluck().all();
+  
+  return db.transaction(() => ids.filter(id => deleteNote(id)).length)();
+};
+
+/**
+ * Permanently delete notes that have been in the Trash longer than the retention period
+ * Run periodically by the main process.
+ * @param {number} retentionDays - Days to keep trashed notes (default: the configured setting)
+ * @returns {number} Number of notes deleted
+ */
+const purgeTrash = (retentionDays = getTrashRetentionDays()) => {
+  const ids = db.prepare(`
+    SELECT id FROM notes
+    WHERE deleted_at IS NULL AND trashed_at IS NOT NULL
+      AND trashed_at <= datetime('now', '-' || ? || ' days')
+  `).pluck().all(retentionDays);
+  
+  return db.transaction(() => ids.filter(id => deleteNote(id)).length)();
+};
+
+/**
+ * Get how many days notes stay in the Trash before being purged
+ * @returns {number} Retention in days
+ */
+const getTrashRetentionDays = () => {
+  return Number(getSyncState('trash_retention_days')) || DEFAULT_TRASH_RETENTION_DAYS;
+};
+
+/**
+ * Set how many days notes stay in the Trash before being purged
+ * @param {number} days - Whole number of days (1 to 3650)
+ * @returns {number} The stored retention
+ * @throws {Error} If days is out of range
+ */
+const setTrashRetentionDays = (days) => {
+  const value = Number(days);
+  if (!Number.isInteger(value) || value < 1 || value > 3650) {
+    throw new Error('Trash retention must be a whole number of days between 1 and 3650');
+  }
+  
+  setSyncState('trash_retention_days', value);
+  return value;
+};
+
+/**
+ * Insert multiple notes using a transaction for better performance
+ * This is much faster than inserting notes one by one
+ * @param {Array} notes - Array of {title, content} objects, optionally with
+ *   created_at / updated_at (SQLite timestamps), tags (names) and notebook (path of
+ *   names) or notebookId (used when there is no notebook path)
+ * @returns {Array} Array of inserted note IDs
+ */
+const addNotesBulk = (notes) => {
+  const insertStmt = db.prepare(`
+    INSERT INTO notes (title, content, notebook_id, created_at, updated_at, sync_status)
+    VALUES (
+      @title, @content, @notebook_id,
+      COALESCE(@created_at, CURRENT_TIMESTAMP), COALESCE(@updated_at, @created_at, CURRENT_TIMESTAMP),
+      'pending'
+    )
+  `);
+  
+  // Use a transaction to ensure all inserts succeed or fail together
+  const insertMany = db.transaction((notes) => {
+    const ids = [];
+    for (const note of notes) {
+      const result = insertStmt.run({
+        title: encryptField(note.title),
+        content: encryptField(note.content || ''),
+        notebook_id: (Array.isArray(note.notebook) && ensureNotebookPath(note.notebook)) || note.notebookId || null,
+        created_at: note.created_at || null,
+        updated_at: note.updated_at || null
+      });
+      if (Array.isArray(note.tags)) {
+        setNoteTags(result.lastInsertRowid, note.tags);
+      }
+      ids.push(result.lastInsertRowid);
+    }
+    refreshNoteLinks(notes.map((note, index) => ({ id: ids[index], content: note.content })));
+    return ids;
+  });
+  
+  return insertMany(notes);
+};
+
+/**
+ * Fingerprint a note's title and content for duplicate detection
+ * Line endings are normalized so files edited on Windows still match.
+ * @param {string} title - Note title
+ * @param {string} content - Note content
+ * @returns {string} Hex SHA-256 hash
+ */
+const noteHash = (title, content) => {
+  return crypto.createHash('sha256')
+    .update(`${title ?? ''}\u0000${content ?? ''}`.replace(/\r\n/g, '\n'))
+    .digest('hex');
+};
+
+/**
+ * Get notes with everything needed to export them
+ * @param {Object} filter - Optional filter (see noteFilterClause)
+ * @returns {Array} Notes, oldest first, with tags as names and notebook as a path of names
+ */
+const getNotesForExport = (filter = {}) => {
+  const pathOf = notebookPathLookup();
+  
+  return getNotes('created_at', 'ASC', filter).map(note => ({
+    ...note,
+    tags: note.tags.map(tag => tag.name),
+    notebook: pathOf(note.notebook_id)
+  }));
+};
+
+/**
+ * Import notes (e.g. parsed Markdown files), skipping ones that are already here
+ * A note is a duplicate if its server_id belongs to a local note, or if a note
+ * with the same title and content exists (including earlier notes in the import).
+ * All new notes are inserted in one transaction through addNotesBulk(); each
+ * note gets its own savepoint, so a note that fails is reported without
+ * undoing the others.
+ * @param {Array} notes - Array of { title, content, created_at, updated_at, tags, notebook, server_id }
+ * @param {Object} options
+ * @param {number} options.notebookId - Notebook for notes that do not name one
+ * @returns {Object} { imported, skipped, failed, ids, errors } (errors are { title, message })
+ */
+const importNotes = (notes, { notebookId = null } = {}) => {
+  const serverIds = new Set(db.prepare('SELECT server_id FROM notes WHERE server_id IS NOT NULL').pluck().all());
+  const hashes = new Set(
+    decryptRows(db.prepare('SELECT title, content FROM notes WHERE deleted_at IS NULL').all())
+      .map(note => noteHash(note.title, note.content))
+  );
+  
+  const fresh = [];
+  for (const note of notes) {
+    const hash = noteHash(note.title, note.content);
+    if ((note.server_id && serverIds.has(String(note.server_id))) || hashes.has(hash)) {
+      continue;
+    }
+    
+    hashes.add(hash);
+    fresh.push({
+      ...note,
+      notebookId,
+      created_at: toSqliteTimestamp(note.created_at),
+      updated_at: toSqliteTimestamp(note.updated_at)
+    });
+  }
+  
+  const ids = [];
+  const errors = [];
+  db.transaction(() => {
+    for (const note of fresh) {
+      try {
+        // Nested in this transaction, addNotesBulk() runs as a savepoint
+        ids.push(...addNotesBulk([note]));
+      } catch (error) {
+        errors.push({ title: note.title, message: error.message });
+      }
+    }
+  })();
+  
+  return {
+    imported: ids.length,
+    skipped: notes.length - fresh.length,
+    failed: errors.length,
+    ids,
+    errors
+  };
+};
+
+/**
+ * Attach each note's tags as a `tags` array of { id, name }
+ * Uses one query for the whole list instead of one per note.
+ * @param {Array} notes - Note rows
+ * @returns {Array} The same notes with a tags property
+ */
+const attachTags = (notes) => {
+  if (notes.length === 0) return notes;
+  
+  const rows = db.prepare(`
+    SELECT note_tags.note_id, tags.id, tags.name
+    FROM note_tags
+    JOIN tags ON tags.id = note_tags.tag_id
+    WHERE note_tags.note_id IN (SELECT value FROM json_each(?))
+    ORDER BY tags.name COLLATE NOCASE
+  `).all(JSON.stringify(notes.map(note => note.id)));
+  
+  const tagsByNote = new Map();
+  for (const { note_id, id, name } of rows) {
+    if (!tagsByNote.has(note_id)) tagsByNote.set(note_id, []);
+    tagsByNote.get(note_id).push({ id, name });
+  }
+  
+  return notes.map(note => ({ ...note, tags: tagsByNote.get(note.id) || [] }));
+};
+
+/**
+ * Build the SQL conditions for a notes filter
+ * Pair with noteFilterParams() for the named parameters they use.
+ * @param {Object} filter
+ * @param {Array} filter.tagIds - Only notes that have all of these tags
+ * @param {number} filter.notebookId - Only notes in this notebook or its sub-notebooks
+ * @returns {string} SQL fragment starting with AND, or '' for no filter
+ */
+const noteFilterClause = ({ tagIds = [], notebookId = null } = {}) => {
+  let clause = '';
+  
+  if (tagIds && tagIds.length > 0) {
+    clause += `
+      AND notes.id IN (
+        SELECT note_id FROM note_tags
+        WHERE tag_id IN (SELECT value FROM json_each(@tagIds))
+        GROUP BY note_id
+        HAVING COUNT(*) = @tagCount
+      )
+    `;
+  }
+  
+  if (notebookId) {
+    clause += `
+      AND notes.notebook_id IN (
+        WITH RECURSIVE subtree(id) AS (
+          SELECT @notebookId
+          UNION ALL
+          SELECT notebooks.id FROM notebooks JOIN subtree ON notebooks.parent_id = subtree.id
+        )
+        SELECT id FROM subtree
+      )
+    `;
+  }
+  
+  return clause;
+};
+
+/**
+ * Named parameters for noteFilterClause()
+ * @param {Object} filter - { tagIds, notebookId }
+ * @returns {Object} Parameters for the conditions in use ({} for no filter)
+ */
+const noteFilterParams = ({ tagIds = [], notebookId = null } = {}) => {
+  const params = {};
+  
+  if (tagIds && tagIds.length > 0) {
+    const unique = [...new Set(tagIds.map(Number))];
+    params.tagIds = JSON.stringify(unique);
+    params.tagCount = unique.length;
+  }
+  
+  if (notebookId) {
+    params.notebookId = Number(notebookId);
+  }
+  
+  return params;
+};
+
+/**
+ * Clean up a tag name: trim and collapse inner whitespace
+ * @param {string} name - Tag name as typed by the user
+ * @returns {string} Normalized name
+ * @throws {Error} If the name is empty
+ */
+const normalizeTagName = (name) => {
+  const normalized = String(name ?? '').trim().replace(/\s+/g, ' ');
+  if (!normalized) {
+    throw new Error('Tag name is required');
+  }
+  return normalized;
+};
+
+/**
+ * Get the ID of a tag, creating it if it does not exist yet
+ * @param {string} name - Tag name (matched case-insensitively)
+ * @returns {number} Tag ID
+ */
+const getOrCreateTag = (name) => {
+  const normalized = normalizeTagName(name);
+  const existing = db.prepare('SELECT id FROM tags WHERE name = ?').get(normalized);
+  
+  if (existing) {
+    return existing.id;
+  }
+  return db.prepare('INSERT INTO tags (name) VALUES (?)').run(normalized).lastInsertRowid;
+};
+
+/**
+ * Remove tags no note uses any more
+ * @returns {number} Number of tags deleted
+ */
+const deleteOrphanTags = () => {
+  return db.prepare(`
+    DELETE FROM tags WHERE id NOT IN (SELECT DISTINCT tag_id FROM note_tags)
+  `).run().changes;
+};
+
+/**
+ * Flag notes as changed so their new tags (or attachments) are sent on the next sync
+ * @param {Array} noteIds - Local note IDs
+ */
+const markNotesChanged = (noteIds) => {
+  if (noteIds.length === 0) return;
+  
+  const ids = JSON.stringify(noteIds);
+  db.prepare(`
+    UPDATE notes
+    SET sync_status = CASE WHEN sync_status = 'conflict' THEN 'conflict' ELSE 'pending' END
+    WHERE id IN (SELECT value FROM json_each(?)) AND deleted_at IS NULL
+  `).run(ids);
+  db.prepare(`
+    UPDATE sync_errors SET next_retry_at = NULL
+    WHERE note_id IN (SELECT value FROM json_each(?))
+  `).run(ids);
+};
+
+/**
+ * Get all tags with the number of notes using each
+ * Tags only used by deleted or trashed notes are left out.
+ * @returns {Array} Array of { id, name, note_count }, sorted by name
+ */
+const getTags = () => {
+  const stmt = db.prepare(`
+    SELECT tags.id, tags.name, COUNT(notes.id) AS note_count
+    FROM tags
+    LEFT JOIN note_tags ON note_tags.tag_id = tags.id
+    LEFT JOIN notes ON notes.id = note_tags.note_id AND notes.deleted_at IS NULL AND notes.trashed_at IS NULL
+    GROUP BY tags.id
+    HAVING note_count > 0
+    ORDER BY tags.name COLLATE NOCASE
+  `);
+  
+  return stmt.all();
+};
+
+/**
+ * Tag a note, creating the tag if needed
+ * @param {number} noteId - Note ID
+ * @param {string} name - Tag name
+ * @returns {Object|null} Updated note or null if the note was not found
+ */
+const addTagToNote = (noteId, name) => {
+  const addTag = db.transaction(() => {
+    if (!getNoteById(noteId)) {
+      return null;
+    }
+    
+    const tagId = getOrCreateTag(name);
+    const result = db.prepare('INSERT OR IGNORE INTO note_tags (note_id, tag_id) VALUES (?, ?)').run(noteId, tagId);
+    
+    if (result.changes > 0) {
+      markNotesChanged([noteId]);
+    }
+    return getNoteById(noteId);
+  });
+  
+  return addTag();
+};
+
+/**
+ * Remove a tag from a note
+ * Tags that are no longer used by any note are deleted.
+ * @param {number} noteId - Note ID
+ * @param {number} tagId - Tag ID
+ * @returns {boolean} True if removed, false if the note did not have the tag
+ */
+const removeTagFromNote = (noteId, tagId) => {
+  const removeTag = db.transaction(() => {
+    const result = db.prepare('DELETE FROM note_tags WHERE note_id = ? AND tag_id = ?').run(noteId, tagId);
+    
+    if (result.changes === 0) {
+      return false;
+    }
+    
+    markNotesChanged([noteId]);
+    deleteOrphanTags();
+    return true;
+  });
+  
+  return removeTag();
+};
+
+/**
+ * Rename a tag
+ * Changing only the case of a name is allowed; renaming to the name of
+ * another tag is not (use mergeTags() for that).
+ * @param {number} id - Tag ID
+ * @param {string} newName - New tag name
+ * @returns {Object|null} Renamed tag ({ id, name }) or null if not found
+ * @throws {Error} If another tag already has the new name
+ */
+const renameTag = (id, newName) => {
+  const name = normalizeTagName(newName);
+  
+  const rename = db.transaction(() => {
+    const existing = db.prepare('SELECT id FROM tags WHERE name = ? AND id != ?').get(name, id);
+    if (existing) {
+      throw new Error(`A tag named "${name}" already exists. Merge the tags instead.`);
+    }
+    
+    const result = db.prepare('UPDATE tags SET name = ? WHERE id = ?').run(name, id);
+    if (result.changes === 0) {
+      return null;
+    }
+    
+    // Tags are synced by name, so every tagged note has changed
+    const noteIds = db.prepare('SELECT note_id FROM note_tags WHERE tag_id = ?').pluck().all(id);
+    markNotesChanged(noteIds);
+    return { id, name };
+  });
+  
+  return rename();
+};
+
+/**
+ * Merge one tag into another
+ * Notes tagged with the source tag get the target tag, then the source tag is deleted.
+ * @param {number} sourceId - Tag to merge away
+ * @param {number} targetId - Tag to keep
+ * @returns {boolean} True if merged, false if either tag was not found
+ */
+const mergeTags = (sourceId, targetId) => {
+  if (Number(sourceId) === Number(targetId)) {
+    throw new Error('Cannot merge a tag into itself');
+  }
+  
+  const merge = db.transaction(() => {
+    const findTag = db.prepare('SELECT id FROM tags WHERE id = ?');
+    if (!findTag.get(sourceId) || !findTag.get(targetId)) {
+      return false;
+    }
+    
+    const noteIds = db.prepare('SELECT note_id FROM note_tags WHERE tag_id = ?').pluck().all(sourceId);
+    
+    db.prepare(`
+      INSERT OR IGNORE INTO note_tags (note_id, tag_id)
+      SELECT note_id, ? FROM note_tags WHERE tag_id = ?
+    `).run(targetId, sourceId);
+    db.prepare('DELETE FROM tags WHERE id = ?').run(sourceId);
+    
+    markNotesChanged(noteIds);
+    return true;
+  });
+  
+  return merge();
+};
+
+/**
+ * Replace a note's tags with the given names (used when applying pulled changes)
+ * Does not change the note's sync status.
+ * @param {number} noteId - Note ID
+ * @param {Array} names - Tag names
+ */
+const setNoteTags = (noteId, names) => {
+  db.prepare('DELETE FROM note_tags WHERE note_id = ?').run(noteId);
+  
+  const insertStmt = db.prepare('INSERT OR IGNORE INTO note_tags (note_id, tag_id) VALUES (?, ?)');
+  for (const name of names) {
+    if (String(name ?? '').trim()) {
+      insertStmt.run(noteId, getOrCreateTag(name));
+    }
+  }
+};
+
+/**
+ * Clean up a notebook name: trim and collapse inner whitespace
+ * @param {string} name - Notebook name as typed by the user
+ * @returns {string} Normalized name
+ * @throws {Error} If the name is empty
+ */
+const normalizeNotebookName = (name) => {
+  const normalized = String(name ?? '').trim().replace(/\s+/g, ' ');
+  if (!normalized) {
+    throw new Error('Notebook name is required');
+  }
+  return normalized;
+};
+
+/**
+ * Find a notebook by name among the children of a parent
+ * @param {number|null} parentId - Parent notebook ID (null for top level)
+ * @param {string} name - Notebook name (matched case-insensitively)
+ * @param {number} excludeId - Notebook to ignore (the one being renamed or moved)
+ * @returns {Object|undefined} { id } of the sibling with that name
+ */
+const findSiblingNotebook = (parentId, name, excludeId = 0) => {
+  return db.prepare(`
+    SELECT id FROM notebooks
+    WHERE COALESCE(parent_id, 0) = COALESCE(?, 0) AND name = ? COLLATE NOCASE AND id != ?
+  `).get(parentId ?? null, name, excludeId);
+};
+
+/**
+ * Get the IDs of a notebook and all of its sub-notebooks
+ * @param {number} id - Notebook ID
+ * @returns {Array} Notebook IDs
+ */
+const getNotebookSubtreeIds = (id) => {
+  return db.prepare(`
+    WITH RECURSIVE subtree(id) AS (
+      SELECT ?
+      UNION ALL
+      SELECT notebooks.id FROM notebooks JOIN subtree ON notebooks.parent_id = subtree.id
+    )
+    SELECT id FROM subtree
+  `).pluck().all(id);
+};
+
+/**
+ * Flag every note in a notebook (and its sub-notebooks) as changed
+ * Notebooks are synced as each note's path, so renaming or moving a
+ * notebook changes the path of all notes below it.
+ * @param {number} notebookId - Notebook ID
+ */
+const markNotebookNotesChanged = (notebookId) => {
+  const filter = { notebookId };
+  const noteIds = db.prepare(`
+    SELECT id FROM notes WHERE deleted_at IS NULL ${noteFilterClause(filter)}
+  `).pluck().all(noteFilterParams(filter));
+  
+  markNotesChanged(noteIds);
+};
+
+/**
+ * Get a notebook's path as names from the top level down
+ * @param {number} id - Notebook ID
+ * @returns {Array} e.g. ['Work', 'Projects']
+ */
+const getNotebookPath = (id) => {
+  return db.prepare(`
+    WITH RECURSIVE ancestors(id, name, parent_id, depth) AS (
+      SELECT id, name, parent_id, 0 FROM notebooks WHERE id = ?
+      UNION ALL
+      SELECT notebooks.id, notebooks.name, notebooks.parent_id, ancestors.depth + 1
+      FROM notebooks JOIN ancestors ON notebooks.id = ancestors.parent_id
+    )
+    SELECT name FROM ancestors ORDER BY depth DESC
+  `).pluck().all(id);
+};
+
+/**
+ * Create a cached notebook path lookup for converting many notes at once
+ * @returns {Function} (notebookId) => path of names ([] for no notebook)
+ */
+const notebookPathLookup = () => {
+  const paths = new Map();
+  return (notebookId) => {
+    if (!notebookId) return [];
+    if (!paths.has(notebookId)) {
+      paths.set(notebookId, getNotebookPath(notebookId));
+    }
+    return paths.get(notebookId);
+  };
+};
+
+/**
+ * Find the notebook at a path, creating missing notebooks along the way
+ * @param {Array} names - Path from the top level down (e.g. from a pulled change)
+ * @returns {number|null} Notebook ID, or null for an empty path
+ */
+const ensureNotebookPath = (names) => {
+  const insertStmt = db.prepare('INSERT INTO notebooks (name, parent_id) VALUES (?, ?)');
+  let parentId = null;
+  
+  for (const rawName of names) {
+    if (!String(rawName ?? '').trim()) continue;
+    
+    const name = normalizeNotebookName(rawName);
+    const existing = findSiblingNotebook(parentId, name);
+    parentId = existing ? existing.id : Number(insertStmt.run(name, parentId).lastInsertRowid);
+  }
+  
+  return parentId;
+};
+
+/**
+ * Get all notebooks as a flat list (build the tree from parent_id)
+ * @returns {Array} Array of { id, name, parent_id, note_count }, sorted by name;
+ *   note_count only counts notes directly in the notebook (not those in the Trash)
+ */
+const getNotebooks = () => {
+  const stmt = db.prepare(`
+    SELECT notebooks.id, notebooks.name, notebooks.parent_id, COUNT(notes.id) AS note_count
+    FROM notebooks
+    LEFT JOIN notes ON notes.notebook_id = notebooks.id AND notes.deleted_at IS NULL AND notes.trashed_at IS NULL
+    GROUP BY notebooks.id
+    ORDER BY notebooks.name COLLATE NOCASE
+  `);
+  
+  return stmt.all();
+};
+
+/**
+ * Create a notebook
+ * @param {string} name - Notebook name (unique among its siblings)
+ * @param {number|null} parentId - Parent notebook ID (null for top level)
+ * @returns {Object} The new notebook ({ id, name, parent_id })
+ * @throws {Error} If the parent does not exist or a sibling has the same name
+ */
+const createNotebook = (name, parentId = null) => {
+  const notebookName = normalizeNotebookName(name);
+  
+  const create = db.transaction(() => {
+    if (parentId && !db.prepare('SELECT id FROM notebooks WHERE id = ?').get(parentId)) {
+      throw new Error('Parent notebook not found');
+    }
+    if (findSiblingNotebook(parentId, notebookName)) {
+      throw new Error(`A notebook named "${notebookName}" already exists here`);
+    }
+    
+    const result = db.prepare('INSERT INTO notebooks (name, parent_id) VALUES (?, ?)').run(notebookName, parentId || null);
+    return db.prepare('SELECT id, name, parent_id FROM notebooks WHERE id = ?').get(result.lastInsertRowid);
+  });
+  
+  return create();
+};
+
+/**
+ * Rename a notebook
+ * @param {number} id - Notebook ID
+ * @param {string} name - New name (unique among its siblings)
+ * @returns {Object|null} Renamed notebook or null if not found
+ * @throws {Error} If a sibling already has the new name
+ */
+const renameNotebook = (id, name) => {
+  const notebookName = normalizeNotebookName(name);
+  
+  const rename = db.transaction(() => {
+    const notebook = db.prepare('SELECT id, parent_id FROM notebooks WHERE id = ?').get(id);
+    if (!notebook) {
+      return null;
+    }
+    if (findSiblingNotebook(notebook.parent_id, notebookName, id)) {
+      throw new Error(`A notebook named "${notebookName}" already exists here`);
+    }
+    
+    db.prepare('UPDATE notebooks SET name = ? WHERE id = ?').run(notebookName, id);
+    markNotebookNotesChanged(id);
+    return { id, name: notebookName, parent_id: notebook.parent_id };
+  });
+  
+  return rename();
+};
+
+/**
+ * Move a notebook (with its notes and sub-notebooks) under another parent
+ * @param {number} id - Notebook ID
+ * @param {number|null} parentId - New parent notebook ID (null for top level)
+ * @returns {boolean} True if moved, false if the notebook was not found
+ * @throws {Error} If the move would create a cycle or a name clash
+ */
+const moveNotebook = (id, parentId = null) => {
+  const move = db.transaction(() => {
+    const notebook = db.prepare('SELECT id, name FROM notebooks WHERE id = ?').get(id);
+    if (!notebook) {
+      return false;
+    }
+    if (parentId && !db.prepare('SELECT id FROM notebooks WHERE id = ?').get(parentId)) {
+      throw new Error('Parent notebook not found');
+    }
+    if (parentId && getNotebookSubtreeIds(id).includes(Number(parentId))) {
+      throw new Error('Cannot move a notebook into itself or one of its sub-notebooks');
+    }
+    if (findSiblingNotebook(parentId, notebook.name, id)) {
+      throw new Error(`A notebook named "${notebook.name}" already exists there`);
+    }
+    
+    db.prepare('UPDATE notebooks SET parent_id = ? WHERE id = ?').run(parentId || null, id);
+    markNotebookNotesChanged(id);
+    return true;
+  });
+  
+  return move();
+};
+
+/**
+ * Delete a notebook
+ * Its notes and sub-notebooks are moved up into the parent notebook
+ * (or to the top level), so no notes are lost.
+ * @param {number} id - Notebook ID
+ * @returns {boolean} True if deleted, false if not found
+ * @throws {Error} If a sub-notebook's name clashes with one in the parent
+ */
+const deleteNotebook = (id) => {
+  const remove = db.transaction(() => {
+    const notebook = db.prepare('SELECT id, parent_id FROM notebooks WHERE id = ?').get(id);
+    if (!notebook) {
+      return false;
+    }
+    
+    const children = db.prepare('SELECT id, name FROM notebooks WHERE parent_id = ?').all(id);
+    for (const child of children) {
+      if (findSiblingNotebook(notebook.parent_id, child.name, id)) {
+        throw new Error(`Cannot delete: the parent already has a notebook named "${child.name}". Rename it first.`);
+      }
+    }
+    
+    markNotebookNotesChanged(id);
+    db.prepare('UPDATE notes SET notebook_id = ? WHERE notebook_id = ?').run(notebook.parent_id, id);
+    db.prepare('UPDATE notebooks SET parent_id = ? WHERE parent_id = ?').run(notebook.parent_id, id);
+    db.prepare('DELETE FROM notebooks WHERE id = ?').run(id);
+    return true;
+  });
+  
+  return remove();
+};
+
+/**
+ * Move a note into a notebook
+ * @param {number} noteId - Note ID
+ * @param {number|null} notebookId - Target notebook ID (null for no notebook)
+ * @returns {Object|null} Updated note or null if the note was not found
+ * @throws {Error} If the notebook does not exist
+ */
+const moveNoteToNotebook = (noteId, notebookId = null) => {
+  const move = db.transaction(() => {
+    if (notebookId && !db.prepare('SELECT id FROM notebooks WHERE id = ?').get(notebookId)) {
+      throw new Error('Notebook not found');
+    }
+    
+    const result = db.prepare(`
+      UPDATE notes SET notebook_id = ? WHERE id = ? AND deleted_at IS NULL
+    `).run(notebookId || null, noteId);
+    
+    if (result.changes === 0) {
+      return null;
+    }
+    
+    markNotesChanged([noteId]);
+    return getNoteById(noteId);
+  });
+  
+  return move();
+};
+
+// How much revision history is kept for each note
+const REVISION_RETENTION = {
+  maxPerNote: 50,   // Newest revisions kept per note
+  maxAgeDays: 90    // Revisions saved longer ago are dropped
+};
+
+/**
+ * Drop revisions beyond the retention limits
+ * Revisions are written by the note_revisions_after_update trigger
+ * (see migrations.js) whenever a note's title or content changes.
+ * Their age counts from saved_at (when the text was replaced), not
+ * created_at (when it was written), so editing a long-untouched note
+ * keeps its previous version.
+ * @param {number|null} noteId - Only prune this note's history (null for all notes)
+ * @returns {number} Number of revisions deleted
+ */
+const pruneRevisions = (noteId = null) => {
+  const stmt = db.prepare(`
+    DELETE FROM note_revisions
+    WHERE (@noteId IS NULL OR note_id = @noteId)
+      AND (
+        saved_at < datetime('now', @maxAge)
+        OR id IN (
+          SELECT id FROM (
+            SELECT id, ROW_NUMBER() OVER (PARTITION BY note_id ORDER BY id DESC) AS position
+            FROM note_revisions
+            WHERE @noteId IS NULL OR note_id = @noteId
+          )
+          WHERE position > @maxPerNote
+        )
+      )
+  `);
+  
+  return stmt.run({
+    noteId,
+    maxAge: `-${REVISION_RETENTION.maxAgeDays} days`,
+    maxPerNote: REVISION_RETENTION.maxPerNote
+  }).changes;
+};
+
+/**
+ * List the saved revisions of a note, newest first
+ * Each revision is the note as it was before a later change replaced it.
+ * @param {number} noteId - Note ID
+ * @returns {Array} Array of { id, note_id, title, created_at, length }
+ */
+const getNoteRevisions = (noteId) => {
+  const stmt = db.prepare(`
+    SELECT id, note_id, title, content, created_at
+    FROM note_revisions
+    WHERE note_id = ?
+    ORDER BY id DESC
+  `);
+  
+  // The length is measured in JS because SQL would measure the ciphertext
+  return decryptRows(stmt.all(noteId)).map(({ content, ...revision }) => ({
+    ...revision,
+    length: content === null ? null : content.length
+  }));
+};
+
+/**
+ * Get one side of a comparison: a saved revision or the current note
+ * @param {number} noteId - Note ID
+ * @param {number|null} revisionId - Revision ID, or null for the current version
+ * @returns {Object|null} { id, title, content, created_at } or null if not found
+ */
+const getRevisionVersion = (noteId, revisionId) => {
+  if (!revisionId) {
+    const note = db.prepare(`
+      SELECT NULL AS id, title, content, updated_at AS created_at
+      FROM notes WHERE id = ? AND deleted_at IS NULL
+    `).get(noteId);
+    return note ? decryptRows([note])[0] : null;
+  }
+  
+  const revision = db.prepare(`
+    SELECT id, title, content, created_at
+    FROM note_revisions WHERE id = ? AND note_id = ?
+  `).get(revisionId, noteId);
+  return revision ? decryptRows([revision])[0] : null;
+};
+
+/**
+ * Compare two versions of a note
+ * @param {number} noteId - Note ID
+ * @param {number|null} fromRevisionId - Older side (null for the current version)
+ * @param {number|null} toRevisionId - Newer side (null for the current version)
+ * @returns {Object|null} { from, to, titleChanged, changes } where changes is a
+ *   line diff of the content ({ type: 'equal'|'added'|'removed', text }),
+ *   or null if either version was not found
+ */
+const diffRevisions = (noteId, fromRevisionId = null, toRevisionId = null) => {
+  const from = getRevisionVersion(noteId, fromRevisionId);
+  const to = getRevisionVersion(noteId, toRevisionId);
+  
+  if (!from || !to) {
+    return null;
+  }
+  
+  return {
+    from,
+    to,
+    titleChanged: from.title !== to.title,
+    changes: diffLines(from.content, to.content)
+  };
+};
+
+/**
+ * Restore a previous revision as a new edit
+ * The current version is kept in the history, so a restore can be undone.
+ * @param {number} noteId - Note ID
+ * @param {number} revisionId - Revision to restore
+ * @returns {Object|null} Updated note or null if the note or revision was not found
+ */
+const restoreRevision = (noteId, revisionId) => {
+  const revision = getRevisionVersion(noteId, revisionId);
+  
+  if (!revision || !revisionId) {
+    return null;
+  }
+  
+  return updateNote(noteId, revision.title, revision.content || '');
+};
+
+/**
+ * Get notes that need to be synced (pending or error status)
+ * Includes deletion tombstones (rows with deleted_at set). Notes that
+ * failed to sync are skipped until their next_retry_at has passed.
+ * @param {Object} options - Optional keyset paging for batched sync
+ * @param {number} options.limit - Maximum number of notes to return
+ * @param {number} options.afterId - Only return notes with a greater ID
+ * @returns {Array} Array of notes that need syncing, oldest first
+ */
+const getNotesToSync = ({ limit = -1, afterId = 0 } = {}) => {
+  const stmt = db.prepare(`
+    SELECT notes.* FROM notes
+    LEFT JOIN sync_errors ON sync_errors.note_id = notes.id
+    WHERE notes.sync_status IN ('pending', 'error') AND notes.id > ?
+      AND (sync_errors.next_retry_at IS NULL OR sync_errors.next_retry_at <= CURRENT_TIMESTAMP)
+    ORDER BY notes.id ASC
+    LIMIT ?
+  `);
+  
+  return decryptRows(stmt.all(afterId, limit));
+};
+
+/**
+ * Count notes that need to be synced
+ * @returns {number} Number of pending or errored notes (including tombstones) due for sync
+ */
+const countNotesToSync = () => {
+  const stmt = db.prepare(`
+    SELECT COUNT(*) as count FROM notes
+    LEFT JOIN sync_errors ON sync_errors.note_id = notes.id
+    WHERE notes.sync_status IN ('pending', 'error')
+      AND (sync_errors.next_retry_at IS NULL OR sync_errors.next_retry_at <= CURRENT_TIMESTAMP)
+  `);
+  
+  return stmt.get().count;
+};
+
+/**
+ * Mark notes as synced after successful sync
+ * With sentVersions, a note is only marked if it still has the version that
+ * was sent: one edited while the request was in flight stays pending.
+ * @param {Array} ids - Array of note IDs that were synced
+ * @param {Map|null} sentVersions - Note ID -> version sent to the server
+ * @returns {number} Number of notes marked as synced
+ */
+const markNotesAsSynced = (ids, sentVersions = null) => {
+  if (!ids || ids.length === 0) return 0;
+  
+  const placeholders = ids.map(() => '?').join(',');
+  const clearErrors = db.prepare(`
+    DELETE FROM sync_errors WHERE note_id IN (${placeholders})
+  `);
+  
+  let changes;
+  if (sentVersions) {
+    const stmt = db.prepare(`
+      UPDATE notes 
+      SET sync_status = 'synced', synced_at = CURRENT_TIMESTAMP
+      WHERE id = ? AND version = ?
+    `);
+    changes = ids.reduce((count, id) => count + stmt.run(id, sentVersions.get(Number(id)) ?? null).changes, 0);
+  } else {
+    const stmt = db.prepare(`
+      UPDATE notes 
+      SET sync_status = 'synced', synced_at = CURRENT_TIMESTAMP
+      WHERE id IN (${placeholders})
+    `);
+    changes = stmt.run(...ids).changes;
+  }
+  
+  clearErrors.run(...ids);
+  return changes;
+};
+
+/**
+ * Permanently remove tombstones the server has acknowledged
+ * @param {Array} ids - Array of local note IDs whose deletion was synced
+ * @returns {number} Number of tombstones purged
+ */
+const purgeTombstones = (ids) => {
+  if (!ids || ids.length === 0) return 0;
+  
+  const placeholders = ids.map(() => '?').join(',');
+  const stmt = db.prepare(`
+    DELETE FROM notes 
+    WHERE id IN (${placeholders}) AND deleted_at IS NOT NULL
+  `);
+  
+  const result = stmt.run(...ids);
+  deleteOrphanTags();
+  return result.changes;
+};
+
+/**
+ * Record the server revision each pushed note is now based on
+ * @param {Array} revisions - Array of { localId, revision } objects
+ * @returns {number} Number of notes updated
+ */
+const setRevisions = (revisions) => {
+  if (!revisions || revisions.length === 0) return 0;
+
+  const stmt = db.prepare('UPDATE notes SET revision = ? WHERE id = ?');
+
+  const applyAll = db.transaction((entries) => {
+    let changes = 0;
+    for (const { localId, revision } of entries) {
+      changes += stmt.run(Number(revision) || 0, localId).changes;
+    }
+    return changes;
+  });
+
+  return applyAll(revisions);
+};
+
+/**
+ * Store the server version of a note that conflicts with local changes
+ * The local version stays in the notes row; the note is flagged 'conflict'
+ * and is not pushed again until the conflict is resolved.
+ * @param {number} noteId - Local note ID
+ * @param {Object} remote - Server note ({ title, content, updated_at, deleted_at, revision })
+ */
+const recordConflict = (noteId, remote) => {
+  db.prepare(`
+    INSERT INTO note_conflicts (
+      note_id, remote_title, remote_content, remote_updated_at,
+      remote_deleted_at, remote_revision, remote_tags, remote_notebook, detected_at
+    )
+    VALUES (@note_id, @title, @content, @updated_at, @deleted_at, @revision, @tags, @notebook, CURRENT_TIMESTAMP)
+    ON CONFLICT(note_id) DO UPDATE SET
+      remote_title = excluded.remote_title,
+      remote_content = excluded.remote_content,
+      remote_updated_at = excluded.remote_updated_at,
+      remote_deleted_at = excluded.remote_deleted_at,
+      remote_revision = excluded.remote_revision,
+      remote_tags = excluded.remote_tags,
+      remote_notebook = excluded.remote_notebook,
+      detected_at = excluded.detected_at
+  `).run({
+    note_id: noteId,
+    title: encryptField(remote.title ?? null),
+    content: encryptField(remote.content ?? null),
+    updated_at: toSqliteTimestamp(remote.updated_at),
+    deleted_at: toSqliteTimestamp(remote.deleted_at),
+    revision: Number(remote.revision) || 0,
+    // Servers that predate tags/notebooks send none; keep the local ones in that case
+    tags: Array.isArray(remote.tags) ? JSON.stringify(remote.tags) : null,
+    notebook: Array.isArray(remote.notebook) ? JSON.stringify(remote.notebook) : null
+  });
+
+  db.prepare("UPDATE notes SET sync_status = 'conflict' WHERE id = ?").run(noteId);
+};
+
+/**
+ * Store conflicts reported by the server for a push
+ * @param {Array} conflicts - Array of { id, server } objects (id is the local note ID)
+ * @returns {number} Number of conflicts recorded
+ */
+const markNotesConflict = (conflicts) => {
+  if (!conflicts || conflicts.length === 0) return 0;
+
+  const recordAll = db.transaction((entries) => {
+    for (const { id, server } of entries) {
+      recordConflict(id, server || {});
+    }
+    return entries.length;
+  });
+
+  return recordAll(conflicts);
+};
+
+/**
+ * Get all unresolved conflicts with both versions of each note
+ * Includes notes deleted locally, which are otherwise hidden
+ * @returns {Array} Array of { id, local, remote, detected_at } objects
+ */
+const getConflicts = () => {
+  const stmt = db.prepare(`
+    SELECT notes.id, notes.title, notes.content, notes.updated_at, notes.deleted_at,
+      notes.notebook_id, note_conflicts.*
+    FROM note_conflicts
+    JOIN notes ON notes.id = note_conflicts.note_id
+    ORDER BY note_conflicts.detected_at DESC
+  `);
+
+  return attachTags(decryptRows(stmt.all(), ['title', 'content', 'remote_title', 'remote_content'])).map(row => ({
+    id: row.id,
+    local: {
+      title: row.title,
+      content: row.content,
+      updated_at: row.updated_at,
+      deleted_at: row.deleted_at,
+      tags: row.tags.map(tag => tag.name),
+      notebook: row.notebook_id ? getNotebookPath(row.notebook_id) : []
+    },
+    remote: {
+      title: row.remote_title,
+      content: row.remote_content,
+      updated_at: row.remote_updated_at,
+      deleted_at: row.remote_deleted_at,
+      revision: row.remote_revision,
+      tags: row.remote_tags ? JSON.parse(row.remote_tags) : null,
+      notebook: row.remote_notebook ? JSON.parse(row.remote_notebook) : null
+    },
+    detected_at: row.detected_at
+  }));
+};
+
+/**
+ * Resolve a sync conflict
+ * - 'local':  keep the local version; it is pushed on top of the server version
+ * - 'remote': take the server version and discard local changes
+ * - 'merged': save the given title/content; it is pushed on top of the server version
+ * @param {number} id - Note ID
+ * @param {string} resolution - 'local', 'remote' or 'merged'
+ * @param {Object} merged - { title, content } used for the 'merged' resolution
+ * @returns {boolean} True if resolved, false if the note has no conflict
+ */
+const resolveConflict = (id, resolution, merged = {}) => {
+  if (!['local', 'remote', 'merged'].includes(resolution)) {
+    throw new Error(`Unknown conflict resolution: ${resolution}`);
+  }
+  if (resolution === 'merged' && !(merged.title || '').trim()) {
+    throw new Error('Merged note must have a title');
+  }
+
+  const resolve = db.transaction(() => {
+    const conflict = db.prepare(`
+      SELECT note_conflicts.*, notes.deleted_at, notes.title AS local_title, notes.content AS local_content
+      FROM note_conflicts
+      JOIN notes ON notes.id = note_conflicts.note_id
+      WHERE note_conflicts.note_id = ?
+    `).get(id);
+
+    if (!conflict) {
+      return false;
+    }
+
+    const remoteDeleted = Boolean(conflict.remote_deleted_at);
+
+    // Deleted on both sides, or the user accepted the server's deletion
+    if (remoteDeleted && (resolution === 'remote' || (resolution === 'local' && conflict.deleted_at))) {
+      db.prepare('DELETE FROM notes WHERE id = ?').run(id);
+      deleteOrphanTags();
+      return true;
+    }
+
+    if (resolution === 'remote') {
+      db.prepare(`
+        UPDATE notes
+        SET title = @title, content = @content, updated_at = @updated_at, deleted_at = NULL,
+            revision = @revision, sync_status = 'synced', synced_at = CURRENT_TIMESTAMP
+        WHERE id = @id
+      `).run({
+        id,
+        title: conflict.remote_title,
+        content: conflict.remote_content,
+        updated_at: conflict.remote_updated_at,
+        revision: conflict.remote_revision
+      });
+      
+      if (conflict.remote_tags) {
+        setNoteTags(id, JSON.parse(conflict.remote_tags));
+        deleteOrphanTags();
+      }
+      if (conflict.remote_notebook) {
+        db.prepare('UPDATE notes SET notebook_id = ? WHERE id = ?')
+          .run(ensureNotebookPath(JSON.parse(conflict.remote_notebook)), id);
+      }
+    } else {
+      if (resolution === 'merged') {
+        db.prepare(`
+          UPDATE notes
+          SET title = ?, content = ?, deleted_at = NULL
+          WHERE id = ?
+        `).run(
+          encryptFieldFor(merged.title.trim(), conflict.local_title),
+          encryptFieldFor(merged.content || '', conflict.local_content),
+          id
+        );
+      }
+
+      if (remoteDeleted) {
+        // Keeping changes to a note the server deleted re-creates it there
+        db.prepare(`
+          UPDATE notes
+          SET server_id = NULL, revision = 0, sync_status = 'pending', updated_at = CURRENT_TIMESTAMP
+          WHERE id = ?
+        `).run(id);
+      } else {
+        // Rebase the local version on the server revision so the push is accepted
+        db.prepare(`
+          UPDATE notes
+          SET revision = ?, sync_status = 'pending', updated_at = CURRENT_TIMESTAMP
+          WHERE id = ?
+        `).run(conflict.remote_revision, id);
+      }
+    }
+
+    const content = db.prepare('SELECT content FROM notes WHERE id = ?').pluck().get(id);
+    refreshNoteLinks([{ id, content: decryptField(content) }]);
+
+    db.prepare('DELETE FROM note_conflicts WHERE note_id = ?').run(id);
+    return true;
+  });
+
+  return resolve();
+};
+
+// Per-note retry delay after a rejected push: doubles with each attempt
+const SYNC_RETRY_BASE_SECONDS = 60;
+const SYNC_RETRY_MAX_SECONDS = 24 * 60 * 60;
+
+/**
+ * Mark notes sync as failed
+ * Records the server's reason in sync_errors, bumps the attempt counter and
+ * schedules the next retry (1 min, 2 min, 4 min, ... capped at one day).
+ * @param {Array} ids - Array of note IDs that failed to sync
+ * @param {Object} messages - Optional map of note ID -> error message from the server
+ * @returns {number} Number of notes marked with error status
+ */
+const markNotesSyncError = (ids, messages = {}) => {
+  if (!ids || ids.length === 0) return 0;
+  
+  const placeholders = ids.map(() => '?').join(',');
+  const stmt = db.prepare(`
+    UPDATE notes 
+    SET sync_status = 'error'
+    WHERE id IN (${placeholders})
+  `);
+  const recordError = db.prepare(`
+    INSERT INTO sync_errors (note_id, message, attempts, last_attempt_at)
+    VALUES (?, ?, 1, CURRENT_TIMESTAMP)
+    ON CONFLICT(note_id) DO UPDATE SET
+      message = excluded.message,
+      attempts = attempts + 1,
+      last_attempt_at = CURRENT_TIMESTAMP
+  `);
+  const scheduleRetry = db.prepare(`
+    UPDATE sync_errors
+    SET next_retry_at = datetime('now', '+' || MIN(?, ? * (1 << MIN(attempts - 1, 20))) || ' seconds')
+    WHERE note_id = ?
+  `);
+  
+  const markAll = db.transaction(() => {
+    const result = stmt.run(...ids);
+    for (const id of ids) {
+      recordError.run(id, messages[id] || 'The server rejected this note');
+      scheduleRetry.run(SYNC_RETRY_MAX_SECONDS, SYNC_RETRY_BASE_SECONDS, id);
+    }
+    return result.changes;
+  });
+  
+  return markAll();
+};
+
+/**
+ * Get notes that failed to sync, with the server's reason
+ * @returns {Array} Array of { id, title, server_id, deleted_at, message, attempts, last_attempt_at, next_retry_at }
+ */
+const getSyncErrors = () => {
+  const stmt = db.prepare(`
+    SELECT notes.id, notes.title, notes.server_id, notes.deleted_at,
+           sync_errors.message, sync_errors.attempts,
+           sync_errors.last_attempt_at, sync_errors.next_retry_at
+    FROM sync_errors
+    JOIN notes ON notes.id = sync_errors.note_id
+    WHERE notes.sync_status = 'error'
+    ORDER BY sync_errors.last_attempt_at DESC
+  `);
+  
+  return decryptRows(stmt.all(), ['title']);
+};
+
+/**
+ * Make a failed note eligible for the next sync instead of waiting for its retry time
+ * The attempt counter is kept so repeated failures still back off.
+ * @param {number} id - Note ID
+ * @returns {boolean} True if the note was queued, false if it had no sync error
+ */
+const retryNoteSync = (id) => {
+  const stmt = db.prepare(`
+    UPDATE sync_errors SET next_retry_at = NULL WHERE note_id = ?
+  `);
+  
+  return stmt.run(id).changes > 0;
+};
+
+/**
+ * Throw away the local change of a note that failed to sync
+ * - Never-synced notes are deleted (the server has no copy)
+ * - Synced notes (including tombstones) are marked synced again and queued
+ *   for refetching, so the next sync downloads the server version of just that note
+ * @param {number} id - Note ID
+ * @returns {boolean} True if discarded, false if the note was not found
+ */
+const discardLocalChange = (id) => {
+  const discard = db.transaction(() => {
+    const note = db.prepare('SELECT id, server_id FROM notes WHERE id = ?').get(id);
+    if (!note) {
+      return false;
+    }
+
+    if (!note.server_id) {
+      db.prepare('DELETE FROM notes WHERE id = ?').run(id);
+      deleteOrphanTags();
+      return true;
+    }
+
+    db.prepare(`
+      UPDATE notes
+      SET sync_status = 'synced', deleted_at = NULL
+      WHERE id = ?
+    `).run(id);
+    db.prepare('DELETE FROM sync_errors WHERE note_id = ?').run(id);
+    setNotesToRefetch([...new Set([...getNotesToRefetch(), note.server_id])]);
+    return true;
+  });
+  
+  return discard();
+};
+
+/**
+ * Read a value from the sync_state key/value table
+ * @param {string} key - State key (e.g. 'pull_cursor')
+ * @returns {string|null} Stored value or null if not set
+ */
+const getSyncState = (key) => {
+  const row = db.prepare('SELECT value FROM sync_state WHERE key = ?').get(key);
+  return row ? row.value : null;
+};
+
+/**
+ * Write a value to the sync_state key/value table
+ * @param {string} key - State key
+ * @param {string|null} value - Value to store
+ */
+const setSyncState = (key, value) => {
+  db.prepare(`
+    INSERT INTO sync_state (key, value, updated_at)
+    VALUES (?, ?, CURRENT_TIMESTAMP)
+    ON CONFLICT(key) DO UPDATE SET value = excluded.value, updated_at = excluded.updated_at
+  `).run(key, value === null || value === undefined ? null : String(value));
+};
+
+/**
+ * Get the API URL used for the last sync (used by background sync)
+ * @returns {string|null} API URL or null if sync has never been set up
+ */
+const getApiUrl = () => getSyncState('api_url');
+
+/**
+ * Remember the API URL so background sync can use it
+ * @param {string} apiUrl - Base URL of the NestJS API
+ */
+const setApiUrl = (apiUrl) => setSyncState('api_url', apiUrl);
 
 /**
- * Initialize database schema
- * Creates the notes table with proper indexes for performance
+ * Get the cursor of the last change pulled from the server
+ * @returns {string|null} Cursor or null if nothing has been pulled yet
+ */
+const getLastSyncCursor = () => getSyncState('pull_cursor');
+
+/**
+ * Get the notes to download again on the next sync (see discardLocalChange)
+ * @returns {Array} Server IDs
+ */
+const getNotesToRefetch = () => JSON.parse(getSyncState('refetch_notes') || '[]');
+
+/**
+ * Set the notes to download again on the next sync
+ * @param {Array} serverIds - Server IDs
+ */
+const setNotesToRefetch = (serverIds) => {
+  setSyncState('refetch_notes', serverIds.length > 0 ? JSON.stringify(serverIds) : null);
+};
+
+/**
+ * Convert a server timestamp into SQLite's CURRENT_TIMESTAMP format
+ * so pulled notes sort correctly next to locally created ones
+ * @param {string} value - ISO 8601 timestamp
+ * @returns {string|null} 'YYYY-MM-DD HH:MM:SS' (UTC) or null if invalid
+ */
+const toSqliteTimestamp = (value) => {
+  const date = new Date(value);
+  if (!value || Number.isNaN(date.getTime())) return null;
+  return date.toISOString().replace('T', ' ').slice(0, 19);
+};
+
+/**
+ * Record the server IDs assigned to local notes
+ * @param {Array} idMap - Array of { localId, serverId } objects
+ * @returns {number} Number of notes updated
+ */
+const setServerIds = (idMap) => {
+  if (!idMap || idMap.length === 0) return 0;
+
+  const stmt = db.prepare('UPDATE notes SET server_id = ? WHERE id = ?');
+
+  const applyAll = db.transaction((entries) => {
+    let changes = 0;
+    for (const { localId, serverId } of entries) {
+      changes += stmt.run(String(serverId), localId).changes;
+    }
+    return changes;
+  });
+
+  return applyAll(idMap);
+};
+
+/**
+ * Apply a page of changes from the server change feed
+ * Runs in a single transaction together with the cursor update, so a crash
+ * never leaves the cursor ahead of the data that was actually written.
+ * Synced notes are overwritten (or removed if the change carries
+ * `deleted_at`). If the note also has unsynced local changes and the server
+ * revision is newer than the one the local copy is based on, both versions
+ * are kept and the note is flagged as a conflict.
+ * @param {Array} changes - Server notes ({ id, title, content, created_at, updated_at, deleted_at, trashed_at, revision,
+ *   and optionally tags, notebook and attachments })
+ * @param {string} cursor - Cursor to store once the changes are applied
+ * @returns {Object} Counts of inserted, updated, deleted, conflicting and skipped notes
+ */
+const applyRemoteChanges = (changes, cursor) => {
+  const findStmt = db.prepare('SELECT id, title, content, sync_status, revision FROM notes WHERE server_id = ?');
+  const insertStmt = db.prepare(`
+    INSERT INTO notes (title, content, created_at, updated_at, synced_at, sync_status, server_id, revision)
+    VALUES (@title, @content, @created_at, @updated_at, CURRENT_TIMESTAMP, 'synced', @server_id, @revision)
+  `);
+  const setNotebookStmt = db.prepare('UPDATE notes SET notebook_id = ? WHERE id = ?');
+  const setTrashedStmt = db.prepare('UPDATE notes SET trashed_at = ? WHERE id = ?');
+  const updateStmt = db.prepare(`
+    UPDATE notes
+    SET title = @title, content = @content, updated_at = @updated_at,
+        synced_at = CURRENT_TIMESTAMP, sync_status = 'synced', revision = @revision
+    WHERE id = @id
+  `);
+  const deleteStmt = db.prepare('DELETE FROM notes WHERE id = ?');
+
+  const applyAll = db.transaction((changes, cursor) => {
+    const counts = { inserted: 0, updated: 0, deleted: 0, conflicts: 0, skipped: 0 };
+    // Links are updated once all notes of the page are in, so links between them resolve
+    const written = [];
+
+    for (const change of changes) {
+      const now = toSqliteTimestamp(new Date().toISOString());
+      const row = {
+        title: change.title,
+        content: change.content || '',
+        created_at: toSqliteTimestamp(change.created_at) || now,
+        updated_at: toSqliteTimestamp(change.updated_at) || now,
+        server_id: String(change.id),
+        revision: Number(change.revision) || 0
+      };
+
+      const local = findStmt.get(row.server_id);
+      // Servers that predate tags/notebooks send none; leave local ones alone then
+      const tags = Array.isArray(change.tags) ? change.tags : null;
+      const notebook = Array.isArray(change.notebook) ? change.notebook : null;
+      const attachments = Array.isArray(change.attachments) ? change.attachments : null;
+      const trashed = change.trashed_at !== undefined;
+
+      if (!local) {
+        if (!change.deleted_at) {
+          const { lastInsertRowid } = insertStmt.run({
+            ...row,
+            title: encryptField(row.title),
+            content: encryptField(row.content)
+          });
+          if (tags) setNoteTags(lastInsertRowid, tags);
+          if (notebook) setNotebookStmt.run(ensureNotebookPath(notebook), lastInsertRowid);
+          if (attachments) setNoteAttachments(lastInsertRowid, attachments);
+          if (trashed) setTrashedStmt.run(toSqliteTimestamp(change.trashed_at), lastInsertRowid);
+          written.push({ id: lastInsertRowid, content: row.content });
+          counts.inserted++;
+        }
+      } else if (local.sync_status === 'synced') {
+        if (change.deleted_at) {
+          deleteStmt.run(local.id);
+          counts.deleted++;
+        } else {
+          updateStmt.run({
+            ...row,
+            title: encryptFieldFor(row.title, local.title),
+            content: encryptFieldFor(row.content, local.content),
+            id: local.id
+          });
+          if (tags) setNoteTags(local.id, tags);
+          if (notebook) setNotebookStmt.run(ensureNotebookPath(notebook), local.id);
+          if (attachments) setNoteAttachments(local.id, attachments);
+          if (trashed) setTrashedStmt.run(toSqliteTimestamp(change.trashed_at), local.id);
+          pruneRevisions(local.id);
+          written.push({ id: local.id, content: row.content });
+          counts.updated++;
+        }
+      } else if (row.revision > local.revision) {
+        // Changed on the server since our copy was last synced, and changed locally too
+        recordConflict(local.id, change);
+        counts.conflicts++;
+      } else {
+        // Echo of a revision we already have; the local change is pushed next sync
+        counts.skipped++;
+      }
+    }
+
+    if (counts.updated > 0 || counts.deleted > 0) {
+      deleteOrphanTags();
+    }
+
+    // Renames from other devices arrive with the linking notes already rewritten
+    if (written.length > 0) {
+      refreshNoteLinks(written);
+    }
+
+    if (cursor !== undefined && cursor !== null) {
+      setSyncState('pull_cursor', cursor);
+    }
+
+    return counts;
+  });
+
+  return applyAll(changes, cursor);
+};
+
+// Defaults for batched sync; override per call through syncWithBackend's options
+const DEFAULT_SYNC_OPTIONS = {
+  batchSize: 100,                  // Notes per push request / changes per pull page
+  maxBatchBytes: 1024 * 1024,      // Upper bound for a push request body
+  maxRetries: 3,                   // Retries of a rate-limited (429) request
+  maxRetryWaitMs: 60 * 1000,       // Longer Retry-After waits end the sync instead
+  onProgress: () => {}             // Called after each batch / page
+};
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Parse a Retry-After header (seconds or an HTTP date)
+ * @param {string|null} value - Header value
+ * @returns {number|null} Delay in milliseconds, or null if absent/invalid
+ */
+const parseRetryAfter = (value) => {
+  if (!value) return null;
+
+  const seconds = Number(value);
+  if (!Number.isNaN(seconds)) {
+    return Math.max(0, seconds * 1000);
+  }
+
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+};
+
+/**
+ * Send a sync request
+ * Waits and retries when the server answers 429 (honouring Retry-After).
+ * Failures throw an Error carrying the HTTP `status` (and `retryAfterMs`
+ * for rate limiting) so callers can react to 404, 413 and 429.
+ * @param {Function} fetchImpl - fetch implementation
+ * @param {string} url - Request URL
+ * @param {Object} init - fetch options
+ * @param {Object} options - { maxRetries, maxRetryWaitMs }
+ * @returns {Promise<Response>} Successful response
+ */
+const sendRequest = async (fetchImpl, url, init, { maxRetries, maxRetryWaitMs }) => {
+  for (let attempt = 0; ; attempt++) {
+    const response = await fetchImpl(url, init);
+
+    if (response.ok) {
+      return response;
+    }
+
+    const error = new Error(`Sync failed: ${response.status} ${response.statusText}`);
+    error.status = response.status;
+
+    if (response.status === 429) {
+      const waitMs = parseRetryAfter(response.headers.get('retry-after')) ?? 1000 * 2 ** attempt;
+
+      if (attempt < maxRetries && waitMs <= maxRetryWaitMs) {
+        await sleep(waitMs);
+        continue;
+      }
+
+      error.retryAfterMs = waitMs;
+    }
+
+    throw error;
+  }
+};
+
+/**
+ * Send a sync request and parse the JSON response (see sendRequest)
+ * @param {Function} fetchImpl - fetch implementation
+ * @param {string} url - Request URL
+ * @param {Object} init - fetch options
+ * @param {Object} options - { maxRetries, maxRetryWaitMs }
+ * @returns {Promise<Object>} Parsed response body
+ */
+const requestJson = async (fetchImpl, url, init, options) => {
+  const response = await sendRequest(fetchImpl, url, init, options);
+  return response.json();
+};
+
+/**
+ * Apply the server's response to one pushed batch
+ * Runs in a transaction so each batch is committed on its own: if a later
+ * batch fails, the next sync resumes with the notes that are still pending.
+ * The transaction is made per call, on the current connection (restoreBackup
+ * reopens it).
+ * @param {Object} result - Response body from POST /api/sync
+ * @param {Map} sentVersions - Note ID -> version of the notes in the batch
+ */
+const applyPushResult = (result, sentVersions) => db.transaction(() => {
+  // Remember server IDs for newly created notes so pulled changes map back to them
+  if (result.idMap && result.idMap.length > 0) {
+    setServerIds(result.idMap);
+  }
+
+  // Mark successfully synced notes, unless they were edited while the batch was sent
+  if (result.syncedIds && result.syncedIds.length > 0) {
+    markNotesAsSynced(result.syncedIds, sentVersions);
+  }
+
+  // Track the server revision the synced notes are now based on
+  // (also for notes edited meanwhile: their next push builds on this revision)
+  if (result.revisions && result.revisions.length > 0) {
+    setRevisions(result.revisions);
+  }
+
+  // Keep both versions of notes the server rejected as stale
+  if (result.conflicts && result.conflicts.length > 0) {
+    markNotesConflict(result.conflicts);
+  }
+
+  // Purge tombstones only once the server has acknowledged the deletion
+  if (result.deletedIds && result.deletedIds.length > 0) {
+    purgeTombstones(result.deletedIds);
+  }
+
+  // Mark failed notes if any, keeping the server's reason for each
+  if (result.failedIds && result.failedIds.length > 0) {
+    const messages = {};
+    for (const { id, message } of result.errors || []) {
+      messages[id] = message;
+    }
+    markNotesSyncError(result.failedIds, messages);
+  }
+})();
+
+/**
+ * Build the /api/sync request body for a batch of notes
+ * @param {Array} notes - Notes from getNotesToSync()
+ * @returns {Object} { notes, deletions }
+ */
+const buildSyncPayload = (notes) => {
+  const pathOf = notebookPathLookup();
+  const attachmentsOf = attachmentsByNote(notes.map(note => note.id));
+
+  return {
+    // Prepare data for API (remove SQLite-specific fields)
+    notes: attachTags(notes.filter(note => !note.deleted_at))
+      .map(note => ({
+        id: note.id,
+        server_id: note.server_id,
+        base_revision: note.revision,
+        // Local edit counter; a note edited while the request is in flight stays pending
+        version: note.version,
+        title: note.title,
+        content: note.content,
+        // Tags and notebooks are synced by name; the server has its own IDs
+        tags: note.tags.map(tag => tag.name),
+        notebook: pathOf(note.notebook_id),
+        // Files are uploaded separately (see uploadAttachments) and referenced by hash
+        attachments: attachmentsOf.get(note.id) || [],
+        trashed_at: note.trashed_at,
+        created_at: note.created_at,
+        updated_at: note.updated_at
+      })),
+
+    // Tombstones are sent separately so the server can delete its copy
+    deletions: notes
+      .filter(note => note.deleted_at)
+      .map(note => ({
+        id: note.id,
+        server_id: note.server_id,
+        base_revision: note.revision,
+        deleted_at: note.deleted_at
+      }))
+  };
+};
+
+/**
+ * Trim a batch so its request body stays under maxBatchBytes
+ * Always keeps at least one note; an oversized single note is left for
+ * the server to accept or reject with 413.
+ * @param {Array} notes - Candidate batch
+ * @param {number} maxBatchBytes - Byte budget for the request body
+ * @returns {Array} Notes that fit
+ */
+const fitBatch = (notes, maxBatchBytes) => {
+  let bytes = 0;
+  let count = 0;
+
+  for (const note of notes) {
+    bytes += Buffer.byteLength(note.title || '') + Buffer.byteLength(note.content || '') + 256;
+    if (count > 0 && bytes > maxBatchBytes) break;
+    count++;
+  }
+
+  return notes.slice(0, count);
+};
+
+/**
+ * Push phase: send local pending notes and deletions to POST /api/sync
+ * Notes are sent in batches and each batch is committed as soon as the
+ * server answers, so an interrupted sync resumes where it left off.
+ * Each note carries the server revision it is based on (base_revision), so
+ * the server can reject stale updates as conflicts instead of overwriting.
+ * A 413 response halves the batch size; 429 responses are retried after
+ * the server's Retry-After delay.
+ * @param {string} apiUrl - Base URL of the NestJS API
+ * @param {Function} fetchImpl - fetch implementation (e.g. an authenticating wrapper)
+ * @param {Object} options - Batching options (see DEFAULT_SYNC_OPTIONS)
+ * @returns {Promise<Object>} { synced, deleted, failed, conflicts, batches }
+ */
+const pushChanges = async (apiUrl, fetchImpl = fetch, options = {}) => {
+  const config = { ...DEFAULT_SYNC_OPTIONS, ...options };
+  const totals = { synced: 0, deleted: 0, failed: 0, conflicts: 0, batches: 0 };
+  const total = countNotesToSync();
+  let limit = config.batchSize;
+  let afterId = 0;
+  let sent = 0;
+
+  while (true) {
+    const batch = fitBatch(getNotesToSync({ limit, afterId }), config.maxBatchBytes);
+
+    if (batch.length === 0) {
+      break;
+    }
+
+    let result;
+    try {
+      // Send to NestJS backend
+      result = await requestJson(fetchImpl, `${apiUrl}/api/sync`, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+        },
+        body: JSON.stringify(buildSyncPayload(batch)),
+      }, config);
+    } catch (error) {
+      if (error.status !== 413) {
+        throw error;
+      }
+
+      if (batch.length > 1) {
+        // Payload too large: retry the same notes in smaller batches
+        limit = Math.max(1, Math.floor(batch.length / 2));
+        continue;
+      }
+
+      // A single note the server will never accept: flag it and move on
+      markNotesSyncError([batch[0].id], {
+        [batch[0].id]: 'Note is too large for the server to accept'
+      });
+      totals.failed++;
+      afterId = batch[0].id;
+      sent++;
+      continue;
+    }
+
+    applyPushResult(result, new Map(batch.map(note => [note.id, note.version])));
+
+    totals.synced += result.syncedIds?.length || 0;
+    totals.deleted += result.deletedIds?.length || 0;
+    totals.failed += result.failedIds?.length || 0;
+    totals.conflicts += result.conflicts?.length || 0;
+    totals.batches++;
+
+    afterId = batch[batch.length - 1].id;
+    sent += batch.length;
+    config.onProgress({ phase: 'push', batch: totals.batches, sent, total });
+  }
+
+  return totals;
+};
+
+/**
+ * Download the server version of notes whose local change was discarded
+ * Uses GET /api/changes?ids=..., which answers with the current state of
+ * those notes; the pull cursor is left alone.
+ * @param {string} apiUrl - Base URL of the NestJS API
+ * @param {Function} fetchImpl - fetch implementation (e.g. an authenticating wrapper)
+ * @param {Object} config - Batching options (see DEFAULT_SYNC_OPTIONS)
+ * @returns {Promise<Object>} { pulled, inserted, updated, deleted, conflicts, skipped }
+ */
+const refetchNotes = async (apiUrl, fetchImpl, config) => {
+  const totals = { pulled: 0, inserted: 0, updated: 0, deleted: 0, conflicts: 0, skipped: 0 };
+  const serverIds = getNotesToRefetch();
+
+  for (let start = 0; start < serverIds.length; start += config.batchSize) {
+    const batch = serverIds.slice(start, start + config.batchSize);
+    const params = new URLSearchParams({ ids: batch.join(',') });
+
+    const result = await requestJson(fetchImpl, `${apiUrl}/api/changes?${params}`, {}, config);
+    // Only the requested notes, whatever else the server sends
+    const changes = (result.changes || []).filter(change => batch.includes(String(change.id)));
+    const counts = applyRemoteChanges(changes, null);
+
+    totals.pulled += changes.length;
+    totals.inserted += counts.inserted;
+    totals.updated += counts.updated;
+    totals.deleted += counts.deleted;
+    totals.conflicts += counts.conflicts;
+    totals.skipped += counts.skipped;
+
+    // Notes discarded again meanwhile stay queued
+    setNotesToRefetch(getNotesToRefetch().filter(id => !batch.includes(id)));
+  }
+
+  return totals;
+};
+
+/**
+ * Pull phase: fetch changes since the stored cursor from GET /api/changes
+ * Pages through the feed until the server reports no more changes. Each
+ * page is applied (and the cursor stored) before the next one is fetched.
+ * Notes whose local change was discarded are downloaded first (see refetchNotes).
+ * @param {string} apiUrl - Base URL of the NestJS API
+ * @param {Function} fetchImpl - fetch implementation (e.g. an authenticating wrapper)
+ * @param {Object} options - Batching options (see DEFAULT_SYNC_OPTIONS)
+ * @returns {Promise<Object>} { pulled, inserted, updated, deleted, conflicts, skipped, cursor }
+ */
+const pullChanges = async (apiUrl, fetchImpl = fetch, options = {}) => {
+  const config = { ...DEFAULT_SYNC_OPTIONS, ...options };
+  const totals = await refetchNotes(apiUrl, fetchImpl, config);
+  let cursor = getLastSyncCursor();
+  let hasMore = true;
+  let page = 0;
+
+  while (hasMore) {
+    const params = new URLSearchParams({ limit: String(config.batchSize) });
+    if (cursor) {
+      params.set('since', cursor);
+    }
+
+    const result = await requestJson(fetchImpl, `${apiUrl}/api/changes?${params}`, {}, config);
+    const changes = result.changes || [];
+    const counts = applyRemoteChanges(changes, result.cursor);
+
+    totals.pulled += changes.length;
+    totals.inserted += counts.inserted;
+    totals.updated += counts.updated;
+    totals.deleted += counts.deleted;
+    totals.conflicts += counts.conflicts;
+    totals.skipped += counts.skipped;
+
+    page++;
+    config.onProgress({ phase: 'pull', batch: page, received: totals.pulled });
+
+    // Stop if the server did not move the cursor, to avoid looping forever
+    hasMore = Boolean(result.hasMore) && changes.length > 0 && result.cursor !== cursor;
+    cursor = result.cursor ?? cursor;
+  }
+
+  return { ...totals, cursor };
+};
+
+/**
+ * Upload phase: send attachment files the server does not have to PUT /api/attachments/:hash
+ * Runs before the notes are pushed, so the server has every file a pushed
+ * note refers to. A file the server refuses as too large (413) is skipped
+ * and tried again on the next sync.
+ * @param {string} apiUrl - Base URL of the NestJS API
+ * @param {Function} fetchImpl - fetch implementation (e.g. an authenticating wrapper)
+ * @param {Object} options - Retry options (see DEFAULT_SYNC_OPTIONS)
+ * @returns {Promise<Object>} { uploaded, skipped }
+ */
+const uploadAttachments = async (apiUrl, fetchImpl = fetch, options = {}) => {
+  const config = { ...DEFAULT_SYNC_OPTIONS, ...options };
+  const totals = { uploaded: 0, skipped: 0 };
+
+  for (const { hash, mime_type } of getAttachmentsToUpload()) {
+    const data = await readAttachmentFile(attachmentsDir, hash);
+
+    // Pulled but not downloaded yet: the server already has it
+    if (!data) {
+      totals.skipped++;
+      continue;
+    }
+
+    try {
+      await sendRequest(fetchImpl, `${apiUrl}/api/attachments/${hash}`, {
+        method: 'PUT',
+        headers: { 'Content-Type': mime_type },
+        body: data
+      }, config);
+    } catch (error) {
+      if (error.status !== 413) {
+        throw error;
+      }
+      console.warn(`Attachment ${hash} is too large for the server`);
+      totals.skipped++;
+      continue;
+    }
+
+    db.prepare('UPDATE attachments SET uploaded_at = CURRENT_TIMESTAMP WHERE hash = ?').run(hash);
+    totals.uploaded++;
+  }
+
+  return totals;
+};
+
+/**
+ * Download phase: fetch attachment files of pulled notes from GET /api/attachments/:hash
+ * A file is only stored if its contents match the hash. Files the server
+ * does not have (404) are skipped and tried again on the next sync.
+ * @param {string} apiUrl - Base URL of the NestJS API
+ * @param {Function} fetchImpl - fetch implementation (e.g. an authenticating wrapper)
+ * @param {Object} options - Retry options (see DEFAULT_SYNC_OPTIONS)
+ * @returns {Promise<Object>} { downloaded, missing }
+ */
+const downloadAttachments = async (apiUrl, fetchImpl = fetch, options = {}) => {
+  const config = { ...DEFAULT_SYNC_OPTIONS, ...options };
+  const totals = { downloaded: 0, missing: 0 };
+
+  for (const hash of getMissingAttachmentFiles()) {
+    let data;
+    try {
+      const response = await sendRequest(fetchImpl, `${apiUrl}/api/attachments/${hash}`, {}, config);
+      data = Buffer.from(await response.arrayBuffer());
+    } catch (error) {
+      if (error.status !== 404) {
+        throw error;
+      }
+      totals.missing++;
+      continue;
+    }
+
+    if (hashData(data) !== hash) {
+      console.warn(`Downloaded attachment does not match its hash ${hash}`);
+      totals.missing++;
+      continue;
+    }
+
+    storeAttachmentFile(attachmentsDir, data);
+    totals.downloaded++;
+  }
+
+  return totals;
+};
+
+// Error codes Node's fetch (undici) reports when the server cannot be reached
+const NETWORK_ERROR_CODES = [
+  'ECONNREFUSED', 'ECONNRESET', 'ENOTFOUND', 'EAI_AGAIN', 'ETIMEDOUT',
+  'ENETUNREACH', 'EHOSTUNREACH', 'UND_ERR_CONNECT_TIMEOUT', 'UND_ERR_SOCKET'
+];
+
+/**
+ * Check whether a fetch error means the server could not be reached
+ * (as opposed to the server answering with an error)
+ * @param {Error} error - Error thrown by fetch or the sync code
+ * @returns {boolean} True for connection-level failures
+ */
+const isNetworkError = (error) => {
+  const code = error.cause?.code || error.code;
+  if (NETWORK_ERROR_CODES.includes(code)) {
+    return true;
+  }
+  // fetch rejects with a bare TypeError for any connection failure
+  return error.name === 'TypeError' && error.message === 'fetch failed';
+};
+
+/**
+ * Sync local data with remote NestJS + PostgreSQL backend
+ * Uploads new attachment files and pushes local pending notes first, then
+ * pulls changes made on the server or on other devices since the last sync
+ * and downloads the attachment files they refer to.
+ * @param {string} apiUrl - Base URL of the NestJS API (e.g., 'http://localhost:3000')
+ * @param {Object} options - { fetch, ...batching options (see DEFAULT_SYNC_OPTIONS) }
+ *   main.js passes auth.authorizedFetch so requests carry the user's token,
+ *   and an onProgress callback to report per-batch progress
+ * @returns {Promise<Object>} Sync result with success count and errors
+ */
+const syncWithBackend = async (apiUrl = 'http://localhost:3000', { fetch: fetchImpl = fetch, ...options } = {}) => {
+  try {
+    const uploadResult = await uploadAttachments(apiUrl, fetchImpl, options);
+    const pushResult = await pushChanges(apiUrl, fetchImpl, options);
+    const pullResult = await pullChanges(apiUrl, fetchImpl, options);
+    const downloadResult = await downloadAttachments(apiUrl, fetchImpl, options);
+    // Count unresolved conflicts rather than summing both phases, which
+    // would report a note twice when push and pull both flag it
+    const conflicts = db.prepare('SELECT COUNT(*) as count FROM note_conflicts').get().count;
+
+    return {
+      success: true,
+      synced: pushResult.synced,
+      deleted: pushResult.deleted,
+      failed: pushResult.failed,
+      pulled: pullResult.pulled,
+      attachmentsUploaded: uploadResult.uploaded,
+      attachmentsDownloaded: downloadResult.downloaded,
+      conflicts,
+      message: `Synced ${pushResult.synced} notes and ${pushResult.deleted} deletions, received ${pullResult.pulled} changes from server` +
+        (conflicts > 0 ? `. ${conflicts} conflict(s) need your attention` : '')
+    };
+    
+  } catch (error) {
+    console.error('Sync error:', error);
+    
+    // Server requires a (new) login - retrying won't help until the user logs in
+    if (error.name === 'AuthError') {
+      return {
+        success: false,
+        synced: 0,
+        authRequired: true,
+        error: error.message,
+        message: 'Please log in to sync with the server.'
+      };
+    }
+    
+    // Server asked us to slow down for longer than we are willing to wait
+    if (error.status === 429) {
+      return {
+        success: false,
+        synced: 0,
+        retryAfterMs: error.retryAfterMs,
+        error: error.message,
+        message: 'The sync server is busy. Sync will resume automatically.'
+      };
+    }
+    
+    // Check if it's a network error (offline or server unreachable)
+    if (isNetworkError(error)) {
+      return {
+        success: false,
+        synced: 0,
+        networkError: true,
+        error: 'Network error: Cannot reach the sync server',
+        message: 'Cannot reach the sync server. Changes will be synced when connection is restored.'
+      };
+    }
+    
+    return {
+      success: false,
+      synced: 0,
+      error: error.message,
+      message: 'Sync failed. Please try again later.'
+    };
+  }
+};
+
+/**
+ * Markers wrapped around matched terms in search highlights and snippets
+ * Control characters are used instead of HTML so the renderer can escape
+ * the note text first and then swap the markers for <mark> tags
+ */
+const HIGHLIGHT_START = '\u0002';
+const HIGHLIGHT_END = '\u0003';
+
+const FTS_OPERATORS = ['AND', 'OR', 'NOT'];
+
+/**
+ * Convert user input into a safe FTS5 query
+ * Supports "quoted phrases", prefix* terms and the AND / OR / NOT operators.
+ * Every other term is quoted so punctuation cannot break the query syntax.
+ * @param {string} query - Raw search input
+ * @returns {string} FTS5 MATCH expression (empty if there is nothing to search)
+ */
+const buildFtsQuery = (query) => {
+  const tokens = [];
+  const pattern = /"([^"]*)"(\*?)|(\S+)/g;
+  let match;
+
+  while ((match = pattern.exec(query || '')) !== null) {
+    const [, phrase, phrasePrefix, word] = match;
+    let token = null;
+
+    if (phrase !== undefined) {
+      const text = phrase.trim();
+      if (text) token = `"${text}"${phrasePrefix}`;
+    } else if (FTS_OPERATORS.includes(word)) {
+      token = word;
+    } else {
+      const isPrefix = word.endsWith('*');
+      const term = word.replace(/["*]/g, '');
+      if (term) token = `"${term}"${isPrefix ? '*' : ''}`;
+    }
+
+    if (!token) continue;
+
+    // Operators need a term on both sides, so drop leading or repeated ones
+    const isOperator = FTS_OPERATORS.includes(token);
+    const previous = tokens[tokens.length - 1];
+    if (isOperator && (!previous || FTS_OPERATORS.includes(previous))) continue;
+
+    tokens.push(token);
+  }
+
+  // Drop a dangling trailing operator
+  if (FTS_OPERATORS.includes(tokens[tokens.length - 1])) {
+    tokens.pop();
+  }
+
+  return tokens.join(' ');
+};
+
+/**
+ * Query the search index for matching live notes, best match first (rank, then id)
+ * Shared by searchNotes() and searchNotesPage().
+ * @param {string} ftsQuery - Query from buildFtsQuery()
+ * @param {Object} filter - Optional filter (see noteFilterClause)
+ * @param {Object|null} page - { limit, after } to fetch one page, or null for all matches
+ * @returns {Array} Decrypted notes without tags (limit + 1 at most when paging)
+ * @throws {DatabaseLockedError} If the database is encrypted and locked
+ */
+const queryMatchingNotes = (ftsQuery, filter, page) => {
+  if (!isUnlocked()) {
+    throw new DatabaseLockedError();
+  }
+
+  const after = page && page.after;
+  const index = encryptionEnabled ? 'notes_search' : 'notes_fts';
+  // bm25() can only be called in the query that runs MATCH, so rank in a subquery and page outside it
+  const stmt = db.prepare(`
+    SELECT * FROM (
+      SELECT notes.*,
+        highlight(${index}, 0, @start, @end) AS title_highlight,
+        snippet(${index}, 1, @start, @end, '…', 24) AS snippet,
+        bm25(${index}, 10.0, 1.0) AS rank
+      FROM ${index}
+      JOIN notes ON notes.id = ${index}.rowid
+      WHERE ${index} MATCH @query AND notes.deleted_at IS NULL AND notes.trashed_at IS NULL ${noteFilterClause(filter)}
+    )
+    ${after ? 'WHERE (rank, id) > (@afterValue, @afterId)' : ''}
+    ORDER BY rank, id
+    ${page ? 'LIMIT @limit' : ''}
+  `);
+
+  return decryptRows(stmt.all({
+    query: ftsQuery,
+    start: HIGHLIGHT_START,
+    end: HIGHLIGHT_END,
+    ...noteFilterParams(filter),
+    ...(after ? { afterValue: after.value, afterId: after.id } : {}),
+    ...(page ? { limit: page.limit + 1 } : {})
+  }));
+};
+
+/**
+ * Search notes by title or content using the FTS5 index
+ * With encryption on, the in-memory index of decrypted notes is searched
+ * instead (see createSearchIndex).
+ * Results are ranked by bm25 (title matches weigh more than content matches)
+ * and include highlighted fields:
+ * - title_highlight: full title with matches wrapped in HIGHLIGHT_START/END
+ * - snippet: short excerpt of the content around the best match
+ * @param {string} query - Search query (supports "phrases", prefix*, AND/OR/NOT)
+ * @param {Object} filter - Optional filter by tags / notebook (see noteFilterClause)
+ * @returns {Array} Array of matching notes (each with a tags array), best match first
+ */
+const searchNotes = (query, filter = {}) => {
+  const ftsQuery = buildFtsQuery(query);
+
+  if (!ftsQuery) {
+    return [];
+  }
+
+  return attachTags(queryMatchingNotes(ftsQuery, filter, null));
+};
+
+/**
+ * Get one page of search results (keyset pagination on rank and ID)
+ * Results are the same as searchNotes(); a cursor is only valid for the
+ * query it was returned for.
+ * @param {string} query - Search query (see searchNotes)
+ * @param {Object} filter - Optional filter by tags / notebook (see noteFilterClause)
+ * @param {Object} page - { limit (1 to MAX_PAGE_SIZE, default 50), cursor (nextCursor of the previous page) }
+ * @returns {Object} { notes, nextCursor } (nextCursor is null on the last page)
+ * @throws {Error} If the page size or cursor is invalid
+ */
+const searchNotesPage = (query, filter = {}, page = {}) => {
+  const ftsQuery = buildFtsQuery(query);
+  // Ranks of different queries are not comparable: the cursor names the query it ranks
+  const sortKey = `rank:${crypto.createHash('sha256').update(ftsQuery || '').digest('base64url').slice(0, 22)}`;
+  const { limit, after } = readPageOptions(page, sortKey);
+
+  if (!ftsQuery) {
+    return { notes: [], nextCursor: null };
+  }
+
+  const rows = queryMatchingNotes(ftsQuery, filter, { limit, after });
+  return toPage(rows, limit, sortKey, row => row.rank);
+};
+
+/**
+ * Get database statistics
+ * @param {Object} filter - Optional { notebookId } to count only that notebook (and its sub-notebooks)
+ * @returns {Object} Database statistics
  */
-const initializeDatabase = () => {
-  // Create notes table
-  db.prepare(`
-    CREATE TABLE IF NOT EXISTS notes (
-      id INTEGER PRIMARY KEY AUTOINCREMENT,
-      title TEXT NOT NULL,
-      content TEXT,
-      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-      updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-      synced_at DATETIME,
-      sync_status TEXT DEFAULT 'pending' -- 'pending', 'synced', 'error'
-    )
-  `).run();
+const getStats = (filter = {}) => {
+  const scope = noteFilterClause({ notebookId: filter.notebookId });
+  const params = noteFilterParams({ notebookId: filter.notebookId });
+  
+  const live = 'deleted_at IS NULL AND trashed_at IS NULL';
+  
+  const totalStmt = db.prepare(`SELECT COUNT(*) as count FROM notes WHERE ${live} ${scope}`);
+  const pendingStmt = db.prepare(`SELECT COUNT(*) as count FROM notes WHERE sync_status = 'pending' AND ${live} ${scope}`);
+  const syncedStmt = db.prepare(`SELECT COUNT(*) as count FROM notes WHERE sync_status = 'synced' AND ${live} ${scope}`);
+  const trashStmt = db.prepare(`SELECT COUNT(*) as count FROM notes WHERE deleted_at IS NULL AND trashed_at IS NOT NULL ${scope}`);
+  const conflictStmt = db.prepare(`
+    SELECT COUNT(*) as count FROM note_conflicts
+    JOIN notes ON notes.id = note_conflicts.note_id
+    WHERE 1 = 1 ${scope}
+  `);
+  const errorStmt = db.prepare(`SELECT COUNT(*) as count FROM notes WHERE sync_status = 'error' ${scope}`);
+  
+  return {
+    total: totalStmt.get(params).count,
+    pending: pendingStmt.get(params).count,
+    synced: syncedStmt.get(params).count,
+    conflicts: conflictStmt.get(params).count,
+    errors: errorStmt.get(params).count,
+    trash: trashStmt.get(params).count
+  };
+};
 
-  // Create index on created_at for faster sorting and queries
-  db.prepare(`
-    CREATE INDEX IF NOT EXISTS idx_notes_created_at 
-    ON notes(created_at DESC)
-  `).run();
+// ============================================
+// Note Links
+// ============================================
 
-  // Create index on sync_status for faster sync queries
-  db.prepare(`
-    CREATE INDEX IF NOT EXISTS idx_notes_sync_status 
-    ON notes(sync_status)
-  `).run();
+// [[Note Title]] links in note content (titles in links cannot contain brackets or line breaks)
+const WIKI_LINK_PATTERN = /\[\[([^[\]\n]+)\]\]/g;
 
-  // Create index on title for faster search operations
-  db.prepare(`
-    CREATE INDEX IF NOT EXISTS idx_notes_title 
-    ON notes(title)
-  `).run();
+/**
+ * Normalize a title for matching links to notes (case and runs of spaces are ignored)
+ * @param {string} title - Note title or link text
+ * @returns {string} Matching key
+ */
+const linkKey = (title) => String(title ?? '').trim().replace(/\s+/g, ' ').toLowerCase();
 
-  console.log('Database initialized successfully at:', dbPath);
+/**
+ * Titles a note's content links to, without duplicates
+ * @param {string} content - Note content (plaintext)
+ * @returns {Array} Titles as first written in the content
+ */
+const parseWikiLinks = (content) => {
+  const titles = new Map();
+  for (const [, title] of String(content || '').matchAll(WIKI_LINK_PATTERN)) {
+    const key = linkKey(title);
+    if (key && !titles.has(key)) {
+      titles.set(key, title.trim());
+    }
+  }
+  return [...titles.values()];
 };
 
-// Initialize database on module load
-initializeDatabase();
+/**
+ * Map every note title to the note links with that title point at
+ * When several notes share a title, the oldest one outside the Trash wins.
+ * @returns {Map} linkKey(title) => note ID
+ */
+const noteTitleIndex = () => {
+  const rows = db.prepare(`
+    SELECT id, title FROM notes
+    WHERE deleted_at IS NULL
+    ORDER BY trashed_at IS NOT NULL, id
+  `).all();
+  
+  const index = new Map();
+  for (const { id, title } of decryptRows(rows, ['title'])) {
+    const key = linkKey(title);
+    if (!index.has(key)) {
+      index.set(key, id);
+    }
+  }
+  return index;
+};
 
 /**
- * Add a new note to the database
- * @param {string} title - Note title
- * @param {string} content - Note content
- * @returns {Object} The inserted note with generated ID
+ * Record the [[links]] in notes' content, replacing the links recorded before
+ * @param {Array} notes - Array of { id, content (plaintext) }
+ * @param {Object} options - { resolveDangling: also point links without a target at
+ *   notes that now have their title (after notes are added or renamed; default true) }
  */
-const addNote = (title, content = '') => {
-  const stmt = db.prepare(`
-    INSERT INTO notes (title, content, sync_status)
-    VALUES (?, ?, 'pending')
-  `);
+const refreshNoteLinks = (notes, { resolveDangling = true } = {}) => {
+  // The title index is only built if some link needs it
+  let titleIndex = null;
+  const findNote = (title) => {
+    titleIndex = titleIndex || noteTitleIndex();
+    return titleIndex.get(linkKey(title)) ?? null;
+  };
   
-  const result = stmt.run(title, content);
+  const removeLinks = db.prepare('DELETE FROM note_links WHERE source_id = ?');
+  const insertLink = db.prepare('INSERT INTO note_links (source_id, target_id, target_title) VALUES (?, ?, ?)');
   
-  // Return the newly created note
-  return getNoteById(result.lastInsertRowid);
+  for (const note of notes) {
+    removeLinks.run(note.id);
+    for (const title of parseWikiLinks(note.content)) {
+      insertLink.run(note.id, findNote(title), encryptField(title));
+    }
+  }
+  
+  if (!resolveDangling) return;
+  
+  const dangling = db.prepare('SELECT id, target_title FROM note_links WHERE target_id IS NULL').all();
+  const setTarget = db.prepare('UPDATE note_links SET target_id = ? WHERE id = ?');
+  for (const link of decryptRows(dangling, ['target_title'])) {
+    const targetId = findNote(link.target_title);
+    if (targetId) {
+      setTarget.run(targetId, link.id);
+    }
+  }
 };
 
 /**
- * Get a single note by ID
- * @param {number} id - Note ID
- * @returns {Object|null} Note object or null if not found
+ * Rewrite [[Old Title]] links to a renamed note so they keep pointing at it
+ * The linking notes are changed like local edits (new revision, synced next time).
+ * A new title that cannot appear in a link (brackets, line breaks) leaves the links
+ * as they are; they dangle until a note has the old title again.
+ * @param {number} noteId - Renamed note
+ * @param {string} oldTitle - Previous title
+ * @param {string} newTitle - New title
+ * @returns {number} Number of linking notes rewritten
  */
-const getNoteById = (id) => {
-  const stmt = db.prepare('SELECT * FROM notes WHERE id = ?');
-  return stmt.get(id) || null;
+const renameNoteLinks = (noteId, oldTitle, newTitle) => {
+  const title = newTitle.trim();
+  if (!title || /[[\]\n]/.test(title)) {
+    db.prepare('UPDATE note_links SET target_id = NULL WHERE target_id = ?').run(noteId);
+    return 0;
+  }
+  
+  const sources = db.prepare(`
+    SELECT DISTINCT notes.id, notes.content
+    FROM note_links
+    JOIN notes ON notes.id = note_links.source_id
+    WHERE note_links.target_id = ? AND note_links.source_id != ? AND notes.deleted_at IS NULL
+  `).all(noteId, noteId);
+  
+  const oldKey = linkKey(oldTitle);
+  const updateContent = db.prepare('UPDATE notes SET content = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?');
+  const rewritten = [];
+  
+  for (const source of sources) {
+    const content = decryptField(source.content) || '';
+    const updated = content.replace(WIKI_LINK_PATTERN, (link, linked) => (linkKey(linked) === oldKey ? `[[${title}]]` : link));
+    if (updated !== content) {
+      updateContent.run(encryptFieldFor(updated, source.content), source.id);
+      rewritten.push(source.id);
+    }
+  }
+  
+  const links = db.prepare('SELECT id FROM note_links WHERE target_id = ?').pluck().all(noteId);
+  const setTitle = db.prepare('UPDATE note_links SET target_title = ? WHERE id = ?');
+  for (const id of links) {
+    setTitle.run(encryptField(title), id);
+  }
+  
+  markNotesChanged(rewritten);
+  return rewritten.length;
 };
 
 /**
- * Get all notes, optionally sorted
- * @param {string} sortBy - Column to sort by (default: 'created_at')
- * @param {string} order - Sort order 'ASC' or 'DESC' (default: 'DESC')
- * @returns {Array} Array of note objects
+ * Fill in note_links for notes written before links were recorded
+ * Runs once, as soon as note text can be read (at startup, or when an
+ * encrypted database is unlocked).
  */
-const getNotes = (sortBy = 'created_at', order = 'DESC') => {
-  // Validate sort column to prevent SQL injection
-  const allowedColumns = ['id', 'title', 'created_at', 'updated_at'];
-  const sortColumn = allowedColumns.includes(sortBy) ? sortBy : 'created_at';
-  const sortOrder = order.toUpperCase() === 'ASC' ? 'ASC' : 'DESC';
-  
-  const stmt = db.prepare(`
-    SELECT * FROM notes 
-    ORDER BY ${sortColumn} ${sortOrder}
-  `);
+const buildNoteLinks = () => {
+  if (getSyncState('note_links_built') || (encryptionEnabled && !encryptionKey)) {
+    return;
+  }
   
-  return stmt.all();
+  db.transaction(() => {
+    const notes = db.prepare('SELECT id, content FROM notes WHERE deleted_at IS NULL').all();
+    refreshNoteLinks(decryptRows(notes, ['content']).filter(note => parseWikiLinks(note.content).length > 0));
+    setSyncState('note_links_built', 1);
+  })();
 };
 
 /**
- * Update an existing note
- * @param {number} id - Note ID
- * @param {string} title - New title
- * @param {string} content - New content
- * @returns {Object|null} Updated note or null if not found
+ * Get a note's links and backlinks
+ * Links resolve only to notes outside the Trash; backlinks list notes outside the Trash.
+ * @param {number} noteId - Note ID
+ * @returns {Object} { links: [{ title, noteId (null if no note has the title) }],
+ *   backlinks: [{ id, title, updated_at }] (most recently updated first) }
  */
-const updateNote = (id, title, content) => {
-  const stmt = db.prepare(`
-    UPDATE notes 
-    SET title = ?, content = ?, updated_at = CURRENT_TIMESTAMP, sync_status = 'pending'
-    WHERE id = ?
-  `);
+const getNoteLinks = (noteId) => {
+  const links = db.prepare(`
+    SELECT note_links.target_title, target.id AS note_id
+    FROM note_links
+    LEFT JOIN notes AS target
+      ON target.id = note_links.target_id AND target.deleted_at IS NULL AND target.trashed_at IS NULL
+    WHERE note_links.source_id = ?
+    ORDER BY note_links.id
+  `).all(noteId);
   
-  const result = stmt.run(title, content, id);
+  const backlinks = db.prepare(`
+    SELECT DISTINCT notes.id, notes.title, notes.updated_at
+    FROM note_links
+    JOIN notes ON notes.id = note_links.source_id
+    WHERE note_links.target_id = ? AND notes.id != ? AND notes.deleted_at IS NULL AND notes.trashed_at IS NULL
+    ORDER BY notes.updated_at DESC, notes.id DESC
+  `).all(noteId, noteId);
   
-  if (result.changes === 0) {
-    return null; // Note not found
+  return {
+    links: decryptRows(links, ['target_title']).map(link => ({ title: link.target_title, noteId: link.note_id })),
+    backlinks: decryptRows(backlinks, ['title'])
+  };
+};
+
+/**
+ * Find the note a [[link]] with this title points at
+ * @param {string} title - Title as written in the link
+ * @returns {Object|null} Note (may be in the Trash, check trashed_at) or null if no note has the title
+ */
+const findNoteByTitle = (title) => {
+  const id = noteTitleIndex().get(linkKey(title));
+  return id ? getNoteById(id) : null;
+};
+
+// ============================================
+// Attachments
+// ============================================
+
+// Folder with the attachment files, next to the database file (see attachments.js)
+const attachmentsDir = path.join(path.dirname(dbPath), 'attachments');
+
+/**
+ * Shape attachment rows for callers
+ * @param {Array} rows - Rows from the attachments table
+ * @returns {Array} Array of { id, note_id, hash, file_name, mime_type, size, created_at, url }
+ */
+const toAttachments = (rows) => {
+  return decryptRows(rows, ['file_name']).map(({ uploaded_at, ...attachment }) => ({
+    ...attachment,
+    url: attachmentUrl(attachment.hash)
+  }));
+};
+
+/**
+ * Attach a file to a note
+ * The file is stored once per content hash in the attachments folder.
+ * Attaching the same file to the same note again returns the existing attachment.
+ * @param {number} noteId - Note ID (not in the Trash)
+ * @param {Object} file - { fileName, data (Buffer) }
+ * @returns {Object|null} Attachment (see toAttachments), or null if the note was not found
+ * @throws {Error} If the file is empty or too large
+ */
+const addAttachment = (noteId, { fileName, data }) => {
+  const note = db.prepare('SELECT id FROM notes WHERE id = ? AND deleted_at IS NULL AND trashed_at IS NULL').get(noteId);
+  if (!note) {
+    return null;
   }
   
-  return getNoteById(id);
+  const name = cleanFileName(fileName);
+  const { hash, size } = storeAttachmentFile(attachmentsDir, data);
+  
+  const insert = db.transaction(() => {
+    const existing = db.prepare('SELECT * FROM attachments WHERE note_id = ? AND hash = ?').get(noteId, hash);
+    if (existing) {
+      return existing;
+    }
+    
+    const { lastInsertRowid } = db.prepare(`
+      INSERT INTO attachments (note_id, hash, file_name, mime_type, size)
+      VALUES (?, ?, ?, ?, ?)
+    `).run(noteId, hash, encryptField(name), mimeTypeFor(name), size);
+    markNotesChanged([noteId]);
+    
+    return db.prepare('SELECT * FROM attachments WHERE id = ?').get(lastInsertRowid);
+  });
+  
+  return toAttachments([insert()])[0];
 };
 
 /**
- * Delete a note by ID
- * @param {number} id - Note ID
- * @returns {boolean} True if deleted, false if not found
+ * Get the attachments of a note
+ * @param {number} noteId - Note ID
+ * @returns {Array} Attachments in the order they were added
  */
-const deleteNote = (id) => {
-  const stmt = db.prepare('DELETE FROM notes WHERE id = ?');
-  const result = stmt.run(id);
-  return result.changes > 0;
+const getAttachments = (noteId) => {
+  return toAttachments(db.prepare('SELECT * FROM attachments WHERE note_id = ? ORDER BY id').all(noteId));
 };
 
 /**
- * Insert multiple notes using a transaction for better performance
- * This is much faster than inserting notes one by one
- * @param {Array} notes - Array of {title, content} objects
- * @returns {Array} Array of inserted note IDs
+ * Find an attachment by the hash of its file (e.g. from an app://attachments/ URL)
+ * @param {string} hash - SHA-256 of the file
+ * @returns {Object|null} Attachment (the first note's, if several notes use the file) or null
  */
-const addNotesBulk = (notes) => {
-  const insertStmt = db.prepare(`
-    INSERT INTO notes (title, content, sync_status)
-    VALUES (?, ?, 'pending')
-  `);
-  
-  // Use a transaction to ensure all inserts succeed or fail together
-  const insertMany = db.transaction((notes) => {
-    const ids = [];
-    for (const note of notes) {
-      const result = insertStmt.run(note.title, note.content || '');
-      ids.push(result.lastInsertRowid);
+const getAttachmentByHash = (hash) => {
+  const row = db.prepare('SELECT * FROM attachments WHERE hash = ? ORDER BY id LIMIT 1').get(hash);
+  return row ? toAttachments([row])[0] : null;
+};
+
+/**
+ * Remove an attachment from its note
+ * The file is deleted later by deleteOrphanAttachments() if no other note uses it.
+ * @param {number} id - Attachment ID
+ * @returns {boolean} True if the attachment existed
+ */
+const removeAttachment = (id) => {
+  const remove = db.transaction(() => {
+    const attachment = db.prepare('SELECT note_id FROM attachments WHERE id = ?').get(id);
+    if (!attachment) {
+      return false;
     }
-    return ids;
+    
+    db.prepare('DELETE FROM attachments WHERE id = ?').run(id);
+    markNotesChanged([attachment.note_id]);
+    return true;
   });
   
-  return insertMany(notes);
+  return remove();
 };
 
 /**
- * Get notes that need to be synced (pending or error status)
- * @returns {Array} Array of notes that need syncing
+ * Replace a note's attachment list with the one from the server
+ * Called inside applyRemoteChanges(); the files are downloaded after the pull.
+ * @param {number} noteId - Local note ID
+ * @param {Array} attachments - Array of { hash, file_name, size } (invalid entries are skipped)
  */
-const getNotesToSync = () => {
-  const stmt = db.prepare(`
-    SELECT * FROM notes 
-    WHERE sync_status IN ('pending', 'error')
-    ORDER BY created_at ASC
+const setNoteAttachments = (noteId, attachments) => {
+  const valid = attachments.filter(attachment => attachment && isAttachmentHash(attachment.hash));
+  
+  db.prepare(`
+    DELETE FROM attachments WHERE note_id = ? AND hash NOT IN (SELECT value FROM json_each(?))
+  `).run(noteId, JSON.stringify(valid.map(attachment => attachment.hash)));
+  
+  // The server has these files, so they never need uploading
+  const upsert = db.prepare(`
+    INSERT INTO attachments (note_id, hash, file_name, mime_type, size, uploaded_at)
+    VALUES (?, ?, ?, ?, ?, CURRENT_TIMESTAMP)
+    ON CONFLICT (note_id, hash) DO UPDATE SET uploaded_at = COALESCE(uploaded_at, CURRENT_TIMESTAMP)
   `);
   
-  return stmt.all();
+  for (const attachment of valid) {
+    const name = cleanFileName(attachment.file_name);
+    upsert.run(noteId, attachment.hash, encryptField(name), mimeTypeFor(name), Number(attachment.size) || 0);
+  }
 };
 
 /**
- * Mark notes as synced after successful sync
- * @param {Array} ids - Array of note IDs that were synced
- * @returns {number} Number of notes marked as synced
+ * Attachment lists of several notes, as sent to the server
+ * @param {Array} noteIds - Note IDs
+ * @returns {Map} Note ID => array of { hash, file_name, mime_type, size }
  */
-const markNotesAsSynced = (ids) => {
-  if (!ids || ids.length === 0) return 0;
+const attachmentsByNote = (noteIds) => {
+  const rows = db.prepare(`
+    SELECT note_id, hash, file_name, mime_type, size FROM attachments
+    WHERE note_id IN (SELECT value FROM json_each(?))
+    ORDER BY id
+  `).all(JSON.stringify(noteIds));
   
-  const placeholders = ids.map(() => '?').join(',');
-  const stmt = db.prepare(`
-    UPDATE notes 
-    SET sync_status = 'synced', synced_at = CURRENT_TIMESTAMP
-    WHERE id IN (${placeholders})
-  `);
+  const byNote = new Map();
+  for (const { note_id, ...attachment } of decryptRows(rows, ['file_name'])) {
+    if (!byNote.has(note_id)) byNote.set(note_id, []);
+    byNote.get(note_id).push(attachment);
+  }
+  return byNote;
+};
+
+/**
+ * Files the server does not have yet
+ * @returns {Array} Array of { hash, mime_type }, one per file
+ */
+const getAttachmentsToUpload = () => {
+  return db.prepare(`
+    SELECT hash, MIN(mime_type) AS mime_type FROM attachments
+    GROUP BY hash
+    HAVING COUNT(uploaded_at) = 0
+  `).all();
+};
+
+/**
+ * Files attachments refer to that are not in the attachments folder (e.g. pulled from another device)
+ * @returns {Array} Hashes of the missing files
+ */
+const getMissingAttachmentFiles = () => {
+  return db.prepare('SELECT DISTINCT hash FROM attachments').pluck().all()
+    .filter(hash => !hasAttachmentFile(attachmentsDir, hash));
+};
+
+/**
+ * Delete attachment files no note uses any more
+ * Attachments go away with their notes (ON DELETE CASCADE) or through removeAttachment().
+ * @returns {number} Number of files deleted
+ */
+const deleteOrphanAttachments = () => {
+  const used = new Set(db.prepare('SELECT DISTINCT hash FROM attachments').pluck().all());
+  return removeOrphanFiles(attachmentsDir, used);
+};
+
+// ============================================
+// Desktop Settings (tray and quick capture)
+// ============================================
+
+// quickCaptureShortcut is an Electron accelerator ('' for no shortcut)
+const DEFAULT_DESKTOP_SETTINGS = { quickCaptureShortcut: 'CommandOrControl+Alt+N', keepRunningInTray: false };
+
+/**
+ * Get the tray and quick capture settings
+ * @returns {Object} { quickCaptureShortcut, keepRunningInTray }
+ */
+const getDesktopSettings = () => {
+  const shortcut = getSyncState('quick_capture_shortcut');
+  const keepRunning = getSyncState('keep_running_in_tray');
   
-  const result = stmt.run(...ids);
-  return result.changes;
+  return {
+    quickCaptureShortcut: shortcut === null ? DEFAULT_DESKTOP_SETTINGS.quickCaptureShortcut : shortcut,
+    keepRunningInTray: keepRunning === null ? DEFAULT_DESKTOP_SETTINGS.keepRunningInTray : keepRunning === '1'
+  };
 };
 
 /**
- * Mark notes sync as failed
- * @param {Array} ids - Array of note IDs that failed to sync
- * @returns {number} Number of notes marked with error status
+ * Set the tray and quick capture settings
+ * Whether the OS accepts the shortcut is checked by main.js, which registers it.
+ * @param {Object} settings - { quickCaptureShortcut, keepRunningInTray }
+ * @returns {Object} The stored settings
+ * @throws {Error} If a value has the wrong type or the shortcut is too long
  */
-const markNotesSyncError = (ids) => {
-  if (!ids || ids.length === 0) return 0;
+const setDesktopSettings = ({ quickCaptureShortcut, keepRunningInTray }) => {
+  if (typeof quickCaptureShortcut !== 'string' || quickCaptureShortcut.trim().length > 100) {
+    throw new Error('The quick capture shortcut must be a key combination such as CommandOrControl+Alt+N');
+  }
+  if (typeof keepRunningInTray !== 'boolean') {
+    throw new Error('Keep running in tray must be true or false');
+  }
   
-  const placeholders = ids.map(() => '?').join(',');
-  const stmt = db.prepare(`
-    UPDATE notes 
-    SET sync_status = 'error'
-    WHERE id IN (${placeholders})
-  `);
+  setSyncState('quick_capture_shortcut', quickCaptureShortcut.trim());
+  setSyncState('keep_running_in_tray', keepRunningInTray ? 1 : 0);
+  return getDesktopSettings();
+};
+
+// ============================================
+// Backups
+// ============================================
+
+// How many daily / weekly backups to keep (see backups.js for the rotation)
+const DEFAULT_BACKUP_RETENTION = { keepDaily: 7, keepWeekly: 4 };
+
+/**
+ * Get the backup retention
+ * @returns {Object} { keepDaily, keepWeekly }
+ */
+const getBackupRetention = () => {
+  const keepDaily = getSyncState('backup_keep_daily');
+  const keepWeekly = getSyncState('backup_keep_weekly');
   
-  const result = stmt.run(...ids);
-  return result.changes;
+  return {
+    keepDaily: keepDaily === null ? DEFAULT_BACKUP_RETENTION.keepDaily : Number(keepDaily),
+    keepWeekly: keepWeekly === null ? DEFAULT_BACKUP_RETENTION.keepWeekly : Number(keepWeekly)
+  };
 };
 
 /**
- * Sync local data with remote NestJS + PostgreSQL backend
- * @param {string} apiUrl - Base URL of the NestJS API (e.g., 'http://localhost:3000')
- * @returns {Promise<Object>} Sync result with success count and errors
+ * Set the backup retention
+ * @param {Object} retention - { keepDaily (1 to 365 days), keepWeekly (0 to 520 weeks) }
+ * @returns {Object} The stored retention
+ * @throws {Error} If a value is out of range
+ */
+const setBackupRetention = ({ keepDaily, keepWeekly }) => {
+  const daily = Number(keepDaily);
+  const weekly = Number(keepWeekly);
+  
+  if (!Number.isInteger(daily) || daily < 1 || daily > 365) {
+    throw new Error('Daily backups must be kept for a whole number of days between 1 and 365');
+  }
+  if (!Number.isInteger(weekly) || weekly < 0 || weekly > 520) {
+    throw new Error('Weekly backups must be kept for a whole number of weeks between 0 and 520');
+  }
+  
+  setSyncState('backup_keep_daily', daily);
+  setSyncState('backup_keep_weekly', weekly);
+  return { keepDaily: daily, keepWeekly: weekly };
+};
+
+/**
+ * Copy the database to a file with SQLite's online backup API
+ * Safe while the app keeps reading and writing; the copy is a consistent snapshot.
+ * @param {string} destination - Path of the backup file (must not exist yet)
+ * @returns {Promise<string>} The destination path
  */
-const syncWithBackend = async (apiUrl = 'http://localhost:3000') => {
+const createBackup = async (destination) => {
+  await db.backup(destination);
+  
+  // The copy keeps the WAL journal mode; switch it back so each backup is a single self-contained file
+  const copy = new Database(destination);
   try {
-    // Get all notes that need syncing
-    const notesToSync = getNotesToSync();
-    
-    if (notesToSync.length === 0) {
-      return { success: true, synced: 0, message: 'No notes to sync' };
-    }
-    
-    // Prepare data for API (remove SQLite-specific fields)
-    const syncData = notesToSync.map(note => ({
-      id: note.id,
-      title: note.title,
-      content: note.content,
-      created_at: note.created_at,
-      updated_at: note.updated_at
-    }));
-    
-    // Send to NestJS backend
-    const response = await fetch(`${apiUrl}/api/sync`, {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-      },
-      body: JSON.stringify({ notes: syncData }),
-    });
-    
-    if (!response.ok) {
-      throw new Error(`Sync failed: ${response.status} ${response.statusText}`);
-    }
-    
-    const result = await response.json();
-    
-    // Mark successfully synced notes
-    if (result.syncedIds && result.syncedIds.length > 0) {
-      markNotesAsSynced(result.syncedIds);
-    }
-    
-    // Mark failed notes if any
-    if (result.failedIds && result.failedIds.length > 0) {
-      markNotesSyncError(result.failedIds);
-    }
-    
-    return {
-      success: true,
-      synced: result.syncedIds?.length || 0,
-      failed: result.failedIds?.length || 0,
-      message: `Synced ${result.syncedIds?.length || 0} notes successfully`
-    };
-    
-  } catch (error) {
-    console.error('Sync error:', error);
-    
-    // Check if it's a network error (offline)
-    if (error.message.includes('fetch') || error.message.includes('network')) {
-      return {
-        success: false,
-        synced: 0,
-        error: 'Network error: App appears to be offline',
-        message: 'Cannot sync while offline. Changes will be synced when connection is restored.'
-      };
-    }
-    
-    return {
-      success: false,
-      synced: 0,
-      error: error.message,
-      message: 'Sync failed. Please try again later.'
-    };
+    copy.pragma('journal_mode = DELETE');
+  } finally {
+    copy.close();
   }
+  
+  return destination;
 };
 
 /**
- * Search notes by title or content
- * @param {string} query - Search query
- * @returns {Array} Array of matching notes
+ * Run SQLite's integrity check on the open database
+ * @returns {Object} { ok, problems } (problems are SQLite's messages)
  */
-const searchNotes = (query) => {
-  const searchTerm = `%${query}%`;
-  const stmt = db.prepare(`
-    SELECT * FROM notes 
-    WHERE title LIKE ? OR content LIKE ?
-    ORDER BY created_at DESC
-  `);
+const checkIntegrity = () => {
+  const problems = db.pragma('integrity_check')
+    .map(row => row.integrity_check)
+    .filter(message => message !== 'ok');
   
-  return stmt.all(searchTerm, searchTerm);
+  return { ok: problems.length === 0, problems };
 };
 
 /**
- * Get database statistics
- * @returns {Object} Database statistics
+ * Delete the WAL and shared-memory files that belong to the database file
+ */
+const removeWalFiles = () => {
+  fs.rmSync(`${dbPath}-wal`, { force: true });
+  fs.rmSync(`${dbPath}-shm`, { force: true });
+};
+
+/**
+ * Replace the database with a backup and reopen it
+ * The current file is kept until the backup has opened (and been migrated,
+ * if it is older), and is put back if anything fails. The backup retention
+ * and desktop settings are not rolled back with the data. Check the backup first (see
+ * backups.verifyDatabaseFile) and take a backup of the current state.
+ * @param {string} sourcePath - Backup file to restore
+ * @returns {Object} Encryption status of the restored database ({ enabled, unlocked });
+ *   it stays unlocked only if it uses the same passphrase
+ * @throws {Error} If the backup cannot be opened (the current database is kept)
  */
-const getStats = () => {
-  const totalStmt = db.prepare('SELECT COUNT(*) as count FROM notes');
-  const pendingStmt = db.prepare("SELECT COUNT(*) as count FROM notes WHERE sync_status = 'pending'");
-  const syncedStmt = db.prepare("SELECT COUNT(*) as count FROM notes WHERE sync_status = 'synced'");
+const restoreBackup = (sourcePath) => {
+  const key = encryptionKey;
+  const retention = getBackupRetention();
+  const desktopSettings = getDesktopSettings();
+  const previousPath = `${dbPath}.before-restore`;
   
-  return {
-    total: totalStmt.get().count,
-    pending: pendingStmt.get().count,
-    synced: syncedStmt.get().count
-  };
+  // Flush the WAL so the current file is complete on its own
+  db.pragma('wal_checkpoint(TRUNCATE)');
+  db.close();
+  removeWalFiles();
+  
+  let restored = false;
+  try {
+    fs.renameSync(dbPath, previousPath);
+    try {
+      fs.copyFileSync(sourcePath, dbPath);
+      db = openDatabase();
+      restored = true;
+    } catch (error) {
+      fs.rmSync(dbPath, { force: true });
+      removeWalFiles();
+      fs.renameSync(previousPath, dbPath);
+      throw error;
+    }
+  } finally {
+    if (!restored) {
+      db = openDatabase();
+    }
+    loadEncryptionState(key);
+    watchChanges();
+  }
+  
+  fs.rmSync(previousPath, { force: true });
+  setBackupRetention(retention);
+  setDesktopSettings(desktopSettings);
+  pruneRevisions();
+  buildNoteLinks();
+  
+  return getEncryptionStatus();
 };
 
+// Apply revision retention to notes that have not been edited recently
+pruneRevisions();
+
+// Record the links of notes written before links were tracked
+buildNoteLinks();
+
 // Close database connection when app exits
+// (in will-quit, once the windows closed: main.js has them save their editors in before-quit)
 if (app) {
-  app.on('before-quit', () => {
+  app.on('will-quit', () => {
     db.close();
     console.log('Database connection closed');
   });
@@ -359,22 +3708,119 @@ module.exports = {
   addNote,
   getNoteById,
   getNotes,
+  getNotesPage,
   updateNote,
+  EditConflictError,
   deleteNote,
   
+  // Trash
+  trashNote,
+  restoreNote,
+  getTrash,
+  emptyTrash,
+  purgeTrash,
+  getTrashRetentionDays,
+  setTrashRetentionDays,
+  
   // Bulk operations
   addNotesBulk,
   
+  // Import/export
+  getNotesForExport,
+  importNotes,
+  
+  // Tag operations
+  getTags,
+  addTagToNote,
+  removeTagFromNote,
+  renameTag,
+  mergeTags,
+  
+  // Revision history
+  getNoteRevisions,
+  diffRevisions,
+  restoreRevision,
+  pruneRevisions,
+  
+  // Notebook operations
+  getNotebooks,
+  createNotebook,
+  renameNotebook,
+  moveNotebook,
+  deleteNotebook,
+  moveNoteToNotebook,
+  
   // Sync operations
   syncWithBackend,
   getNotesToSync,
+  countNotesToSync,
   markNotesAsSynced,
   markNotesSyncError,
+  getSyncErrors,
+  retryNoteSync,
+  discardLocalChange,
+  purgeTombstones,
+  setRevisions,
+  markNotesConflict,
+  getConflicts,
+  resolveConflict,
+  pushChanges,
+  pullChanges,
+  uploadAttachments,
+  downloadAttachments,
+  DEFAULT_SYNC_OPTIONS,
+  applyRemoteChanges,
+  setServerIds,
+  getLastSyncCursor,
+  getApiUrl,
+  setApiUrl,
+  isNetworkError,
+  
+  // Encryption at rest
+  DatabaseLockedError,
+  getEncryptionStatus,
+  isUnlocked,
+  unlockDatabase,
+  enableEncryption,
+  changePassphrase,
+  disableEncryption,
+  
+  // Note links
+  getNoteLinks,
+  findNoteByTitle,
+  
+  // Attachments
+  attachmentsDir,
+  addAttachment,
+  getAttachments,
+  getAttachmentByHash,
+  removeAttachment,
+  deleteOrphanAttachments,
+  
+  // Backups
+  createBackup,
+  checkIntegrity,
+  restoreBackup,
+  getBackupRetention,
+  setBackupRetention,
+  
+  // Desktop settings
+  getDesktopSettings,
+  setDesktopSettings,
   
   // Utility functions
   searchNotes,
+  searchNotesPage,
+  buildFtsQuery,
   getStats,
+  HIGHLIGHT_START,
+  HIGHLIGHT_END,
   
-  // Database instance (for advanced usage)
-  db
+  // Change events ('change' with { table, type, ids })
+  changeEvents,
+  
+  // Database instance (for advanced usage); a getter because restoreBackup() reopens it
+  get db() {
+    return db;
+  }
 };
@@ -1,8 +1,11 @@
 /**
  * NestJS Backend Example for Sync Endpoint
  * 
- * This file shows how to implement the /api/sync endpoint
- * in your NestJS backend to receive data from the Electron app.
+ * This file shows how to implement the /api/sync and /api/changes
+ * endpoints in your NestJS backend to exchange data with the Electron app:
+ * - POST /api/sync    receives local changes (push)
+ * - GET  /api/changes returns server changes since a cursor (pull)
+ * - PUT/GET /api/attachments/:hash store and return attachment files
  * 
  * Prerequisites:
  * - NestJS installed
@@ -12,11 +15,18 @@
  * Installation:
  * npm install @nestjs/common @nestjs/core @nestjs/platform-express
  * npm install typeorm pg @nestjs/typeorm
+ * npm install @nestjs/passport passport passport-jwt @nestjs/jwt
+ * 
+ * Authentication:
+ * The Electron app sends `Authorization: Bearer <accessToken>` on every
+ * sync request and calls POST /api/auth/refresh when it gets a 401.
+ * See the AuthController example at the end of this file.
  */
 
-import { Controller, Post, Body, HttpException, HttpStatus } from '@nestjs/common';
+import { Controller, Post, Get, Body, Query, HttpException, HttpStatus, UseGuards } from '@nestjs/common';
+import { AuthGuard } from '@nestjs/passport';
 import { InjectRepository } from '@nestjs/typeorm';
-import { Repository } from 'typeorm';
+import { In, Repository } from 'typeorm';
 import { Note } from './note.entity';
 
 /**
@@ -24,6 +34,19 @@ import { Note } from './note.entity';
  * 
  * This should match the structure of notes from the Electron app
  */
+ *
+ * The server owns its own IDs. Clients keep a local ID and learn the
+ * server ID from the `idMap` returned by POST /api/sync.
+ *
+ * revision starts at 1 and is incremented on every write. Clients send the
+ * revision their copy is based on (base_revision); a mismatch means the note
+ * changed on the server in the meantime and the update is rejected as a
+ * conflict instead of silently overwriting it.
+ *
+ * change_seq is bumped from a PostgreSQL sequence on every write and is
+ * what the /api/changes feed pages through:
+ *   CREATE SEQUENCE notes_change_seq;
+ */
 // @Entity('notes')
 // export class Note {
 //   @PrimaryGeneratedColumn()
@@ -34,6 +57,24 @@ import { Note } from './note.entity';
 // 
 //   @Column('text', { nullable: true })
 //   content: string;
+//
+//   // Tag names; clients map them to their own tag IDs
+//   @Column('text', { array: true, default: '{}' })
+//   tags: string[];
+//
+//   // Notebook path from the top level down, e.g. {'Work','Projects'};
+//   // clients create missing notebooks when they pull the note
+//   @Column('text', { array: true, default: '{}' })
+//   notebook: string[];
+//
+//   // Attached files ({ hash, file_name, mime_type, size }); the files
+//   // themselves go through PUT/GET /api/attachments/:hash
+//   @Column('jsonb', { default: [] })
+//   attachments: { hash: string; file_name: string; mime_type: string; size: number }[];
+//
+//   // Set while the note is in a client's Trash (it can still be restored)
+//   @Column('timestamp', { nullable: true })
+//   trashed_at: Date;
 // 
 //   @Column('timestamp', { default: () => 'CURRENT_TIMESTAMP' })
 //   created_at: Date;
@@ -46,9 +87,21 @@ import { Note } from './note.entity';
 // 
 //   @Column({ default: 'pending' })
 //   sync_status: string;
+//
+//   // Soft delete so the deletion reaches other devices via /api/changes
+//   @Column('timestamp', { nullable: true })
+//   deleted_at: Date;
+//
+//   @Column({ default: 1 })
+//   revision: number;
+//
+//   @Index()
+//   @Column('bigint', { default: () => "nextval('notes_change_seq')" })
+//   change_seq: string;
 // }
 
 @Controller('api')
+@UseGuards(AuthGuard('jwt'))
 export class SyncController {
   constructor(
     @InjectRepository(Note)
@@ -59,13 +112,35 @@ export class SyncController {
    * Sync endpoint - receives notes from Electron app
    * 
    * POST /api/sync
-   * Body: { notes: Note[] }
+   * Body: {
+   *   notes: Note[],        // each with the local `id`, `base_revision`, `tags` (names),
+   *                         // `notebook` (path of names), `trashed_at` (null unless in
+   *                         // the Trash), `attachments` (see the entity), `version`
+   *                         // (the client's local edit counter; not stored) and, once
+   *                         // known, `server_id`
+   *   deletions?: { id: number, server_id: string, base_revision: number, deleted_at: string }[]
+   * }
+   * 
+   * Returns: {
+   *   syncedIds: number[],                                // local IDs
+   *   deletedIds: number[],                               // local IDs of acknowledged deletions
+   *   failedIds: number[],                                // local IDs
+   *   errors: { id: number, message: string }[],          // reason for each failed ID
+   *   idMap: { localId: number, serverId: number }[],     // newly created notes
+   *   revisions: { localId: number, revision: number }[], // new revision of each synced note
+   *   conflicts: { id: number, server: Note }[],          // stale updates, with the server version
+   *   message: string
+   * }
    * 
-   * Returns: { syncedIds: number[], failedIds: number[], message: string }
+   * The client sends changes in batches (100 notes by default) and commits
+   * each batch on its own. Limit request size with the body parser, e.g.
+   * `app.use(json({ limit: '2mb' }))`: a 413 makes the client halve its
+   * batch size. Rate limiting (e.g. @nestjs/throttler) should answer 429
+   * with a Retry-After header, which the client waits for before retrying.
    */
   @Post('sync')
-  async sync(@Body() body: { notes: any[] }) {
-    const { notes } = body;
+  async sync(@Body() body: { notes: any[]; deletions?: any[] }) {
+    const { notes, deletions = [] } = body;
 
     if (!notes || !Array.isArray(notes)) {
       throw new HttpException(
@@ -75,56 +150,196 @@ export class SyncController {
     }
 
     const syncedIds: number[] = [];
+    const deletedIds: number[] = [];
     const failedIds: number[] = [];
+    const errors: { id: number; message: string }[] = [];
+    const idMap: { localId: number; serverId: number }[] = [];
+    const revisions: { localId: number; revision: number }[] = [];
+    const conflicts: { id: number; server: Note }[] = [];
 
-    // Process each note
-    for (const note of notes) {
+    // Apply deletions (tombstones) sent by the client
+    for (const deletion of deletions) {
       try {
-        // Check if note exists (by ID from Electron app)
         const existingNote = await this.notesRepository.findOne({
-          where: { id: note.id },
+          where: { id: Number(deletion.server_id) },
         });
 
+        // Don't delete a note that was edited since the client last saw it
+        if (existingNote && existingNote.revision !== deletion.base_revision) {
+          conflicts.push({ id: deletion.id, server: existingNote });
+          continue;
+        }
+
+        // Already gone on the server counts as acknowledged too
+        if (existingNote && !existingNote.deleted_at) {
+          existingNote.deleted_at = new Date(deletion.deleted_at);
+          existingNote.revision += 1;
+          existingNote.change_seq = await this.nextChangeSeq();
+          await this.notesRepository.save(existingNote);
+        }
+
+        deletedIds.push(deletion.id);
+      } catch (error) {
+        console.error(`Failed to delete note ${deletion.id}:`, error);
+        failedIds.push(deletion.id);
+        errors.push({ id: deletion.id, message: error.message });
+      }
+    }
+
+    // Process each note
+    for (const note of notes) {
+      try {
+        // Notes the server has seen before carry their server ID
+        const existingNote = note.server_id
+          ? await this.notesRepository.findOne({
+              where: { id: Number(note.server_id) },
+            })
+          : null;
+
+        if (existingNote && existingNote.revision !== note.base_revision) {
+          // Changed on the server since the client last synced - let the client resolve it
+          conflicts.push({ id: note.id, server: existingNote });
+          continue;
+        }
+
         if (existingNote) {
           // Update existing note
+          existingNote.revision += 1;
           existingNote.title = note.title;
           existingNote.content = note.content;
+          existingNote.tags = note.tags ?? existingNote.tags;
+          existingNote.notebook = note.notebook ?? existingNote.notebook;
+          existingNote.attachments = note.attachments ?? existingNote.attachments;
+          if (note.trashed_at !== undefined) {
+            existingNote.trashed_at = note.trashed_at ? new Date(note.trashed_at) : null;
+          }
           existingNote.updated_at = new Date(note.updated_at);
           existingNote.synced_at = new Date();
           existingNote.sync_status = 'synced';
+          existingNote.change_seq = await this.nextChangeSeq();
           
           await this.notesRepository.save(existingNote);
+          revisions.push({ localId: note.id, revision: existingNote.revision });
         } else {
-          // Create new note
+          // Create new note - the server assigns the ID
           const newNote = this.notesRepository.create({
-            id: note.id, // Use the ID from Electron app
             title: note.title,
             content: note.content,
+            tags: note.tags ?? [],
+            notebook: note.notebook ?? [],
+            attachments: note.attachments ?? [],
+            trashed_at: note.trashed_at ? new Date(note.trashed_at) : null,
             created_at: new Date(note.created_at),
             updated_at: new Date(note.updated_at),
             synced_at: new Date(),
             sync_status: 'synced',
           });
           
-          await this.notesRepository.save(newNote);
+          const saved = await this.notesRepository.save(newNote);
+          idMap.push({ localId: note.id, serverId: saved.id });
+          revisions.push({ localId: note.id, revision: saved.revision });
         }
 
         syncedIds.push(note.id);
       } catch (error) {
         console.error(`Failed to sync note ${note.id}:`, error);
         failedIds.push(note.id);
+        // Shown to the user in the client's "Sync issues" panel
+        errors.push({ id: note.id, message: error.message });
       }
     }
 
     return {
       syncedIds,
+      deletedIds,
       failedIds,
-      message: `Synced ${syncedIds.length} notes, ${failedIds.length} failed`,
+      errors,
+      idMap,
+      revisions,
+      conflicts,
+      message: `Synced ${syncedIds.length} notes, deleted ${deletedIds.length}, ${failedIds.length} failed, ${conflicts.length} conflicts`,
+    };
+  }
+
+  /**
+   * Change feed endpoint - returns notes changed since a cursor
+   * 
+   * GET /api/changes?since=<cursor>&limit=<n>
+   * 
+   * The cursor is the change_seq of the last change the client received.
+   * Omit `since` to fetch everything. Clients keep calling with the
+   * returned cursor while `hasMore` is true. Deleted notes are included
+   * with `deleted_at` set so clients can remove their copies.
+   * 
+   * Returns: { changes: Note[], cursor: string, hasMore: boolean }
+   * 
+   * GET /api/changes?ids=<id>,<id>,... instead returns the current state of
+   * just those notes (clients refetch notes whose local change they discarded),
+   * with the cursor unchanged.
+   */
+  @Get('changes')
+  async changes(@Query('since') since?: string, @Query('limit') limit?: string, @Query('ids') ids?: string) {
+    const pageSize = Math.min(Math.max(Number(limit) || 500, 1), 1000);
+    const sinceSeq = since && /^\d+$/.test(since) ? since : '0';
+
+    if (ids) {
+      const noteIds = ids.split(',').map(Number).filter(Number.isSafeInteger).slice(0, pageSize);
+      const notes = await this.notesRepository.findBy({ id: In(noteIds) });
+      return { changes: notes.map(note => this.toChange(note)), cursor: sinceSeq, hasMore: false };
+    }
+
+    // Fetch one extra row to know whether another page follows
+    const rows = await this.notesRepository
+      .createQueryBuilder('note')
+      .where('note.change_seq > :since', { since: sinceSeq })
+      .orderBy('note.change_seq', 'ASC')
+      .take(pageSize + 1)
+      .getMany();
+
+    const hasMore = rows.length > pageSize;
+    const page = rows.slice(0, pageSize);
+
+    return {
+      changes: page.map(note => this.toChange(note)),
+      cursor: page.length > 0 ? String(page[page.length - 1].change_seq) : sinceSeq,
+      hasMore,
     };
   }
 
+  /**
+   * Shape of a note in the change feed
+   */
+  private toChange(note: Note) {
+    return {
+      id: note.id,
+      title: note.title,
+      content: note.content,
+      tags: note.tags,
+      notebook: note.notebook,
+      attachments: note.attachments,
+      trashed_at: note.trashed_at,
+      created_at: note.created_at,
+      updated_at: note.updated_at,
+      deleted_at: note.deleted_at,
+      revision: note.revision,
+    };
+  }
+
+  /**
+   * Allocate the next change feed position
+   */
+  private async nextChangeSeq(): Promise<string> {
+    const [{ seq }] = await this.notesRepository.query(
+      "SELECT nextval('notes_change_seq') AS seq",
+    );
+    return String(seq);
+  }
+
   /**
    * Alternative: Using upsert for simpler code
+   * 
+   * Note: this variant reuses the client's local IDs as server IDs, so it
+   * only suits a single device. Use `sync` above for two-way, multi-device sync.
    */
   @Post('sync-v2')
   async syncV2(@Body() body: { notes: any[] }) {
@@ -161,9 +376,10 @@ export class SyncController {
               updated_at: new Date(note.updated_at),
               synced_at: new Date(),
               sync_status: 'synced',
+              change_seq: () => "nextval('notes_change_seq')",
             })
             .orUpdate(
-              ['title', 'content', 'updated_at', 'synced_at', 'sync_status'],
+              ['title', 'content', 'updated_at', 'synced_at', 'sync_status', 'change_seq'],
               ['id'],
             )
             .execute();
@@ -194,6 +410,51 @@ export class SyncController {
   }
 }
 
+/**
+ * Attachment files, stored by the SHA-256 of their contents
+ *
+ * PUT /api/attachments/:hash   body: the raw file (Content-Type: its MIME type)
+ * GET /api/attachments/:hash   returns the raw file, or 404
+ *
+ * The client uploads files before pushing the notes that use them and
+ * downloads the files of pulled notes after the pull. It checks the hash of
+ * every download, so the server only needs to store the bytes; checking the
+ * hash on upload keeps bad data out. A 413 makes the client skip the file.
+ * Parse the body as raw bytes, e.g.
+ * `app.use('/api/attachments', raw({ type: () => true, limit: '25mb' }))`.
+ */
+// import { Controller, Put, Get, Param, Req, Res, NotFoundException, BadRequestException } from '@nestjs/common';
+// import { createHash } from 'crypto';
+// import { promises as fs } from 'fs';
+// import * as path from 'path';
+//
+// const ATTACHMENTS_DIR = '/var/lib/notes/attachments';
+//
+// @Controller('api/attachments')
+// @UseGuards(AuthGuard('jwt'))
+// export class AttachmentsController {
+//   @Put(':hash')
+//   async upload(@Param('hash') hash: string, @Req() req) {
+//     if (!/^[0-9a-f]{64}$/.test(hash) || createHash('sha256').update(req.body).digest('hex') !== hash) {
+//       throw new BadRequestException('Body does not match the hash');
+//     }
+//     await fs.writeFile(path.join(ATTACHMENTS_DIR, hash), req.body);
+//     return { hash };
+//   }
+//
+//   @Get(':hash')
+//   async download(@Param('hash') hash: string, @Res() res) {
+//     if (!/^[0-9a-f]{64}$/.test(hash)) {
+//       throw new NotFoundException();
+//     }
+//     try {
+//       res.type('application/octet-stream').send(await fs.readFile(path.join(ATTACHMENTS_DIR, hash)));
+//     } catch (error) {
+//       throw new NotFoundException();
+//     }
+//   }
+// }
+
 /**
  * Example Prisma implementation (alternative to TypeORM)
  */
@@ -278,3 +539,62 @@ export class SyncController {
 //   // ... implementation
 // }
 
+/**
+ * Example authentication endpoints used by the Electron app (auth.js)
+ * 
+ * POST /api/auth/login    { username, password } -> { accessToken, refreshToken, user }
+ * POST /api/auth/refresh  { refreshToken }       -> { accessToken, refreshToken? }
+ * GET  /api/auth/me       (Bearer token)         -> { username }   (used to check API tokens)
+ * POST /api/auth/logout   { refreshToken }       -> revokes the refresh token
+ * 
+ * Return 401 for bad credentials or an expired/revoked refresh token.
+ */
+// import { Controller, Post, Get, Body, Req, UseGuards, UnauthorizedException } from '@nestjs/common';
+// import { JwtService } from '@nestjs/jwt';
+// import { AuthGuard } from '@nestjs/passport';
+// 
+// @Controller('api/auth')
+// export class AuthController {
+//   constructor(
+//     private jwtService: JwtService,
+//     private usersService: UsersService,
+//     private refreshTokens: RefreshTokenService,
+//   ) {}
+// 
+//   @Post('login')
+//   async login(@Body() body: { username: string; password: string }) {
+//     const user = await this.usersService.validate(body.username, body.password);
+//     if (!user) {
+//       throw new UnauthorizedException('Invalid username or password');
+//     }
+//     return {
+//       accessToken: this.jwtService.sign({ sub: user.id }, { expiresIn: '15m' }),
+//       refreshToken: await this.refreshTokens.issue(user.id),
+//       user: { username: user.username },
+//     };
+//   }
+// 
+//   @Post('refresh')
+//   async refresh(@Body() body: { refreshToken: string }) {
+//     const userId = await this.refreshTokens.consume(body.refreshToken);
+//     if (!userId) {
+//       throw new UnauthorizedException('Refresh token expired or revoked');
+//     }
+//     return {
+//       accessToken: this.jwtService.sign({ sub: userId }, { expiresIn: '15m' }),
+//       refreshToken: await this.refreshTokens.issue(userId), // rotate
+//     };
+//   }
+// 
+//   @Get('me')
+//   @UseGuards(AuthGuard('jwt'))
+//   me(@Req() req) {
+//     return { username: req.user.username };
+//   }
+// 
+//   @Post('logout')
+//   async logout(@Body() body: { refreshToken: string }) {
+//     await this.refreshTokens.revoke(body.refreshToken);
+//     return { success: true };
+//   }
+// }
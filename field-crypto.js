@@ -0,0 +1,120 @@
+/**
+ * Field Encryption Helpers
+ *
+ * This module handles:
+ * - Deriving an AES-256 key from a passphrase (scrypt with a random salt)
+ * - Encrypting / decrypting single text values with AES-256-GCM
+ * - A key check value to tell a wrong passphrase from a right one
+ *
+ * Encrypted values are stored as text: "enc:v1:" followed by base64 of
+ * IV (12 bytes) + auth tag (16 bytes) + ciphertext. Every value gets a
+ * fresh random IV, and GCM's tag detects tampering or a wrong key.
+ */
+
+const crypto = require('crypto');
+
+const PREFIX = 'enc:v1:';
+const IV_BYTES = 12;
+const TAG_BYTES = 16;
+const KEY_BYTES = 32;
+
+// scrypt cost; stored with the salt so it can be raised later without breaking old databases
+const DEFAULT_KDF_PARAMS = { N: 2 ** 15, r: 8, p: 1 };
+
+// Known plaintext encrypted with the key to verify a passphrase on unlock
+const KEY_CHECK_TEXT = 'notes-app-key-check';
+
+/**
+ * Derive an encryption key from a passphrase
+ * @param {string} passphrase - User passphrase
+ * @param {string} salt - Base64 salt (see createSalt)
+ * @param {Object} params - scrypt { N, r, p }
+ * @returns {Buffer} 32-byte key
+ */
+const deriveKey = (passphrase, salt, params = DEFAULT_KDF_PARAMS) => {
+  return crypto.scryptSync(String(passphrase).normalize('NFC'), Buffer.from(salt, 'base64'), KEY_BYTES, {
+    N: params.N,
+    r: params.r,
+    p: params.p,
+    maxmem: 128 * params.N * params.r * 2
+  });
+};
+
+/**
+ * Create a random salt for deriveKey
+ * @returns {string} Base64 salt
+ */
+const createSalt = () => crypto.randomBytes(16).toString('base64');
+
+/**
+ * Check whether a stored value is encrypted
+ * @param {*} value - Column value
+ * @returns {boolean}
+ */
+const isEncryptedValue = (value) => typeof value === 'string' && value.startsWith(PREFIX);
+
+/**
+ * Encrypt a text value
+ * @param {Buffer} key - Key from deriveKey
+ * @param {string|null} value - Plaintext (null stays null)
+ * @returns {string|null} Encrypted value
+ */
+const encryptValue = (key, value) => {
+  if (value === null || value === undefined) return value ?? null;
+
+  const iv = crypto.randomBytes(IV_BYTES);
+  const cipher = crypto.createCipheriv('aes-256-gcm', key, iv);
+  const ciphertext = Buffer.concat([cipher.update(String(value), 'utf8'), cipher.final()]);
+
+  return PREFIX + Buffer.concat([iv, cipher.getAuthTag(), ciphertext]).toString('base64');
+};
+
+/**
+ * Decrypt a text value
+ * Values that are not encrypted (e.g. NULL) are returned unchanged.
+ * @param {Buffer} key - Key from deriveKey
+ * @param {string|null} value - Stored value
+ * @returns {string|null} Plaintext
+ * @throws {Error} If the key is wrong or the value was tampered with
+ */
+const decryptValue = (key, value) => {
+  if (!isEncryptedValue(value)) return value;
+
+  const data = Buffer.from(value.slice(PREFIX.length), 'base64');
+  const decipher = crypto.createDecipheriv('aes-256-gcm', key, data.subarray(0, IV_BYTES));
+  decipher.setAuthTag(data.subarray(IV_BYTES, IV_BYTES + TAG_BYTES));
+
+  return Buffer.concat([decipher.update(data.subarray(IV_BYTES + TAG_BYTES)), decipher.final()]).toString('utf8');
+};
+
+/**
+ * Create the key check value stored next to the salt
+ * @param {Buffer} key - Key from deriveKey
+ * @returns {string} Encrypted check value
+ */
+const createKeyCheck = (key) => encryptValue(key, KEY_CHECK_TEXT);
+
+/**
+ * Verify a key against the stored check value
+ * @param {Buffer} key - Key derived from the entered passphrase
+ * @param {string} keyCheck - Value from createKeyCheck
+ * @returns {boolean} True if the passphrase was right
+ */
+const verifyKeyCheck = (key, keyCheck) => {
+  try {
+    return decryptValue(key, keyCheck) === KEY_CHECK_TEXT;
+  } catch (error) {
+    return false;
+  }
+};
+
+module.exports = {
+  DEFAULT_KDF_PARAMS,
+  deriveKey,
+  createSalt,
+  isEncryptedValue,
+  encryptValue,
+  decryptValue,
+  createKeyCheck,
+  verifyKeyCheck
+};
@@ -0,0 +1,445 @@
+/**
+ * IPC Argument Validation (Main Process)
+ *
+ * This module handles:
+ * - Small schema builders (id, string, integer, boolean, oneOf, array, object, url, bytes, optional, withDefault)
+ * - The argument schema of every IPC channel (db:, files:, auth:, backup:, security:, sync:, windows:, desktop:)
+ * - Turning validation and database errors into { success: false, error, code } responses
+ *
+ * Renderer input is untrusted: main.js validates the arguments of every
+ * channel here before they reach its handler (see handleIpc / onIpc in main.js).
+ * A schema is a function (value, field) => value that returns the
+ * (possibly normalized) value or throws an IpcValidationError.
+ */
+
+const { MAX_ATTACHMENT_BYTES, isAttachmentHash } = require('./attachments');
+const { CSV_FIELDS } = require('./note-importers');
+
+// Error codes returned in the `code` field of failed IPC responses
+const ERROR_CODES = {
+  INVALID_ARGUMENT: 'INVALID_ARGUMENT',   // Renderer sent a value that failed its schema
+  NOT_FOUND: 'NOT_FOUND',                 // Note, tag, notebook, revision... does not exist
+  DATABASE_LOCKED: 'DATABASE_LOCKED',     // Encrypted database has not been unlocked
+  EDIT_CONFLICT: 'EDIT_CONFLICT',         // Note changed elsewhere since the editor loaded it (data: the note now)
+  CONSTRAINT: 'CONSTRAINT',               // Change conflicts with existing data (SQLite constraint)
+  DATABASE_ERROR: 'DATABASE_ERROR',       // Any other SQLite failure (details are only logged)
+  OPERATION_FAILED: 'OPERATION_FAILED'    // Rejected by a rule in db.js (the message says why)
+};
+
+// Size limits for values coming from the renderer
+const LIMITS = {
+  titleLength: 500,
+  contentLength: 1000000,
+  bulkNotes: 10000,
+  tagNameLength: 100,
+  tagsPerNote: 100,
+  notebookNameLength: 200,
+  queryLength: 1000,
+  pageSize: 500,
+  pageCursorLength: 1000,
+  urlLength: 2048,
+  fileNameLength: 1000,
+  attachmentBytes: MAX_ATTACHMENT_BYTES,
+  usernameLength: 200,
+  passwordLength: 1024,
+  apiTokenLength: 4096,
+  passphraseLength: 1024,
+  shortcutLength: 100,
+  csvColumns: 1000
+};
+
+// Schemes the sync API may be reached on
+const ALLOWED_URL_SCHEMES = ['http:', 'https:'];
+
+/**
+ * Thrown when an IPC argument fails its schema
+ */
+class IpcValidationError extends Error {
+  constructor(field, message) {
+    super(`${field} ${message}`);
+    this.name = 'IpcValidationError';
+    this.code = ERROR_CODES.INVALID_ARGUMENT;
+    this.field = field;
+  }
+}
+
+/**
+ * Describe a value's type for error messages
+ * @param {*} value - Any value
+ * @returns {string} Type name ('null' and 'array' are told apart from 'object')
+ */
+const typeName = (value) => {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  return typeof value;
+};
+
+/**
+ * Schema: a positive integer ID
+ * @returns {Function} Schema
+ */
+const id = () => (value, field) => {
+  if (!Number.isSafeInteger(value) || value < 1) {
+    throw new IpcValidationError(field, `must be a positive integer ID (got ${typeName(value)})`);
+  }
+  return value;
+};
+
+/**
+ * Schema: an integer in a range
+ * @param {Object} options - { min, max }
+ * @returns {Function} Schema
+ */
+const integer = ({ min = Number.MIN_SAFE_INTEGER, max = Number.MAX_SAFE_INTEGER } = {}) => (value, field) => {
+  if (!Number.isSafeInteger(value) || value < min || value > max) {
+    throw new IpcValidationError(field, `must be a whole number between ${min} and ${max}`);
+  }
+  return value;
+};
+
+/**
+ * Schema: a string
+ * @param {Object} options - { max (length), required (not blank) }
+ * @returns {Function} Schema
+ */
+const string = ({ max, required = false } = {}) => (value, field) => {
+  if (typeof value !== 'string') {
+    throw new IpcValidationError(field, `must be a string (got ${typeName(value)})`);
+  }
+  if (required && !value.trim()) {
+    throw new IpcValidationError(field, 'is required');
+  }
+  if (max !== undefined && value.length > max) {
+    throw new IpcValidationError(field, `must be at most ${max} characters`);
+  }
+  return value;
+};
+
+/**
+ * Schema: true or false
+ * @returns {Function} Schema
+ */
+const boolean = () => (value, field) => {
+  if (typeof value !== 'boolean') {
+    throw new IpcValidationError(field, `must be true or false (got ${typeName(value)})`);
+  }
+  return value;
+};
+
+/**
+ * Schema: one of a fixed set of values
+ * @param {Array} values - Allowed values
+ * @returns {Function} Schema
+ */
+const oneOf = (values) => (value, field) => {
+  if (!values.includes(value)) {
+    throw new IpcValidationError(field, `must be one of: ${values.join(', ')}`);
+  }
+  return value;
+};
+
+/**
+ * Schema: an array whose items all match a schema
+ * @param {Function} item - Schema for each item
+ * @param {Object} options - { max (items) }
+ * @returns {Function} Schema
+ */
+const array = (item, { max } = {}) => (value, field) => {
+  if (!Array.isArray(value)) {
+    throw new IpcValidationError(field, `must be an array (got ${typeName(value)})`);
+  }
+  if (max !== undefined && value.length > max) {
+    throw new IpcValidationError(field, `must have at most ${max} items`);
+  }
+  return value.map((entry, index) => item(entry, `${field}[${index}]`));
+};
+
+/**
+ * Schema: a plain object with known keys (unknown keys are rejected)
+ * @param {Object} shape - Key => schema
+ * @returns {Function} Schema
+ */
+const object = (shape) => (value, field) => {
+  if (typeName(value) !== 'object') {
+    throw new IpcValidationError(field, `must be an object (got ${typeName(value)})`);
+  }
+
+  const unknown = Object.keys(value).filter(key => !(key in shape));
+  if (unknown.length > 0) {
+    throw new IpcValidationError(field, `has unknown field(s): ${unknown.join(', ')}`);
+  }
+
+  const result = {};
+  for (const [key, schema] of Object.entries(shape)) {
+    const checked = schema(value[key], `${field}.${key}`);
+    if (checked !== undefined) {
+      result[key] = checked;
+    }
+  }
+  return result;
+};
+
+/**
+ * Schema: an http(s) URL
+ * @returns {Function} Schema
+ */
+const url = () => (value, field) => {
+  string({ max: LIMITS.urlLength, required: true })(value, field);
+
+  let parsed;
+  try {
+    parsed = new URL(value);
+  } catch (error) {
+    throw new IpcValidationError(field, 'must be a valid URL');
+  }
+  if (!ALLOWED_URL_SCHEMES.includes(parsed.protocol)) {
+    throw new IpcValidationError(field, `must use ${ALLOWED_URL_SCHEMES.map(scheme => scheme.replace(':', '')).join(' or ')}`);
+  }
+  return value;
+};
+
+/**
+ * Schema: binary data (e.g. file contents), sent by the renderer as a Uint8Array
+ * @param {Object} options - { max (bytes) }
+ * @returns {Function} Schema that returns the data as a Buffer
+ */
+const bytes = ({ max } = {}) => (value, field) => {
+  if (!(value instanceof Uint8Array)) {
+    throw new IpcValidationError(field, `must be binary data (got ${typeName(value)})`);
+  }
+  if (value.length === 0) {
+    throw new IpcValidationError(field, 'must not be empty');
+  }
+  if (max !== undefined && value.length > max) {
+    throw new IpcValidationError(field, `must be at most ${max} bytes`);
+  }
+  return Buffer.from(value.buffer, value.byteOffset, value.byteLength);
+};
+
+/**
+ * Schema: the hash naming an attachment file (see attachments.js)
+ * @returns {Function} Schema
+ */
+const attachmentHash = () => (value, field) => {
+  if (!isAttachmentHash(value)) {
+    throw new IpcValidationError(field, 'must be an attachment hash');
+  }
+  return value;
+};
+
+/**
+ * Schema modifier: undefined and null are allowed (and passed through)
+ * @param {Function} schema - Schema for other values
+ * @returns {Function} Schema
+ */
+const optional = (schema) => (value, field) => {
+  return value === undefined || value === null ? value : schema(value, field);
+};
+
+/**
+ * Schema modifier: undefined and null are replaced with a default value
+ * @param {Function} schema - Schema for other values
+ * @param {*} fallback - Value used when none was sent
+ * @returns {Function} Schema
+ */
+const withDefault = (schema, fallback) => (value, field) => {
+  return value === undefined || value === null ? fallback : schema(value, field);
+};
+
+// Shared schemas
+const title = string({ max: LIMITS.titleLength, required: true });
+const content = withDefault(string({ max: LIMITS.contentLength }), '');
+const tagName = string({ max: LIMITS.tagNameLength, required: true });
+const notebookName = string({ max: LIMITS.notebookNameLength, required: true });
+const noteFilter = withDefault(object({
+  tagIds: optional(array(id(), { max: LIMITS.tagsPerNote })),
+  notebookId: optional(id())
+}), {});
+const page = optional(object({
+  limit: optional(integer({ min: 1, max: LIMITS.pageSize })),
+  cursor: optional(string({ max: LIMITS.pageCursorLength }))
+}));
+const passphrase = string({ max: LIMITS.passphraseLength, required: true });
+// CSV import: note field => column index (null to leave the field empty)
+const csvMapping = optional(object(Object.fromEntries(
+  CSV_FIELDS.map(field => [field, optional(integer({ min: 0, max: LIMITS.csvColumns }))])
+)));
+
+/**
+ * Argument schemas of every IPC channel, in call order
+ * Every handler must have an entry (see validateArgs); channels without
+ * arguments have an empty one, so extra arguments are rejected.
+ */
+const CHANNEL_SCHEMAS = {
+  'db:addNote': { title, content, notebookId: optional(id()) },
+  'db:getNotes': {
+    sortBy: withDefault(oneOf(['id', 'title', 'created_at', 'updated_at']), 'created_at'),
+    order: withDefault(oneOf(['ASC', 'DESC', 'asc', 'desc']), 'DESC'),
+    filter: noteFilter,
+    page
+  },
+  'db:getNoteById': { id: id() },
+  'db:updateNote': { id: id(), title, content, expectedVersion: optional(integer({ min: 1 })) },
+  'db:deleteNote': { id: id() },
+  'db:trashNote': { id: id() },
+  'db:restoreNote': { id: id() },
+  'db:getTrash': {},
+  'db:emptyTrash': {},
+  'db:setTrashRetentionDays': { days: integer({ min: 1, max: 3650 }) },
+  'db:addNotesBulk': {
+    notes: array(object({
+      title,
+      content,
+      tags: optional(array(tagName, { max: LIMITS.tagsPerNote })),
+      notebookId: optional(id())
+    }), { max: LIMITS.bulkNotes })
+  },
+  'db:searchNotes': { query: string({ max: LIMITS.queryLength }), filter: noteFilter, page },
+  'db:getTags': {},
+  'db:addTagToNote': { noteId: id(), name: tagName },
+  'db:removeTagFromNote': { noteId: id(), tagId: id() },
+  'db:renameTag': { id: id(), newName: tagName },
+  'db:mergeTags': { sourceId: id(), targetId: id() },
+  'db:getNoteRevisions': { noteId: id() },
+  'db:diffRevisions': { noteId: id(), fromRevisionId: optional(id()), toRevisionId: optional(id()) },
+  'db:restoreRevision': { noteId: id(), revisionId: id() },
+  'db:getNotebooks': {},
+  'db:createNotebook': { name: notebookName, parentId: optional(id()) },
+  'db:renameNotebook': { id: id(), name: notebookName },
+  'db:moveNotebook': { id: id(), parentId: optional(id()) },
+  'db:deleteNotebook': { id: id() },
+  'db:moveNoteToNotebook': { noteId: id(), notebookId: optional(id()) },
+  'db:addAttachment': {
+    noteId: id(),
+    fileName: string({ max: LIMITS.fileNameLength, required: true }),
+    data: bytes({ max: LIMITS.attachmentBytes })
+  },
+  'db:getAttachments': { noteId: id() },
+  'db:getNoteLinks': { noteId: id() },
+  'db:findNoteByTitle': { title },
+  'db:removeAttachment': { id: id() },
+  'db:getStats': { filter: withDefault(object({ notebookId: optional(id()) }), {}) },
+  'db:getConflicts': {},
+  'db:resolveConflict': {
+    id: id(),
+    resolution: oneOf(['local', 'remote', 'merged']),
+    merged: optional(object({ title: optional(string({ max: LIMITS.titleLength })), content }))
+  },
+  'db:getSyncErrors': {},
+  'db:retryNoteSync': { id: id() },
+  'db:discardLocalChange': { id: id() },
+  'db:syncWithBackend': { apiUrl: optional(url()) },
+
+  'files:exportMarkdown': { format: oneOf(['folder', 'zip']), filter: noteFilter },
+  'files:importMarkdown': { source: oneOf(['folder', 'zip']) },
+  'files:chooseImportFile': { format: oneOf(['json', 'csv', 'enex']) },
+  'files:previewImport': { options: withDefault(object({ mapping: csvMapping }), {}) },
+  'files:commitImport': { options: withDefault(object({ mapping: csvMapping, notebookId: optional(id()) }), {}) },
+  'files:cancelImport': {},
+  'files:saveAttachment': { hash: attachmentHash() },
+
+  'backup:list': {},
+  'backup:create': {},
+  'backup:restore': { file: string({ max: LIMITS.fileNameLength, required: true }) },
+  'backup:setRetention': {
+    retention: object({ keepDaily: integer({ min: 1, max: 365 }), keepWeekly: integer({ min: 0, max: 520 }) })
+  },
+
+  'security:getStatus': {},
+  'security:unlock': { passphrase },
+  'security:enableEncryption': { passphrase },
+  'security:changePassphrase': { currentPassphrase: passphrase, newPassphrase: passphrase },
+  'security:disableEncryption': { passphrase },
+
+  // The password or token is sent to apiUrl, so it gets the same http(s) check as db:syncWithBackend
+  'auth:login': {
+    apiUrl: url(),
+    credentials: object({
+      username: optional(string({ max: LIMITS.usernameLength })),
+      password: optional(string({ max: LIMITS.passwordLength })),
+      apiToken: optional(string({ max: LIMITS.apiTokenLength }))
+    })
+  },
+  'auth:logout': {},
+  'auth:getSession': {},
+
+  'sync:getStatus': {},
+  'sync:connectivityChanged': { online: boolean() },
+
+  'windows:openNote': { noteId: id() },
+  'windows:showMain': {},
+  'windows:editorSaved': {},
+
+  'desktop:getSettings': {},
+  'desktop:setSettings': {
+    changes: object({
+      quickCaptureShortcut: optional(string({ max: LIMITS.shortcutLength })),
+      keepRunningInTray: optional(boolean())
+    })
+  }
+};
+
+/**
+ * Validate the arguments of an IPC call
+ * @param {string} channel - IPC channel
+ * @param {Array} args - Arguments sent by the renderer
+ * @returns {Array} Validated arguments
+ * @throws {IpcValidationError} If an argument is invalid or there are too many
+ * @throws {Error} If the channel has no schema (a programming error)
+ */
+const validateArgs = (channel, args) => {
+  const schema = CHANNEL_SCHEMAS[channel];
+  if (!schema) {
+    throw new Error(`No argument schema for IPC channel ${channel}`);
+  }
+
+  const fields = Object.entries(schema);
+  if (args.length > fields.length && args.slice(fields.length).some(arg => arg !== undefined)) {
+    throw new IpcValidationError(channel, `takes at most ${fields.length} argument(s)`);
+  }
+
+  return fields.map(([field, check], index) => check(args[index], field));
+};
+
+/**
+ * Build a "not found" response
+ * @param {string} message - What was not found
+ * @returns {Object} { success: false, error, code }
+ */
+const notFound = (message) => ({ success: false, error: message, code: ERROR_CODES.NOT_FOUND });
+
+/**
+ * Turn an error thrown by a handler into an IPC response
+ * SQLite's own messages are replaced with a generic one (they are logged by
+ * the handler); messages of errors db.js throws on purpose are kept.
+ * @param {Error} error - Caught error
+ * @returns {Object} { success: false, error, code, field?, data? }
+ */
+const toErrorResponse = (error) => {
+  if (error instanceof IpcValidationError) {
+    return { success: false, error: error.message, code: error.code, field: error.field };
+  }
+  if (error.name === 'DatabaseLockedError') {
+    return { success: false, error: error.message, code: ERROR_CODES.DATABASE_LOCKED };
+  }
+  if (error.name === 'EditConflictError') {
+    return { success: false, error: error.message, code: ERROR_CODES.EDIT_CONFLICT, data: error.note };
+  }
+  if (typeof error.code === 'string' && error.code.startsWith('SQLITE_CONSTRAINT')) {
+    return { success: false, error: 'The change conflicts with existing data', code: ERROR_CODES.CONSTRAINT };
+  }
+  if (typeof error.code === 'string' && error.code.startsWith('SQLITE_')) {
+    return { success: false, error: 'The database could not complete the operation', code: ERROR_CODES.DATABASE_ERROR };
+  }
+  return { success: false, error: error.message, code: ERROR_CODES.OPERATION_FAILED };
+};
+
+module.exports = {
+  ERROR_CODES,
+  LIMITS,
+  IpcValidationError,
+  CHANNEL_SCHEMAS,
+  validateArgs,
+  notFound,
+  toErrorResponse
+};
@@ -0,0 +1,38 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { CHANNEL_SCHEMAS, validateArgs, IpcValidationError } = require('./ipc-validation');
+
+test('auth:login only sends credentials to an http(s) URL', () => {
+  const credentials = { username: 'me', password: 'secret' };
+
+  assert.deepStrictEqual(validateArgs('auth:login', ['https://notes.test', credentials]), ['https://notes.test', credentials]);
+  assert.throws(() => validateArgs('auth:login', ['file:///etc/passwd', credentials]), /apiUrl must use http or https/);
+  assert.throws(() => validateArgs('auth:login', ['not a url', credentials]), /apiUrl must be a valid URL/);
+  assert.throws(() => validateArgs('auth:login', ['https://notes.test', { ...credentials, extra: 1 }]), /unknown field/);
+  assert.throws(() => validateArgs('auth:login', ['https://notes.test', { apiToken: 'x'.repeat(5000) }]), /at most 4096/);
+});
+
+test('arguments of the other channels are checked too', () => {
+  assert.throws(() => validateArgs('windows:openNote', ['1']), /noteId must be a positive integer ID/);
+  assert.throws(() => validateArgs('backup:restore', [{}]), /file must be a string/);
+  assert.throws(() => validateArgs('files:exportMarkdown', ['zip', { notebookId: 'all' }]), /filter.notebookId/);
+  assert.throws(() => validateArgs('files:chooseImportFile', ['xml']), /format must be one of/);
+  assert.throws(() => validateArgs('files:saveAttachment', ['../user-data.db']), /hash must be an attachment hash/);
+  assert.throws(() => validateArgs('desktop:setSettings', [{ keepRunningInTray: 'yes' }]), /true or false/);
+  assert.throws(() => validateArgs('security:unlock', [undefined]), IpcValidationError);
+});
+
+test('channels without arguments reject extra ones', () => {
+  assert.deepStrictEqual(validateArgs('backup:list', []), []);
+  assert.throws(() => validateArgs('backup:list', ['extra']), /takes at most 0 argument/);
+});
+
+test('every channel the preload script uses has a schema', () => {
+  const preload = fs.readFileSync(path.join(__dirname, 'preload.js'), 'utf8');
+  const channels = [...preload.matchAll(/ipcRenderer\.(?:invoke|send)\('([^']+)'/g)].map(match => match[1]);
+
+  assert.ok(channels.length > 50);
+  assert.deepStrictEqual(channels.filter(channel => !CHANNEL_SCHEMAS[channel]), []);
+});
@@ -2,15 +2,45 @@
  * Main Process - Electron Application Entry Point
  * 
  * This file handles:
- * - Window creation and management
+ * - Window creation and management (the main window and per-note editor windows,
+ *   whose bounds and open notes are remembered across restarts)
  * - IPC handlers for database operations
  * - Sync operations with backend API
+ * - Unlocking an encrypted database before notes are loaded
+ * - Scheduled backups, the startup integrity check and restoring a backup
+ * - Serving attachment files over the app:// protocol
+ * - The system tray, the quick capture window and its global shortcut
  * - App lifecycle management
  */
 
-const { app, BrowserWindow, ipcMain } = require('electron');
+const {
+  app, BrowserWindow, ipcMain, dialog, net, shell, protocol, session, screen, Tray, Menu, globalShortcut
+} = require('electron');
+const fs = require('fs');
 const path = require('path');
-const db = require('./db');
+const { createSyncScheduler } = require('./sync-scheduler');
+const auth = require('./auth');
+const markdownNotes = require('./markdown-notes');
+const noteImporters = require('./note-importers');
+const backups = require('./backups');
+const attachments = require('./attachments');
+const windowState = require('./window-state');
+const { CHANNEL_SCHEMAS, validateArgs, notFound, toErrorResponse } = require('./ipc-validation');
+
+/**
+ * Open the database (runs schema migrations)
+ * If the database cannot be opened - e.g. it was created by a newer version
+ * of the app or a migration failed - keep the error and report it on startup
+ * instead of crashing with an unhandled exception.
+ */
+let db = null;
+let dbInitError = null;
+try {
+  db = require('./db');
+} catch (error) {
+  dbInitError = error;
+  console.error('Failed to open database:', error);
+}
 
 // Handle Squirrel events for Windows auto-updater
 if (require('electron-squirrel-startup')) {
@@ -60,6 +90,12 @@ console.error = (...args) => {
 app.commandLine.appendSwitch('disable-gpu-sandbox');
 app.commandLine.appendSwitch('disable-software-rasterizer');
 
+// app://attachments/<hash> serves attachment files to the windows (see registerAttachmentProtocol).
+// Custom schemes must be registered before the app is ready
+protocol.registerSchemesAsPrivileged([
+  { scheme: 'app', privileges: { standard: true, secure: true, supportFetchAPI: true, stream: true } }
+]);
+
 // Set cache directory after app is ready to avoid permission issues
 app.once('ready', () => {
   try {
@@ -71,22 +107,105 @@ app.once('ready', () => {
   }
 });
 
+// Link schemes opened in the system browser / mail app (see keepLinksOutOfApp)
+const EXTERNAL_LINK_PROTOCOLS = ['http:', 'https:', 'mailto:'];
+
+/**
+ * Open links clicked in a window (e.g. in the Markdown preview) outside the app
+ * The window itself never navigates away from the app's pages or opens new
+ * windows; only http(s) and mailto links are handed to the OS.
+ * @param {BrowserWindow} win - Window to guard
+ */
+const keepLinksOutOfApp = (win) => {
+  const openExternally = (url) => {
+    try {
+      if (EXTERNAL_LINK_PROTOCOLS.includes(new URL(url).protocol)) {
+        shell.openExternal(url);
+      }
+    } catch (error) {
+      console.warn('Ignored link with an invalid URL:', url);
+    }
+  };
+
+  win.webContents.setWindowOpenHandler(({ url }) => {
+    openExternally(url);
+    return { action: 'deny' };
+  });
+
+  win.webContents.on('will-navigate', (event, url) => {
+    event.preventDefault();
+    openExternally(url);
+  });
+};
+
+// Settings shared by all app windows
+const WINDOW_WEB_PREFERENCES = {
+  // Security: Enable context isolation and disable node integration
+  contextIsolation: true,
+  nodeIntegration: false,
+  preload: path.join(__dirname, 'preload.js'),
+  // Disable some features that cause harmless errors
+  enableWebSQL: false,
+  // Set cache location to avoid permission issues
+  partition: 'persist:main'
+};
+
+// The main window (null when closed) and the windows showing a single note (note ID -> window)
+let mainWindow = null;
+const noteWindows = new Map();
+
+// Set when the app starts quitting: windows closed from then on are reopened on the next start
+let quitting = false;
+
+/**
+ * Saved bounds of a window, if they still fit on a connected display
+ * @param {Object|null} bounds - Bounds from window-state.js
+ * @returns {Object} BrowserWindow options ({} to use the defaults)
+ */
+const restoredBounds = (bounds) => {
+  const visible = windowState.visibleBounds(bounds, screen.getAllDisplays().map(display => display.workArea));
+  if (!visible) return {};
+
+  const { x, y, width, height } = visible;
+  return { x, y, width, height };
+};
+
+/**
+ * Report a window's bounds whenever it is moved, resized, maximized or restored
+ * The normal (not maximized) bounds are reported, with a maximized flag.
+ * @param {BrowserWindow} win - Window to follow
+ * @param {Function} save - Called with { x, y, width, height, maximized }
+ */
+const trackWindowBounds = (win, save) => {
+  const report = () => {
+    if (!win.isDestroyed() && !win.isMinimized()) {
+      save({ ...win.getNormalBounds(), maximized: win.isMaximized() });
+    }
+  };
+  ['resize', 'move', 'maximize', 'unmaximize'].forEach(eventName => win.on(eventName, report));
+};
+
 /**
  * Create the main application window
+ * It opens where it was last closed (see window-state.js).
  */
 const createWindow = () => {
+  const saved = windowState.getMainWindowBounds();
   const win = new BrowserWindow({
     width: 1200,
     height: 800,
-    webPreferences: {
-      // Security: Enable context isolation and disable node integration
-      contextIsolation: true,
-      nodeIntegration: false,
-      preload: path.join(__dirname, 'preload.js'),
-      // Disable some features that cause harmless errors
-      enableWebSQL: false,
-      // Set cache location to avoid permission issues
-      partition: 'persist:main'
+    ...restoredBounds(saved),
+    webPreferences: WINDOW_WEB_PREFERENCES
+  });
+  mainWindow = win;
+
+  if (saved && saved.maximized) {
+    win.maximize();
+  }
+  trackWindowBounds(win, windowState.setMainWindowBounds);
+  win.on('closed', () => {
+    if (mainWindow === win) {
+      mainWindow = null;
     }
   });
 
@@ -95,6 +214,8 @@ const createWindow = () => {
   // They come from Chromium's internal DevTools and cannot be easily suppressed
   // without disabling DevTools entirely, which we don't want in development.
 
+  keepLinksOutOfApp(win);
+
   // Load the HTML file
   win.loadFile('index.html');
 
@@ -104,171 +225,2078 @@ const createWindow = () => {
   }
 };
 
-// ============================================
-// IPC Handlers for Database Operations
-// ============================================
+/**
+ * Bring the main window to the front, opening it if it was closed
+ */
+const showMainWindow = () => {
+  if (!mainWindow) {
+    createWindow();
+    return;
+  }
+  if (mainWindow.isMinimized()) {
+    mainWindow.restore();
+  }
+  mainWindow.focus();
+};
 
 /**
- * Handle: Add a new note
- * IPC: 'db:addNote'
+ * Open a note in its own editor window, or bring its window to the front
+ * The window loads index.html with ?note=<id>; renderer.js then shows only the
+ * editor. Its bounds are remembered, and it reopens on the next start unless
+ * it was closed before quitting.
+ * @param {number} noteId - Note ID
+ * @param {Object|null} bounds - Bounds to open at (default: where this note's window was last)
  */
-ipcMain.handle('db:addNote', async (event, title, content) => {
-  try {
-    const note = db.addNote(title, content);
-    return { success: true, data: note };
-  } catch (error) {
-    console.error('Error adding note:', error);
-    return { success: false, error: error.message };
+const openNoteWindow = (noteId, bounds = null) => {
+  const existing = noteWindows.get(noteId);
+  if (existing) {
+    if (existing.isMinimized()) {
+      existing.restore();
+    }
+    existing.focus();
+    return;
   }
-});
+
+  const saved = bounds || (windowState.getNoteWindows().find(note => note.noteId === noteId) || {}).bounds || null;
+  const win = new BrowserWindow({
+    width: 800,
+    height: 700,
+    minWidth: 400,
+    minHeight: 300,
+    ...restoredBounds(saved),
+    webPreferences: WINDOW_WEB_PREFERENCES
+  });
+  noteWindows.set(noteId, win);
+
+  if (saved && saved.maximized) {
+    win.maximize();
+  }
+  windowState.setNoteWindowBounds(noteId, { ...win.getNormalBounds(), maximized: win.isMaximized() });
+  trackWindowBounds(win, (newBounds) => windowState.setNoteWindowBounds(noteId, newBounds));
+
+  win.on('close', () => {
+    if (!quitting) {
+      windowState.forgetNoteWindow(noteId);
+    }
+  });
+  win.on('closed', () => {
+    noteWindows.delete(noteId);
+  });
+
+  keepLinksOutOfApp(win);
+
+  win.loadFile('index.html', { query: { note: String(noteId) } });
+};
 
 /**
- * Handle: Get all notes
- * IPC: 'db:getNotes'
+ * Reopen the note windows that were open when the app last quit
+ * Notes deleted or moved to the Trash since are skipped.
+ */
+const reopenNoteWindows = () => {
+  for (const { noteId, bounds } of windowState.getNoteWindows()) {
+    const note = db.getNoteById(noteId);
+    if (note && !note.trashed_at) {
+      openNoteWindow(noteId, bounds);
+    } else {
+      windowState.forgetNoteWindow(noteId);
+    }
+  }
+};
+
+// How long to wait for a window to save its editor before quitting without it
+const EDITOR_SAVE_TIMEOUT_MS = 5000;
+
+// Windows asked to save their editor (webContents ID -> called when the window answers)
+const pendingEditorSaves = new Map();
+
+/**
+ * Ask the main window and the note windows to save the note open in their editor
+ * Used before quitting: the windows' own beforeunload saves would reach the
+ * database after it is closed. A window that does not answer in time
+ * (still loading, or waiting for the user in a dialog) is not waited for.
+ * @returns {Promise<void>} Resolves when every window answered, closed or timed out
+ */
+const saveOpenEditors = () => {
+  const windows = [mainWindow, ...noteWindows.values()].filter(win => win && !win.isDestroyed());
+
+  return Promise.all(windows.map(win => new Promise((resolve) => {
+    const { webContents } = win;
+    const done = () => {
+      clearTimeout(timer);
+      webContents.removeListener('destroyed', done);
+      pendingEditorSaves.delete(webContents.id);
+      resolve();
+    };
+    const timer = setTimeout(done, EDITOR_SAVE_TIMEOUT_MS);
+    webContents.once('destroyed', done);
+    pendingEditorSaves.set(webContents.id, done);
+    webContents.send('windows:saveEditor');
+  }))).then(() => {});
+};
+
+// Window asking for the passphrase of an encrypted database (null when not shown)
+let unlockWindow = null;
+
+/**
+ * Create the unlock window shown before the main window when notes are encrypted
+ */
+const createUnlockWindow = () => {
+  unlockWindow = new BrowserWindow({
+    width: 420,
+    height: 340,
+    resizable: false,
+    maximizable: false,
+    title: 'Unlock Notes',
+    webPreferences: WINDOW_WEB_PREFERENCES
+  });
+
+  unlockWindow.on('closed', () => {
+    unlockWindow = null;
+  });
+
+  keepLinksOutOfApp(unlockWindow);
+
+  unlockWindow.loadFile('unlock.html');
+};
+
+let appStarted = false;
+
+/**
+ * Open the main window and start background work
+ * Called once the database can be read: at launch, or after unlocking.
  */
-ipcMain.handle('db:getNotes', async (event, sortBy, order) => {
+const startApp = () => {
+  createWindow();
+  // No-op if already running (e.g. unlocking again after restoring a backup)
+  syncScheduler.start();
+
+  if (appStarted) return;
+  appStarted = true;
+
   try {
-    const notes = db.getNotes(sortBy, order);
-    return { success: true, data: notes };
+    reopenNoteWindows();
   } catch (error) {
-    console.error('Error getting notes:', error);
-    return { success: false, error: error.message };
+    console.error('Error reopening note windows:', error);
   }
-});
+
+  createTray();
+
+  purgeExpiredTrash();
+  trashPurgeTimer = setInterval(purgeExpiredTrash, TRASH_PURGE_INTERVAL_MS);
+
+  removeUnusedAttachments();
+  attachmentCleanupTimer = setInterval(removeUnusedAttachments, ATTACHMENT_CLEANUP_INTERVAL_MS);
+
+  runScheduledBackup();
+  backupTimer = setInterval(runScheduledBackup, BACKUP_CHECK_INTERVAL_MS);
+};
+
+// ============================================
+// Background Sync
+// ============================================
 
 /**
- * Handle: Get a single note by ID
- * IPC: 'db:getNoteById'
+ * Send an event to every open window
+ * @param {string} channel - IPC channel name
+ * @param {*} payload - Data to send
  */
-ipcMain.handle('db:getNoteById', async (event, id) => {
-  try {
-    const note = db.getNoteById(id);
-    if (!note) {
-      return { success: false, error: 'Note not found' };
+const broadcast = (channel, payload) => {
+  BrowserWindow.getAllWindows().forEach((win) => {
+    if (!win.isDestroyed()) {
+      win.webContents.send(channel, payload);
     }
-    return { success: true, data: note };
-  } catch (error) {
-    console.error('Error getting note:', error);
-    return { success: false, error: error.message };
+  });
+};
+
+/**
+ * Sync scheduler - syncs on an interval and shortly after local edits,
+ * backs off on failure and pauses while offline (see sync-scheduler.js)
+ */
+const syncScheduler = createSyncScheduler({
+  sync: (apiUrl) => db.syncWithBackend(apiUrl, {
+    fetch: auth.authorizedFetch,
+    onProgress: (progress) => broadcast('sync:progress', progress)
+  }),
+  getApiUrl: () => db.getApiUrl(),
+  isOnline: () => net.isOnline(),
+  onStatus: (status) => {
+    broadcast('sync:status', status);
+    scheduleTrayUpdate();
   }
 });
 
+// Push database changes to every window, whichever window (or sync) made them
+// (no database if it failed to open: startup reports that and quits)
+if (db) {
+  db.changeEvents.on('change', (change) => broadcast('db:changed', change));
+}
+
+// ============================================
+// System Tray and Quick Capture
+// ============================================
+
+// Notes listed under "Recent Notes" in the tray menu
+const RECENT_NOTES_IN_TRAY = 10;
+
+// Changes arriving close together (e.g. typing in the editor) rebuild the tray menu once
+const TRAY_UPDATE_DELAY_MS = 1000;
+
+// Longest note title shown in the tray menu
+const TRAY_TITLE_LENGTH = 50;
+
+// Sync states as shown in the tray
+const TRAY_SYNC_LABELS = {
+  idle: 'Auto-sync on',
+  syncing: 'Syncing...',
+  offline: 'Offline - sync paused',
+  error: 'Last sync failed - retrying',
+  'auth-required': 'Login required - sync paused',
+  stopped: 'Auto-sync stopped'
+};
+
+let tray = null;
+let trayUpdateTimer = null;
+let quickCaptureWindow = null;
+
+// Accelerator of the quick capture shortcut currently registered ('' for none)
+let registeredShortcut = '';
+
 /**
- * Handle: Update a note
- * IPC: 'db:updateNote'
+ * Show the notes: the main window, or the unlock window while the database is locked
  */
-ipcMain.handle('db:updateNote', async (event, id, title, content) => {
-  try {
-    const note = db.updateNote(id, title, content);
-    if (!note) {
-      return { success: false, error: 'Note not found' };
+const showApp = () => {
+  if (db.isUnlocked()) {
+    showMainWindow();
+  } else if (unlockWindow) {
+    unlockWindow.focus();
+  } else {
+    createUnlockWindow();
+  }
+};
+
+/**
+ * Open the quick capture window (a small always-on-top window for jotting down a note)
+ */
+const showQuickCapture = () => {
+  if (!db.isUnlocked()) {
+    showApp();
+    return;
+  }
+
+  if (quickCaptureWindow) {
+    quickCaptureWindow.show();
+    quickCaptureWindow.focus();
+    return;
+  }
+
+  quickCaptureWindow = new BrowserWindow({
+    width: 460,
+    height: 340,
+    alwaysOnTop: true,
+    resizable: false,
+    minimizable: false,
+    maximizable: false,
+    fullscreenable: false,
+    skipTaskbar: true,
+    title: 'Quick Capture',
+    webPreferences: WINDOW_WEB_PREFERENCES
+  });
+
+  quickCaptureWindow.on('closed', () => {
+    quickCaptureWindow = null;
+  });
+
+  keepLinksOutOfApp(quickCaptureWindow);
+
+  quickCaptureWindow.loadFile('quick-capture.html');
+};
+
+/**
+ * Quick capture shortcut pressed: open the quick capture window, or close it if it has the focus
+ */
+const toggleQuickCapture = () => {
+  if (quickCaptureWindow && quickCaptureWindow.isFocused()) {
+    quickCaptureWindow.close();
+  } else {
+    showQuickCapture();
+  }
+};
+
+/**
+ * Register the global quick capture shortcut in place of the current one
+ * @param {string} accelerator - Electron accelerator (e.g. 'CommandOrControl+Alt+N'), '' for none
+ * @returns {boolean} False if it is not a valid accelerator or another app has it
+ *   (the current shortcut then stays registered)
+ */
+const registerQuickCaptureShortcut = (accelerator) => {
+  if (accelerator === registeredShortcut) return true;
+
+  const register = (keys) => {
+    try {
+      return globalShortcut.register(keys, toggleQuickCapture);
+    } catch (error) {
+      // Electron throws for strings that are not accelerators
+      return false;
     }
-    return { success: true, data: note };
-  } catch (error) {
-    console.error('Error updating note:', error);
-    return { success: false, error: error.message };
+  };
+
+  if (registeredShortcut) {
+    globalShortcut.unregister(registeredShortcut);
   }
-});
+
+  if (accelerator && !register(accelerator)) {
+    if (registeredShortcut) {
+      register(registeredShortcut);
+    }
+    return false;
+  }
+
+  registeredShortcut = accelerator;
+  scheduleTrayUpdate();
+  return true;
+};
 
 /**
- * Handle: Delete a note
- * IPC: 'db:deleteNote'
+ * Change the tray / quick capture settings and apply them
+ * @param {Object} changes - Any of { quickCaptureShortcut, keepRunningInTray }
+ * @returns {Object} The stored settings
+ * @throws {Error} If a value is invalid or the shortcut cannot be registered (nothing is changed)
  */
-ipcMain.handle('db:deleteNote', async (event, id) => {
-  try {
-    const deleted = db.deleteNote(id);
-    return { success: deleted, message: deleted ? 'Note deleted' : 'Note not found' };
-  } catch (error) {
-    console.error('Error deleting note:', error);
-    return { success: false, error: error.message };
+const saveDesktopSettings = (changes) => {
+  const previous = db.getDesktopSettings();
+  const settings = db.setDesktopSettings({ ...previous, ...changes });
+
+  if (!registerQuickCaptureShortcut(settings.quickCaptureShortcut)) {
+    db.setDesktopSettings(previous);
+    throw new Error(
+      `${settings.quickCaptureShortcut} cannot be used as the quick capture shortcut: ` +
+      'it is not a valid key combination or another app already uses it'
+    );
   }
-});
+
+  scheduleTrayUpdate();
+  return settings;
+};
 
 /**
- * Handle: Add multiple notes using transaction
- * IPC: 'db:addNotesBulk'
+ * Shorten a note title for a menu item
+ * @param {string} title - Note title
+ * @returns {string} Label ('&' is doubled so Windows does not read it as a mnemonic)
  */
-ipcMain.handle('db:addNotesBulk', async (event, notes) => {
-  try {
-    const ids = db.addNotesBulk(notes);
-    return { success: true, data: ids, count: ids.length };
-  } catch (error) {
-    console.error('Error adding notes in bulk:', error);
-    return { success: false, error: error.message };
+const trayNoteLabel = (title) => {
+  const label = title.length > TRAY_TITLE_LENGTH ? `${title.slice(0, TRAY_TITLE_LENGTH - 1)}…` : title;
+  return label.replace(/&/g, '&&');
+};
+
+/**
+ * Describe the background sync status in one line
+ * @returns {string} e.g. 'Auto-sync on · last synced 10:42:07'
+ */
+const traySyncLabel = () => {
+  const status = syncScheduler.getStatus();
+  const label = TRAY_SYNC_LABELS[status.state] || status.state;
+
+  return status.lastSyncAt
+    ? `${label} · last synced ${new Date(status.lastSyncAt).toLocaleTimeString()}`
+    : label;
+};
+
+/**
+ * Menu items of the most recently edited notes (each opens in its own window)
+ * @returns {Array} Menu item templates
+ */
+const recentNotesMenu = () => {
+  if (!db.isUnlocked()) {
+    return [{ label: 'Unlock to see your notes', enabled: false }];
   }
-});
+
+  const { notes } = db.getNotesPage('updated_at', 'DESC', {}, { limit: RECENT_NOTES_IN_TRAY });
+  if (notes.length === 0) {
+    return [{ label: 'No notes yet', enabled: false }];
+  }
+
+  return notes.map(note => ({
+    label: trayNoteLabel(note.title),
+    click: () => openNoteWindow(note.id)
+  }));
+};
 
 /**
- * Handle: Search notes
- * IPC: 'db:searchNotes'
+ * Rebuild the tray menu and tooltip (recent notes, sync status, settings)
  */
-ipcMain.handle('db:searchNotes', async (event, query) => {
+const updateTray = () => {
+  clearTimeout(trayUpdateTimer);
+  trayUpdateTimer = null;
+  if (!tray || tray.isDestroyed()) return;
+
   try {
-    const notes = db.searchNotes(query);
-    return { success: true, data: notes };
+    const syncLabel = traySyncLabel();
+    const { keepRunningInTray } = db.getDesktopSettings();
+    const canSync = db.isUnlocked() && Boolean(db.getApiUrl()) && syncScheduler.getStatus().state !== 'syncing';
+
+    tray.setToolTip(`Notes - ${syncLabel}`);
+    tray.setContextMenu(Menu.buildFromTemplate([
+      { label: 'Quick Capture...', accelerator: registeredShortcut || undefined, click: showQuickCapture },
+      { label: 'Show Notes', click: showApp },
+      { type: 'separator' },
+      { label: 'Recent Notes', submenu: recentNotesMenu() },
+      { type: 'separator' },
+      { label: syncLabel, enabled: false },
+      { label: 'Sync Now', enabled: canSync, click: () => syncScheduler.syncNow() },
+      { type: 'separator' },
+      {
+        label: 'Keep Running When Windows Are Closed',
+        type: 'checkbox',
+        checked: keepRunningInTray,
+        click: (item) => {
+          try {
+            saveDesktopSettings({ keepRunningInTray: item.checked });
+          } catch (error) {
+            console.error('Error saving tray setting:', error);
+          }
+        }
+      },
+      { label: 'Quit', click: () => app.quit() }
+    ]));
   } catch (error) {
-    console.error('Error searching notes:', error);
-    return { success: false, error: error.message };
+    console.error('Error updating tray menu:', error);
   }
-});
+};
 
 /**
- * Handle: Get database statistics
- * IPC: 'db:getStats'
+ * Rebuild the tray menu once changes pause
  */
-ipcMain.handle('db:getStats', async () => {
-  try {
-    const stats = db.getStats();
-    return { success: true, data: stats };
-  } catch (error) {
-    console.error('Error getting stats:', error);
-    return { success: false, error: error.message };
+const scheduleTrayUpdate = () => {
+  if (tray && !trayUpdateTimer) {
+    trayUpdateTimer = setTimeout(updateTray, TRAY_UPDATE_DELAY_MS);
   }
-});
+};
 
 /**
- * Handle: Sync with backend API
- * IPC: 'db:syncWithBackend'
+ * Create the tray icon and register the quick capture shortcut
+ * The recent notes follow database changes, the status line follows background sync.
  */
-ipcMain.handle('db:syncWithBackend', async (event, apiUrl) => {
-  try {
-    const result = await db.syncWithBackend(apiUrl);
-    return result;
-  } catch (error) {
-    console.error('Error syncing with backend:', error);
-    return {
-      success: false,
-      error: error.message,
-      message: 'Sync failed'
-    };
+const createTray = () => {
+  tray = new Tray(path.join(__dirname, 'assets', 'tray-icon.png'));
+
+  // Windows / Linux: clicking the icon shows the notes (the menu opens with a right click)
+  tray.on('click', showApp);
+
+  db.changeEvents.on('change', (change) => {
+    if (change.table === 'notes') {
+      scheduleTrayUpdate();
+    }
+  });
+
+  const { quickCaptureShortcut } = db.getDesktopSettings();
+  if (!registerQuickCaptureShortcut(quickCaptureShortcut)) {
+    console.warn(`Could not register the quick capture shortcut ${quickCaptureShortcut}`);
   }
-});
+
+  updateTray();
+};
 
 // ============================================
-// App Lifecycle Events
+// Trash Purge
 // ============================================
 
-// When Electron is ready, create the window
-app.whenReady().then(() => {
-  console.log('Electron app ready');
-  createWindow();
-});
+// How often to check the Trash for notes past the retention period
+const TRASH_PURGE_INTERVAL_MS = 60 * 60 * 1000;
+let trashPurgeTimer = null;
 
-// Quit when all windows are closed (except on macOS)
-app.on('window-all-closed', () => {
-  if (process.platform !== 'darwin') {
-    app.quit();
+/**
+ * Permanently delete notes that have been in the Trash too long
+ * Purged notes the server knows about become tombstones, so schedule a sync
+ */
+const purgeExpiredTrash = () => {
+  try {
+    const purged = db.purgeTrash();
+    if (purged > 0) {
+      console.log(`Purged ${purged} note(s) from the Trash`);
+      syncScheduler.notifyLocalChange();
+    }
+  } catch (error) {
+    console.error('Error purging trash:', error);
   }
-});
+};
 
-// On macOS, recreate window when dock icon is clicked
-app.on('activate', () => {
-  if (BrowserWindow.getAllWindows().length === 0) {
-    createWindow();
+// ============================================
+// Attachments
+// ============================================
+
+// How often to delete attachment files no note uses any more
+const ATTACHMENT_CLEANUP_INTERVAL_MS = 60 * 60 * 1000;
+let attachmentCleanupTimer = null;
+
+// Served with every attachment: an attached HTML or SVG file must never run scripts
+const ATTACHMENT_RESPONSE_CSP = "default-src 'none'; img-src 'self'; style-src 'unsafe-inline'; sandbox";
+
+/**
+ * Serve attachment files at app://attachments/<hash>
+ * Handled on the session the windows use (partition 'persist:main'), with
+ * the MIME type recorded when the file was attached.
+ */
+const registerAttachmentProtocol = () => {
+  session.fromPartition('persist:main').protocol.handle('app', async (request) => {
+    try {
+      const { host, pathname } = new URL(request.url);
+      const hash = pathname.slice(1);
+      const attachment = host === 'attachments' && attachments.isAttachmentHash(hash)
+        ? db.getAttachmentByHash(hash)
+        : null;
+      const data = attachment && await attachments.readAttachmentFile(db.attachmentsDir, hash);
+
+      if (!data) {
+        return new Response('Not found', { status: 404 });
+      }
+
+      return new Response(data, {
+        headers: {
+          'Content-Type': attachment.mime_type,
+          'Content-Security-Policy': ATTACHMENT_RESPONSE_CSP,
+          'X-Content-Type-Options': 'nosniff'
+        }
+      });
+    } catch (error) {
+      console.error('Error serving attachment:', error);
+      return new Response('Error', { status: 500 });
+    }
+  });
+};
+
+/**
+ * Delete attachment files no note uses any more
+ */
+const removeUnusedAttachments = () => {
+  try {
+    const removed = db.deleteOrphanAttachments();
+    if (removed > 0) {
+      console.log(`Deleted ${removed} unused attachment file(s)`);
+    }
+  } catch (error) {
+    console.error('Error cleaning up attachments:', error);
+  }
+};
+
+// ============================================
+// Backups
+// ============================================
+
+// How often to check whether a scheduled backup is due, and how far apart they are
+const BACKUP_CHECK_INTERVAL_MS = 60 * 60 * 1000;
+const BACKUP_INTERVAL_MS = 24 * 60 * 60 * 1000;
+let backupTimer = null;
+
+// Problems found by the startup integrity check. Scheduled backups are
+// paused while there are any, so damaged copies never rotate out good ones.
+let integrityProblems = [];
+
+// Backups and restores run one at a time (see runExclusive)
+let backupQueue = Promise.resolve();
+
+/**
+ * Get the folder backups are stored in
+ * @returns {string} Path of userData/backups
+ */
+const getBackupDir = () => path.join(app.getPath('userData'), 'backups');
+
+/**
+ * Run a backup or restore after any other one has finished
+ * @param {Function} task - async () => result
+ * @returns {Promise<*>} Result of the task
+ */
+const runExclusive = (task) => {
+  const run = backupQueue.then(task);
+  backupQueue = run.catch(() => {});
+  return run;
+};
+
+/**
+ * Back up the database into the backups folder and apply the retention
+ * The new file is checked before older backups are rotated out.
+ * @param {string} kind - 'scheduled', 'manual' or 'pre-restore'
+ * @returns {Promise<Object>} The backup (see backups.listBackups)
+ */
+const writeBackup = async (kind) => {
+  const dir = getBackupDir();
+  fs.mkdirSync(dir, { recursive: true });
+
+  const destination = path.join(dir, backups.backupFileName(kind));
+  await db.createBackup(destination);
+
+  const check = backups.verifyDatabaseFile(destination);
+  if (!check.ok) {
+    fs.rmSync(destination, { force: true });
+    throw new Error(`The backup failed its integrity check: ${check.problems[0]}`);
+  }
+
+  backups.pruneBackups(dir, db.getBackupRetention());
+  return backups.findBackup(dir, path.basename(destination));
+};
+
+/**
+ * Take a scheduled backup if the last one is more than a day old
+ */
+const runScheduledBackup = async () => {
+  if (integrityProblems.length > 0) {
+    console.warn('Scheduled backup skipped: the database failed its integrity check');
+    return;
+  }
+
+  try {
+    // A backup taken just before a restore holds the old state, not the current one
+    const latest = backups.listBackups(getBackupDir()).find(backup => backup.kind !== 'pre-restore');
+    if (latest && Date.now() - new Date(latest.createdAt).getTime() < BACKUP_INTERVAL_MS) {
+      return;
+    }
+
+    const backup = await runExclusive(() => writeBackup('scheduled'));
+    console.log('Database backed up to:', backup.path);
+  } catch (error) {
+    console.error('Error backing up database:', error);
+  }
+};
+
+/**
+ * Replace the database with a backup while the app is running
+ * Background sync is paused (and any running sync finished) first, and the
+ * current state is backed up so the restore can be undone.
+ * @param {string} file - Backup file name (see backups.listBackups)
+ * @returns {Promise<Object>} Encryption status of the restored database
+ */
+const restoreFromBackup = (file) => runExclusive(async () => {
+  const backup = backups.findBackup(getBackupDir(), file);
+  if (!backup) {
+    throw new Error('Backup not found');
+  }
+
+  const check = backups.verifyDatabaseFile(backup.path);
+  if (!check.ok) {
+    throw new Error(`The backup is damaged: ${check.problems[0]}`);
+  }
+
+  const wasSyncing = syncScheduler.getStatus().state !== 'stopped';
+  syncScheduler.stop();
+  await syncScheduler.whenIdle();
+
+  try {
+    await writeBackup('pre-restore');
+    const status = db.restoreBackup(backup.path);
+    integrityProblems = [];
+    console.log('Database restored from:', backup.path);
+    return status;
+  } finally {
+    if (wasSyncing && db.isUnlocked()) {
+      syncScheduler.start();
+    }
+  }
+});
+
+/**
+ * Show the restored notes in every window
+ * A backup encrypted with a different passphrase must be unlocked first.
+ */
+const reloadAfterRestore = () => {
+  const windows = BrowserWindow.getAllWindows().filter(win => win !== unlockWindow);
+  scheduleTrayUpdate();
+
+  if (db.isUnlocked()) {
+    windows.forEach(win => win.webContents.reload());
+    return;
+  }
+
+  // Open the unlock window before closing the others so the app does not quit
+  if (!unlockWindow) {
+    createUnlockWindow();
+  }
+  windows.forEach(win => win.close());
+};
+
+/**
+ * Run the integrity check at startup and offer to restore the latest healthy backup
+ * @returns {Promise<boolean>} False if the user chose to quit
+ */
+const checkDatabaseIntegrity = async () => {
+  const { ok, problems } = db.checkIntegrity();
+  if (ok) return true;
+
+  integrityProblems = problems;
+  console.error('Database integrity check failed:', problems);
+
+  const latest = backups.listBackups(getBackupDir()).find(backup => backups.verifyDatabaseFile(backup.path).ok);
+  const buttons = latest ? ['Restore Latest Backup', 'Continue', 'Quit'] : ['Continue', 'Quit'];
+
+  const { response } = await dialog.showMessageBox({
+    type: 'warning',
+    title: 'Notes database is damaged',
+    message: 'The notes database failed its integrity check.',
+    detail: [
+      ...problems.slice(0, 5),
+      '',
+      latest
+        ? `The latest healthy backup is from ${new Date(latest.createdAt).toLocaleString()}.`
+        : 'No healthy backup was found.',
+      'Scheduled backups are paused until the database is restored.'
+    ].join('\n'),
+    buttons,
+    defaultId: 0,
+    cancelId: buttons.length - 1
+  });
+
+  if (buttons[response] === 'Quit') {
+    app.quit();
+    return false;
+  }
+  if (buttons[response] === 'Restore Latest Backup') {
+    try {
+      await restoreFromBackup(latest.file);
+    } catch (error) {
+      console.error('Error restoring backup:', error);
+      dialog.showErrorBox('Unable to restore backup', error.message);
+    }
+  }
+
+  return true;
+};
+
+// ============================================
+// IPC Argument Validation
+// ============================================
+
+/**
+ * Fail at startup, not on first use, if a channel was added without a schema
+ * @param {string} channel - IPC channel
+ */
+const requireSchema = (channel) => {
+  if (!CHANNEL_SCHEMAS[channel]) {
+    throw new Error(`No argument schema for IPC channel ${channel}`);
+  }
+};
+
+/**
+ * Register a handler for an invoked IPC channel
+ * The renderer's arguments are checked against the channel's schema (see
+ * ipc-validation.js) first; invalid calls never reach the handler and get
+ * { success: false, error, code: 'INVALID_ARGUMENT', field } back.
+ * @param {string} channel - IPC channel (e.g. 'db:addNote')
+ * @param {Function} handler - async (event, ...validatedArgs) => response
+ */
+const handleIpc = (channel, handler) => {
+  requireSchema(channel);
+
+  ipcMain.handle(channel, async (event, ...args) => {
+    let values;
+    try {
+      values = validateArgs(channel, args);
+    } catch (error) {
+      console.warn(`Rejected ${channel} call:`, error.message);
+      return toErrorResponse(error);
+    }
+    return handler(event, ...values);
+  });
+};
+
+/**
+ * Register a listener for a channel the renderer sends to without waiting for an answer
+ * Messages whose arguments fail the channel's schema are logged and dropped.
+ * @param {string} channel - IPC channel
+ * @param {Function} listener - (event, ...validatedArgs) => void
+ */
+const onIpc = (channel, listener) => {
+  requireSchema(channel);
+
+  ipcMain.on(channel, (event, ...args) => {
+    let values;
+    try {
+      values = validateArgs(channel, args);
+    } catch (error) {
+      console.warn(`Rejected ${channel} message:`, error.message);
+      return;
+    }
+    listener(event, ...values);
+  });
+};
+
+// ============================================
+// IPC Handlers for Database Operations
+// ============================================
+
+/**
+ * Handle: Add a new note
+ * IPC: 'db:addNote'
+ */
+handleIpc('db:addNote', async (event, title, content, notebookId) => {
+  try {
+    const note = db.addNote(title, content, notebookId);
+    syncScheduler.notifyLocalChange();
+    return { success: true, data: note };
+  } catch (error) {
+    console.error('Error adding note:', error);
+    return toErrorResponse(error);
+  }
+});
+
+/**
+ * Handle: Get all notes (optionally filtered by tags and notebook), or one page of them
+ * IPC: 'db:getNotes'
+ */
+handleIpc('db:getNotes', async (event, sortBy, order, filter, page) => {
+  try {
+    if (page) {
+      const { notes, nextCursor } = db.getNotesPage(sortBy, order, filter, page);
+      return { success: true, data: notes, nextCursor };
+    }
+    
+    const notes = db.getNotes(sortBy, order, filter);
+    return { success: true, data: notes };
+  } catch (error) {
+    console.error('Error getting notes:', error);
+    return toErrorResponse(error);
+  }
+});
+
+/**
+ * Handle: Get a single note by ID
+ * IPC: 'db:getNoteById'
+ */
+handleIpc('db:getNoteById', async (event, id) => {
+  try {
+    const note = db.getNoteById(id);
+    if (!note) {
+      return notFound('Note not found');
+    }
+    return { success: true, data: note };
+  } catch (error) {
+    console.error('Error getting note:', error);
+    return toErrorResponse(error);
+  }
+});
+
+/**
+ * Handle: Update a note
+ * IPC: 'db:updateNote'
+ */
+handleIpc('db:updateNote', async (event, id, title, content, expectedVersion) => {
+  try {
+    const note = db.updateNote(id, title, content, expectedVersion);
+    if (!note) {
+      return notFound('Note not found');
+    }
+    syncScheduler.notifyLocalChange();
+    return { success: true, data: note };
+  } catch (error) {
+    console.error('Error updating note:', error);
+    return toErrorResponse(error);
+  }
+});
+
+/**
+ * Handle: Permanently delete a note
+ * IPC: 'db:deleteNote'
+ */
+handleIpc('db:deleteNote', async (event, id) => {
+  try {
+    const deleted = db.deleteNote(id);
+    if (!deleted) {
+      return notFound('Note not found');
+    }
+    syncScheduler.notifyLocalChange();
+    return { success: true, message: 'Note deleted' };
+  } catch (error) {
+    console.error('Error deleting note:', error);
+    return toErrorResponse(error);
+  }
+});
+
+/**
+ * Handle: Move a note to the Trash
+ * IPC: 'db:trashNote'
+ */
+handleIpc('db:trashNote', async (event, id) => {
+  try {
+    const trashed = db.trashNote(id);
+    if (!trashed) {
+      return notFound('Note not found');
+    }
+    syncScheduler.notifyLocalChange();
+    return { success: true, message: 'Note moved to Trash' };
+  } catch (error) {
+    console.error('Error trashing note:', error);
+    return toErrorResponse(error);
+  }
+});
+
+/**
+ * Handle: Restore a note from the Trash
+ * IPC: 'db:restoreNote'
+ */
+handleIpc('db:restoreNote', async (event, id) => {
+  try {
+    const note = db.restoreNote(id);
+    if (!note) {
+      return notFound('Note is not in the Trash');
+    }
+    syncScheduler.notifyLocalChange();
+    return { success: true, data: note };
+  } catch (error) {
+    console.error('Error restoring note:', error);
+    return toErrorResponse(error);
+  }
+});
+
+/**
+ * Handle: Get the notes in the Trash
+ * IPC: 'db:getTrash'
+ */
+handleIpc('db:getTrash', async () => {
+  try {
+    const notes = db.getTrash();
+    return { success: true, data: notes, retentionDays: db.getTrashRetentionDays() };
+  } catch (error) {
+    console.error('Error getting trash:', error);
+    return toErrorResponse(error);
+  }
+});
+
+/**
+ * Handle: Permanently delete every note in the Trash
+ * IPC: 'db:emptyTrash'
+ */
+handleIpc('db:emptyTrash', async () => {
+  try {
+    const deleted = db.emptyTrash();
+    if (deleted > 0) {
+      syncScheduler.notifyLocalChange();
+    }
+    return { success: true, data: { deleted } };
+  } catch (error) {
+    console.error('Error emptying trash:', error);
+    return toErrorResponse(error);
+  }
+});
+
+/**
+ * Handle: Set how many days notes stay in the Trash
+ * Notes already past the new retention period are purged right away
+ * IPC: 'db:setTrashRetentionDays'
+ */
+handleIpc('db:setTrashRetentionDays', async (event, days) => {
+  try {
+    const retentionDays = db.setTrashRetentionDays(days);
+    purgeExpiredTrash();
+    return { success: true, data: { retentionDays } };
+  } catch (error) {
+    console.error('Error setting trash retention:', error);
+    return toErrorResponse(error);
+  }
+});
+
+/**
+ * Handle: Add multiple notes using transaction
+ * IPC: 'db:addNotesBulk'
+ */
+handleIpc('db:addNotesBulk', async (event, notes) => {
+  try {
+    const ids = db.addNotesBulk(notes);
+    syncScheduler.notifyLocalChange();
+    return { success: true, data: ids, count: ids.length };
+  } catch (error) {
+    console.error('Error adding notes in bulk:', error);
+    return toErrorResponse(error);
+  }
+});
+
+/**
+ * Handle: Search notes (all matches, or one page of them)
+ * IPC: 'db:searchNotes'
+ */
+handleIpc('db:searchNotes', async (event, query, filter, page) => {
+  try {
+    if (page) {
+      const { notes, nextCursor } = db.searchNotesPage(query, filter, page);
+      return { success: true, data: notes, nextCursor };
+    }
+    
+    const notes = db.searchNotes(query, filter);
+    return { success: true, data: notes };
+  } catch (error) {
+    console.error('Error searching notes:', error);
+    return toErrorResponse(error);
+  }
+});
+
+/**
+ * Handle: Get all tags with note counts
+ * IPC: 'db:getTags'
+ */
+handleIpc('db:getTags', async () => {
+  try {
+    const tags = db.getTags();
+    return { success: true, data: tags };
+  } catch (error) {
+    console.error('Error getting tags:', error);
+    return toErrorResponse(error);
+  }
+});
+
+/**
+ * Handle: Add a tag to a note
+ * IPC: 'db:addTagToNote'
+ */
+handleIpc('db:addTagToNote', async (event, noteId, name) => {
+  try {
+    const note = db.addTagToNote(noteId, name);
+    if (!note) {
+      return notFound('Note not found');
+    }
+    syncScheduler.notifyLocalChange();
+    return { success: true, data: note };
+  } catch (error) {
+    console.error('Error adding tag:', error);
+    return toErrorResponse(error);
+  }
+});
+
+/**
+ * Handle: Remove a tag from a note
+ * IPC: 'db:removeTagFromNote'
+ */
+handleIpc('db:removeTagFromNote', async (event, noteId, tagId) => {
+  try {
+    const removed = db.removeTagFromNote(noteId, tagId);
+    if (!removed) {
+      return notFound('Tag not found on note');
+    }
+    syncScheduler.notifyLocalChange();
+    return { success: true };
+  } catch (error) {
+    console.error('Error removing tag:', error);
+    return toErrorResponse(error);
+  }
+});
+
+/**
+ * Handle: Rename a tag
+ * IPC: 'db:renameTag'
+ */
+handleIpc('db:renameTag', async (event, id, newName) => {
+  try {
+    const tag = db.renameTag(id, newName);
+    if (!tag) {
+      return notFound('Tag not found');
+    }
+    syncScheduler.notifyLocalChange();
+    return { success: true, data: tag };
+  } catch (error) {
+    console.error('Error renaming tag:', error);
+    return toErrorResponse(error);
+  }
+});
+
+/**
+ * Handle: Merge one tag into another
+ * IPC: 'db:mergeTags'
+ */
+handleIpc('db:mergeTags', async (event, sourceId, targetId) => {
+  try {
+    const merged = db.mergeTags(sourceId, targetId);
+    if (!merged) {
+      return notFound('Tag not found');
+    }
+    syncScheduler.notifyLocalChange();
+    return { success: true };
+  } catch (error) {
+    console.error('Error merging tags:', error);
+    return toErrorResponse(error);
+  }
+});
+
+/**
+ * Handle: List the saved revisions of a note
+ * IPC: 'db:getNoteRevisions'
+ */
+handleIpc('db:getNoteRevisions', async (event, noteId) => {
+  try {
+    const revisions = db.getNoteRevisions(noteId);
+    return { success: true, data: revisions };
+  } catch (error) {
+    console.error('Error getting revisions:', error);
+    return toErrorResponse(error);
+  }
+});
+
+/**
+ * Handle: Diff two versions of a note (null revision ID = current version)
+ * IPC: 'db:diffRevisions'
+ */
+handleIpc('db:diffRevisions', async (event, noteId, fromRevisionId, toRevisionId) => {
+  try {
+    const diff = db.diffRevisions(noteId, fromRevisionId, toRevisionId);
+    if (!diff) {
+      return notFound('Revision not found');
+    }
+    return { success: true, data: diff };
+  } catch (error) {
+    console.error('Error diffing revisions:', error);
+    return toErrorResponse(error);
+  }
+});
+
+/**
+ * Handle: Restore a previous revision as a new edit
+ * IPC: 'db:restoreRevision'
+ */
+handleIpc('db:restoreRevision', async (event, noteId, revisionId) => {
+  try {
+    const note = db.restoreRevision(noteId, revisionId);
+    if (!note) {
+      return notFound('Revision not found');
+    }
+    syncScheduler.notifyLocalChange();
+    return { success: true, data: note };
+  } catch (error) {
+    console.error('Error restoring revision:', error);
+    return toErrorResponse(error);
+  }
+});
+
+/**
+ * Handle: Get all notebooks (flat list with parent IDs and note counts)
+ * IPC: 'db:getNotebooks'
+ */
+handleIpc('db:getNotebooks', async () => {
+  try {
+    const notebooks = db.getNotebooks();
+    return { success: true, data: notebooks };
+  } catch (error) {
+    console.error('Error getting notebooks:', error);
+    return toErrorResponse(error);
+  }
+});
+
+/**
+ * Handle: Create a notebook
+ * IPC: 'db:createNotebook'
+ */
+handleIpc('db:createNotebook', async (event, name, parentId) => {
+  try {
+    const notebook = db.createNotebook(name, parentId);
+    return { success: true, data: notebook };
+  } catch (error) {
+    console.error('Error creating notebook:', error);
+    return toErrorResponse(error);
+  }
+});
+
+/**
+ * Handle: Rename a notebook
+ * IPC: 'db:renameNotebook'
+ */
+handleIpc('db:renameNotebook', async (event, id, name) => {
+  try {
+    const notebook = db.renameNotebook(id, name);
+    if (!notebook) {
+      return notFound('Notebook not found');
+    }
+    syncScheduler.notifyLocalChange();
+    return { success: true, data: notebook };
+  } catch (error) {
+    console.error('Error renaming notebook:', error);
+    return toErrorResponse(error);
+  }
+});
+
+/**
+ * Handle: Move a notebook under another parent
+ * IPC: 'db:moveNotebook'
+ */
+handleIpc('db:moveNotebook', async (event, id, parentId) => {
+  try {
+    const moved = db.moveNotebook(id, parentId);
+    if (!moved) {
+      return notFound('Notebook not found');
+    }
+    syncScheduler.notifyLocalChange();
+    return { success: true };
+  } catch (error) {
+    console.error('Error moving notebook:', error);
+    return toErrorResponse(error);
+  }
+});
+
+/**
+ * Handle: Delete a notebook (its notes move to the parent)
+ * IPC: 'db:deleteNotebook'
+ */
+handleIpc('db:deleteNotebook', async (event, id) => {
+  try {
+    const deleted = db.deleteNotebook(id);
+    if (!deleted) {
+      return notFound('Notebook not found');
+    }
+    syncScheduler.notifyLocalChange();
+    return { success: true };
+  } catch (error) {
+    console.error('Error deleting notebook:', error);
+    return toErrorResponse(error);
+  }
+});
+
+/**
+ * Handle: Move a note into a notebook
+ * IPC: 'db:moveNoteToNotebook'
+ */
+handleIpc('db:moveNoteToNotebook', async (event, noteId, notebookId) => {
+  try {
+    const note = db.moveNoteToNotebook(noteId, notebookId);
+    if (!note) {
+      return notFound('Note not found');
+    }
+    syncScheduler.notifyLocalChange();
+    return { success: true, data: note };
+  } catch (error) {
+    console.error('Error moving note:', error);
+    return toErrorResponse(error);
+  }
+});
+
+/**
+ * Handle: Get a note's [[links]] and the notes linking to it
+ * IPC: 'db:getNoteLinks'
+ */
+handleIpc('db:getNoteLinks', async (event, noteId) => {
+  try {
+    return { success: true, data: db.getNoteLinks(noteId) };
+  } catch (error) {
+    console.error('Error getting note links:', error);
+    return toErrorResponse(error);
+  }
+});
+
+/**
+ * Handle: Find the note a [[link]] points at
+ * IPC: 'db:findNoteByTitle'
+ */
+handleIpc('db:findNoteByTitle', async (event, title) => {
+  try {
+    const note = db.findNoteByTitle(title);
+    if (!note) {
+      return notFound('No note has this title');
+    }
+    return { success: true, data: note };
+  } catch (error) {
+    console.error('Error finding note:', error);
+    return toErrorResponse(error);
+  }
+});
+
+/**
+ * Handle: Attach a file to a note
+ * IPC: 'db:addAttachment'
+ */
+handleIpc('db:addAttachment', async (event, noteId, fileName, data) => {
+  try {
+    const attachment = db.addAttachment(noteId, { fileName, data });
+    if (!attachment) {
+      return notFound('Note not found');
+    }
+    syncScheduler.notifyLocalChange();
+    return { success: true, data: attachment };
+  } catch (error) {
+    console.error('Error adding attachment:', error);
+    return toErrorResponse(error);
+  }
+});
+
+/**
+ * Handle: Get the attachments of a note
+ * IPC: 'db:getAttachments'
+ */
+handleIpc('db:getAttachments', async (event, noteId) => {
+  try {
+    return { success: true, data: db.getAttachments(noteId) };
+  } catch (error) {
+    console.error('Error getting attachments:', error);
+    return toErrorResponse(error);
+  }
+});
+
+/**
+ * Handle: Remove an attachment from its note
+ * IPC: 'db:removeAttachment'
+ */
+handleIpc('db:removeAttachment', async (event, id) => {
+  try {
+    const removed = db.removeAttachment(id);
+    if (!removed) {
+      return notFound('Attachment not found');
+    }
+    syncScheduler.notifyLocalChange();
+    return { success: true };
+  } catch (error) {
+    console.error('Error removing attachment:', error);
+    return toErrorResponse(error);
+  }
+});
+
+/**
+ * Handle: Get database statistics
+ * IPC: 'db:getStats'
+ */
+handleIpc('db:getStats', async (event, filter) => {
+  try {
+    const stats = db.getStats(filter);
+    return { success: true, data: stats };
+  } catch (error) {
+    console.error('Error getting stats:', error);
+    return toErrorResponse(error);
+  }
+});
+
+/**
+ * Handle: Get unresolved sync conflicts
+ * IPC: 'db:getConflicts'
+ */
+handleIpc('db:getConflicts', async () => {
+  try {
+    const conflicts = db.getConflicts();
+    return { success: true, data: conflicts };
+  } catch (error) {
+    console.error('Error getting conflicts:', error);
+    return toErrorResponse(error);
+  }
+});
+
+/**
+ * Handle: Resolve a sync conflict
+ * IPC: 'db:resolveConflict'
+ */
+handleIpc('db:resolveConflict', async (event, id, resolution, merged) => {
+  try {
+    const resolved = db.resolveConflict(id, resolution, merged);
+    if (!resolved) {
+      return notFound('Conflict not found');
+    }
+    syncScheduler.notifyLocalChange();
+    return { success: true };
+  } catch (error) {
+    console.error('Error resolving conflict:', error);
+    return toErrorResponse(error);
+  }
+});
+
+/**
+ * Handle: Get notes that failed to sync, with the server's reasons
+ * IPC: 'db:getSyncErrors'
+ */
+handleIpc('db:getSyncErrors', async () => {
+  try {
+    const errors = db.getSyncErrors();
+    return { success: true, data: errors };
+  } catch (error) {
+    console.error('Error getting sync errors:', error);
+    return toErrorResponse(error);
+  }
+});
+
+/**
+ * Handle: Retry syncing one failed note right away
+ * IPC: 'db:retryNoteSync'
+ */
+handleIpc('db:retryNoteSync', async (event, id) => {
+  try {
+    const queued = db.retryNoteSync(id);
+    if (!queued) {
+      return notFound('Note has no sync error');
+    }
+    // Not awaited: progress and the outcome arrive through sync:status
+    syncScheduler.syncNow();
+    return { success: true };
+  } catch (error) {
+    console.error('Error retrying note sync:', error);
+    return toErrorResponse(error);
+  }
+});
+
+/**
+ * Handle: Discard the local change of a note that failed to sync
+ * IPC: 'db:discardLocalChange'
+ */
+handleIpc('db:discardLocalChange', async (event, id) => {
+  try {
+    const discarded = db.discardLocalChange(id);
+    if (!discarded) {
+      return notFound('Note not found');
+    }
+    syncScheduler.notifyLocalChange();
+    return { success: true };
+  } catch (error) {
+    console.error('Error discarding local change:', error);
+    return toErrorResponse(error);
+  }
+});
+
+/**
+ * Handle: Sync with backend API
+ * IPC: 'db:syncWithBackend'
+ * Runs through the scheduler so a manual sync never overlaps a background one
+ */
+handleIpc('db:syncWithBackend', async (event, apiUrl) => {
+  try {
+    if (apiUrl) {
+      db.setApiUrl(apiUrl);
+    }
+    const result = await syncScheduler.syncNow();
+    return result || { success: false, synced: 0, message: 'No sync server configured' };
+  } catch (error) {
+    console.error('Error syncing with backend:', error);
+    return { ...toErrorResponse(error), message: 'Sync failed' };
+  }
+});
+
+// ============================================
+// IPC Handlers for Files (Markdown Export/Import, Attachments)
+// ============================================
+
+/**
+ * Handle: Export notes as Markdown files, to a folder or a single zip
+ * Asks for the destination with a save/open dialog
+ * IPC: 'files:exportMarkdown'
+ */
+handleIpc('files:exportMarkdown', async (event, format, filter) => {
+  try {
+    const notes = db.getNotesForExport(filter);
+    if (notes.length === 0) {
+      return { success: false, error: 'There are no notes to export' };
+    }
+    
+    const win = BrowserWindow.fromWebContents(event.sender);
+    let target;
+    let count;
+    
+    if (format === 'zip') {
+      const { canceled, filePath } = await dialog.showSaveDialog(win, {
+        title: 'Export Notes',
+        defaultPath: `notes-${new Date().toISOString().slice(0, 10)}.zip`,
+        filters: [{ name: 'Zip archive', extensions: ['zip'] }]
+      });
+      if (canceled || !filePath) {
+        return { success: false, canceled: true };
+      }
+      target = filePath;
+      count = markdownNotes.writeMarkdownZip(notes, target);
+    } else {
+      const { canceled, filePaths } = await dialog.showOpenDialog(win, {
+        title: 'Export Notes to Folder',
+        buttonLabel: 'Export Here',
+        properties: ['openDirectory', 'createDirectory']
+      });
+      if (canceled || filePaths.length === 0) {
+        return { success: false, canceled: true };
+      }
+      target = filePaths[0];
+      count = markdownNotes.writeMarkdownFolder(notes, target);
+    }
+    
+    return { success: true, data: { count, path: target } };
+  } catch (error) {
+    console.error('Error exporting notes:', error);
+    return { success: false, error: error.message };
+  }
+});
+
+/**
+ * Handle: Import Markdown files from a folder or a zip
+ * Notes that already exist are skipped (see db.importNotes)
+ * IPC: 'files:importMarkdown'
+ */
+handleIpc('files:importMarkdown', async (event, source) => {
+  try {
+    const win = BrowserWindow.fromWebContents(event.sender);
+    const { canceled, filePaths } = await dialog.showOpenDialog(win, source === 'zip'
+      ? {
+          title: 'Import Notes from Zip',
+          properties: ['openFile'],
+          filters: [{ name: 'Zip archive', extensions: ['zip'] }]
+        }
+      : {
+          title: 'Import Notes from Folder',
+          properties: ['openDirectory']
+        });
+    if (canceled || filePaths.length === 0) {
+      return { success: false, canceled: true };
+    }
+    
+    const notes = source === 'zip'
+      ? markdownNotes.readMarkdownZip(filePaths[0])
+      : markdownNotes.readMarkdownFolder(filePaths[0]);
+    const result = db.importNotes(notes);
+    
+    if (result.imported > 0) {
+      syncScheduler.notifyLocalChange();
+    }
+    return {
+      success: true,
+      data: { found: notes.length, imported: result.imported, skipped: result.skipped, failed: result.failed }
+    };
+  } catch (error) {
+    console.error('Error importing notes:', error);
+    return { success: false, error: error.message };
+  }
+});
+
+// ============================================
+// IPC Handlers for JSON/CSV/ENEX Import
+// ============================================
+
+// File dialog filters for each import format
+const IMPORT_FORMATS = {
+  json: { name: 'JSON', extensions: ['json'] },
+  csv: { name: 'CSV', extensions: ['csv', 'tsv', 'txt'] },
+  enex: { name: 'Evernote export', extensions: ['enex'] }
+};
+
+// Notes sent to the preview screen (the import itself covers every note)
+const IMPORT_PREVIEW_LIMIT = 200;
+
+// File being imported in each window (by webContents ID), kept between preview and commit
+// { format, fileName, text }
+const pendingImports = new Map();
+
+/**
+ * Parse the pending import of a window for the preview screen
+ * @param {Object} pending - Entry from pendingImports
+ * @param {Object} options - { mapping } for CSV
+ * @returns {Object} { fileName, format, total, notes, errors, warnings, headers, mapping }
+ */
+const previewImport = (pending, options = {}) => {
+  const parsed = noteImporters.parseImport(pending.format, pending.text, options);
+  return {
+    fileName: pending.fileName,
+    format: pending.format,
+    total: parsed.notes.length,
+    notes: parsed.notes.slice(0, IMPORT_PREVIEW_LIMIT),
+    errors: parsed.errors,
+    warnings: parsed.warnings,
+    headers: parsed.headers || null,
+    mapping: parsed.mapping || null
+  };
+};
+
+/**
+ * Handle: Choose a JSON, CSV or Evernote file to import and preview it
+ * Nothing is imported until 'files:commitImport'
+ * IPC: 'files:chooseImportFile'
+ */
+handleIpc('files:chooseImportFile', async (event, format) => {
+  try {
+    const win = BrowserWindow.fromWebContents(event.sender);
+    const { canceled, filePaths } = await dialog.showOpenDialog(win, {
+      title: `Import Notes from ${IMPORT_FORMATS[format].name}`,
+      properties: ['openFile'],
+      filters: [IMPORT_FORMATS[format], { name: 'All files', extensions: ['*'] }]
+    });
+    if (canceled || filePaths.length === 0) {
+      return { success: false, canceled: true };
+    }
+    
+    const pending = {
+      format,
+      fileName: path.basename(filePaths[0]),
+      text: fs.readFileSync(filePaths[0], 'utf8')
+    };
+    
+    if (!pendingImports.has(event.sender.id)) {
+      event.sender.once('destroyed', () => pendingImports.delete(event.sender.id));
+    }
+    pendingImports.set(event.sender.id, pending);
+    
+    return { success: true, data: previewImport(pending) };
+  } catch (error) {
+    console.error('Error reading import file:', error);
+    return { success: false, error: error.message };
+  }
+});
+
+/**
+ * Handle: Preview the chosen import file again (e.g. with a new CSV column mapping)
+ * IPC: 'files:previewImport'
+ */
+handleIpc('files:previewImport', async (event, options) => {
+  try {
+    const pending = pendingImports.get(event.sender.id);
+    if (!pending) {
+      return { success: false, error: 'Choose a file to import first' };
+    }
+    return { success: true, data: previewImport(pending, options) };
+  } catch (error) {
+    console.error('Error previewing import:', error);
+    return { success: false, error: error.message };
+  }
+});
+
+/**
+ * Handle: Import the valid notes of the chosen file in one transaction
+ * Entries that failed validation are counted as failed; duplicates are skipped
+ * IPC: 'files:commitImport'
+ */
+handleIpc('files:commitImport', async (event, options) => {
+  try {
+    const pending = pendingImports.get(event.sender.id);
+    if (!pending) {
+      return { success: false, error: 'Choose a file to import first' };
+    }
+    
+    const parsed = noteImporters.parseImport(pending.format, pending.text, options);
+    const result = db.importNotes(parsed.notes, { notebookId: options.notebookId || null });
+    pendingImports.delete(event.sender.id);
+    
+    if (result.imported > 0) {
+      syncScheduler.notifyLocalChange();
+    }
+    return {
+      success: true,
+      data: {
+        inserted: result.imported,
+        skipped: result.skipped,
+        failed: parsed.errors.length + result.failed,
+        errors: [
+          ...parsed.errors,
+          ...result.errors.map(error => ({ item: error.title, message: error.message }))
+        ]
+      }
+    };
+  } catch (error) {
+    console.error('Error importing notes:', error);
+    return { success: false, error: error.message };
+  }
+});
+
+/**
+ * Handle: Forget the chosen import file
+ * IPC: 'files:cancelImport'
+ */
+handleIpc('files:cancelImport', async (event) => {
+  pendingImports.delete(event.sender.id);
+  return { success: true };
+});
+
+/**
+ * Handle: Save a copy of an attachment file
+ * Asks for the destination with a save dialog (the attachment's name is suggested)
+ * IPC: 'files:saveAttachment'
+ */
+handleIpc('files:saveAttachment', async (event, hash) => {
+  try {
+    const attachment = db.getAttachmentByHash(hash);
+    const data = attachment && await attachments.readAttachmentFile(db.attachmentsDir, hash);
+    if (!data) {
+      return { success: false, error: 'Attachment not found' };
+    }
+    
+    const { canceled, filePath } = await dialog.showSaveDialog(BrowserWindow.fromWebContents(event.sender), {
+      title: 'Save Attachment',
+      defaultPath: attachment.file_name
+    });
+    if (canceled || !filePath) {
+      return { success: false, canceled: true };
+    }
+    
+    await fs.promises.writeFile(filePath, data);
+    return { success: true, data: { path: filePath } };
+  } catch (error) {
+    console.error('Error saving attachment:', error);
+    return { success: false, error: error.message };
+  }
+});
+
+// ============================================
+// IPC Handlers for Backups
+// ============================================
+
+/**
+ * Handle: List backups (newest first) with the retention settings
+ * IPC: 'backup:list'
+ */
+handleIpc('backup:list', async () => {
+  try {
+    return {
+      success: true,
+      data: backups.listBackups(getBackupDir()).map(({ path: filePath, ...backup }) => backup),
+      retention: db.getBackupRetention(),
+      integrityProblems
+    };
+  } catch (error) {
+    console.error('Error listing backups:', error);
+    return { success: false, error: error.message };
+  }
+});
+
+/**
+ * Handle: Back up the database now
+ * IPC: 'backup:create'
+ */
+handleIpc('backup:create', async () => {
+  try {
+    const { path: filePath, ...backup } = await runExclusive(() => writeBackup('manual'));
+    return { success: true, data: backup };
+  } catch (error) {
+    console.error('Error creating backup:', error);
+    return { success: false, error: error.message };
+  }
+});
+
+/**
+ * Handle: Replace the database with a backup and reload the windows
+ * IPC: 'backup:restore'
+ */
+handleIpc('backup:restore', async (event, file) => {
+  try {
+    const status = await restoreFromBackup(file);
+
+    // Reply before the windows reload
+    setImmediate(reloadAfterRestore);
+
+    return { success: true, data: status };
+  } catch (error) {
+    console.error('Error restoring backup:', error);
+    return { success: false, error: error.message };
+  }
+});
+
+/**
+ * Handle: Set how many daily / weekly backups to keep
+ * IPC: 'backup:setRetention'
+ */
+handleIpc('backup:setRetention', async (event, retention) => {
+  try {
+    const stored = db.setBackupRetention(retention);
+    const pruned = backups.pruneBackups(getBackupDir(), stored);
+    return { success: true, data: { ...stored, pruned } };
+  } catch (error) {
+    console.error('Error setting backup retention:', error);
+    return { success: false, error: error.message };
+  }
+});
+
+// ============================================
+// IPC Handlers for Encryption
+// ============================================
+
+/**
+ * Handle: Get encryption status
+ * IPC: 'security:getStatus'
+ */
+handleIpc('security:getStatus', async () => {
+  try {
+    return { success: true, data: db.getEncryptionStatus() };
+  } catch (error) {
+    console.error('Error getting encryption status:', error);
+    return { success: false, error: error.message };
+  }
+});
+
+/**
+ * Handle: Unlock the database and open the main window
+ * IPC: 'security:unlock'
+ */
+handleIpc('security:unlock', async (event, passphrase) => {
+  try {
+    if (!db.unlockDatabase(passphrase)) {
+      return { success: false, error: 'Incorrect passphrase' };
+    }
+
+    startApp();
+    if (unlockWindow) {
+      unlockWindow.close();
+    }
+
+    return { success: true };
+  } catch (error) {
+    console.error('Error unlocking database:', error);
+    return { success: false, error: error.message };
+  }
+});
+
+/**
+ * Handle: Encrypt all notes with a new passphrase
+ * IPC: 'security:enableEncryption'
+ */
+handleIpc('security:enableEncryption', async (event, passphrase) => {
+  try {
+    db.enableEncryption(passphrase);
+    return { success: true, data: db.getEncryptionStatus() };
+  } catch (error) {
+    console.error('Error enabling encryption:', error);
+    return { success: false, error: error.message };
+  }
+});
+
+/**
+ * Handle: Change the passphrase (re-encrypts all notes)
+ * IPC: 'security:changePassphrase'
+ */
+handleIpc('security:changePassphrase', async (event, currentPassphrase, newPassphrase) => {
+  try {
+    db.changePassphrase(currentPassphrase, newPassphrase);
+    return { success: true, data: db.getEncryptionStatus() };
+  } catch (error) {
+    console.error('Error changing passphrase:', error);
+    return { success: false, error: error.message };
+  }
+});
+
+/**
+ * Handle: Decrypt all notes and turn encryption off
+ * IPC: 'security:disableEncryption'
+ */
+handleIpc('security:disableEncryption', async (event, passphrase) => {
+  try {
+    db.disableEncryption(passphrase);
+    return { success: true, data: db.getEncryptionStatus() };
+  } catch (error) {
+    console.error('Error disabling encryption:', error);
+    return { success: false, error: error.message };
+  }
+});
+
+// ============================================
+// IPC Handlers for Authentication
+// ============================================
+
+/**
+ * Handle: Log in to the sync API
+ * IPC: 'auth:login'
+ * credentials: { username, password } or { apiToken }
+ */
+handleIpc('auth:login', async (event, apiUrl, credentials) => {
+  try {
+    const session = await auth.login(apiUrl, credentials);
+    db.setApiUrl(apiUrl);
+
+    // Sync right away with the new credentials
+    syncScheduler.syncNow();
+
+    return { success: true, data: session };
+  } catch (error) {
+    console.error('Error logging in:', error);
+    return { success: false, error: error.message };
+  }
+});
+
+/**
+ * Handle: Log out and wipe stored tokens
+ * IPC: 'auth:logout'
+ */
+handleIpc('auth:logout', async () => {
+  try {
+    const session = await auth.logout();
+    return { success: true, data: session };
+  } catch (error) {
+    console.error('Error logging out:', error);
+    return { success: false, error: error.message };
+  }
+});
+
+/**
+ * Handle: Get the current session (username and API URL, never tokens)
+ * IPC: 'auth:getSession'
+ */
+handleIpc('auth:getSession', async () => {
+  try {
+    return { success: true, data: auth.getSession() };
+  } catch (error) {
+    console.error('Error getting session:', error);
+    return { success: false, error: error.message };
+  }
+});
+
+// ============================================
+// IPC Handlers for Sync Status
+// ============================================
+
+/**
+ * Handle: Get background sync status
+ * IPC: 'sync:getStatus'
+ */
+handleIpc('sync:getStatus', async () => {
+  return { ...syncScheduler.getStatus(), apiUrl: db.getApiUrl() };
+});
+
+/**
+ * Handle: Connectivity change reported by the renderer (online/offline events)
+ * IPC: 'sync:connectivityChanged'
+ */
+onIpc('sync:connectivityChanged', (event, online) => {
+  syncScheduler.setOnline(Boolean(online) && net.isOnline());
+});
+
+// ============================================
+// IPC Handlers for Windows
+// ============================================
+
+/**
+ * Handle: Open a note in its own editor window (or focus the window it is open in)
+ * IPC: 'windows:openNote'
+ */
+handleIpc('windows:openNote', async (event, noteId) => {
+  try {
+    const note = db.getNoteById(noteId);
+    if (!note || note.trashed_at) {
+      return { success: false, error: 'Note not found' };
+    }
+
+    openNoteWindow(noteId);
+    return { success: true };
+  } catch (error) {
+    console.error('Error opening note window:', error);
+    return { success: false, error: error.message };
+  }
+});
+
+/**
+ * Handle: Bring the main window (the notes list) to the front, reopening it if it was closed
+ * IPC: 'windows:showMain'
+ */
+handleIpc('windows:showMain', async () => {
+  showMainWindow();
+  return { success: true };
+});
+
+/**
+ * Handle: A window saved its editor after 'windows:saveEditor' (see saveOpenEditors)
+ * IPC: 'windows:editorSaved'
+ */
+onIpc('windows:editorSaved', (event) => {
+  const done = pendingEditorSaves.get(event.sender.id);
+  if (done) {
+    done();
+  }
+});
+
+// ============================================
+// IPC Handlers for Tray and Quick Capture
+// ============================================
+
+/**
+ * Handle: Get the quick capture shortcut and whether the app keeps running in the tray
+ * IPC: 'desktop:getSettings'
+ */
+handleIpc('desktop:getSettings', async () => {
+  try {
+    const settings = db.getDesktopSettings();
+    return {
+      success: true,
+      data: {
+        ...settings,
+        // False if another app had the shortcut when the app started
+        shortcutRegistered: settings.quickCaptureShortcut === registeredShortcut
+      }
+    };
+  } catch (error) {
+    console.error('Error getting desktop settings:', error);
+    return { success: false, error: error.message };
+  }
+});
+
+/**
+ * Handle: Change the quick capture shortcut ('' for none) and/or whether the app keeps running in the tray
+ * IPC: 'desktop:setSettings'
+ */
+handleIpc('desktop:setSettings', async (event, changes) => {
+  try {
+    const { quickCaptureShortcut, keepRunningInTray } = changes;
+    const settings = saveDesktopSettings({
+      ...(quickCaptureShortcut !== undefined && { quickCaptureShortcut }),
+      ...(keepRunningInTray !== undefined && { keepRunningInTray })
+    });
+    return { success: true, data: { ...settings, shortcutRegistered: true } };
+  } catch (error) {
+    console.error('Error saving desktop settings:', error);
+    return { success: false, error: error.message };
+  }
+});
+
+// ============================================
+// App Lifecycle Events
+// ============================================
+
+// When Electron is ready, create the window
+app.whenReady().then(async () => {
+  console.log('Electron app ready');
+
+  // Refuse to start with a database we cannot safely open
+  if (dbInitError) {
+    dialog.showErrorBox('Unable to open notes database', dbInitError.message);
+    app.quit();
+    return;
+  }
+
+  if (!(await checkDatabaseIntegrity())) {
+    return;
+  }
+
+  registerAttachmentProtocol();
+
+  // Encrypted notes stay unreadable until the passphrase is entered
+  if (db.isUnlocked()) {
+    startApp();
+  } else {
+    createUnlockWindow();
+  }
+});
+
+// Quit when all windows are closed (except on macOS), unless the app was set to keep running in the tray
+app.on('window-all-closed', () => {
+  if (tray && db.getDesktopSettings().keepRunningInTray) {
+    return;
+  }
+  if (process.platform !== 'darwin') {
+    app.quit();
+  }
+});
+
+// On macOS, reopen the main window when the dock icon is clicked
+// (also while note windows are still open)
+app.on('activate', () => {
+  if (!dbInitError && !mainWindow && !unlockWindow) {
+    if (db.isUnlocked()) {
+      startApp();
+    } else {
+      createUnlockWindow();
+    }
   }
 });
 
+// Set once the open editors are saved and the app can really quit
+let editorsSaved = false;
+
 // Cleanup on app quit
-app.on('before-quit', () => {
+// The first quit is held back until every window has saved its editor, then
+// quits again; db.js closes the database in will-quit, after the windows closed.
+app.on('before-quit', (event) => {
+  if (editorsSaved) return;
+  event.preventDefault();
+  // Already saving: the quit follows
+  if (quitting) return;
+
   console.log('App shutting down...');
+  // Note windows closed from here on are reopened on the next start
+  quitting = true;
+  syncScheduler.stop();
+  clearInterval(trashPurgeTimer);
+  clearInterval(attachmentCleanupTimer);
+  clearInterval(backupTimer);
+  clearTimeout(trayUpdateTimer);
+
+  saveOpenEditors().then(() => {
+    editorsSaved = true;
+    app.quit();
+  });
+});
+
+// All windows are closed by now: save their last bounds and release the shortcut
+app.on('will-quit', () => {
+  windowState.flushWindowState();
+  globalShortcut.unregisterAll();
 });
@@ -0,0 +1,309 @@
+/**
+ * Markdown Export/Import (Main Process)
+ *
+ * This module handles:
+ * - Converting notes to Markdown files with YAML front matter and back
+ * - Writing notes to a folder of .md files (one sub-folder per notebook) or a single .zip
+ * - Reading .md files back from a folder (recursively) or a .zip
+ *
+ * Front matter values are written as JSON, which is valid YAML. The parser
+ * understands that plus the plain YAML people type by hand (bare or quoted
+ * scalars, [a, b] lists and "- item" lists); it is not a full YAML parser.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { createZip, readZip } = require('./zip-archive');
+
+const MARKDOWN_EXTENSIONS = ['.md', '.markdown'];
+
+// Characters that are not allowed in file names on at least one platform
+const UNSAFE_FILENAME_CHARS = /[<>:"/\\|?*\u0000-\u001f]/g;
+
+/**
+ * Turn a title or notebook name into a safe file/folder name
+ * @param {string} name - Title or notebook name
+ * @param {string} fallback - Used when nothing usable is left
+ * @returns {string} Safe name (at most 60 characters)
+ */
+const safeFileName = (name, fallback) => {
+  const cleaned = String(name ?? '')
+    .replace(UNSAFE_FILENAME_CHARS, '-')
+    .replace(/\s+/g, ' ')
+    .trim()
+    .replace(/^\.+|\.+$/g, '')
+    .slice(0, 60)
+    .trim();
+  return cleaned || fallback;
+};
+
+/**
+ * Convert an SQLite timestamp ('YYYY-MM-DD HH:MM:SS', UTC) to ISO 8601
+ * @param {string} value - Timestamp from the notes table
+ * @returns {string|null} ISO timestamp or null
+ */
+const toIsoTimestamp = (value) => {
+  if (!value) return null;
+  const date = new Date(/^\d{4}-\d{2}-\d{2} \d{2}:\d{2}:\d{2}$/.test(value) ? `${value.replace(' ', 'T')}Z` : value);
+  return Number.isNaN(date.getTime()) ? null : date.toISOString();
+};
+
+/**
+ * Render a note as Markdown with YAML front matter
+ * @param {Object} note - Note from db.getNotesForExport()
+ * @returns {string} File contents
+ */
+const noteToMarkdown = (note) => {
+  const meta = {
+    id: note.id,
+    server_id: note.server_id || undefined,
+    title: note.title,
+    created_at: toIsoTimestamp(note.created_at),
+    updated_at: toIsoTimestamp(note.updated_at),
+    sync_status: note.sync_status,
+    notebook: note.notebook,
+    tags: note.tags
+  };
+
+  const lines = Object.entries(meta)
+    .filter(([, value]) => value !== undefined && value !== null)
+    .map(([key, value]) => `${key}: ${JSON.stringify(value)}`);
+
+  // The final newline is added here and removed again by parseMarkdownNote()
+  return `---\n${lines.join('\n')}\n---\n\n${note.content || ''}\n`;
+};
+
+/**
+ * Parse a scalar or inline list from front matter
+ * @param {string} raw - Text after "key:"
+ * @returns {*} Parsed value
+ */
+const parseYamlValue = (raw) => {
+  const value = raw.trim();
+
+  if (/^["[{]/.test(value)) {
+    try {
+      return JSON.parse(value);
+    } catch (error) {
+      // Not JSON - fall through to the hand-written forms below
+    }
+  }
+  if (value.startsWith('[') && value.endsWith(']')) {
+    return value.slice(1, -1).split(',').map(item => parseYamlValue(item)).filter(item => item !== '');
+  }
+  if (value.length >= 2 && value.startsWith("'") && value.endsWith("'")) {
+    return value.slice(1, -1).replace(/''/g, "'");
+  }
+  if (value.length >= 2 && value.startsWith('"') && value.endsWith('"')) {
+    return value.slice(1, -1);
+  }
+  if (value === '' || value === '~' || value === 'null') return null;
+  if (value === 'true' || value === 'false') return value === 'true';
+  if (/^-?\d+(\.\d+)?$/.test(value)) return Number(value);
+  return value;
+};
+
+/**
+ * Parse front matter lines into an object
+ * @param {Array} lines - Lines between the --- markers
+ * @returns {Object} Front matter values
+ */
+const parseFrontMatter = (lines) => {
+  const meta = {};
+  let listKey = null;
+
+  for (const line of lines) {
+    if (!line.trim() || line.trim().startsWith('#')) continue;
+
+    const item = line.match(/^\s*-\s+(.*)$/);
+    if (item && listKey) {
+      meta[listKey].push(parseYamlValue(item[1]));
+      continue;
+    }
+
+    const pair = line.match(/^([A-Za-z_][\w-]*)\s*:(.*)$/);
+    if (!pair) continue;
+
+    const [, key, rest] = pair;
+    if (rest.trim() === '') {
+      // Either an empty value or the start of a "- item" list
+      meta[key] = [];
+      listKey = key;
+    } else {
+      meta[key] = parseYamlValue(rest);
+      listKey = null;
+    }
+  }
+
+  return meta;
+};
+
+/**
+ * Parse a Markdown file into a note
+ * Without a title in the front matter, a leading "# Heading" is used (and
+ * removed from the content), then the file name.
+ * @param {string} text - File contents
+ * @param {string} fallbackTitle - Title to use if the file has none
+ * @returns {Object} { id, server_id, title, content, created_at, updated_at, tags, notebook }
+ *   (tags/notebook are undefined when the file does not say)
+ */
+const parseMarkdownNote = (text, fallbackTitle = 'Untitled') => {
+  const lines = String(text).replace(/^\uFEFF/, '').split(/\r?\n/);
+  let meta = {};
+  let body = lines;
+
+  if (lines[0].trim() === '---') {
+    const end = lines.findIndex((line, index) => index > 0 && /^(---|\.\.\.)\s*$/.test(line));
+    if (end > 0) {
+      meta = parseFrontMatter(lines.slice(1, end));
+      body = lines.slice(end + 1);
+      if (body.length > 0 && body[0].trim() === '') body = body.slice(1);
+    }
+  }
+
+  let title = typeof meta.title === 'string' || typeof meta.title === 'number' ? String(meta.title).trim() : '';
+  if (!title && body.length > 0 && /^#\s+\S/.test(body[0])) {
+    title = body[0].replace(/^#\s+/, '').trim();
+    body = body.slice(1);
+    if (body.length > 0 && body[0].trim() === '') body = body.slice(1);
+  }
+
+  const content = body.join('\n').replace(/\n$/, '');
+  const toList = (value) => {
+    if (value === undefined) return undefined;
+    if (value === null) return [];
+    return (Array.isArray(value) ? value : [value]).map(String).filter(item => item.trim());
+  };
+
+  return {
+    id: meta.id ?? null,
+    server_id: meta.server_id != null ? String(meta.server_id) : null,
+    title: title || fallbackTitle,
+    content,
+    created_at: meta.created_at ?? null,
+    updated_at: meta.updated_at ?? null,
+    tags: toList(meta.tags),
+    notebook: toList(meta.notebook)
+  };
+};
+
+/**
+ * Lay out notes as Markdown files, one sub-folder per notebook
+ * @param {Array} notes - Notes from db.getNotesForExport()
+ * @returns {Array} Array of { name, data } with '/'-separated relative paths
+ */
+const buildMarkdownFiles = (notes) => {
+  return notes.map(note => {
+    const folders = (note.notebook || []).map(name => safeFileName(name, 'Notebook'));
+    // The note ID keeps file names unique even when titles repeat
+    const fileName = `${safeFileName(note.title, 'Note')}-${note.id}.md`;
+    return { name: [...folders, fileName].join('/'), data: noteToMarkdown(note) };
+  });
+};
+
+/**
+ * Export notes to a folder of Markdown files
+ * Files from an earlier export of the same notes are overwritten.
+ * @param {Array} notes - Notes from db.getNotesForExport()
+ * @param {string} dir - Target folder
+ * @returns {number} Number of files written
+ */
+const writeMarkdownFolder = (notes, dir) => {
+  const files = buildMarkdownFiles(notes);
+
+  for (const file of files) {
+    const target = path.join(dir, ...file.name.split('/'));
+    fs.mkdirSync(path.dirname(target), { recursive: true });
+    fs.writeFileSync(target, file.data, 'utf8');
+  }
+
+  return files.length;
+};
+
+/**
+ * Export notes to a zip of Markdown files
+ * @param {Array} notes - Notes from db.getNotesForExport()
+ * @param {string} filePath - Target .zip file
+ * @returns {number} Number of files written
+ */
+const writeMarkdownZip = (notes, filePath) => {
+  const files = buildMarkdownFiles(notes);
+  fs.writeFileSync(filePath, createZip(files));
+  return files.length;
+};
+
+/**
+ * Check whether a path names a Markdown file
+ * @param {string} name - File name or path
+ * @returns {boolean}
+ */
+const isMarkdownFile = (name) => MARKDOWN_EXTENSIONS.includes(path.extname(name).toLowerCase());
+
+/**
+ * Parse one Markdown file found during import
+ * Notes without a notebook in their front matter go in the notebook
+ * matching the folder they were found in.
+ * @param {string} relativePath - '/'-separated path inside the folder or zip
+ * @param {string} text - File contents
+ * @returns {Object} Parsed note (see parseMarkdownNote)
+ */
+const parseImportedFile = (relativePath, text) => {
+  const parts = relativePath.split('/');
+  const fileName = parts.pop();
+  const note = parseMarkdownNote(text, path.basename(fileName, path.extname(fileName)));
+
+  if (note.notebook === undefined) {
+    note.notebook = parts.filter(part => part && part !== '.');
+  }
+
+  return note;
+};
+
+/**
+ * Read every Markdown file in a folder and its sub-folders
+ * Hidden files and folders (starting with '.') are skipped.
+ * @param {string} dir - Folder to import
+ * @returns {Array} Parsed notes
+ */
+const readMarkdownFolder = (dir) => {
+  const notes = [];
+
+  const walk = (current, relative) => {
+    const entries = fs.readdirSync(current, { withFileTypes: true })
+      .sort((a, b) => a.name.localeCompare(b.name));
+
+    for (const entry of entries) {
+      if (entry.name.startsWith('.')) continue;
+
+      const relativePath = relative ? `${relative}/${entry.name}` : entry.name;
+      if (entry.isDirectory()) {
+        walk(path.join(current, entry.name), relativePath);
+      } else if (entry.isFile() && isMarkdownFile(entry.name)) {
+        notes.push(parseImportedFile(relativePath, fs.readFileSync(path.join(current, entry.name), 'utf8')));
+      }
+    }
+  };
+
+  walk(dir, '');
+  return notes;
+};
+
+/**
+ * Read every Markdown file in a zip archive
+ * @param {string} filePath - .zip file to import
+ * @returns {Array} Parsed notes
+ */
+const readMarkdownZip = (filePath) => {
+  return readZip(fs.readFileSync(filePath))
+    .filter(file => isMarkdownFile(file.name) && !file.name.split('/').some(part => part.startsWith('.') || part === '__MACOSX'))
+    .map(file => parseImportedFile(file.name, file.data.toString('utf8')));
+};
+
+module.exports = {
+  noteToMarkdown,
+  parseMarkdownNote,
+  writeMarkdownFolder,
+  writeMarkdownZip,
+  readMarkdownFolder,
+  readMarkdownZip
+};
@@ -0,0 +1,329 @@
+/**
+ * Markdown Preview Renderer (Renderer Process)
+ *
+ * This file handles:
+ * - Turning a note's Markdown into HTML for the editor's live preview
+ * - Keeping that HTML safe to assign to innerHTML
+ *
+ * All note text is escaped, and only a fixed set of tags is produced; raw HTML
+ * in a note is shown as text. Links are only made for http(s) and mailto URLs
+ * (main.js opens them in the system browser), for the note's attachments
+ * (app://attachments/<hash>, saved with a click) and for [[Note Title]] links
+ * to other notes (opened with a click; see renderer.js).
+ *
+ * Supported syntax: # headings, paragraphs, **bold**, *italic*, ~~strike~~,
+ * `code`, fenced code blocks, > quotes, - / 1. lists (with [ ] tasks),
+ * --- rules, [links](https://...), <https://...>, bare URLs,
+ * ![images](app://attachments/...) (other images are shown as links) and
+ * [[wiki links]].
+ *
+ * Loaded with a <script> tag before renderer.js; defines renderMarkdown() and
+ * renderWikiLink().
+ */
+
+// Link targets allowed in the preview
+const SAFE_LINK_PATTERN = /^(https?:\/\/|mailto:)/i;
+
+// Attachment URLs (served by main.js; the only images the page CSP loads)
+const ATTACHMENT_URL_PATTERN = /^app:\/\/attachments\/([0-9a-f]{64})$/;
+
+// [[Note Title]] links (the same syntax db.js records in note_links)
+const WIKI_LINK_PATTERN = /\[\[([^[\]\n]+)\]\]/g;
+
+// Quotes and lists nested deeper than this are shown as plain paragraphs
+const MAX_MARKDOWN_NESTING = 16;
+
+const FENCE_PATTERN = /^ {0,3}(`{3,}|~{3,})\s*([\w+-]*)[^`]*$/;
+const HEADING_PATTERN = /^ {0,3}(#{1,6})(?:[ \t]+(.*?))?(?:[ \t]+#+)?[ \t]*$/;
+const RULE_PATTERN = /^ {0,3}([-*_])(?:[ \t]*\1){2,}[ \t]*$/;
+const QUOTE_PATTERN = /^ {0,3}>[ ]?(.*)$/;
+const LIST_ITEM_PATTERN = /^( *)([-*+]|\d{1,9}[.)])(?:[ \t]+(.*))?$/;
+const TASK_PATTERN = /^\[([ xX])\][ \t]+/;
+
+/**
+ * Escape text for use in HTML content and attribute values
+ * @param {string} text - Plain text
+ * @returns {string} Escaped text
+ */
+function escapeMarkdownHtml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+/**
+ * Build a link, or plain text if the URL is not allowed
+ * @param {string} url - Link target
+ * @param {string} labelHtml - Already rendered link text
+ * @returns {string} HTML
+ */
+function renderLink(url, labelHtml) {
+  const attachment = url.match(ATTACHMENT_URL_PATTERN);
+  if (attachment) {
+    return `<a href="${url}" data-attachment="${attachment[1]}" title="Save a copy">${labelHtml}</a>`;
+  }
+  if (!SAFE_LINK_PATTERN.test(url)) {
+    return labelHtml;
+  }
+  const href = escapeMarkdownHtml(url);
+  return `<a href="${href}" title="${href}" target="_blank" rel="noopener noreferrer">${labelHtml}</a>`;
+}
+
+/**
+ * Build a [[link]] to another note
+ * renderer.js opens the note with that title when the link is clicked.
+ * @param {string} title - Title as written in the link
+ * @returns {string} HTML
+ */
+function renderWikiLink(title) {
+  const text = escapeMarkdownHtml(title.trim());
+  return `<a href="#" class="wiki-link" data-note-title="${text}" title="Open ${text}">${text}</a>`;
+}
+
+/**
+ * Replace `code` spans
+ * A span opens with a run of backticks and closes at the next run of the same
+ * length. Runs are paired in one pass (a regex would backtrack on long runs).
+ * @param {string} text - Markdown text
+ * @param {Function} replace - (code) => replacement text
+ * @returns {string} Text with the spans replaced
+ */
+function replaceCodeSpans(text, replace) {
+  const runs = [];
+  const pattern = /`+/g;
+  let match;
+  while ((match = pattern.exec(text))) {
+    runs.push({ start: match.index, length: match[0].length });
+  }
+
+  // Index of the next run of the same length after each run
+  const next = new Array(runs.length);
+  const lastByLength = new Map();
+  for (let index = runs.length - 1; index >= 0; index--) {
+    next[index] = lastByLength.get(runs[index].length);
+    lastByLength.set(runs[index].length, index);
+  }
+
+  let result = '';
+  let position = 0;
+  for (let index = 0; index < runs.length; index++) {
+    const close = next[index];
+    if (close === undefined) continue;
+
+    const { start, length } = runs[index];
+    result += text.slice(position, start) + replace(text.slice(start + length, runs[close].start));
+    position = runs[close].start + length;
+    index = close;
+  }
+
+  return result + text.slice(position);
+}
+
+/**
+ * Render inline Markdown (code, links, emphasis, line breaks)
+ * Code spans and links are swapped for \u0000n\u0000 placeholders first so
+ * emphasis rules never look inside them.
+ * @param {string} text - Markdown text of one paragraph, heading or list item
+ * @param {boolean} allowLinks - False inside link text (links cannot be nested)
+ * @param {Array|null} outerStash - Placeholders of the enclosing text, when rendering link text
+ *   (which may contain code spans swapped out already)
+ * @returns {string} HTML
+ */
+function renderInline(text, allowLinks = true, outerStash = null) {
+  const stash = outerStash || [];
+  const keep = (html) => `\u0000${stash.push(html) - 1}\u0000`;
+
+  // NULs in the note itself would be taken for placeholders
+  let source = outerStash ? text : text.replace(/\u0000/g, '');
+
+  source = replaceCodeSpans(source, (code) => keep(`<code>${escapeMarkdownHtml(code.trim())}</code>`));
+
+  if (allowLinks) {
+    source = source.replace(WIKI_LINK_PATTERN, (match, title) => keep(renderWikiLink(title)));
+    // Only attachment images are embedded; others are shown as links (the page CSP does not load remote images)
+    source = source.replace(/(!?)\[([^[\]]*)\]\(<?((?:[^()\s<>]|\([^()\s<>]*\))+)>?(?:\s+"[^"]*")?\)/g, (match, image, label, url) => {
+      if (image && ATTACHMENT_URL_PATTERN.test(url)) {
+        return keep(`<img src="${url}" alt="${escapeMarkdownHtml(label)}">`);
+      }
+      return keep(renderLink(url, label ? renderInline(label, false, stash) : escapeMarkdownHtml(url)));
+    });
+    source = source.replace(/<((?:https?:\/\/|mailto:)[^\s<>]+)>/gi, (match, url) => keep(renderLink(url, escapeMarkdownHtml(url))));
+    source = source.replace(/\bhttps?:\/\/[^\s<]*[^\s<.,:;"')\]]/gi, (url) => keep(renderLink(url, escapeMarkdownHtml(url))));
+  }
+
+  // Emphasis cannot contain its own marker, which keeps these scans linear on long notes
+  let html = escapeMarkdownHtml(source)
+    .replace(/\*\*(?=[^\s*])([^*]*?[^\s*])\*\*/g, '<strong>$1</strong>')
+    .replace(/(^|[^\w])__(?=[^\s_])([^_]*?[^\s_])__(?!\w)/g, '$1<strong>$2</strong>')
+    .replace(/\*(?=[^\s*])([^*]*?[^\s*])\*/g, '<em>$1</em>')
+    .replace(/(^|[^\w])_(?=[^\s_])([^_]*?[^\s_])_(?!\w)/g, '$1<em>$2</em>')
+    .replace(/~~(?=[^\s~])([^~]*?[^\s~])~~/g, '<del>$1</del>')
+    .replace(/(?: {2,}|\\)\n/g, '<br>\n');
+
+  html = html.replace(/\u0000(\d+)\u0000/g, (match, index) => stash[Number(index)]);
+  return html;
+}
+
+/**
+ * Whether a line starts a block other than a paragraph
+ * @param {string} line - Source line
+ * @returns {boolean}
+ */
+function startsBlock(line) {
+  return FENCE_PATTERN.test(line) || HEADING_PATTERN.test(line) || RULE_PATTERN.test(line) ||
+    QUOTE_PATTERN.test(line) || LIST_ITEM_PATTERN.test(line);
+}
+
+/**
+ * Number of leading spaces of a line
+ * @param {string} line - Source line
+ * @returns {number}
+ */
+function indentOf(line) {
+  return line.match(/^ */)[0].length;
+}
+
+/**
+ * Render one list item (its first paragraph inline, anything after as blocks)
+ * @param {Array} lines - Item lines with the marker and indentation removed
+ * @param {number} depth - Nesting depth
+ * @returns {string} HTML
+ */
+function renderListItem(lines, depth) {
+  const text = [];
+  let index = 0;
+  while (index < lines.length && lines[index].trim() && !startsBlock(lines[index])) {
+    text.push(lines[index++]);
+  }
+
+  let checkbox = '';
+  const task = text.length > 0 && text[0].match(TASK_PATTERN);
+  if (task) {
+    checkbox = `<input type="checkbox" disabled${task[1] === ' ' ? '' : ' checked'}> `;
+    text[0] = text[0].slice(task[0].length);
+  }
+
+  const rest = renderBlocks(lines.slice(index), depth + 1);
+  return `<li${task ? ' class="task"' : ''}>${checkbox}${renderInline(text.join('\n'))}${rest}</li>`;
+}
+
+/**
+ * Render a list starting at a line
+ * Items are lines with the same kind of marker (bullet or number) indented
+ * less than the first item's text; deeper lines belong to the item above.
+ * @param {Array} lines - Source lines
+ * @param {number} start - Index of the first item
+ * @param {number} depth - Nesting depth
+ * @returns {Object} { html, end } (end is the index of the first line after the list)
+ */
+function renderList(lines, start, depth) {
+  const ordered = /\d/.test(lines[start].match(LIST_ITEM_PATTERN)[2]);
+  const items = [];
+  let current = null;
+  let index = start;
+
+  while (index < lines.length) {
+    const line = lines[index];
+    const item = line.match(LIST_ITEM_PATTERN);
+
+    if (item && /\d/.test(item[2]) === ordered && (!current || item[1].length < current.offset) && !RULE_PATTERN.test(line)) {
+      current = { lines: [item[3] || ''], offset: item[1].length + item[2].length + 1 };
+      items.push(current);
+    } else if (!line.trim()) {
+      // A blank line ends the list unless the next line is indented or another item
+      const next = lines[index + 1];
+      if (next === undefined || !next.trim() || (indentOf(next) < current.offset && !LIST_ITEM_PATTERN.test(next))) {
+        break;
+      }
+      current.lines.push('');
+    } else if (indentOf(line) >= current.offset || !startsBlock(line)) {
+      // Indented content of the item, or a paragraph line continuing it
+      current.lines.push(line.slice(Math.min(indentOf(line), current.offset)));
+    } else {
+      break;
+    }
+    index++;
+  }
+
+  const first = Number.parseInt(lines[start].match(LIST_ITEM_PATTERN)[2], 10);
+  const open = ordered ? `<ol${first !== 1 ? ` start="${first}"` : ''}>` : '<ul>';
+  const html = `${open}${items.map(entry => renderListItem(entry.lines, depth)).join('')}${ordered ? '</ol>' : '</ul>'}`;
+  return { html, end: index };
+}
+
+/**
+ * Render block-level Markdown
+ * @param {Array} lines - Source lines (tabs already expanded)
+ * @param {number} depth - Nesting depth (quotes and lists)
+ * @returns {string} HTML
+ */
+function renderBlocks(lines, depth = 0) {
+  if (depth > MAX_MARKDOWN_NESTING) {
+    return `<p>${renderInline(lines.join('\n'))}</p>`;
+  }
+
+  const html = [];
+  let index = 0;
+
+  while (index < lines.length) {
+    const line = lines[index];
+    let match;
+
+    if (!line.trim()) {
+      index++;
+    } else if ((match = line.match(FENCE_PATTERN))) {
+      const fence = match[1];
+      const code = [];
+      index++;
+      while (index < lines.length && !lines[index].trim().startsWith(fence)) {
+        code.push(lines[index++]);
+      }
+      index++; // Closing fence (or end of note)
+      const language = match[2] ? ` class="language-${escapeMarkdownHtml(match[2])}"` : '';
+      html.push(`<pre><code${language}>${escapeMarkdownHtml(code.join('\n'))}</code></pre>`);
+    } else if ((match = line.match(HEADING_PATTERN))) {
+      const level = match[1].length;
+      html.push(`<h${level}>${renderInline(match[2] || '')}</h${level}>`);
+      index++;
+    } else if (RULE_PATTERN.test(line)) {
+      html.push('<hr>');
+      index++;
+    } else if (QUOTE_PATTERN.test(line)) {
+      const quoted = [];
+      while (index < lines.length && (match = lines[index].match(QUOTE_PATTERN))) {
+        quoted.push(match[1]);
+        index++;
+      }
+      html.push(`<blockquote>${renderBlocks(quoted, depth + 1)}</blockquote>`);
+    } else if (LIST_ITEM_PATTERN.test(line)) {
+      const list = renderList(lines, index, depth);
+      html.push(list.html);
+      index = list.end;
+    } else {
+      const paragraph = [];
+      while (index < lines.length && lines[index].trim() && (paragraph.length === 0 || !startsBlock(lines[index]))) {
+        paragraph.push(lines[index++]);
+      }
+      html.push(`<p>${renderInline(paragraph.join('\n').trim())}</p>`);
+    }
+  }
+
+  return html.join('\n');
+}
+
+/**
+ * Render a note's Markdown as safe HTML
+ * @param {string} markdown - Note content
+ * @returns {string} HTML for the preview pane
+ */
+function renderMarkdown(markdown) {
+  const lines = String(markdown || '')
+    .replace(/\r\n?/g, '\n')
+    .replace(/\t/g, '    ')
+    .split('\n');
+
+  return renderBlocks(lines);
+}
@@ -0,0 +1,44 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+// markdown-render.js is a browser script: run it in a context of its own and use its globals
+const { renderMarkdown } = vm.runInNewContext(
+  `${fs.readFileSync(path.join(__dirname, 'markdown-render.js'), 'utf8')}\n({ renderMarkdown });`
+);
+
+const link = (href, label) =>
+  `<a href="${href}" title="${href}" target="_blank" rel="noopener noreferrer">${label}</a>`;
+
+test('code spans inside link text are kept', () => {
+  assert.strictEqual(
+    renderMarkdown('[the `npm test` command](https://x.test)'),
+    `<p>${link('https://x.test', 'the <code>npm test</code> command')}</p>`
+  );
+});
+
+test('link text can mix emphasis, code and escaped HTML', () => {
+  assert.strictEqual(
+    renderMarkdown('See [**bold** `a*b*c` <i>](https://x.test/a_b) and `[not](https://a.link)`'),
+    `<p>See ${link('https://x.test/a_b', '<strong>bold</strong> <code>a*b*c</code> &lt;i&gt;')} ` +
+    'and <code>[not](https://a.link)</code></p>'
+  );
+});
+
+test('NUL characters in a note cannot pose as placeholders', () => {
+  assert.strictEqual(renderMarkdown('`code` \u00000\u0000'), '<p><code>code</code> 0</p>');
+});
+
+test('links are only made for allowed schemes', () => {
+  assert.strictEqual(renderMarkdown('[click](javascript:alert(1))'), '<p>click</p>');
+  assert.strictEqual(renderMarkdown('<mailto:a@b.test>'), `<p>${link('mailto:a@b.test', 'mailto:a@b.test')}</p>`);
+});
+
+test('[[wiki links]] point at notes by title', () => {
+  assert.strictEqual(
+    renderMarkdown('[[Other Note]]'),
+    '<p><a href="#" class="wiki-link" data-note-title="Other Note" title="Open Other Note">Other Note</a></p>'
+  );
+});
@@ -0,0 +1,494 @@
+/**
+ * Schema Migrations for the Notes Database
+ *
+ * This module handles:
+ * - Versioned schema changes tracked with PRAGMA user_version
+ * - Applying pending up-migrations in order, each in its own transaction
+ * - Taking a backup copy of the database file before migrating
+ * - Refusing to open databases created by a newer version of the app
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Ordered list of up-migrations
+ * Each migration runs exactly once. Never edit a migration that has
+ * already shipped - add a new one with the next version number instead.
+ */
+const migrations = [
+  {
+    version: 1,
+    description: 'Create notes table and indexes',
+    up: (db) => {
+      // IF NOT EXISTS lets databases created before migrations existed
+      // (user_version 0 with a notes table) adopt this version cleanly
+      db.exec(`
+        CREATE TABLE IF NOT EXISTS notes (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          title TEXT NOT NULL,
+          content TEXT,
+          created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+          updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+          synced_at DATETIME,
+          sync_status TEXT DEFAULT 'pending' -- 'pending', 'synced', 'error'
+        );
+
+        CREATE INDEX IF NOT EXISTS idx_notes_created_at
+        ON notes(created_at DESC);
+
+        CREATE INDEX IF NOT EXISTS idx_notes_sync_status
+        ON notes(sync_status);
+
+        CREATE INDEX IF NOT EXISTS idx_notes_title
+        ON notes(title);
+      `);
+    }
+  },
+  {
+    version: 2,
+    description: 'Add FTS5 full-text index for notes',
+    up: (db) => {
+      // External-content FTS table: the text lives in notes, the index in
+      // notes_fts, and the triggers below keep the two in step
+      db.exec(`
+        CREATE VIRTUAL TABLE notes_fts USING fts5(
+          title,
+          content,
+          content = 'notes',
+          content_rowid = 'id',
+          tokenize = 'unicode61 remove_diacritics 2'
+        );
+
+        CREATE TRIGGER notes_fts_after_insert AFTER INSERT ON notes BEGIN
+          INSERT INTO notes_fts (rowid, title, content)
+          VALUES (new.id, new.title, new.content);
+        END;
+
+        CREATE TRIGGER notes_fts_after_delete AFTER DELETE ON notes BEGIN
+          INSERT INTO notes_fts (notes_fts, rowid, title, content)
+          VALUES ('delete', old.id, old.title, old.content);
+        END;
+
+        CREATE TRIGGER notes_fts_after_update AFTER UPDATE OF title, content ON notes BEGIN
+          INSERT INTO notes_fts (notes_fts, rowid, title, content)
+          VALUES ('delete', old.id, old.title, old.content);
+          INSERT INTO notes_fts (rowid, title, content)
+          VALUES (new.id, new.title, new.content);
+        END;
+
+        -- Index notes that existed before this migration
+        INSERT INTO notes_fts (notes_fts) VALUES ('rebuild');
+      `);
+    }
+  },
+  {
+    version: 3,
+    description: 'Track server IDs and sync cursor for two-way sync',
+    up: (db) => {
+      db.exec(`
+        ALTER TABLE notes ADD COLUMN server_id TEXT;
+
+        CREATE UNIQUE INDEX idx_notes_server_id
+        ON notes(server_id);
+
+        -- Key/value store for sync bookkeeping (e.g. the change feed cursor)
+        CREATE TABLE sync_state (
+          key TEXT PRIMARY KEY,
+          value TEXT,
+          updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+        );
+      `);
+    }
+  },
+  {
+    version: 4,
+    description: 'Add deleted_at tombstones for synced deletes',
+    up: (db) => {
+      db.exec(`
+        ALTER TABLE notes ADD COLUMN deleted_at DATETIME;
+
+        CREATE INDEX idx_notes_deleted_at
+        ON notes(deleted_at);
+      `);
+    }
+  },
+  {
+    version: 5,
+    description: 'Add revisions and conflict storage for concurrent edits',
+    up: (db) => {
+      // revision is the server revision the local copy is based on;
+      // sync_status gains a 'conflict' value while a conflict is unresolved
+      db.exec(`
+        ALTER TABLE notes ADD COLUMN revision INTEGER NOT NULL DEFAULT 0;
+
+        -- Server version of a note whose local copy conflicts with it
+        CREATE TABLE note_conflicts (
+          note_id INTEGER PRIMARY KEY REFERENCES notes(id) ON DELETE CASCADE,
+          remote_title TEXT,
+          remote_content TEXT,
+          remote_updated_at DATETIME,
+          remote_deleted_at DATETIME,
+          remote_revision INTEGER NOT NULL DEFAULT 0,
+          detected_at DATETIME DEFAULT CURRENT_TIMESTAMP
+        );
+      `);
+    }
+  },
+  {
+    version: 6,
+    description: 'Add sync_errors outbox with per-note error details and retry times',
+    up: (db) => {
+      // One row per note the server rejected; removed again once it syncs
+      db.exec(`
+        CREATE TABLE sync_errors (
+          note_id INTEGER PRIMARY KEY REFERENCES notes(id) ON DELETE CASCADE,
+          message TEXT,
+          attempts INTEGER NOT NULL DEFAULT 0,
+          last_attempt_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+          next_retry_at DATETIME
+        );
+
+        CREATE INDEX idx_sync_errors_next_retry_at
+        ON sync_errors(next_retry_at);
+      `);
+    }
+  },
+  {
+    version: 7,
+    description: 'Add tags and note_tags for tagging notes',
+    up: (db) => {
+      // Tag names are unique regardless of case ("Work" and "work" are one tag)
+      db.exec(`
+        CREATE TABLE tags (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          name TEXT NOT NULL UNIQUE COLLATE NOCASE,
+          created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+        );
+
+        CREATE TABLE note_tags (
+          note_id INTEGER NOT NULL REFERENCES notes(id) ON DELETE CASCADE,
+          tag_id INTEGER NOT NULL REFERENCES tags(id) ON DELETE CASCADE,
+          PRIMARY KEY (note_id, tag_id)
+        );
+
+        CREATE INDEX idx_note_tags_tag_id
+        ON note_tags(tag_id);
+
+        -- Server-side tag names of a conflicting note (JSON array)
+        ALTER TABLE note_conflicts ADD COLUMN remote_tags TEXT;
+      `);
+    }
+  },
+  {
+    version: 8,
+    description: 'Add nested notebooks',
+    up: (db) => {
+      // Notebook names are unique among siblings; COALESCE lets the index
+      // cover top-level notebooks too (NULLs never collide in a UNIQUE index)
+      db.exec(`
+        CREATE TABLE notebooks (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          name TEXT NOT NULL,
+          parent_id INTEGER REFERENCES notebooks(id),
+          created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+        );
+
+        CREATE UNIQUE INDEX idx_notebooks_parent_name
+        ON notebooks(COALESCE(parent_id, 0), name COLLATE NOCASE);
+
+        ALTER TABLE notes ADD COLUMN notebook_id INTEGER REFERENCES notebooks(id) ON DELETE SET NULL;
+
+        CREATE INDEX idx_notes_notebook_id
+        ON notes(notebook_id);
+
+        -- Server-side notebook path of a conflicting note (JSON array of names)
+        ALTER TABLE note_conflicts ADD COLUMN remote_notebook TEXT;
+      `);
+    }
+  },
+  {
+    version: 9,
+    description: 'Add note_revisions history of title/content changes',
+    up: (db) => {
+      // The trigger keeps the version being replaced, so edits, pulled
+      // changes and conflict resolutions are all recoverable
+      db.exec(`
+        CREATE TABLE note_revisions (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          note_id INTEGER NOT NULL REFERENCES notes(id) ON DELETE CASCADE,
+          title TEXT,
+          content TEXT,
+          created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+        );
+
+        CREATE INDEX idx_note_revisions_note_id
+        ON note_revisions(note_id, id);
+
+        CREATE TRIGGER note_revisions_after_update AFTER UPDATE OF title, content ON notes
+        WHEN old.title IS NOT new.title OR old.content IS NOT new.content
+        BEGIN
+          INSERT INTO note_revisions (note_id, title, content, created_at)
+          VALUES (old.id, old.title, old.content, old.updated_at);
+        END;
+      `);
+    }
+  },
+  {
+    version: 10,
+    description: 'Add trashed_at for the Trash',
+    up: (db) => {
+      // Unlike deleted_at (a sync tombstone), trashed notes are still
+      // synced and can be restored until they are purged
+      db.exec(`
+        ALTER TABLE notes ADD COLUMN trashed_at DATETIME;
+
+        CREATE INDEX idx_notes_trashed_at
+        ON notes(trashed_at);
+      `);
+    }
+  },
+  {
+    version: 11,
+    description: 'Add encryption_settings for optional encryption at rest',
+    up: (db) => {
+      // At most one row; it only exists while encryption is enabled.
+      // key_check is a known value encrypted with the key, used to verify the passphrase
+      db.exec(`
+        CREATE TABLE encryption_settings (
+          id INTEGER PRIMARY KEY CHECK (id = 1),
+          salt TEXT NOT NULL,
+          kdf_params TEXT NOT NULL,
+          key_check TEXT NOT NULL,
+          created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+        );
+      `);
+    }
+  },
+  {
+    version: 12,
+    description: 'Add attachments referencing content-addressed files',
+    up: (db) => {
+      // The file itself is stored once per hash (see attachments.js);
+      // uploaded_at is set once the server has the file
+      db.exec(`
+        CREATE TABLE attachments (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          note_id INTEGER NOT NULL REFERENCES notes(id) ON DELETE CASCADE,
+          hash TEXT NOT NULL,
+          file_name TEXT NOT NULL,
+          mime_type TEXT NOT NULL,
+          size INTEGER NOT NULL,
+          uploaded_at DATETIME,
+          created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+          UNIQUE (note_id, hash)
+        );
+
+        CREATE INDEX idx_attachments_hash
+        ON attachments(hash);
+      `);
+    }
+  },
+  {
+    version: 13,
+    description: 'Add note_links for [[wiki links]] between notes',
+    up: (db) => {
+      // target_title is the title as written in the link (encrypted like note text);
+      // target_id stays null until a note with that title exists. Links of
+      // existing notes are filled in by db.js, which can read encrypted content
+      db.exec(`
+        CREATE TABLE note_links (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          source_id INTEGER NOT NULL REFERENCES notes(id) ON DELETE CASCADE,
+          target_id INTEGER REFERENCES notes(id) ON DELETE SET NULL,
+          target_title TEXT NOT NULL
+        );
+
+        CREATE INDEX idx_note_links_source
+        ON note_links(source_id);
+
+        CREATE INDEX idx_note_links_target
+        ON note_links(target_id);
+      `);
+    }
+  },
+  {
+    version: 14,
+    description: 'Add notes.version to detect edits made since a note was opened',
+    up: (db) => {
+      // Like the revision trigger, this counts every title/content change,
+      // whether it is an edit, a pulled change or a conflict resolution
+      db.exec(`
+        ALTER TABLE notes ADD COLUMN version INTEGER NOT NULL DEFAULT 1;
+
+        CREATE TRIGGER notes_version_after_update AFTER UPDATE OF title, content ON notes
+        WHEN old.title IS NOT new.title OR old.content IS NOT new.content
+        BEGIN
+          UPDATE notes SET version = old.version + 1 WHERE id = old.id;
+        END;
+      `);
+    }
+  },
+  {
+    version: 15,
+    description: 'Add note_revisions.saved_at so retention counts from when a revision was saved',
+    up: (db) => {
+      // created_at stays the time the revision's text was written (shown in the
+      // history). Revisions saved before this migration count as saved now, so
+      // upgrading never drops history at once.
+      db.exec(`
+        ALTER TABLE note_revisions ADD COLUMN saved_at DATETIME;
+        UPDATE note_revisions SET saved_at = CURRENT_TIMESTAMP;
+
+        DROP TRIGGER note_revisions_after_update;
+        CREATE TRIGGER note_revisions_after_update AFTER UPDATE OF title, content ON notes
+        WHEN old.title IS NOT new.title OR old.content IS NOT new.content
+        BEGIN
+          INSERT INTO note_revisions (note_id, title, content, created_at, saved_at)
+          VALUES (old.id, old.title, old.content, old.updated_at, CURRENT_TIMESTAMP);
+        END;
+      `);
+    }
+  }
+];
+
+/**
+ * Thrown when the database was written by a newer version of the app
+ */
+class SchemaVersionError extends Error {
+  constructor(currentVersion, latestVersion) {
+    super(
+      `Database schema version ${currentVersion} is newer than the latest version ` +
+      `this app supports (${latestVersion}). Please update the app to open this database.`
+    );
+    this.name = 'SchemaVersionError';
+    this.currentVersion = currentVersion;
+    this.latestVersion = latestVersion;
+  }
+}
+
+/**
+ * Thrown when a migration fails; the failing migration is rolled back
+ */
+class MigrationError extends Error {
+  constructor(migration, cause, backupPath) {
+    super(
+      `Migration ${migration.version} (${migration.description}) failed: ${cause.message}` +
+      (backupPath ? `. A backup of the database was saved to ${backupPath}` : '')
+    );
+    this.name = 'MigrationError';
+    this.version = migration.version;
+    this.backupPath = backupPath;
+    this.cause = cause;
+  }
+}
+
+/**
+ * Get the highest schema version known to this build
+ * @returns {number} Latest migration version
+ */
+const getLatestVersion = () => {
+  return migrations.reduce((latest, migration) => Math.max(latest, migration.version), 0);
+};
+
+/**
+ * Get the schema version stored in the database file
+ * @param {Database} db - better-sqlite3 database instance
+ * @returns {number} Current schema version (0 for a new database)
+ */
+const getSchemaVersion = (db) => {
+  return db.pragma('user_version', { simple: true });
+};
+
+/**
+ * Copy the database file before applying migrations
+ * Skipped for new, empty or in-memory databases since there is nothing to lose
+ * @param {Database} db - better-sqlite3 database instance
+ * @param {string} dbPath - Path of the database file
+ * @param {number} fromVersion - Schema version before migrating
+ * @returns {string|null} Path of the backup file, or null if none was needed
+ */
+const backupDatabase = (db, dbPath, fromVersion) => {
+  if (!dbPath || dbPath === ':memory:' || !fs.existsSync(dbPath)) {
+    return null;
+  }
+
+  const { count } = db.prepare("SELECT COUNT(*) as count FROM sqlite_master WHERE type = 'table'").get();
+  if (count === 0) {
+    return null;
+  }
+
+  // Flush the WAL into the main file so the copy is complete
+  db.pragma('wal_checkpoint(TRUNCATE)');
+
+  const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
+  const { dir, name } = path.parse(dbPath);
+  const backupPath = path.join(dir, `${name}-v${fromVersion}-backup-${timestamp}.db`);
+
+  fs.copyFileSync(dbPath, backupPath);
+  console.log('Database backed up before migration to:', backupPath);
+
+  return backupPath;
+};
+
+/**
+ * Bring the database schema up to the latest version
+ * @param {Database} db - better-sqlite3 database instance
+ * @param {string} dbPath - Path of the database file (used for the backup copy)
+ * @returns {Object} { fromVersion, toVersion, applied, backupPath }
+ * @throws {SchemaVersionError} If the database is newer than this app
+ * @throws {MigrationError} If a migration fails
+ */
+const runMigrations = (db, dbPath) => {
+  const fromVersion = getSchemaVersion(db);
+  const latestVersion = getLatestVersion();
+
+  if (fromVersion > latestVersion) {
+    throw new SchemaVersionError(fromVersion, latestVersion);
+  }
+
+  const pending = migrations
+    .filter(migration => migration.version > fromVersion)
+    .sort((a, b) => a.version - b.version);
+
+  if (pending.length === 0) {
+    return { fromVersion, toVersion: fromVersion, applied: [], backupPath: null };
+  }
+
+  const backupPath = backupDatabase(db, dbPath, fromVersion);
+  const applied = [];
+
+  for (const migration of pending) {
+    // user_version lives in the database header, so it is rolled back
+    // together with the schema changes if the migration throws
+    const apply = db.transaction(() => {
+      migration.up(db);
+      db.pragma(`user_version = ${migration.version}`);
+    });
+
+    try {
+      apply();
+    } catch (error) {
+      throw new MigrationError(migration, error, backupPath);
+    }
+
+    applied.push(migration.version);
+    console.log(`Applied migration ${migration.version}: ${migration.description}`);
+  }
+
+  return {
+    fromVersion,
+    toVersion: applied[applied.length - 1],
+    applied,
+    backupPath
+  };
+};
+
+module.exports = {
+  migrations,
+  runMigrations,
+  getSchemaVersion,
+  getLatestVersion,
+  SchemaVersionError,
+  MigrationError
+};
@@ -0,0 +1,120 @@
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const Database = require('better-sqlite3');
+const { userDataDir } = require('./testing');
+const {
+  migrations,
+  runMigrations,
+  getSchemaVersion,
+  getLatestVersion,
+  SchemaVersionError,
+  MigrationError
+} = require('./migrations');
+
+const dbPath = path.join(userDataDir, 'migrations.db');
+
+// Schema of databases written before migrations existed (user_version 0)
+const createUnversionedDatabase = () => {
+  const db = new Database(dbPath);
+  db.exec(`
+    CREATE TABLE notes (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      title TEXT NOT NULL,
+      content TEXT,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      synced_at DATETIME,
+      sync_status TEXT DEFAULT 'pending'
+    );
+    INSERT INTO notes (title, content) VALUES ('Old note', 'Written before migrations');
+  `);
+  return db;
+};
+
+beforeEach(() => {
+  for (const file of fs.readdirSync(userDataDir)) {
+    fs.rmSync(path.join(userDataDir, file), { force: true });
+  }
+});
+
+test('versions are unique and ascending', () => {
+  const versions = migrations.map(migration => migration.version);
+  assert.deepStrictEqual(versions, versions.map((version, index) => index + 1));
+  assert.strictEqual(getLatestVersion(), versions.length);
+});
+
+test('a new database is migrated to the latest version, then left alone', () => {
+  const db = new Database(':memory:');
+
+  const first = runMigrations(db, ':memory:');
+  assert.strictEqual(first.fromVersion, 0);
+  assert.strictEqual(first.toVersion, getLatestVersion());
+  assert.strictEqual(first.applied.length, getLatestVersion());
+  assert.strictEqual(first.backupPath, null);
+  assert.strictEqual(getSchemaVersion(db), getLatestVersion());
+
+  const second = runMigrations(db, ':memory:');
+  assert.deepStrictEqual(second.applied, []);
+  assert.strictEqual(second.toVersion, getLatestVersion());
+});
+
+test('a database from before migrations keeps its notes and is backed up first', () => {
+  const db = createUnversionedDatabase();
+
+  const result = runMigrations(db, dbPath);
+
+  assert.strictEqual(result.fromVersion, 0);
+  assert.strictEqual(getSchemaVersion(db), getLatestVersion());
+  const note = db.prepare('SELECT title, content, version, trashed_at FROM notes').get();
+  assert.deepStrictEqual(note, { title: 'Old note', content: 'Written before migrations', version: 1, trashed_at: null });
+
+  // The full-text index covers notes that existed before it
+  const found = db.prepare("SELECT rowid FROM notes_fts WHERE notes_fts MATCH 'migrations'").all();
+  assert.strictEqual(found.length, 1);
+
+  assert.ok(result.backupPath && fs.existsSync(result.backupPath));
+  const backup = new Database(result.backupPath, { readonly: true });
+  assert.strictEqual(getSchemaVersion(backup), 0);
+  assert.strictEqual(backup.prepare('SELECT COUNT(*) AS count FROM notes').get().count, 1);
+  backup.close();
+  db.close();
+});
+
+test('a database from a newer app version is refused untouched', () => {
+  const db = new Database(':memory:');
+  db.pragma(`user_version = ${getLatestVersion() + 1}`);
+
+  assert.throws(() => runMigrations(db, ':memory:'), SchemaVersionError);
+  assert.strictEqual(getSchemaVersion(db), getLatestVersion() + 1);
+});
+
+test('a failing migration is rolled back and reports the backup', (t) => {
+  const db = createUnversionedDatabase();
+  runMigrations(db, dbPath);
+  const latest = getLatestVersion();
+
+  migrations.push({
+    version: latest + 1,
+    description: 'Broken migration',
+    up: (connection) => {
+      connection.exec('CREATE TABLE half_done (id INTEGER)');
+      throw new Error('boom');
+    }
+  });
+  t.after(() => migrations.pop());
+
+  assert.throws(() => runMigrations(db, dbPath), (error) => {
+    assert.ok(error instanceof MigrationError);
+    assert.strictEqual(error.version, latest + 1);
+    assert.strictEqual(error.cause.message, 'boom');
+    assert.ok(fs.existsSync(error.backupPath));
+    return true;
+  });
+
+  assert.strictEqual(getSchemaVersion(db), latest);
+  const halfDone = db.prepare("SELECT name FROM sqlite_master WHERE name = 'half_done'").get();
+  assert.strictEqual(halfDone, undefined);
+  db.close();
+});
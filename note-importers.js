@@ -0,0 +1,424 @@
+/**
+ * Importers for Other Note Formats (Main Process)
+ *
+ * This module handles:
+ * - Parsing JSON arrays of notes
+ * - Parsing CSV files and mapping their columns to note fields
+ * - Parsing Evernote .enex exports (ENML content is converted to plain text)
+ * - Validating every parsed note so problems can be previewed before importing
+ *
+ * Every parser returns { notes, errors, warnings }. Notes use the shape
+ * db.importNotes() expects: { title, content, tags, notebook, created_at, updated_at }.
+ * Errors are { item, message } for entries that cannot be imported.
+ */
+
+// Note fields a CSV column can be mapped to
+const CSV_FIELDS = ['title', 'content', 'tags', 'notebook', 'created_at', 'updated_at'];
+
+// Header names recognized when guessing the CSV column mapping
+const CSV_HEADER_ALIASES = {
+  title: ['title', 'name', 'subject', 'heading'],
+  content: ['content', 'body', 'text', 'note', 'notes', 'description'],
+  tags: ['tags', 'tag', 'labels', 'keywords'],
+  notebook: ['notebook', 'folder', 'category', 'path'],
+  created_at: ['created_at', 'created', 'date', 'created date', 'date created'],
+  updated_at: ['updated_at', 'updated', 'modified', 'last modified', 'date modified']
+};
+
+/**
+ * Split a tags value into tag names
+ * @param {Array|string} value - Array of names, or names separated by commas/semicolons
+ * @returns {Array} Tag names
+ */
+const toTagList = (value) => {
+  const items = Array.isArray(value) ? value : String(value ?? '').split(/[,;]/);
+  return items.map(item => String(item ?? '').trim()).filter(Boolean);
+};
+
+/**
+ * Split a notebook value into a path of names
+ * @param {Array|string} value - Array of names, or a path like "Work/Projects"
+ * @returns {Array} Notebook path ([] for none)
+ */
+const toNotebookPath = (value) => {
+  const items = Array.isArray(value) ? value : String(value ?? '').split('/');
+  return items.map(item => String(item ?? '').trim()).filter(Boolean);
+};
+
+/**
+ * Parse an optional date
+ * @param {*} value - Date string or number (epoch milliseconds)
+ * @param {string} field - Field name for the error message
+ * @returns {string|null} ISO timestamp or null if empty
+ * @throws {Error} If the value is not a valid date
+ */
+const toIsoDate = (value, field) => {
+  if (value === undefined || value === null || String(value).trim() === '') return null;
+
+  const date = new Date(typeof value === 'number' ? value : String(value).trim());
+  if (Number.isNaN(date.getTime())) {
+    throw new Error(`Invalid ${field}: ${value}`);
+  }
+  return date.toISOString();
+};
+
+/**
+ * Validate and normalize one imported note
+ * @param {Object} raw - { title, content, tags, notebook, created_at, updated_at }
+ * @returns {Object} Note ready for db.importNotes()
+ * @throws {Error} If the note cannot be imported
+ */
+const validateNote = (raw) => {
+  if (!raw || typeof raw !== 'object' || Array.isArray(raw)) {
+    throw new Error('Expected an object');
+  }
+
+  const title = String(raw.title ?? '').trim();
+  if (!title) {
+    throw new Error('Title is required');
+  }
+
+  if (raw.content !== undefined && raw.content !== null && typeof raw.content === 'object') {
+    throw new Error('Content must be text');
+  }
+
+  return {
+    title,
+    content: raw.content === undefined || raw.content === null ? '' : String(raw.content),
+    tags: toTagList(raw.tags),
+    notebook: toNotebookPath(raw.notebook),
+    created_at: toIsoDate(raw.created_at, 'created date'),
+    updated_at: toIsoDate(raw.updated_at, 'updated date')
+  };
+};
+
+/**
+ * Validate a list of raw notes, collecting errors instead of stopping
+ * @param {Array} entries - Array of { raw, item } (item labels the entry in errors)
+ * @returns {Object} { notes, errors }
+ */
+const validateAll = (entries) => {
+  const notes = [];
+  const errors = [];
+
+  for (const { raw, item } of entries) {
+    try {
+      notes.push(validateNote(raw));
+    } catch (error) {
+      errors.push({ item, message: error.message });
+    }
+  }
+
+  return { notes, errors };
+};
+
+// ============================================
+// JSON
+// ============================================
+
+/**
+ * Parse a JSON array of notes
+ * Accepts a bare array or { notes: [...] }. Common alternative field
+ * names (body/text, created/updated, folder) are recognized.
+ * @param {string} text - File contents
+ * @returns {Object} { notes, errors, warnings }
+ * @throws {Error} If the file is not valid JSON or has no array of notes
+ */
+const parseJsonNotes = (text) => {
+  let data;
+  try {
+    data = JSON.parse(String(text).replace(/^\uFEFF/, ''));
+  } catch (error) {
+    throw new Error(`Invalid JSON: ${error.message}`);
+  }
+
+  const list = Array.isArray(data) ? data : data && Array.isArray(data.notes) ? data.notes : null;
+  if (!list) {
+    throw new Error('Expected a JSON array of notes (or an object with a "notes" array)');
+  }
+
+  const entries = list.map((entry, index) => ({
+    item: `Item ${index + 1}`,
+    raw: entry && typeof entry === 'object' && !Array.isArray(entry)
+      ? {
+          title: entry.title ?? entry.name,
+          content: entry.content ?? entry.body ?? entry.text,
+          tags: entry.tags,
+          notebook: entry.notebook ?? entry.folder,
+          created_at: entry.created_at ?? entry.createdAt ?? entry.created,
+          updated_at: entry.updated_at ?? entry.updatedAt ?? entry.updated
+        }
+      : entry
+  }));
+
+  return { ...validateAll(entries), warnings: [] };
+};
+
+// ============================================
+// CSV
+// ============================================
+
+/**
+ * Guess the delimiter from the header line (comma, semicolon or tab)
+ * @param {string} text - CSV text
+ * @returns {string} Delimiter
+ */
+const detectDelimiter = (text) => {
+  const header = text.split(/\r?\n/, 1)[0].replace(/"[^"]*"/g, '');
+  const counts = [',', ';', '\t'].map(delimiter => [delimiter, header.split(delimiter).length]);
+  counts.sort((a, b) => b[1] - a[1]);
+  return counts[0][0];
+};
+
+/**
+ * Parse CSV text into rows (RFC 4180: quoted fields, "" escapes, newlines in quotes)
+ * @param {string} text - CSV text
+ * @returns {Array} Array of rows, each an array of strings
+ * @throws {Error} If a quoted field is never closed
+ */
+const parseCsv = (text) => {
+  const input = String(text).replace(/^\uFEFF/, '');
+  const delimiter = detectDelimiter(input);
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+
+    if (quoted) {
+      if (char === '"' && input[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"' && field === '') {
+      quoted = true;
+    } else if (char === delimiter) {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && input[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+
+  if (quoted) {
+    throw new Error('Invalid CSV: a quoted field is never closed');
+  }
+  if (field !== '' || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  // Blank lines are not rows
+  return rows.filter(cells => cells.some(cell => cell.trim() !== ''));
+};
+
+/**
+ * Guess which CSV column holds each note field from the header names
+ * @param {Array} headers - Header row
+ * @returns {Object} Mapping of field => column index (null if not found)
+ */
+const guessCsvMapping = (headers) => {
+  const normalized = headers.map(header => header.trim().toLowerCase().replace(/[_-]+/g, ' '));
+  const mapping = {};
+
+  for (const field of CSV_FIELDS) {
+    const aliases = CSV_HEADER_ALIASES[field].map(alias => alias.replace(/_/g, ' '));
+    const index = normalized.findIndex(header => aliases.includes(header));
+    mapping[field] = index >= 0 ? index : null;
+  }
+
+  return mapping;
+};
+
+/**
+ * Parse a CSV file of notes (the first row must be a header)
+ * @param {string} text - File contents
+ * @param {Object} mapping - field => column index; omitted fields are guessed from the headers
+ * @returns {Object} { notes, errors, warnings, headers, mapping }
+ * @throws {Error} If the file is empty or no column is mapped to the title
+ */
+const parseCsvNotes = (text, mapping = null) => {
+  const rows = parseCsv(text);
+  if (rows.length === 0) {
+    throw new Error('The CSV file is empty');
+  }
+
+  const [headers, ...dataRows] = rows;
+  const columns = { ...guessCsvMapping(headers), ...(mapping || {}) };
+
+  for (const field of CSV_FIELDS) {
+    const index = columns[field];
+    columns[field] = Number.isInteger(index) && index >= 0 && index < headers.length ? index : null;
+  }
+
+  if (columns.title === null) {
+    throw new Error('Choose which column holds the note titles');
+  }
+
+  const cell = (row, field) => (columns[field] === null ? undefined : row[columns[field]]);
+  const entries = dataRows.map((row, index) => ({
+    // +2: rows are 1-based and the header is row 1
+    item: `Row ${index + 2}`,
+    raw: Object.fromEntries(CSV_FIELDS.map(field => [field, cell(row, field)]))
+  }));
+
+  return { ...validateAll(entries), warnings: [], headers, mapping: columns };
+};
+
+// ============================================
+// Evernote ENEX
+// ============================================
+
+const XML_ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: '\u00A0' };
+
+/**
+ * Decode XML/HTML character references
+ * @param {string} text - Encoded text
+ * @returns {string} Decoded text
+ */
+const decodeEntities = (text) => {
+  return text.replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (match, entity) => {
+    if (entity[0] === '#') {
+      const code = entity[1].toLowerCase() === 'x' ? parseInt(entity.slice(2), 16) : parseInt(entity.slice(1), 10);
+      return Number.isNaN(code) ? match : String.fromCodePoint(code);
+    }
+    return XML_ENTITIES[entity.toLowerCase()] ?? match;
+  });
+};
+
+/**
+ * Get the text of an XML element's children (CDATA sections are unwrapped)
+ * @param {string} xml - Parent element's inner XML
+ * @param {string} tag - Child element name
+ * @returns {Array} Text of every matching child
+ */
+const childTexts = (xml, tag) => {
+  const pattern = new RegExp(`<${tag}(?:\\s[^>]*)?>([\\s\\S]*?)</${tag}>`, 'g');
+  return [...xml.matchAll(pattern)].map(([, inner]) => {
+    const cdata = inner.match(/^\s*<!\[CDATA\[([\s\S]*?)\]\]>\s*$/);
+    return cdata ? cdata[1] : decodeEntities(inner);
+  });
+};
+
+/**
+ * Convert ENML (Evernote's XHTML note body) to plain text
+ * Block elements become line breaks, list items become "- " lines and
+ * checkboxes become [ ] / [x].
+ * @param {string} enml - Note content
+ * @returns {string} Plain text
+ */
+const enmlToText = (enml) => {
+  const text = enml
+    .replace(/<\?xml[\s\S]*?\?>|<!DOCTYPE[\s\S]*?>/gi, '')
+    .replace(/<en-todo[^>]*checked="true"[^>]*\/?>/gi, '[x] ')
+    .replace(/<en-todo[^>]*\/?>/gi, '[ ] ')
+    .replace(/<en-media[^>]*\/?>(<\/en-media>)?/gi, '')
+    .replace(/<br\s*\/?>/gi, '\n')
+    .replace(/<li[^>]*>/gi, '- ')
+    .replace(/<\/(div|p|li|h[1-6]|tr|blockquote|pre|ul|ol|table)>/gi, '\n')
+    .replace(/<\/t[dh]>/gi, '\t')
+    .replace(/<[^>]+>/g, '');
+
+  return decodeEntities(text)
+    .replace(/\u00A0/g, ' ')
+    .replace(/[ \t]+\n/g, '\n')
+    .replace(/\n{3,}/g, '\n\n')
+    .trim();
+};
+
+/**
+ * Convert an ENEX timestamp (20240102T030405Z) to ISO 8601
+ * @param {string} value - ENEX timestamp
+ * @returns {string|undefined} ISO timestamp (left as-is if not in the ENEX format)
+ */
+const enexDate = (value) => {
+  if (!value) return undefined;
+  const match = value.trim().match(/^(\d{4})(\d{2})(\d{2})T(\d{2})(\d{2})(\d{2})Z$/);
+  return match
+    ? `${match[1]}-${match[2]}-${match[3]}T${match[4]}:${match[5]}:${match[6]}Z`
+    : value.trim();
+};
+
+/**
+ * Parse an Evernote export (.enex)
+ * Attachments (resources) are not imported; notes that had some are listed in warnings.
+ * @param {string} text - File contents
+ * @returns {Object} { notes, errors, warnings }
+ * @throws {Error} If the file is not an Evernote export
+ */
+const parseEnexNotes = (text) => {
+  const xml = String(text);
+  if (!/<en-export[\s>]/.test(xml)) {
+    throw new Error('Not an Evernote export (.enex) file');
+  }
+
+  const warnings = [];
+  const entries = [...xml.matchAll(/<note>([\s\S]*?)<\/note>/g)].map(([, noteXml], index) => {
+    const item = `Note ${index + 1}`;
+    const [title] = childTexts(noteXml, 'title');
+    const [content] = childTexts(noteXml, 'content');
+    const [created] = childTexts(noteXml, 'created');
+    const [updated] = childTexts(noteXml, 'updated');
+    const resources = (noteXml.match(/<resource>/g) || []).length;
+
+    if (resources > 0) {
+      warnings.push({ item, message: `${resources} attachment(s) in "${(title || '').trim()}" will not be imported` });
+    }
+
+    return {
+      item,
+      raw: {
+        title,
+        content: content ? enmlToText(content) : '',
+        tags: childTexts(noteXml, 'tag'),
+        created_at: enexDate(created),
+        updated_at: enexDate(updated)
+      }
+    };
+  });
+
+  return { ...validateAll(entries), warnings };
+};
+
+/**
+ * Parse an import file in the given format
+ * @param {string} format - 'json', 'csv' or 'enex'
+ * @param {string} text - File contents
+ * @param {Object} options - { mapping } for CSV
+ * @returns {Object} { notes, errors, warnings } (plus headers and mapping for CSV)
+ * @throws {Error} For an unknown format or an unreadable file
+ */
+const parseImport = (format, text, options = {}) => {
+  switch (format) {
+    case 'json':
+      return parseJsonNotes(text);
+    case 'csv':
+      return parseCsvNotes(text, options.mapping);
+    case 'enex':
+      return parseEnexNotes(text);
+    default:
+      throw new Error(`Unknown import format: ${format}`);
+  }
+};
+
+module.exports = {
+  CSV_FIELDS,
+  parseImport,
+  parseJsonNotes,
+  parseCsv,
+  parseCsvNotes,
+  parseEnexNotes,
+  enmlToText
+};
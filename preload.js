@@ -26,17 +26,23 @@ contextBridge.exposeInMainWorld('electronAPI', {
      * Add a new note
      * @param {string} title - Note title
      * @param {string} content - Note content
+     * @param {number} notebookId - Optional notebook to create the note in
      * @returns {Promise<Object>} Result with success status and data
      */
-    addNote: (title, content) => ipcRenderer.invoke('db:addNote', title, content),
+    addNote: (title, content, notebookId) => ipcRenderer.invoke('db:addNote', title, content, notebookId),
     
     /**
-     * Get all notes
+     * Get all notes, or one page of them
      * @param {string} sortBy - Column to sort by (default: 'created_at')
      * @param {string} order - Sort order 'ASC' or 'DESC' (default: 'DESC')
+     * @param {Object} filter - Optional { tagIds, notebookId } (notes must have all of
+     *   these tags and be in the notebook or one of its sub-notebooks)
+     * @param {Object} page - Optional { limit (1-500), cursor } to get one page; pass the
+     *   previous result's nextCursor to get the next page
      * @returns {Promise<Object>} Result with success status and notes array
+     *   (plus nextCursor when paging; null on the last page)
      */
-    getNotes: (sortBy, order) => ipcRenderer.invoke('db:getNotes', sortBy, order),
+    getNotes: (sortBy, order, filter, page) => ipcRenderer.invoke('db:getNotes', sortBy, order, filter, page),
     
     /**
      * Get a single note by ID
@@ -50,16 +56,51 @@ contextBridge.exposeInMainWorld('electronAPI', {
      * @param {number} id - Note ID
      * @param {string} title - New title
      * @param {string} content - New content
+     * @param {number} expectedVersion - Optional: the note's `version` the edit is based on; if the note
+     *   changed since, nothing is saved and the result has code 'EDIT_CONFLICT' and the current note as data
      * @returns {Promise<Object>} Result with success status and updated note
      */
-    updateNote: (id, title, content) => ipcRenderer.invoke('db:updateNote', id, title, content),
+    updateNote: (id, title, content, expectedVersion) => ipcRenderer.invoke('db:updateNote', id, title, content, expectedVersion),
     
     /**
-     * Delete a note
+     * Permanently delete a note (use trashNote to move it to the Trash)
      * @param {number} id - Note ID
      * @returns {Promise<Object>} Result with success status
      */
     deleteNote: (id) => ipcRenderer.invoke('db:deleteNote', id),
+
+    /**
+     * Move a note to the Trash
+     * @param {number} id - Note ID
+     * @returns {Promise<Object>} Result with success status
+     */
+    trashNote: (id) => ipcRenderer.invoke('db:trashNote', id),
+
+    /**
+     * Restore a note from the Trash
+     * @param {number} id - Note ID
+     * @returns {Promise<Object>} Result with success status and the restored note
+     */
+    restoreNote: (id) => ipcRenderer.invoke('db:restoreNote', id),
+
+    /**
+     * Get the notes in the Trash, most recently trashed first
+     * @returns {Promise<Object>} Result with success status, notes array and retentionDays
+     */
+    getTrash: () => ipcRenderer.invoke('db:getTrash'),
+
+    /**
+     * Permanently delete every note in the Trash
+     * @returns {Promise<Object>} Result with success status and { deleted }
+     */
+    emptyTrash: () => ipcRenderer.invoke('db:emptyTrash'),
+
+    /**
+     * Set how many days notes stay in the Trash before being purged
+     * @param {number} days - Whole number of days (1 to 3650)
+     * @returns {Promise<Object>} Result with success status and { retentionDays }
+     */
+    setTrashRetentionDays: (days) => ipcRenderer.invoke('db:setTrashRetentionDays', days),
     
     /**
      * Add multiple notes using transaction (for performance)
@@ -69,26 +110,460 @@ contextBridge.exposeInMainWorld('electronAPI', {
     addNotesBulk: (notes) => ipcRenderer.invoke('db:addNotesBulk', notes),
     
     /**
-     * Search notes by title or content
+     * Full-text search notes by title or content
+     * Supports "quoted phrases", prefix* terms and AND / OR / NOT
      * @param {string} query - Search query
-     * @returns {Promise<Object>} Result with success status and matching notes
+     * @param {Object} filter - Optional { tagIds, notebookId } (same as getNotes)
+     * @param {Object} page - Optional { limit, cursor } (same as getNotes)
+     * @returns {Promise<Object>} Result with success status and ranked notes
+     *   (each with title_highlight and snippet fields; plus nextCursor when paging)
+     */
+    searchNotes: (query, filter, page) => ipcRenderer.invoke('db:searchNotes', query, filter, page),
+
+    /**
+     * Get all tags with the number of notes using each
+     * @returns {Promise<Object>} Result with success status and tags array
+     */
+    getTags: () => ipcRenderer.invoke('db:getTags'),
+
+    /**
+     * Add a tag to a note (the tag is created if it does not exist)
+     * @param {number} noteId - Note ID
+     * @param {string} name - Tag name
+     * @returns {Promise<Object>} Result with success status and the updated note
+     */
+    addTagToNote: (noteId, name) => ipcRenderer.invoke('db:addTagToNote', noteId, name),
+
+    /**
+     * Remove a tag from a note
+     * @param {number} noteId - Note ID
+     * @param {number} tagId - Tag ID
+     * @returns {Promise<Object>} Result with success status
+     */
+    removeTagFromNote: (noteId, tagId) => ipcRenderer.invoke('db:removeTagFromNote', noteId, tagId),
+
+    /**
+     * Rename a tag
+     * @param {number} id - Tag ID
+     * @param {string} newName - New tag name
+     * @returns {Promise<Object>} Result with success status and the renamed tag
+     */
+    renameTag: (id, newName) => ipcRenderer.invoke('db:renameTag', id, newName),
+
+    /**
+     * Merge one tag into another (the source tag is deleted)
+     * @param {number} sourceId - Tag to merge away
+     * @param {number} targetId - Tag to keep
+     * @returns {Promise<Object>} Result with success status
+     */
+    mergeTags: (sourceId, targetId) => ipcRenderer.invoke('db:mergeTags', sourceId, targetId),
+
+    /**
+     * List the saved revisions of a note, newest first
+     * @param {number} noteId - Note ID
+     * @returns {Promise<Object>} Result with success status and revisions array
+     */
+    getNoteRevisions: (noteId) => ipcRenderer.invoke('db:getNoteRevisions', noteId),
+
+    /**
+     * Diff two versions of a note
+     * @param {number} noteId - Note ID
+     * @param {number|null} fromRevisionId - Older version (null for the current note)
+     * @param {number|null} toRevisionId - Newer version (null for the current note)
+     * @returns {Promise<Object>} Result with success status and { from, to, titleChanged, changes }
+     */
+    diffRevisions: (noteId, fromRevisionId, toRevisionId) => ipcRenderer.invoke('db:diffRevisions', noteId, fromRevisionId, toRevisionId),
+
+    /**
+     * Restore a previous revision (saved as a new edit)
+     * @param {number} noteId - Note ID
+     * @param {number} revisionId - Revision to restore
+     * @returns {Promise<Object>} Result with success status and the updated note
+     */
+    restoreRevision: (noteId, revisionId) => ipcRenderer.invoke('db:restoreRevision', noteId, revisionId),
+
+    /**
+     * Get all notebooks as a flat list (build the tree from parent_id)
+     * @returns {Promise<Object>} Result with success status and notebooks array
+     */
+    getNotebooks: () => ipcRenderer.invoke('db:getNotebooks'),
+
+    /**
+     * Create a notebook
+     * @param {string} name - Notebook name
+     * @param {number} parentId - Parent notebook ID (omit for top level)
+     * @returns {Promise<Object>} Result with success status and the new notebook
      */
-    searchNotes: (query) => ipcRenderer.invoke('db:searchNotes', query),
+    createNotebook: (name, parentId) => ipcRenderer.invoke('db:createNotebook', name, parentId),
+
+    /**
+     * Rename a notebook
+     * @param {number} id - Notebook ID
+     * @param {string} name - New name
+     * @returns {Promise<Object>} Result with success status and the renamed notebook
+     */
+    renameNotebook: (id, name) => ipcRenderer.invoke('db:renameNotebook', id, name),
+
+    /**
+     * Move a notebook under another parent
+     * @param {number} id - Notebook ID
+     * @param {number|null} parentId - New parent notebook ID (null for top level)
+     * @returns {Promise<Object>} Result with success status
+     */
+    moveNotebook: (id, parentId) => ipcRenderer.invoke('db:moveNotebook', id, parentId),
+
+    /**
+     * Delete a notebook (its notes and sub-notebooks move to the parent)
+     * @param {number} id - Notebook ID
+     * @returns {Promise<Object>} Result with success status
+     */
+    deleteNotebook: (id) => ipcRenderer.invoke('db:deleteNotebook', id),
+
+    /**
+     * Move a note into a notebook
+     * @param {number} noteId - Note ID
+     * @param {number|null} notebookId - Target notebook ID (null for no notebook)
+     * @returns {Promise<Object>} Result with success status and the updated note
+     */
+    moveNoteToNotebook: (noteId, notebookId) => ipcRenderer.invoke('db:moveNoteToNotebook', noteId, notebookId),
+    
+    /**
+     * Get a note's [[links]] and backlinks
+     * @param {number} noteId - Note ID
+     * @returns {Promise<Object>} Result with success status and { links: [{ title, noteId }], backlinks: [{ id, title, updated_at }] }
+     */
+    getNoteLinks: (noteId) => ipcRenderer.invoke('db:getNoteLinks', noteId),
+    
+    /**
+     * Find the note a [[link]] points at (titles match ignoring case)
+     * @param {string} title - Title as written in the link
+     * @returns {Promise<Object>} Result with success status and the note (code NOT_FOUND if no note has the title)
+     */
+    findNoteByTitle: (title) => ipcRenderer.invoke('db:findNoteByTitle', title),
+    
+    /**
+     * Attach a file to a note
+     * @param {number} noteId - Note ID
+     * @param {string} fileName - File name (shown in the note and used when saving a copy)
+     * @param {Uint8Array} data - File contents
+     * @returns {Promise<Object>} Result with success status and the attachment ({ id, hash, file_name, mime_type, size, url, ... })
+     */
+    addAttachment: (noteId, fileName, data) => ipcRenderer.invoke('db:addAttachment', noteId, fileName, data),
+    
+    /**
+     * Get the attachments of a note
+     * @param {number} noteId - Note ID
+     * @returns {Promise<Object>} Result with success status and attachments
+     */
+    getAttachments: (noteId) => ipcRenderer.invoke('db:getAttachments', noteId),
+    
+    /**
+     * Remove an attachment from its note
+     * @param {number} id - Attachment ID
+     * @returns {Promise<Object>} Result with success status
+     */
+    removeAttachment: (id) => ipcRenderer.invoke('db:removeAttachment', id),
     
     /**
      * Get database statistics
+     * @param {Object} filter - Optional { notebookId } to scope the counts to a notebook
      * @returns {Promise<Object>} Result with success status and stats
      */
-    getStats: () => ipcRenderer.invoke('db:getStats'),
+    getStats: (filter) => ipcRenderer.invoke('db:getStats', filter),
+    
+    /**
+     * Get unresolved sync conflicts (local and remote version of each note)
+     * @returns {Promise<Object>} Result with success status and conflicts array
+     */
+    getConflicts: () => ipcRenderer.invoke('db:getConflicts'),
+    
+    /**
+     * Resolve a sync conflict
+     * @param {number} id - Note ID
+     * @param {string} resolution - 'local', 'remote' or 'merged'
+     * @param {Object} merged - { title, content } for the 'merged' resolution
+     * @returns {Promise<Object>} Result with success status
+     */
+    resolveConflict: (id, resolution, merged) => ipcRenderer.invoke('db:resolveConflict', id, resolution, merged),
+
+    /**
+     * Get notes that failed to sync, with the server's error message,
+     * attempt count and next retry time
+     * @returns {Promise<Object>} Result with success status and sync errors array
+     */
+    getSyncErrors: () => ipcRenderer.invoke('db:getSyncErrors'),
+
+    /**
+     * Retry syncing a failed note now
+     * @param {number} id - Note ID
+     * @returns {Promise<Object>} Result with success status
+     */
+    retryNoteSync: (id) => ipcRenderer.invoke('db:retryNoteSync', id),
+
+    /**
+     * Discard the local change of a failed note (reverts to the server version)
+     * @param {number} id - Note ID
+     * @returns {Promise<Object>} Result with success status
+     */
+    discardLocalChange: (id) => ipcRenderer.invoke('db:discardLocalChange', id),
     
     /**
      * Sync local data with NestJS backend
      * @param {string} apiUrl - Base URL of the API (default: 'http://localhost:3000')
      * @returns {Promise<Object>} Sync result with success status and message
      */
-    syncWithBackend: (apiUrl) => ipcRenderer.invoke('db:syncWithBackend', apiUrl)
+    syncWithBackend: (apiUrl) => ipcRenderer.invoke('db:syncWithBackend', apiUrl),
+    
+    /**
+     * Subscribe to changes of notes, tags and notebooks (made by any window or by sync)
+     * @param {Function} callback - Called with { table, type, ids }; table is 'notes', 'tags'
+     *   or 'notebooks', type is 'insert', 'update' or 'delete' (moving a note to the Trash is a delete)
+     * @returns {Function} Call to unsubscribe
+     */
+    onChanged: (callback) => {
+      const listener = (event, change) => callback(change);
+      ipcRenderer.on('db:changed', listener);
+      return () => ipcRenderer.removeListener('db:changed', listener);
+    }
+  },
+  
+  // Markdown export/import (shows file dialogs)
+  files: {
+    /**
+     * Export notes as Markdown files with YAML front matter
+     * @param {string} format - 'folder' or 'zip'
+     * @param {Object} filter - Optional { tagIds, notebookId } (same as getNotes)
+     * @returns {Promise<Object>} Result with success status and { count, path },
+     *   or { success: false, canceled: true } if the dialog was dismissed
+     */
+    exportMarkdown: (format, filter) => ipcRenderer.invoke('files:exportMarkdown', format, filter),
+    
+    /**
+     * Import Markdown files, skipping notes that already exist
+     * @param {string} source - 'folder' or 'zip'
+     * @returns {Promise<Object>} Result with success status and { found, imported, skipped },
+     *   or { success: false, canceled: true } if the dialog was dismissed
+     */
+    importMarkdown: (source) => ipcRenderer.invoke('files:importMarkdown', source),
+    
+    /**
+     * Choose a JSON, CSV or Evernote (.enex) file and preview its notes
+     * @param {string} format - 'json', 'csv' or 'enex'
+     * @returns {Promise<Object>} Result with success status and the preview
+     *   ({ fileName, format, total, notes, errors, warnings, headers, mapping }),
+     *   or { success: false, canceled: true } if the dialog was dismissed
+     */
+    chooseImportFile: (format) => ipcRenderer.invoke('files:chooseImportFile', format),
+    
+    /**
+     * Preview the chosen file again
+     * @param {Object} options - { mapping } (CSV: note field => column index)
+     * @returns {Promise<Object>} Result with success status and the preview
+     */
+    previewImport: (options) => ipcRenderer.invoke('files:previewImport', options),
+    
+    /**
+     * Import the valid notes of the chosen file
+     * @param {Object} options - { mapping, notebookId } (notebookId is used for notes without a notebook)
+     * @returns {Promise<Object>} Result with success status and { inserted, skipped, failed, errors }
+     */
+    commitImport: (options) => ipcRenderer.invoke('files:commitImport', options),
+    
+    /**
+     * Discard the chosen file without importing
+     * @returns {Promise<Object>} Result with success status
+     */
+    cancelImport: () => ipcRenderer.invoke('files:cancelImport'),
+    
+    /**
+     * Save a copy of an attachment file (asks where with a save dialog)
+     * @param {string} hash - Hash of the file (the last part of its app://attachments/ URL)
+     * @returns {Promise<Object>} Result with success status and { path }, or canceled: true
+     */
+    saveAttachment: (hash) => ipcRenderer.invoke('files:saveAttachment', hash)
+  },
+  
+  // Sync server authentication
+  auth: {
+    /**
+     * Log in to the sync API
+     * @param {string} apiUrl - Base URL of the API
+     * @param {Object} credentials - { username, password } or { apiToken }
+     * @returns {Promise<Object>} Result with success status and session info
+     */
+    login: (apiUrl, credentials) => ipcRenderer.invoke('auth:login', apiUrl, credentials),
+    
+    /**
+     * Log out and wipe stored tokens
+     * @returns {Promise<Object>} Result with success status
+     */
+    logout: () => ipcRenderer.invoke('auth:logout'),
+    
+    /**
+     * Get the current session
+     * @returns {Promise<Object>} Result with { loggedIn, username, apiUrl }
+     */
+    getSession: () => ipcRenderer.invoke('auth:getSession')
+  },
+
+  // Database backups
+  backup: {
+    /**
+     * List backups, newest first
+     * @returns {Promise<Object>} Result with success status, data (array of { file, kind, createdAt, size }),
+     *   retention ({ keepDaily, keepWeekly }) and integrityProblems (from the startup check)
+     */
+    list: () => ipcRenderer.invoke('backup:list'),
+
+    /**
+     * Back up the database now
+     * @returns {Promise<Object>} Result with success status and the new backup
+     */
+    create: () => ipcRenderer.invoke('backup:create'),
+
+    /**
+     * Replace the database with a backup (the current state is backed up first; windows reload afterwards)
+     * @param {string} file - Backup file name from list()
+     * @returns {Promise<Object>} Result with success status and the encryption status of the restored database
+     */
+    restore: (file) => ipcRenderer.invoke('backup:restore', file),
+
+    /**
+     * Set how many backups to keep
+     * @param {Object} retention - { keepDaily (days), keepWeekly (weeks) }
+     * @returns {Promise<Object>} Result with success status and { keepDaily, keepWeekly, pruned }
+     */
+    setRetention: (retention) => ipcRenderer.invoke('backup:setRetention', retention)
+  },
+
+  // Encryption at rest
+  security: {
+    /**
+     * Get the encryption status
+     * @returns {Promise<Object>} Result with success status and { enabled, unlocked }
+     */
+    getStatus: () => ipcRenderer.invoke('security:getStatus'),
+
+    /**
+     * Unlock the encrypted database (opens the main window on success)
+     * @param {string} passphrase - Passphrase
+     * @returns {Promise<Object>} Result with success status
+     */
+    unlock: (passphrase) => ipcRenderer.invoke('security:unlock', passphrase),
+
+    /**
+     * Encrypt all notes with a new passphrase
+     * @param {string} passphrase - New passphrase (at least 8 characters)
+     * @returns {Promise<Object>} Result with success status and the new status
+     */
+    enableEncryption: (passphrase) => ipcRenderer.invoke('security:enableEncryption', passphrase),
+
+    /**
+     * Change the passphrase (re-encrypts all notes)
+     * @param {string} currentPassphrase - Current passphrase
+     * @param {string} newPassphrase - New passphrase (at least 8 characters)
+     * @returns {Promise<Object>} Result with success status and the new status
+     */
+    changePassphrase: (currentPassphrase, newPassphrase) => ipcRenderer.invoke('security:changePassphrase', currentPassphrase, newPassphrase),
+
+    /**
+     * Decrypt all notes and turn encryption off
+     * @param {string} passphrase - Current passphrase
+     * @returns {Promise<Object>} Result with success status and the new status
+     */
+    disableEncryption: (passphrase) => ipcRenderer.invoke('security:disableEncryption', passphrase)
+  },
+
+  // Background sync status
+  sync: {
+    /**
+     * Get the current background sync status
+     * @returns {Promise<Object>} Status ({ state, online, lastSyncAt, lastResult, nextSyncAt, failures, apiUrl })
+     */
+    getStatus: () => ipcRenderer.invoke('sync:getStatus'),
+    
+    /**
+     * Subscribe to background sync status updates
+     * @param {Function} callback - Called with the new status object
+     * @returns {Function} Call to unsubscribe
+     */
+    onStatus: (callback) => {
+      const listener = (event, status) => callback(status);
+      ipcRenderer.on('sync:status', listener);
+      return () => ipcRenderer.removeListener('sync:status', listener);
+    },
+    
+    /**
+     * Subscribe to per-batch sync progress
+     * @param {Function} callback - Called with { phase: 'push', batch, sent, total }
+     *   or { phase: 'pull', batch, received }
+     * @returns {Function} Call to unsubscribe
+     */
+    onProgress: (callback) => {
+      const listener = (event, progress) => callback(progress);
+      ipcRenderer.on('sync:progress', listener);
+      return () => ipcRenderer.removeListener('sync:progress', listener);
+    },
+    
+    /**
+     * Report a connectivity change (from the window's online/offline events)
+     * @param {boolean} online - Whether the browser reports being online
+     */
+    setOnline: (online) => ipcRenderer.send('sync:connectivityChanged', online)
   },
   
+  // App windows
+  windows: {
+    /**
+     * Open a note in its own editor window (focuses the window if it is already open)
+     * @param {number} noteId - Note ID
+     * @returns {Promise<Object>} Result with success status
+     */
+    openNote: (noteId) => ipcRenderer.invoke('windows:openNote', noteId),
+    
+    /**
+     * Bring the main window with the notes list to the front (reopens it if it was closed)
+     * @returns {Promise<Object>} Result with success status
+     */
+    showMain: () => ipcRenderer.invoke('windows:showMain'),
+    
+    /**
+     * Save the window's editor when the app is about to quit
+     * The app waits until the callback's promise settles (or a timeout) before closing the database.
+     * @param {Function} callback - Saves the open note; may return a promise
+     * @returns {Function} Call to unsubscribe
+     */
+    onSaveEditorRequest: (callback) => {
+      const listener = async () => {
+        try {
+          await callback();
+        } finally {
+          ipcRenderer.send('windows:editorSaved');
+        }
+      };
+      ipcRenderer.on('windows:saveEditor', listener);
+      return () => ipcRenderer.removeListener('windows:saveEditor', listener);
+    }
+  },
+
+  // Tray and quick capture
+  desktop: {
+    /**
+     * Get the tray and quick capture settings
+     * @returns {Promise<Object>} Result with success status and
+     *   { quickCaptureShortcut, keepRunningInTray, shortcutRegistered }
+     */
+    getSettings: () => ipcRenderer.invoke('desktop:getSettings'),
+
+    /**
+     * Change the quick capture shortcut and/or whether the app keeps running in the tray
+     * @param {Object} settings - Any of { quickCaptureShortcut (Electron accelerator, '' for none), keepRunningInTray }
+     * @returns {Promise<Object>} Result with success status and the stored settings
+     *   (fails if the shortcut is invalid or used by another app)
+     */
+    setSettings: (settings) => ipcRenderer.invoke('desktop:setSettings', settings)
+  },
+
   // System information (optional, for debugging)
   versions: {
     node: () => process.versions.node,
@@ -0,0 +1,74 @@
+/**
+ * Quick Capture Window - Renderer Logic
+ *
+ * This file handles:
+ * - Saving a new note from the quick capture window (opened by the global shortcut or the tray)
+ * - Keyboard shortcuts: Ctrl/Cmd+Enter saves, Esc closes
+ *
+ * The window closes itself once the note is saved.
+ */
+
+// Longest title taken from the first line when no title is entered (see ipc-validation.js)
+const MAX_TITLE_LENGTH = 500;
+
+document.addEventListener('DOMContentLoaded', () => {
+  document.getElementById('captureForm').addEventListener('submit', handleCapture);
+  document.addEventListener('keydown', handleCaptureKeys);
+
+  // The "Ctrl" in the hint is Cmd on macOS
+  if (navigator.platform.startsWith('Mac')) {
+    document.getElementById('captureStatus').textContent = '⌘+Enter to save · Esc to close';
+  }
+});
+
+/**
+ * Ctrl/Cmd+Enter saves (also from the content box), Esc closes without saving
+ */
+function handleCaptureKeys(e) {
+  if (e.key === 'Escape') {
+    window.close();
+  } else if (e.key === 'Enter' && (e.ctrlKey || e.metaKey)) {
+    e.preventDefault();
+    document.getElementById('captureForm').requestSubmit();
+  }
+}
+
+/**
+ * Save the note and close the window
+ * Without a title the first line of the content is used.
+ */
+async function handleCapture(e) {
+  e.preventDefault();
+
+  const titleInput = document.getElementById('captureTitle');
+  const contentInput = document.getElementById('captureContent');
+  const statusEl = document.getElementById('captureStatus');
+  const captureBtn = document.getElementById('captureBtn');
+
+  const content = contentInput.value.trim();
+  const title = titleInput.value.trim() || content.split('\n')[0].trim().slice(0, MAX_TITLE_LENGTH);
+
+  if (!title) {
+    statusEl.textContent = 'Please write something first';
+    statusEl.classList.add('error');
+    contentInput.focus();
+    return;
+  }
+
+  captureBtn.disabled = true;
+
+  try {
+    const result = await window.electronAPI.db.addNote(title, content);
+
+    if (result.success) {
+      window.close();
+      return;
+    }
+    statusEl.textContent = `Error: ${result.error}`;
+  } catch (error) {
+    statusEl.textContent = `Error saving note: ${error.message}`;
+  }
+
+  statusEl.classList.add('error');
+  captureBtn.disabled = false;
+}
@@ -6,19 +6,38 @@
  * - Communication with main process via electronAPI
  * - Displaying notes and handling CRUD operations
  * - Sync functionality with backend API
+ * - Note windows: opened with ?note=<id>, the page shows only the editor for that note
  */
 
+// Note this window was opened for (index.html?note=<id>), or null in the main window
+const noteWindowNoteId = Number(new URLSearchParams(window.location.search).get('note')) || null;
+
 // Wait for DOM to be ready
 document.addEventListener('DOMContentLoaded', () => {
   console.log('Renderer process loaded');
   
+  // A note window only shows the editor for its note
+  if (noteWindowNoteId) {
+    document.body.classList.add('note-window');
+    setupEventListeners();
+    setupDbChanges();
+    handleEdit(noteWindowNoteId);
+    return;
+  }
+  
   // Initialize the app
-  loadNotes();
+  // Notebooks first: note cards list them in their "move to" dropdown
+  loadNotebooks().then(loadNotes);
+  loadTags();
   loadStats();
+  loadConflicts();
+  loadSyncIssues();
   setupEventListeners();
-  
-  // Auto-refresh stats every 5 seconds
-  setInterval(loadStats, 5000);
+  setupSyncStatus();
+  setupDbChanges();
+  loadSession();
+  loadEncryptionStatus();
+  loadDesktopSettings();
 });
 
 /**
@@ -37,6 +56,101 @@ function setupEventListeners() {
   const syncBtn = document.getElementById('syncBtn');
   syncBtn.addEventListener('click', handleSync);
   
+  // Login / logout
+  document.getElementById('loginBtn').addEventListener('click', handleLogin);
+  document.getElementById('logoutBtn').addEventListener('click', handleLogout);
+  
+  // Conflict resolution modal
+  document.getElementById('keepLocalBtn').addEventListener('click', () => handleResolveConflict('local'));
+  document.getElementById('keepRemoteBtn').addEventListener('click', () => handleResolveConflict('remote'));
+  document.getElementById('saveMergedBtn').addEventListener('click', () => handleResolveConflict('merged'));
+  document.getElementById('cancelConflictBtn').addEventListener('click', closeConflictModal);
+  
+  // Markdown export/import
+  document.getElementById('exportFolderBtn').addEventListener('click', () => handleExport('folder'));
+  document.getElementById('exportZipBtn').addEventListener('click', () => handleExport('zip'));
+  document.getElementById('importFolderBtn').addEventListener('click', () => handleImport('folder'));
+  document.getElementById('importZipBtn').addEventListener('click', () => handleImport('zip'));
+  
+  // JSON / CSV / Evernote import with preview
+  document.getElementById('importOtherBtn').addEventListener('click', openImportModal);
+  document.getElementById('importFormat').addEventListener('change', resetImportPreview);
+  document.getElementById('chooseImportFileBtn').addEventListener('click', handleChooseImportFile);
+  document.getElementById('commitImportBtn').addEventListener('click', handleCommitImport);
+  document.getElementById('closeImportBtn').addEventListener('click', closeImportModal);
+  
+  // Trash
+  document.getElementById('trashStat').addEventListener('click', openTrashModal);
+  document.getElementById('emptyTrashBtn').addEventListener('click', handleEmptyTrash);
+  document.getElementById('trashRetentionDays').addEventListener('change', handleTrashRetentionChange);
+  document.getElementById('closeTrashBtn').addEventListener('click', closeTrashModal);
+  
+  // Markdown editor pane
+  document.getElementById('editorTitle').addEventListener('input', handleEditorInput);
+  document.getElementById('editorContent').addEventListener('input', handleEditorInput);
+  document.getElementById('editorModal').addEventListener('keydown', handleEditorKeydown);
+  document.getElementById('editorView').addEventListener('change', (e) => setEditorView(e.target.value));
+  document.getElementById('closeEditorBtn').addEventListener('click', closeEditor);
+  document.getElementById('popOutEditorBtn').addEventListener('click', handlePopOutEditor);
+  document.getElementById('showMainWindowBtn').addEventListener('click', () => window.electronAPI.windows.showMain());
+  document.querySelectorAll('.editor-toolbar button[data-format]').forEach(button => {
+    // Keep the focus (and selection) in the textarea
+    button.addEventListener('mousedown', (e) => e.preventDefault());
+    button.addEventListener('click', () => applyEditorFormat(button.dataset.format));
+  });
+  
+  // Attachments: drop or paste files into the editor, or pick them
+  const editorContent = document.getElementById('editorContent');
+  editorContent.addEventListener('dragover', handleEditorDragOver);
+  editorContent.addEventListener('dragleave', handleEditorDragLeave);
+  editorContent.addEventListener('drop', handleEditorDrop);
+  editorContent.addEventListener('paste', handleEditorPaste);
+  document.getElementById('attachFileBtn').addEventListener('click', () => document.getElementById('attachFileInput').click());
+  document.getElementById('attachFileInput').addEventListener('change', (e) => {
+    attachEditorFiles(Array.from(e.target.files));
+    e.target.value = '';
+  });
+  document.getElementById('editorPreview').addEventListener('click', handleAttachmentLinkClick);
+  document.getElementById('editorAttachments').addEventListener('click', handleAttachmentLinkClick);
+  
+  // [[Links]] between notes: in note cards, the preview and the backlinks list
+  document.addEventListener('click', handleWikiLinkClick);
+  
+  // Save a pending edit when the window closes or reloads, and before the app
+  // quits (main waits for that save; a beforeunload save would be too late)
+  window.addEventListener('beforeunload', () => {
+    if (editorHasChanges()) {
+      saveEditor();
+    }
+  });
+  window.electronAPI.windows.onSaveEditorRequest(saveEditor);
+  
+  // Revision history modal
+  document.getElementById('historyCompareTo').addEventListener('change', showHistoryDiff);
+  document.getElementById('restoreRevisionBtn').addEventListener('click', handleRestoreRevision);
+  document.getElementById('closeHistoryBtn').addEventListener('click', closeHistoryModal);
+  
+  // Backups
+  document.getElementById('backupNowBtn').addEventListener('click', handleBackupNow);
+  document.getElementById('openBackupsBtn').addEventListener('click', openBackupModal);
+  document.getElementById('backupKeepDaily').addEventListener('change', handleBackupRetentionChange);
+  document.getElementById('backupKeepWeekly').addEventListener('change', handleBackupRetentionChange);
+  document.getElementById('closeBackupBtn').addEventListener('click', closeBackupModal);
+  
+  // Encryption
+  document.getElementById('enableEncryptionBtn').addEventListener('click', () => openPassphraseModal('enable'));
+  document.getElementById('changePassphraseBtn').addEventListener('click', () => openPassphraseModal('change'));
+  document.getElementById('disableEncryptionBtn').addEventListener('click', () => openPassphraseModal('disable'));
+  document.getElementById('passphraseForm').addEventListener('submit', handlePassphraseSubmit);
+  document.getElementById('closePassphraseBtn').addEventListener('click', closePassphraseModal);
+  
+  // Tray and quick capture
+  document.getElementById('quickCaptureShortcut').addEventListener('change', handleDesktopSettingsChange);
+  document.getElementById('keepRunningInTray').addEventListener('change', handleDesktopSettingsChange);
+  
+  // Notebook sidebar
+  document.getElementById('newNotebookBtn').addEventListener('click', () => handleCreateNotebook(null));
+  
   // Search input
   const searchInput = document.getElementById('searchInput');
   let searchTimeout;
@@ -46,6 +160,14 @@ function setupEventListeners() {
       handleSearch(e.target.value);
     }, 300); // Debounce search
   });
+  
+  // Load the next page of notes when the end of the grid scrolls into view
+  notesObserver = new IntersectionObserver((entries) => {
+    if (entries.some(entry => entry.isIntersecting)) {
+      loadNotesPage(false);
+    }
+  }, { rootMargin: '600px 0px' });
+  notesObserver.observe(document.getElementById('notesSentinel'));
 }
 
 /**
@@ -66,14 +188,13 @@ async function handleAddNote(e) {
   }
   
   try {
-    const result = await window.electronAPI.db.addNote(title, content);
+    // New notes go into the notebook currently open in the sidebar
+    const result = await window.electronAPI.db.addNote(title, content, activeNotebookId);
     
     if (result.success) {
       showMessage('Note added successfully!', 'success');
       titleInput.value = '';
       contentInput.value = '';
-      loadNotes();
-      loadStats();
     } else {
       showMessage(`Error: ${result.error}`, 'error');
     }
@@ -107,8 +228,6 @@ async function handleBulkAdd() {
     if (result.success) {
       const duration = (endTime - startTime).toFixed(2);
       showMessage(`Added ${result.count} notes in ${duration}ms using transaction!`, 'success');
-      loadNotes();
-      loadStats();
     } else {
       showMessage(`Error: ${result.error}`, 'error');
     }
@@ -135,8 +254,7 @@ async function handleSync() {
     
     if (result.success) {
       showMessage(result.message || `Successfully synced ${result.synced} notes!`, 'success');
-      loadNotes();
-      loadStats();
+      loadConflicts();
     } else {
       showMessage(result.message || result.error || 'Sync failed', 'error');
     }
@@ -149,49 +267,437 @@ async function handleSync() {
 }
 
 /**
- * Handle search
+ * Show background sync status and refresh what sync changes besides notes
+ */
+async function setupSyncStatus() {
+  let previousState = null;
+  
+  const onStatus = (status) => {
+    renderSyncStatus(status);
+    
+    // A sync just finished (notes it brought down arrive as database changes)
+    if (previousState === 'syncing' && status.state !== 'syncing') {
+      loadConflicts();
+      loadSyncIssues();
+      loadSession();
+    }
+    previousState = status.state;
+  };
+  
+  window.electronAPI.sync.onStatus(onStatus);
+  window.electronAPI.sync.onProgress(renderSyncProgress);
+  
+  // Let the main process pause and resume syncing with connectivity
+  window.addEventListener('online', () => window.electronAPI.sync.setOnline(true));
+  window.addEventListener('offline', () => window.electronAPI.sync.setOnline(false));
+  
+  try {
+    const status = await window.electronAPI.sync.getStatus();
+    if (status.apiUrl) {
+      document.getElementById('apiUrl').value = status.apiUrl;
+    }
+    onStatus(status);
+  } catch (error) {
+    console.error('Error loading sync status:', error);
+  }
+}
+
+// Database changes (made here, in another window or by sync) waiting to be shown
+const DB_CHANGE_DELAY_MS = 100;
+let pendingDbChanges = [];
+let dbChangesTimer = null;
+
+/**
+ * Keep the view up to date with the database changes the main process pushes
+ * Changes arriving close together (e.g. during an import or a sync) are shown together.
+ */
+function setupDbChanges() {
+  window.electronAPI.db.onChanged((change) => {
+    pendingDbChanges.push(change);
+    if (!dbChangesTimer) {
+      dbChangesTimer = setTimeout(applyDbChanges, DB_CHANGE_DELAY_MS);
+    }
+  });
+}
+
+/**
+ * Show the queued database changes
+ * Note cards on screen are updated in place; the list is only reloaded when notes
+ * were added, or when a search or filter is active (changed notes may now match it
+ * or not), or when tags or notebooks shown on the cards changed.
+ */
+async function applyDbChanges() {
+  const changes = pendingDbChanges;
+  pendingDbChanges = [];
+  dbChangesTimer = null;
+  
+  const changedIds = (table, type) => new Set(changes
+    .filter(change => change.table === table && (!type || change.type === type))
+    .flatMap(change => change.ids));
+  const notesChanged = changedIds('notes').size > 0;
+  const notebooksChanged = changes.some(change => change.table === 'notebooks');
+  const tagsChanged = changes.some(change => change.table === 'tags');
+  const tagsRenamedOrRemoved = changes.some(change => change.table === 'tags' && change.type !== 'insert');
+  const filtered = Boolean(notesList && (notesList.query || notesList.filter.tagIds.length > 0 || notesList.filter.notebookId));
+  
+  if (editorState) {
+    refreshEditorNote(changedIds('notes', 'update'), changedIds('notes', 'delete'));
+  }
+  
+  // A note window shows nothing else
+  if (noteWindowNoteId) return;
+  
+  // Note counts are shown in the sidebar and the tag filter bar
+  if (notebooksChanged || notesChanged) {
+    await loadNotebooks();
+  }
+  if (tagsChanged || notesChanged) {
+    loadTags();
+  }
+  
+  if (notebooksChanged || tagsRenamedOrRemoved || changedIds('notes', 'insert').size > 0 || (filtered && notesChanged)) {
+    refreshNotes();
+  } else if (notesChanged) {
+    await updateNoteCards(changedIds('notes', 'update'), changedIds('notes', 'delete'));
+  }
+  
+  if (notesChanged) {
+    loadStats();
+    loadConflicts();
+    loadSyncIssues();
+    if (!document.getElementById('trashModal').hidden) {
+      loadTrash();
+    }
+  }
+}
+
+/**
+ * Update the note cards on screen in place
+ * If a change moves a note elsewhere in the list's order, the list is reloaded instead.
+ * @param {Set} updatedIds - Notes that changed (cards not on screen are skipped)
+ * @param {Set} deletedIds - Notes moved to the Trash or deleted
+ */
+async function updateNoteCards(updatedIds, deletedIds) {
+  const version = notesListVersion;
+  const grid = document.getElementById('notesGrid');
+  let outOfOrder = false;
+  const removeCard = (id) => {
+    const card = grid.querySelector(`.note-card[data-id="${id}"]`);
+    if (card) card.remove();
+    shownNoteIds.delete(id);
+  };
+  
+  deletedIds.forEach(removeCard);
+  
+  try {
+    for (const id of updatedIds) {
+      if (!shownNoteIds.has(id) || deletedIds.has(id)) continue;
+      
+      const result = await window.electronAPI.db.getNoteById(id);
+      
+      // A new list was loaded meanwhile: it already shows the change
+      if (version !== notesListVersion) return;
+      
+      if (result.success) {
+        const card = grid.querySelector(`.note-card[data-id="${id}"]`);
+        if (card) {
+          card.outerHTML = renderNoteCard(result.data);
+          outOfOrder = outOfOrder || !noteCardInOrder(grid.querySelector(`.note-card[data-id="${id}"]`));
+        }
+      } else if (result.code === 'NOT_FOUND') {
+        removeCard(id);
+      } else {
+        showMessage(`Error loading note: ${result.error}`, 'error');
+      }
+    }
+  } catch (error) {
+    showMessage(`Error: ${error.message}`, 'error');
+  }
+  
+  if (version === notesListVersion && outOfOrder) {
+    refreshNotes();
+    return;
+  }
+  
+  // The last card went away and there are no more pages to load
+  if (version === notesListVersion && shownNoteIds.size === 0 && !(notesList && notesList.cursor)) {
+    displayNotes([]);
+  }
+}
+
+/**
+ * Check that a note card still sorts between the cards before and after it
+ * (by NOTES_SORT_BY, then ID, like the pages of the list)
+ * @param {Element} card - Note card in the grid
+ */
+function noteCardInOrder(card) {
+  const sortsBefore = (a, b) => {
+    const keyA = a.dataset.sortKey;
+    const keyB = b.dataset.sortKey;
+    const ascending = keyA === keyB ? Number(a.dataset.id) < Number(b.dataset.id) : keyA < keyB;
+    return NOTES_SORT_ORDER === 'ASC' ? ascending : !ascending;
+  };
+  const previous = card.previousElementSibling;
+  const next = card.nextElementSibling;
+  
+  return (!previous || sortsBefore(previous, card)) && (!next || sortsBefore(card, next));
+}
+
+/**
+ * Render the background sync status line
+ */
+function renderSyncStatus(status) {
+  const statusEl = document.getElementById('syncStatus');
+  const labels = {
+    idle: 'Auto-sync on',
+    syncing: 'Syncing...',
+    offline: 'Offline - sync paused',
+    error: 'Last sync failed - retrying',
+    'auth-required': 'Login required - sync paused',
+    stopped: 'Auto-sync stopped'
+  };
+  
+  // Idle with nothing scheduled means no sync server has been used yet
+  if (status.state === 'idle' && !status.lastSyncAt && !status.nextSyncAt) {
+    statusEl.textContent = 'Auto-sync starts after your first sync';
+    statusEl.className = 'sync-status';
+    return;
+  }
+  
+  const parts = [labels[status.state] || status.state];
+  
+  if (status.lastSyncAt) {
+    parts.push(`last synced ${formatDate(status.lastSyncAt)}`);
+  }
+  if (status.nextSyncAt && status.state !== 'syncing') {
+    parts.push(`next sync ${formatDate(status.nextSyncAt)}`);
+  }
+  if (status.state === 'error' && status.lastResult) {
+    parts.push(status.lastResult.error || status.lastResult.message);
+  }
+  
+  statusEl.textContent = parts.join(' · ');
+  statusEl.className = `sync-status ${status.state}`;
+}
+
+/**
+ * Render per-batch progress while a sync is running
+ */
+function renderSyncProgress(progress) {
+  const statusEl = document.getElementById('syncStatus');
+  
+  statusEl.textContent = progress.phase === 'push'
+    ? `Syncing... sent batch ${progress.batch} (${progress.sent} of ${progress.total} changes)`
+    : `Syncing... received ${progress.received} changes from server`;
+  statusEl.className = 'sync-status syncing';
+}
+
+/**
+ * Show the login form or the logged-in user
+ */
+function renderSession(session) {
+  document.getElementById('loginForm').hidden = session.loggedIn;
+  document.getElementById('sessionInfo').hidden = !session.loggedIn;
+  document.getElementById('sessionUser').textContent = session.username || '';
+  document.getElementById('sessionApiUrl').textContent = session.apiUrl || '';
+}
+
+/**
+ * Load the current sync server session
+ */
+async function loadSession() {
+  try {
+    const result = await window.electronAPI.auth.getSession();
+    if (result.success) {
+      renderSession(result.data);
+    }
+  } catch (error) {
+    console.error('Error loading session:', error);
+  }
+}
+
+/**
+ * Handle logging in to the sync server
  */
-async function handleSearch(query) {
-  if (!query.trim()) {
-    loadNotes();
+async function handleLogin() {
+  const apiUrl = document.getElementById('apiUrl').value.trim() || 'http://localhost:3000';
+  const usernameInput = document.getElementById('authUsername');
+  const passwordInput = document.getElementById('authPassword');
+  const apiTokenInput = document.getElementById('authApiToken');
+  
+  const apiToken = apiTokenInput.value.trim();
+  const credentials = apiToken
+    ? { apiToken }
+    : { username: usernameInput.value.trim(), password: passwordInput.value };
+  
+  if (!apiToken && (!credentials.username || !credentials.password)) {
+    showMessage('Enter a username and password, or an API token', 'error');
     return;
   }
   
+  const loginBtn = document.getElementById('loginBtn');
+  loginBtn.disabled = true;
+  
   try {
-    const result = await window.electronAPI.db.searchNotes(query);
+    const result = await window.electronAPI.auth.login(apiUrl, credentials);
     
     if (result.success) {
-      displayNotes(result.data);
+      showMessage(`Logged in as ${result.data.username}`, 'success');
+      renderSession(result.data);
     } else {
-      showMessage(`Search error: ${result.error}`, 'error');
+      showMessage(`Login failed: ${result.error}`, 'error');
     }
   } catch (error) {
-    showMessage(`Search error: ${error.message}`, 'error');
+    showMessage(`Login error: ${error.message}`, 'error');
+  } finally {
+    // Never keep secrets in the form
+    passwordInput.value = '';
+    apiTokenInput.value = '';
+    loginBtn.disabled = false;
   }
 }
 
 /**
- * Load all notes from database
+ * Handle logging out of the sync server
  */
-async function loadNotes() {
+async function handleLogout() {
   try {
-    const result = await window.electronAPI.db.getNotes('created_at', 'DESC');
+    const result = await window.electronAPI.auth.logout();
     
     if (result.success) {
-      displayNotes(result.data);
+      showMessage('Logged out', 'success');
+      renderSession(result.data);
     } else {
-      showMessage(`Error loading notes: ${result.error}`, 'error');
+      showMessage(`Error: ${result.error}`, 'error');
     }
   } catch (error) {
     showMessage(`Error: ${error.message}`, 'error');
   }
 }
 
+// Notes are loaded a page at a time as the grid is scrolled (infinite scroll)
+const NOTES_PAGE_SIZE = 60;
+const MAX_NOTES_PAGE_SIZE = 500;
+// Order of the notes list (search results are ranked instead); pages break ties by ID
+const NOTES_SORT_BY = 'created_at';
+const NOTES_SORT_ORDER = 'DESC';
+let notesList = null;        // { query, filter, cursor, firstPageSize } of the list being shown
+let notesListVersion = 0;    // Bumped for every new list so pages of an old one are dropped
+let notesPageLoading = false;
+let shownNoteIds = new Set();
+let notesObserver = null;
+
+/**
+ * Handle search
+ */
+async function handleSearch(query, keepLoaded = false) {
+  await startNotesList(query.trim() ? query : null, keepLoaded);
+}
+
+/**
+ * Get the notes filter for the selected tags and notebook
+ */
+function currentFilter() {
+  return { tagIds: activeTagIds, notebookId: activeNotebookId };
+}
+
+/**
+ * Reload the notes list, keeping the current search, tag filter and notebook
+ * (and as many notes as were already scrolled into view)
+ */
+function refreshNotes() {
+  handleSearch(document.getElementById('searchInput').value, true);
+}
+
+/**
+ * Load all notes from database (restricted to the selected tags and notebook)
+ */
+async function loadNotes() {
+  await startNotesList(null);
+}
+
+/**
+ * Show a new notes list (all notes or search results) from its first page
+ * @param {string|null} query - Search query, or null for all notes
+ * @param {boolean} keepLoaded - Make the first page as long as the list shown now,
+ *   so reloading after an edit does not jump back to the top
+ */
+async function startNotesList(query, keepLoaded = false) {
+  const firstPageSize = keepLoaded
+    ? Math.min(MAX_NOTES_PAGE_SIZE, Math.max(NOTES_PAGE_SIZE, shownNoteIds.size))
+    : NOTES_PAGE_SIZE;
+  
+  notesList = { query, filter: currentFilter(), cursor: null, firstPageSize };
+  notesListVersion++;
+  notesPageLoading = false;
+  
+  await loadNotesPage(true);
+}
+
+/**
+ * Load the first or the next page of the current notes list
+ * @param {boolean} first - Replace the grid with the first page instead of appending
+ */
+async function loadNotesPage(first) {
+  if (!notesList || notesPageLoading || (!first && !notesList.cursor)) return;
+  
+  const version = notesListVersion;
+  const { query, filter, cursor } = notesList;
+  const page = first
+    ? { limit: notesList.firstPageSize, cursor: null }
+    : { limit: NOTES_PAGE_SIZE, cursor };
+  const errorPrefix = query ? 'Search error' : 'Error loading notes';
+  notesPageLoading = true;
+  
+  try {
+    const result = query
+      ? await window.electronAPI.db.searchNotes(query, filter, page)
+      : await window.electronAPI.db.getNotes(NOTES_SORT_BY, NOTES_SORT_ORDER, filter, page);
+    
+    // The search or filter changed while this page was loading
+    if (version !== notesListVersion) return;
+    
+    if (result.success) {
+      notesList.cursor = result.nextCursor;
+      if (first) {
+        displayNotes(result.data);
+      } else {
+        appendNotes(result.data);
+      }
+    } else {
+      showMessage(`${errorPrefix}: ${result.error}`, 'error');
+    }
+  } catch (error) {
+    showMessage(`${errorPrefix}: ${error.message}`, 'error');
+  } finally {
+    if (version === notesListVersion) {
+      notesPageLoading = false;
+      updateNotesSentinel();
+    }
+  }
+}
+
+/**
+ * Show the "loading more" marker while there are more pages
+ * Re-observing it makes the observer report it again if it is still in view
+ * (e.g. on a tall window where one page does not fill the screen).
+ */
+function updateNotesSentinel() {
+  const sentinel = document.getElementById('notesSentinel');
+  sentinel.hidden = !(notesList && notesList.cursor);
+  
+  if (notesObserver && !sentinel.hidden) {
+    notesObserver.unobserve(sentinel);
+    notesObserver.observe(sentinel);
+  }
+}
+
 /**
- * Display notes in the UI
+ * Display notes in the UI (replaces the grid)
  */
 function displayNotes(notes) {
   const notesGrid = document.getElementById('notesGrid');
+  shownNoteIds = new Set();
   
   if (notes.length === 0) {
     notesGrid.innerHTML = `
@@ -203,49 +709,100 @@ function displayNotes(notes) {
     return;
   }
   
-  notesGrid.innerHTML = notes.map(note => `
-    <div class="note-card" data-id="${note.id}">
-      <h3>${escapeHtml(note.title)}</h3>
-      <p>${escapeHtml(note.content || '(No content)')}</p>
+  notesGrid.innerHTML = '';
+  appendNotes(notes);
+}
+
+/**
+ * Add a page of notes to the end of the grid
+ * Notes already shown (e.g. a search hit whose rank changed between pages) are skipped.
+ */
+function appendNotes(notes) {
+  const newNotes = notes.filter(note => !shownNoteIds.has(note.id));
+  newNotes.forEach(note => shownNoteIds.add(note.id));
+  
+  document.getElementById('notesGrid').insertAdjacentHTML('beforeend', newNotes.map(renderNoteCard).join(''));
+}
+
+/**
+ * Build the HTML of a note card
+ */
+function renderNoteCard(note) {
+  // Search results carry highlighted title/snippet fields from db.searchNotes()
+  return `
+    <div class="note-card" data-id="${note.id}" data-sort-key="${escapeHtml(String(note[NOTES_SORT_BY]))}" draggable="true" ondragstart="handleNoteDragStart(event, ${note.id})">
+      <h3>${note.title_highlight ? renderHighlight(note.title_highlight) : escapeHtml(note.title)}</h3>
+      <p>${note.snippet ? renderHighlight(note.snippet) : renderNoteText(note.content || '(No content)')}</p>
+      <div class="note-tags">
+        ${(note.tags || []).map(tag => `
+          <span class="tag-chip">
+            ${escapeHtml(tag.name)}
+            <button class="tag-action" title="Remove tag" onclick="handleRemoveTag(${note.id}, ${tag.id})">×</button>
+          </span>
+        `).join('')}
+        <button class="tag-add" onclick="handleAddTag(${note.id})">+ Tag</button>
+      </div>
+      <select class="notebook-select" title="Move to notebook" onchange="handleMoveNote(${note.id}, this.value)">
+        ${notebookOptions(note.notebook_id)}
+      </select>
       <div class="meta">
         Created: ${formatDate(note.created_at)}<br>
         ${note.updated_at !== note.created_at ? `Updated: ${formatDate(note.updated_at)}<br>` : ''}
         Status: <strong>${note.sync_status}</strong>
       </div>
       <div class="actions">
+        ${note.sync_status === 'conflict' ? `<button class="btn btn-danger" onclick="openConflictModal(${note.id})">Resolve</button>` : ''}
         <button class="btn btn-primary" onclick="handleEdit(${note.id})">Edit</button>
+        <button class="btn btn-secondary" onclick="openHistoryModal(${note.id})">History</button>
         <button class="btn btn-danger" onclick="handleDelete(${note.id})">Delete</button>
       </div>
     </div>
-  `).join('');
+  `;
 }
 
+// Note open in the editor pane (null when closed)
+let editorState = null;   // { id, version, savedTitle, savedContent, saving, saveTimer, previewTimer, changed }
+const AUTOSAVE_DELAY_MS = 1000;
+const PREVIEW_DELAY_MS = 150;
+const EDITOR_VIEWS = ['split', 'edit', 'preview'];
+
 /**
- * Handle editing a note
+ * Handle editing a note (opens it in the editor pane)
  */
 async function handleEdit(id) {
   try {
+    // Finish saving the note that is open now before switching
+    if (editorState && !(await closeEditor())) return;
+    
     const result = await window.electronAPI.db.getNoteById(id);
     
     if (result.success && result.data) {
       const note = result.data;
-      const newTitle = prompt('Enter new title:', note.title);
-      
-      if (newTitle === null) return; // User cancelled
-      
-      const newContent = prompt('Enter new content:', note.content || '');
-      
-      if (newContent === null) return; // User cancelled
+      editorState = {
+        id: note.id,
+        version: note.version,
+        savedTitle: note.title,
+        savedContent: note.content || '',
+        saving: null,
+        saveTimer: null,
+        previewTimer: null,
+        changed: false
+      };
       
-      const updateResult = await window.electronAPI.db.updateNote(id, newTitle, newContent);
-      
-      if (updateResult.success) {
-        showMessage('Note updated successfully!', 'success');
-        loadNotes();
-        loadStats();
-      } else {
-        showMessage(`Error: ${updateResult.error}`, 'error');
-      }
+      document.getElementById('editorTitle').value = editorState.savedTitle;
+      document.getElementById('editorContent').value = editorState.savedContent;
+      setNoteWindowTitle(editorState.savedTitle);
+      setEditorStatus('');
+      renderEditorPreview();
+      document.getElementById('editorAttachments').innerHTML = '';
+      document.getElementById('editorBacklinks').innerHTML = '';
+      loadEditorAttachments();
+      loadEditorBacklinks();
+      document.getElementById('editorModal').hidden = false;
+      document.getElementById('editorContent').focus();
+    } else if (noteWindowNoteId) {
+      // The note was deleted or moved to the Trash since the window was opened
+      window.close();
     } else {
       showMessage('Note not found', 'error');
     }
@@ -255,22 +812,24 @@ async function handleEdit(id) {
 }
 
 /**
- * Handle deleting a note
+ * Open a note: in the editor pane, or in its own window when this is a note window
  */
-async function handleDelete(id) {
-  if (!confirm('Are you sure you want to delete this note?')) {
-    return;
+function openNote(id) {
+  if (noteWindowNoteId) {
+    openNoteWindow(id);
+  } else {
+    handleEdit(id);
   }
-  
+}
+
+/**
+ * Open a note in its own editor window (or bring that window to the front)
+ */
+async function openNoteWindow(id) {
   try {
-    const result = await window.electronAPI.db.deleteNote(id);
-    
-    if (result.success) {
-      showMessage('Note deleted successfully!', 'success');
-      loadNotes();
-      loadStats();
-    } else {
-      showMessage(`Error: ${result.message || result.error}`, 'error');
+    const result = await window.electronAPI.windows.openNote(id);
+    if (!result.success) {
+      showMessage(`Error: ${result.error}`, 'error');
     }
   } catch (error) {
     showMessage(`Error: ${error.message}`, 'error');
@@ -278,54 +837,2144 @@ async function handleDelete(id) {
 }
 
 /**
- * Load and display database statistics
+ * Move the note open in the editor pane to its own window
  */
-async function loadStats() {
-  try {
-    const result = await window.electronAPI.db.getStats();
-    
-    if (result.success) {
-      document.getElementById('stat-total').textContent = result.data.total;
-      document.getElementById('stat-pending').textContent = result.data.pending;
-      document.getElementById('stat-synced').textContent = result.data.synced;
-    }
-  } catch (error) {
-    console.error('Error loading stats:', error);
+async function handlePopOutEditor() {
+  const state = editorState;
+  if (!state || !(await closeEditor())) return;
+  
+  openNoteWindow(state.id);
+}
+
+/**
+ * Name a note window after its note
+ */
+function setNoteWindowTitle(title) {
+  if (noteWindowNoteId) {
+    document.title = title;
   }
 }
 
 /**
- * Show a message to the user
+ * Show the save state next to the title
  */
-function showMessage(text, type = 'info') {
-  const messageEl = document.getElementById('message');
-  messageEl.textContent = text;
-  messageEl.className = `message ${type}`;
+function setEditorStatus(text, isError = false) {
+  const statusEl = document.getElementById('editorStatus');
+  statusEl.textContent = text;
+  statusEl.classList.toggle('error', isError);
+}
+
+/**
+ * Whether the editor holds text that has not been saved yet
+ */
+function editorHasChanges() {
+  return Boolean(editorState) &&
+    (document.getElementById('editorTitle').value !== editorState.savedTitle ||
+     document.getElementById('editorContent').value !== editorState.savedContent);
+}
+
+/**
+ * Title or content typed: update the preview and save once typing pauses
+ */
+function handleEditorInput() {
+  if (!editorState) return;
   
-  // Auto-hide after 5 seconds
-  setTimeout(() => {
-    messageEl.className = 'message';
-  }, 5000);
+  setEditorStatus(editorHasChanges() ? 'Unsaved changes' : 'Saved');
+  
+  clearTimeout(editorState.previewTimer);
+  editorState.previewTimer = setTimeout(renderEditorPreview, PREVIEW_DELAY_MS);
+  
+  clearTimeout(editorState.saveTimer);
+  editorState.saveTimer = setTimeout(saveEditor, AUTOSAVE_DELAY_MS);
 }
 
 /**
- * Format date for display
+ * Render the Markdown preview (renderMarkdown() escapes all note text)
  */
-function formatDate(dateString) {
-  if (!dateString) return 'N/A';
-  const date = new Date(dateString);
-  return date.toLocaleString();
+function renderEditorPreview() {
+  const content = document.getElementById('editorContent').value;
+  document.getElementById('editorPreview').innerHTML = renderMarkdown(content);
 }
 
 /**
- * Escape HTML to prevent XSS attacks
+ * Save the editor's title and content if they changed
+ * Saves run one at a time; a save requested while one is running waits for it.
+ * @returns {Promise<boolean>} Whether everything typed so far is saved
  */
-function escapeHtml(text) {
-  const div = document.createElement('div');
-  div.textContent = text;
-  return div.innerHTML;
+async function saveEditor() {
+  const state = editorState;
+  if (!state) return true;
+  
+  clearTimeout(state.saveTimer);
+  while (state.saving) {
+    await state.saving;
+  }
+  
+  state.saving = writeEditorNote(state);
+  try {
+    return await state.saving;
+  } finally {
+    state.saving = null;
+  }
+}
+
+/**
+ * Send the editor's text to the database (see saveEditor)
+ * @returns {Promise<boolean>} Whether the text is saved
+ */
+async function writeEditorNote(state) {
+  const title = document.getElementById('editorTitle').value;
+  const content = document.getElementById('editorContent').value;
+  
+  if (title === state.savedTitle && content === state.savedContent) {
+    return true;
+  }
+  if (!title.trim()) {
+    setEditorStatus('Not saved: the title is required', true);
+    return false;
+  }
+  
+  setEditorStatus('Saving...');
+  
+  try {
+    const result = await window.electronAPI.db.updateNote(state.id, title, content, state.version);
+    
+    if (!result.success && result.code === 'EDIT_CONFLICT') {
+      return await resolveEditorConflict(state, result.data);
+    }
+    if (!result.success) {
+      setEditorStatus(`Not saved: ${result.error}`, true);
+      return false;
+    }
+    
+    state.version = result.data.version;
+    state.savedTitle = title;
+    state.savedContent = content;
+    state.changed = true;
+    if (state === editorState) {
+      setNoteWindowTitle(title);
+      setEditorStatus(editorHasChanges() ? 'Unsaved changes' : 'Saved');
+    }
+    return true;
+  } catch (error) {
+    setEditorStatus(`Not saved: ${error.message}`, true);
+    return false;
+  }
+}
+
+/**
+ * The note was changed elsewhere (another window, sync, a renamed linked note)
+ * since the editor loaded it: ask which version to keep instead of overwriting it
+ * @returns {Promise<boolean>} Whether the editor's text is saved
+ */
+async function resolveEditorConflict(state, note) {
+  const keepMine = confirm(
+    `"${note.title}" was changed in another window or by sync while you were editing it.\n\n` +
+    'OK: save your version (the other version stays in the note\'s history).\n' +
+    'Cancel: discard your changes and show the other version.'
+  );
+  
+  state.version = note.version;
+  if (keepMine) {
+    return writeEditorNote(state);
+  }
+  
+  showEditorVersion(state, note);
+  return true;
+}
+
+/**
+ * Show another version of the open note in the editor (replaces the text typed since the last save)
+ */
+function showEditorVersion(state, note) {
+  state.version = note.version;
+  state.savedTitle = note.title;
+  state.savedContent = note.content || '';
+  if (state !== editorState) return;
+  
+  clearTimeout(state.saveTimer);
+  const textarea = document.getElementById('editorContent');
+  const { selectionStart, selectionEnd } = textarea;
+  document.getElementById('editorTitle').value = state.savedTitle;
+  textarea.value = state.savedContent;
+  textarea.setSelectionRange(selectionStart, selectionEnd);
+  
+  setNoteWindowTitle(state.savedTitle);
+  setEditorStatus('Saved');
+  renderEditorPreview();
+  loadEditorBacklinks();
+}
+
+/**
+ * Follow changes made elsewhere to the note open in the editor
+ * Without unsaved changes the editor shows the new version; with unsaved
+ * changes the next save asks which version to keep (see resolveEditorConflict).
+ * @param {Set} updatedIds - Notes that changed
+ * @param {Set} deletedIds - Notes moved to the Trash or deleted
+ */
+async function refreshEditorNote(updatedIds, deletedIds) {
+  const state = editorState;
+  
+  if (deletedIds.has(state.id)) {
+    hideEditor(state);
+    if (noteWindowNoteId) {
+      window.close();
+    } else {
+      showMessage('The note you were editing was moved to the Trash or deleted.', 'info');
+    }
+    return;
+  }
+  
+  if (!updatedIds.has(state.id) || state.saving || editorHasChanges()) return;
+  
+  try {
+    const result = await window.electronAPI.db.getNoteById(state.id);
+    
+    // Typing or saving started meanwhile: the save handles it
+    if (state !== editorState || state.saving || editorHasChanges()) return;
+    
+    if (result.success && result.data.version !== state.version) {
+      showEditorVersion(state, result.data);
+    }
+  } catch (error) {
+    console.error('Error reloading the open note:', error);
+  }
+}
+
+/**
+ * Hide the editor pane without saving
+ */
+function hideEditor(state) {
+  clearTimeout(state.saveTimer);
+  clearTimeout(state.previewTimer);
+  editorState = null;
+  document.getElementById('editorModal').hidden = true;
+}
+
+/**
+ * Close the editor pane (or the note window), saving any pending changes first
+ * @returns {Promise<boolean>} False if the user chose to keep editing
+ */
+async function closeEditor() {
+  const state = editorState;
+  if (!state) return true;
+  
+  const saved = await saveEditor();
+  if (!saved && !confirm('Your latest changes could not be saved. Close the editor and discard them?')) {
+    return false;
+  }
+  
+  hideEditor(state);
+  
+  if (noteWindowNoteId) {
+    window.close();
+  } else if (state.changed) {
+    showMessage('Note updated successfully!', 'success');
+  }
+  return true;
+}
+
+/**
+ * Replace the selected text in the editor and select part of the new text
+ * insertText keeps the change on the textarea's undo stack (and fires 'input').
+ * @param {string} text - Replacement text
+ * @param {number} selectFrom - Selection start, relative to the new text
+ * @param {number} selectTo - Selection end, relative to the new text
+ */
+function replaceEditorSelection(text, selectFrom = text.length, selectTo = selectFrom) {
+  const textarea = document.getElementById('editorContent');
+  const start = textarea.selectionStart;
+  
+  textarea.focus();
+  if (!document.execCommand('insertText', false, text)) {
+    textarea.setRangeText(text, start, textarea.selectionEnd, 'end');
+    handleEditorInput();
+  }
+  textarea.setSelectionRange(start + selectFrom, start + selectTo);
+}
+
+/**
+ * Add a prefix to each selected line (or remove it if every line has it)
+ */
+function toggleLinePrefix(prefix) {
+  const textarea = document.getElementById('editorContent');
+  const { value } = textarea;
+  const lineStart = value.lastIndexOf('\n', textarea.selectionStart - 1) + 1;
+  const nextBreak = value.indexOf('\n', textarea.selectionEnd);
+  const lineEnd = nextBreak === -1 ? value.length : nextBreak;
+  
+  const lines = value.slice(lineStart, lineEnd).split('\n');
+  const remove = lines.every(line => line.startsWith(prefix));
+  const text = lines.map(line => (remove ? line.slice(prefix.length) : prefix + line)).join('\n');
+  
+  textarea.setSelectionRange(lineStart, lineEnd);
+  replaceEditorSelection(text, text.length);
+}
+
+/**
+ * Apply a toolbar / shortcut format to the selection
+ * @param {string} format - 'bold', 'italic', 'heading', 'link', 'list', 'task' or 'code'
+ */
+function applyEditorFormat(format) {
+  const textarea = document.getElementById('editorContent');
+  const selected = textarea.value.slice(textarea.selectionStart, textarea.selectionEnd);
+  
+  const wrap = (marker, placeholder) => {
+    const inner = selected || placeholder;
+    replaceEditorSelection(`${marker}${inner}${marker}`, marker.length, marker.length + inner.length);
+  };
+  
+  switch (format) {
+    case 'bold':
+      wrap('**', 'bold text');
+      break;
+    case 'italic':
+      wrap('*', 'italic text');
+      break;
+    case 'code':
+      if (selected.includes('\n')) {
+        replaceEditorSelection(`\`\`\`\n${selected}\n\`\`\``, 4, 4 + selected.length);
+      } else {
+        wrap('`', 'code');
+      }
+      break;
+    case 'link': {
+      const label = selected || 'link text';
+      const text = `[${label}](https://)`;
+      // Select the URL so it can be typed over
+      replaceEditorSelection(text, label.length + 3, text.length - 1);
+      break;
+    }
+    case 'heading':
+      toggleLinePrefix('# ');
+      break;
+    case 'list':
+      toggleLinePrefix('- ');
+      break;
+    case 'task':
+      toggleLinePrefix('- [ ] ');
+      break;
+  }
+}
+
+/**
+ * Continue a list when Enter is pressed at the end of a list item
+ * An Enter on an empty item ends the list instead.
+ * @returns {boolean} Whether the key press was handled
+ */
+function continueEditorList() {
+  const textarea = document.getElementById('editorContent');
+  const { value, selectionStart, selectionEnd } = textarea;
+  if (selectionStart !== selectionEnd) return false;
+  
+  const lineStart = value.lastIndexOf('\n', selectionStart - 1) + 1;
+  const line = value.slice(lineStart, selectionStart);
+  const match = line.match(/^(\s*)([-*+]|(\d{1,9})([.)]))(\s+)(\[[ xX]\]\s+)?(.*)$/);
+  if (!match) return false;
+  
+  const [, indent, bullet, number, delimiter, space, task, text] = match;
+  
+  if (!text.trim()) {
+    textarea.setSelectionRange(lineStart, selectionStart);
+    replaceEditorSelection('');
+    return true;
+  }
+  
+  const marker = number ? `${Number(number) + 1}${delimiter}` : bullet;
+  replaceEditorSelection(`\n${indent}${marker}${space}${task ? '[ ] ' : ''}`);
+  return true;
+}
+
+/**
+ * Switch between editor + preview, editor only and preview only
+ */
+function setEditorView(view) {
+  document.getElementById('editorView').value = view;
+  document.getElementById('editorPanes').className = `editor-panes view-${view}`;
+  if (view === 'preview') {
+    renderEditorPreview();
+  }
+}
+
+// Largest file that can be attached (MAX_ATTACHMENT_BYTES in attachments.js)
+const MAX_ATTACHMENT_BYTES = 25 * 1024 * 1024;
+
+/**
+ * Load and show the attachments of the note in the editor
+ */
+async function loadEditorAttachments() {
+  const state = editorState;
+  if (!state) return;
+  
+  try {
+    const result = await window.electronAPI.db.getAttachments(state.id);
+    if (state !== editorState) return;
+    
+    if (!result.success) {
+      showMessage(`Error loading attachments: ${result.error}`, 'error');
+      return;
+    }
+    
+    document.getElementById('editorAttachments').innerHTML = result.data.map(attachment => `
+      <span class="attachment-chip">
+        <a data-attachment="${attachment.hash}" title="Save a copy">📎 ${escapeHtml(attachment.file_name)}</a>
+        <span class="attachment-size">${formatFileSize(attachment.size)}</span>
+        <button title="Remove from note" onclick="handleRemoveAttachment(${attachment.id})">×</button>
+      </span>
+    `).join('');
+  } catch (error) {
+    showMessage(`Error: ${error.message}`, 'error');
+  }
+}
+
+/**
+ * Name for a pasted image, e.g. pasted-image-20240131-142501.png
+ */
+function pastedFileName(file) {
+  const stamp = new Date().toISOString().slice(0, 19).replace(/[-:]/g, '').replace('T', '-');
+  const extension = (file.type.split('/')[1] || 'png').split('+')[0];
+  return `pasted-image-${stamp}.${extension}`;
+}
+
+/**
+ * Attach files to the note in the editor and insert them at the cursor
+ * Images are embedded (![name](app://...)), other files are linked ([name](app://...)).
+ * @param {Array} files - File objects from a drop, a paste or the file picker
+ */
+async function attachEditorFiles(files) {
+  const state = editorState;
+  if (!state || files.length === 0) return;
+  
+  const links = [];
+  
+  for (const file of files) {
+    // Pasted screenshots are all called image.png
+    const name = file.name && file.name !== 'image.png' ? file.name : pastedFileName(file);
+    
+    if (file.size === 0) {
+      showMessage(`${name} is empty`, 'error');
+      continue;
+    }
+    if (file.size > MAX_ATTACHMENT_BYTES) {
+      showMessage(`${name} is too large to attach (at most ${formatFileSize(MAX_ATTACHMENT_BYTES)})`, 'error');
+      continue;
+    }
+    
+    setEditorStatus(`Attaching ${name}...`);
+    
+    try {
+      const data = new Uint8Array(await file.arrayBuffer());
+      const result = await window.electronAPI.db.addAttachment(state.id, name, data);
+      
+      if (!result.success) {
+        showMessage(`Could not attach ${name}: ${result.error}`, 'error');
+        continue;
+      }
+      
+      const attachment = result.data;
+      const label = attachment.file_name.replace(/[[\]]/g, '');
+      links.push(attachment.mime_type.startsWith('image/')
+        ? `![${label}](${attachment.url})`
+        : `[${label}](${attachment.url})`);
+      state.changed = true;
+    } catch (error) {
+      showMessage(`Could not attach ${name}: ${error.message}`, 'error');
+    }
+  }
+  
+  if (state !== editorState) return;
+  
+  setEditorStatus(editorHasChanges() ? 'Unsaved changes' : 'Saved');
+  if (links.length > 0) {
+    replaceEditorSelection(links.join('\n'));
+  }
+  loadEditorAttachments();
+}
+
+/**
+ * Files dragged over the editor: show it as a drop target
+ */
+function handleEditorDragOver(e) {
+  if (!editorState || !e.dataTransfer.types.includes('Files')) return;
+  e.preventDefault();
+  e.dataTransfer.dropEffect = 'copy';
+  e.currentTarget.classList.add('drop-target');
+}
+
+/**
+ * Files dragged away from the editor
+ */
+function handleEditorDragLeave(e) {
+  e.currentTarget.classList.remove('drop-target');
+}
+
+/**
+ * Files dropped on the editor: attach them (dropped text is inserted as usual)
+ */
+function handleEditorDrop(e) {
+  e.currentTarget.classList.remove('drop-target');
+  if (e.dataTransfer.files.length === 0) return;
+  
+  e.preventDefault();
+  attachEditorFiles(Array.from(e.dataTransfer.files));
+}
+
+/**
+ * Files or images pasted into the editor: attach them (pasted text is inserted as usual)
+ */
+function handleEditorPaste(e) {
+  if (e.clipboardData.files.length === 0) return;
+  
+  e.preventDefault();
+  attachEditorFiles(Array.from(e.clipboardData.files));
+}
+
+/**
+ * Remove an attachment from the note in the editor
+ * Links to it in the text are left for the user to delete.
+ */
+async function handleRemoveAttachment(id) {
+  const state = editorState;
+  if (!state) return;
+  
+  if (!confirm('Remove this attachment from the note? Links to it in the text will stop working.')) {
+    return;
+  }
+  
+  try {
+    const result = await window.electronAPI.db.removeAttachment(id);
+    
+    if (result.success) {
+      state.changed = true;
+      loadEditorAttachments();
+    } else {
+      showMessage(`Error: ${result.error}`, 'error');
+    }
+  } catch (error) {
+    showMessage(`Error: ${error.message}`, 'error');
+  }
+}
+
+/**
+ * Attachment clicked in the preview or the attachment list: save a copy of the file
+ */
+async function handleAttachmentLinkClick(e) {
+  const link = e.target.closest('a[data-attachment]');
+  if (!link) return;
+  
+  e.preventDefault();
+  
+  try {
+    const result = await window.electronAPI.files.saveAttachment(link.dataset.attachment);
+    
+    if (result.success) {
+      showMessage(`Attachment saved to ${result.data.path}`, 'success');
+    } else if (!result.canceled) {
+      showMessage(`Error: ${result.error}`, 'error');
+    }
+  } catch (error) {
+    showMessage(`Error: ${error.message}`, 'error');
+  }
+}
+
+/**
+ * Load and show the notes that link to the note in the editor
+ */
+async function loadEditorBacklinks() {
+  const state = editorState;
+  if (!state) return;
+  
+  try {
+    const result = await window.electronAPI.db.getNoteLinks(state.id);
+    if (state !== editorState) return;
+    
+    if (!result.success) {
+      showMessage(`Error loading backlinks: ${result.error}`, 'error');
+      return;
+    }
+    
+    const { backlinks } = result.data;
+    document.getElementById('editorBacklinks').innerHTML = backlinks.length === 0 ? '' : `
+      <span class="backlinks-label">Linked from:</span>
+      ${backlinks.map(note => `
+        <a href="#" class="wiki-link" data-note-id="${note.id}" title="Updated ${formatDate(note.updated_at)}">${escapeHtml(note.title)}</a>
+      `).join('')}
+    `;
+  } catch (error) {
+    showMessage(`Error: ${error.message}`, 'error');
+  }
+}
+
+/**
+ * Note text for a card, with [[links]] to other notes made clickable
+ */
+function renderNoteText(text) {
+  // The capture group keeps the links in the split result, at odd indexes
+  return text.split(/(\[\[[^[\]\n]+\]\])/)
+    .map((part, index) => (index % 2 ? renderWikiLink(part.slice(2, -2)) : escapeHtml(part)))
+    .join('');
+}
+
+/**
+ * A [[link]] or backlink was clicked: open the note it points at
+ * Offers to create the note if no note has the linked title yet.
+ */
+async function handleWikiLinkClick(e) {
+  const link = e.target.closest('a.wiki-link');
+  if (!link) return;
+  
+  e.preventDefault();
+  
+  if (link.dataset.noteId) {
+    openNote(Number(link.dataset.noteId));
+    return;
+  }
+  
+  const title = link.dataset.noteTitle;
+  
+  try {
+    const result = await window.electronAPI.db.findNoteByTitle(title);
+    
+    if (result.success) {
+      if (result.data.trashed_at) {
+        showMessage(`"${title}" is in the Trash. Restore it to open it.`, 'error');
+      } else {
+        openNote(result.data.id);
+      }
+      return;
+    }
+    
+    if (result.code !== 'NOT_FOUND') {
+      showMessage(`Error: ${result.error}`, 'error');
+      return;
+    }
+    
+    if (!confirm(`There is no note called "${title}" yet. Create it?`)) {
+      return;
+    }
+    
+    const created = await window.electronAPI.db.addNote(title, '', activeNotebookId);
+    if (!created.success) {
+      showMessage(`Error: ${created.error}`, 'error');
+      return;
+    }
+    
+    openNote(created.data.id);
+  } catch (error) {
+    showMessage(`Error: ${error.message}`, 'error');
+  }
+}
+
+/**
+ * Keyboard shortcuts of the editor pane
+ */
+function handleEditorKeydown(e) {
+  if (e.key === 'Escape') {
+    e.preventDefault();
+    closeEditor();
+    return;
+  }
+  
+  if (e.key === 'Enter' && !e.shiftKey && !e.ctrlKey && !e.metaKey && !e.altKey &&
+      e.target.id === 'editorContent' && continueEditorList()) {
+    e.preventDefault();
+    return;
+  }
+  
+  if (!(e.ctrlKey || e.metaKey) || e.altKey) return;
+  
+  const key = e.key.toLowerCase();
+  const formats = { b: 'bold', i: 'italic', h: 'heading', k: 'link', e: 'code', l: e.shiftKey ? 'task' : 'list' };
+  
+  if (key === 's') {
+    e.preventDefault();
+    saveEditor();
+  } else if (key === 'p') {
+    e.preventDefault();
+    const current = document.getElementById('editorView').value;
+    setEditorView(EDITOR_VIEWS[(EDITOR_VIEWS.indexOf(current) + 1) % EDITOR_VIEWS.length]);
+  } else if (formats[key] && e.target.id === 'editorContent') {
+    e.preventDefault();
+    applyEditorFormat(formats[key]);
+  }
+}
+
+/**
+ * Handle deleting a note (moves it to the Trash)
+ */
+async function handleDelete(id) {
+  try {
+    const result = await window.electronAPI.db.trashNote(id);
+    
+    if (result.success) {
+      showMessage('Note moved to Trash.', 'success');
+    } else {
+      showMessage(`Error: ${result.message || result.error}`, 'error');
+    }
+  } catch (error) {
+    showMessage(`Error: ${error.message}`, 'error');
+  }
+}
+
+/**
+ * Load and display database statistics
+ */
+async function loadStats() {
+  try {
+    // Counts follow the notebook open in the sidebar
+    const result = await window.electronAPI.db.getStats({ notebookId: activeNotebookId });
+    
+    if (result.success) {
+      document.getElementById('stat-total').textContent = result.data.total;
+      document.getElementById('stat-pending').textContent = result.data.pending;
+      document.getElementById('stat-synced').textContent = result.data.synced;
+      document.getElementById('stat-conflicts').textContent = result.data.conflicts;
+      document.getElementById('stat-trash').textContent = result.data.trash;
+    }
+  } catch (error) {
+    console.error('Error loading stats:', error);
+  }
+}
+
+// All tags (with note counts) and the tags the notes list is filtered by
+let allTags = [];
+let activeTagIds = [];
+
+/**
+ * Load all tags and render the tag filter bar
+ */
+async function loadTags() {
+  try {
+    const result = await window.electronAPI.db.getTags();
+    
+    if (!result.success) {
+      showMessage(`Error loading tags: ${result.error}`, 'error');
+      return;
+    }
+    
+    allTags = result.data;
+    
+    // Drop filters for tags that no longer exist (e.g. merged or removed by sync)
+    const filtered = activeTagIds.filter(id => allTags.some(tag => tag.id === id));
+    if (filtered.length !== activeTagIds.length) {
+      activeTagIds = filtered;
+      refreshNotes();
+    }
+    
+    renderTagFilter();
+  } catch (error) {
+    showMessage(`Error: ${error.message}`, 'error');
+  }
+}
+
+/**
+ * Render the tag filter bar above the notes grid
+ */
+function renderTagFilter() {
+  const tagFilter = document.getElementById('tagFilter');
+  tagFilter.hidden = allTags.length === 0;
+  
+  tagFilter.innerHTML = allTags.map(tag => `
+    <span class="tag-chip ${activeTagIds.includes(tag.id) ? 'active' : ''}">
+      <button class="tag-name" onclick="toggleTagFilter(${tag.id})">${escapeHtml(tag.name)} (${tag.note_count})</button>
+      <button class="tag-action" title="Rename or merge tag" onclick="handleRenameTag(${tag.id})">✎</button>
+    </span>
+  `).join('') + (activeTagIds.length > 0
+    ? '<button class="tag-add" onclick="clearTagFilter()">Clear filter</button>'
+    : '');
+}
+
+/**
+ * Add or remove a tag from the notes filter
+ */
+function toggleTagFilter(id) {
+  activeTagIds = activeTagIds.includes(id)
+    ? activeTagIds.filter(tagId => tagId !== id)
+    : [...activeTagIds, id];
+  
+  renderTagFilter();
+  refreshNotes();
+}
+
+/**
+ * Show all notes again
+ */
+function clearTagFilter() {
+  activeTagIds = [];
+  renderTagFilter();
+  refreshNotes();
+}
+
+/**
+ * Ask for a tag name and add it to a note
+ */
+async function handleAddTag(noteId) {
+  const name = prompt('Tag name:');
+  if (name === null || !name.trim()) return; // User cancelled
+  
+  try {
+    const result = await window.electronAPI.db.addTagToNote(noteId, name);
+    
+    if (!result.success) {
+      showMessage(`Error: ${result.error}`, 'error');
+    }
+  } catch (error) {
+    showMessage(`Error: ${error.message}`, 'error');
+  }
+}
+
+/**
+ * Remove a tag from a note
+ */
+async function handleRemoveTag(noteId, tagId) {
+  try {
+    const result = await window.electronAPI.db.removeTagFromNote(noteId, tagId);
+    
+    if (!result.success) {
+      showMessage(`Error: ${result.error}`, 'error');
+    }
+  } catch (error) {
+    showMessage(`Error: ${error.message}`, 'error');
+  }
+}
+
+/**
+ * Rename a tag; renaming it to an existing tag's name offers to merge the two
+ */
+async function handleRenameTag(id) {
+  const tag = allTags.find(t => t.id === id);
+  if (!tag) return;
+  
+  const newName = prompt('Rename tag:', tag.name);
+  if (newName === null || !newName.trim() || newName.trim() === tag.name) return; // User cancelled
+  
+  const target = allTags.find(t => t.id !== id && t.name.toLowerCase() === newName.trim().toLowerCase());
+  
+  try {
+    let result;
+    
+    if (target) {
+      if (!confirm(`A tag named "${target.name}" already exists. Merge "${tag.name}" into it?`)) {
+        return;
+      }
+      result = await window.electronAPI.db.mergeTags(id, target.id);
+      
+      // Keep filtering by the merged tag
+      if (result.success && activeTagIds.includes(id)) {
+        activeTagIds = [...new Set(activeTagIds.map(tagId => tagId === id ? target.id : tagId))];
+      }
+    } else {
+      result = await window.electronAPI.db.renameTag(id, newName);
+    }
+    
+    if (result.success) {
+      showMessage(target ? 'Tags merged.' : 'Tag renamed.', 'success');
+    } else {
+      showMessage(`Error: ${result.error}`, 'error');
+    }
+  } catch (error) {
+    showMessage(`Error: ${error.message}`, 'error');
+  }
+}
+
+// All notebooks (flat, with parent_id) and the notebook open in the sidebar
+let notebooks = [];
+let activeNotebookId = null;
+
+/**
+ * Load notebooks and render the sidebar tree
+ */
+async function loadNotebooks() {
+  try {
+    const result = await window.electronAPI.db.getNotebooks();
+    
+    if (!result.success) {
+      showMessage(`Error loading notebooks: ${result.error}`, 'error');
+      return;
+    }
+    
+    notebooks = result.data;
+    
+    // The open notebook was deleted (here or by sync): fall back to all notes
+    if (activeNotebookId && !notebooks.some(nb => nb.id === activeNotebookId)) {
+      selectNotebook(null);
+      return;
+    }
+    
+    renderNotebookTree();
+  } catch (error) {
+    showMessage(`Error: ${error.message}`, 'error');
+  }
+}
+
+/**
+ * Get the child notebooks of a parent
+ */
+function childNotebooks(parentId) {
+  return notebooks.filter(nb => (nb.parent_id || null) === parentId);
+}
+
+/**
+ * Count the notes in a notebook including its sub-notebooks
+ */
+function notebookTotal(id) {
+  const notebook = notebooks.find(nb => nb.id === id);
+  return (notebook ? notebook.note_count : 0) +
+    childNotebooks(id).reduce((sum, child) => sum + notebookTotal(child.id), 0);
+}
+
+/**
+ * Render the notebook tree in the sidebar
+ * Notebooks and notes can be dragged onto a notebook (or "All Notes" for the top level)
+ */
+function renderNotebookTree() {
+  const renderLevel = (parentId) => {
+    const children = childNotebooks(parentId);
+    if (children.length === 0) return '';
+    
+    return `<ul>${children.map(nb => `
+      <li>
+        <div class="notebook-item ${nb.id === activeNotebookId ? 'active' : ''}"
+             draggable="true"
+             onclick="selectNotebook(${nb.id})"
+             ondragstart="handleNotebookDragStart(event, ${nb.id})"
+             ondragover="handleNotebookDragOver(event)"
+             ondragleave="handleNotebookDragLeave(event)"
+             ondrop="handleNotebookDrop(event, ${nb.id})">
+          <span class="notebook-name">📁 ${escapeHtml(nb.name)}</span>
+          <span class="notebook-count">${notebookTotal(nb.id)}</span>
+          <span class="notebook-actions">
+            <button title="New sub-notebook" onclick="event.stopPropagation(); handleCreateNotebook(${nb.id})">+</button>
+            <button title="Rename" onclick="event.stopPropagation(); handleRenameNotebook(${nb.id})">✎</button>
+            <button title="Delete" onclick="event.stopPropagation(); handleDeleteNotebook(${nb.id})">🗑</button>
+          </span>
+        </div>
+        ${renderLevel(nb.id)}
+      </li>
+    `).join('')}</ul>`;
+  };
+  
+  document.getElementById('notebookTree').innerHTML = `
+    <div class="notebook-item ${activeNotebookId === null ? 'active' : ''}"
+         onclick="selectNotebook(null)"
+         ondragover="handleNotebookDragOver(event)"
+         ondragleave="handleNotebookDragLeave(event)"
+         ondrop="handleNotebookDrop(event, null)">
+      <span class="notebook-name">📚 All Notes</span>
+    </div>
+    ${renderLevel(null)}
+  `;
+}
+
+/**
+ * Build the <option> list for a note's "move to notebook" dropdown
+ */
+function notebookOptions(selectedId) {
+  const options = [`<option value="">No notebook</option>`];
+  
+  const addLevel = (parentId, depth) => {
+    for (const nb of childNotebooks(parentId)) {
+      options.push(`<option value="${nb.id}" ${nb.id === selectedId ? 'selected' : ''}>${'  '.repeat(depth)}${escapeHtml(nb.name)}</option>`);
+      addLevel(nb.id, depth + 1);
+    }
+  };
+  addLevel(null, 0);
+  
+  return options.join('');
+}
+
+/**
+ * Open a notebook (null for all notes)
+ */
+function selectNotebook(id) {
+  activeNotebookId = id;
+  renderNotebookTree();
+  refreshNotes();
+  loadStats();
+}
+
+/**
+ * Create a notebook at the top level or inside another notebook
+ */
+async function handleCreateNotebook(parentId) {
+  const name = prompt(parentId ? 'New sub-notebook name:' : 'New notebook name:');
+  if (name === null || !name.trim()) return; // User cancelled
+  
+  try {
+    const result = await window.electronAPI.db.createNotebook(name, parentId);
+    
+    if (!result.success) {
+      showMessage(`Error: ${result.error}`, 'error');
+    }
+  } catch (error) {
+    showMessage(`Error: ${error.message}`, 'error');
+  }
+}
+
+/**
+ * Rename a notebook
+ */
+async function handleRenameNotebook(id) {
+  const notebook = notebooks.find(nb => nb.id === id);
+  if (!notebook) return;
+  
+  const name = prompt('Rename notebook:', notebook.name);
+  if (name === null || !name.trim() || name.trim() === notebook.name) return; // User cancelled
+  
+  try {
+    const result = await window.electronAPI.db.renameNotebook(id, name);
+    
+    if (!result.success) {
+      showMessage(`Error: ${result.error}`, 'error');
+    }
+  } catch (error) {
+    showMessage(`Error: ${error.message}`, 'error');
+  }
+}
+
+/**
+ * Delete a notebook; its notes and sub-notebooks move up a level
+ */
+async function handleDeleteNotebook(id) {
+  const notebook = notebooks.find(nb => nb.id === id);
+  if (!notebook) return;
+  
+  if (!confirm(`Delete notebook "${notebook.name}"? Its notes and sub-notebooks will be moved up one level.`)) {
+    return;
+  }
+  
+  try {
+    const result = await window.electronAPI.db.deleteNotebook(id);
+    
+    if (result.success) {
+      showMessage('Notebook deleted.', 'success');
+    } else {
+      showMessage(`Error: ${result.error}`, 'error');
+    }
+  } catch (error) {
+    showMessage(`Error: ${error.message}`, 'error');
+  }
+}
+
+/**
+ * Move a note into a notebook (value '' means no notebook)
+ */
+async function handleMoveNote(noteId, notebookId) {
+  try {
+    const result = await window.electronAPI.db.moveNoteToNotebook(noteId, notebookId ? Number(notebookId) : null);
+    
+    if (!result.success) {
+      showMessage(`Error: ${result.error}`, 'error');
+    }
+  } catch (error) {
+    showMessage(`Error: ${error.message}`, 'error');
+  }
+}
+
+/**
+ * Start dragging a note card (drop it on a notebook to move it)
+ */
+function handleNoteDragStart(event, noteId) {
+  event.dataTransfer.setData('application/x-note-id', String(noteId));
+  event.dataTransfer.effectAllowed = 'move';
+}
+
+/**
+ * Start dragging a notebook (drop it on another notebook to nest it)
+ */
+function handleNotebookDragStart(event, notebookId) {
+  event.dataTransfer.setData('application/x-notebook-id', String(notebookId));
+  event.dataTransfer.effectAllowed = 'move';
+}
+
+/**
+ * Highlight a notebook while something is dragged over it
+ */
+function handleNotebookDragOver(event) {
+  event.preventDefault();
+  event.currentTarget.classList.add('drop-target');
+}
+
+/**
+ * Remove the drop highlight
+ */
+function handleNotebookDragLeave(event) {
+  event.currentTarget.classList.remove('drop-target');
+}
+
+/**
+ * Drop a note or notebook onto a notebook (null: All Notes / top level)
+ */
+async function handleNotebookDrop(event, targetId) {
+  event.preventDefault();
+  event.currentTarget.classList.remove('drop-target');
+  
+  const noteId = event.dataTransfer.getData('application/x-note-id');
+  const notebookId = event.dataTransfer.getData('application/x-notebook-id');
+  
+  if (noteId) {
+    handleMoveNote(Number(noteId), targetId);
+    return;
+  }
+  
+  if (!notebookId || Number(notebookId) === targetId) return;
+  
+  try {
+    const result = await window.electronAPI.db.moveNotebook(Number(notebookId), targetId);
+    
+    if (!result.success) {
+      showMessage(`Error: ${result.error}`, 'error');
+    }
+  } catch (error) {
+    showMessage(`Error: ${error.message}`, 'error');
+  }
+}
+
+/**
+ * Export the notes in the current notebook / tag filter as Markdown
+ * @param {string} format - 'folder' or 'zip'
+ */
+async function handleExport(format) {
+  try {
+    const result = await window.electronAPI.files.exportMarkdown(format, currentFilter());
+    
+    if (result.success) {
+      showMessage(`Exported ${result.data.count} note(s) to ${result.data.path}`, 'success');
+    } else if (!result.canceled) {
+      showMessage(`Error: ${result.error}`, 'error');
+    }
+  } catch (error) {
+    showMessage(`Error: ${error.message}`, 'error');
+  }
+}
+
+/**
+ * Import Markdown files from a folder or zip
+ * @param {string} source - 'folder' or 'zip'
+ */
+async function handleImport(source) {
+  try {
+    const result = await window.electronAPI.files.importMarkdown(source);
+    
+    if (result.success) {
+      const { found, imported, skipped, failed } = result.data;
+      const details = [
+        skipped > 0 ? `${skipped} already existed` : '',
+        failed > 0 ? `${failed} failed` : ''
+      ].filter(Boolean).join(', ');
+      showMessage(`Imported ${imported} of ${found} note(s)${details ? ` (${details})` : ''}.`, 'success');
+    } else if (!result.canceled) {
+      showMessage(`Error: ${result.error}`, 'error');
+    }
+  } catch (error) {
+    showMessage(`Error: ${error.message}`, 'error');
+  }
+}
+
+// Labels for the note fields a CSV column can be mapped to
+const IMPORT_FIELD_LABELS = {
+  title: 'Title',
+  content: 'Content',
+  tags: 'Tags',
+  notebook: 'Notebook',
+  created_at: 'Created',
+  updated_at: 'Updated'
+};
+
+/**
+ * Open the JSON / CSV / Evernote import screen
+ */
+function openImportModal() {
+  document.getElementById('importNotebook').innerHTML = notebookOptions(activeNotebookId);
+  resetImportPreview();
+  document.getElementById('importModal').hidden = false;
+}
+
+/**
+ * Close the import screen without importing
+ */
+function closeImportModal() {
+  window.electronAPI.files.cancelImport();
+  document.getElementById('importModal').hidden = true;
+}
+
+/**
+ * Clear the preview (e.g. when another format is chosen)
+ */
+function resetImportPreview() {
+  window.electronAPI.files.cancelImport();
+  document.getElementById('importFileName').textContent = '';
+  document.getElementById('importMapping').hidden = true;
+  document.getElementById('importSummary').textContent = 'Choose a file to preview its notes.';
+  document.getElementById('importPreview').innerHTML = '';
+  document.getElementById('importProblems').innerHTML = '';
+  document.getElementById('commitImportBtn').disabled = true;
+}
+
+/**
+ * Pick the file to import and show its preview
+ */
+async function handleChooseImportFile() {
+  try {
+    const format = document.getElementById('importFormat').value;
+    const result = await window.electronAPI.files.chooseImportFile(format);
+    
+    if (result.success) {
+      renderImportPreview(result.data);
+    } else if (!result.canceled) {
+      resetImportPreview();
+      showMessage(`Error: ${result.error}`, 'error');
+    }
+  } catch (error) {
+    showMessage(`Error: ${error.message}`, 'error');
+  }
+}
+
+/**
+ * Read the CSV column mapping from the mapping dropdowns
+ * @returns {Object|undefined} field => column index (null for unmapped)
+ */
+function currentImportMapping() {
+  const selects = document.querySelectorAll('#importMapping select');
+  if (selects.length === 0) return undefined;
+  
+  const mapping = {};
+  selects.forEach(select => {
+    mapping[select.dataset.field] = select.value === '' ? null : Number(select.value);
+  });
+  return mapping;
+}
+
+/**
+ * Preview again after the CSV column mapping changed
+ */
+async function handleImportMappingChange() {
+  try {
+    const result = await window.electronAPI.files.previewImport({ mapping: currentImportMapping() });
+    
+    if (result.success) {
+      renderImportPreview(result.data);
+    } else {
+      // e.g. no column mapped to the title - keep the mapping so it can be fixed
+      document.getElementById('importSummary').textContent = result.error;
+      document.getElementById('importPreview').innerHTML = '';
+      document.getElementById('commitImportBtn').disabled = true;
+    }
+  } catch (error) {
+    showMessage(`Error: ${error.message}`, 'error');
+  }
+}
+
+/**
+ * Show the parsed notes, errors and warnings of the chosen file
+ * @param {Object} preview - { fileName, total, notes, errors, warnings, headers, mapping }
+ */
+function renderImportPreview(preview) {
+  document.getElementById('importFileName').textContent = preview.fileName;
+  
+  const mappingEl = document.getElementById('importMapping');
+  mappingEl.hidden = !preview.headers;
+  if (preview.headers) {
+    mappingEl.innerHTML = Object.entries(IMPORT_FIELD_LABELS).map(([field, label]) => `
+      <label>
+        ${label}
+        <select data-field="${field}" onchange="handleImportMappingChange()">
+          <option value="">(not imported)</option>
+          ${preview.headers.map((header, index) => `
+            <option value="${index}" ${preview.mapping[field] === index ? 'selected' : ''}>${escapeHtml(header || `Column ${index + 1}`)}</option>
+          `).join('')}
+        </select>
+      </label>
+    `).join('');
+  }
+  
+  const shown = preview.notes.length < preview.total ? ` (showing the first ${preview.notes.length})` : '';
+  document.getElementById('importSummary').textContent =
+    `${preview.total} note(s) ready to import${shown}, ${preview.errors.length} with errors. Notes that already exist will be skipped.`;
+  
+  document.getElementById('importPreview').innerHTML = preview.notes.length === 0 ? '' : `
+    <table>
+      <thead>
+        <tr><th>Title</th><th>Content</th><th>Notebook</th><th>Tags</th><th>Created</th></tr>
+      </thead>
+      <tbody>
+        ${preview.notes.map(note => `
+          <tr>
+            <td>${escapeHtml(note.title)}</td>
+            <td>${escapeHtml(note.content.length > 80 ? `${note.content.slice(0, 80)}...` : note.content)}</td>
+            <td>${escapeHtml(note.notebook.join(' / '))}</td>
+            <td>${escapeHtml(note.tags.join(', '))}</td>
+            <td>${note.created_at ? formatDate(note.created_at) : ''}</td>
+          </tr>
+        `).join('')}
+      </tbody>
+    </table>
+  `;
+  
+  document.getElementById('importProblems').innerHTML = [
+    ...preview.errors.map(problem => `<div class="import-error">❌ ${escapeHtml(problem.item)}: ${escapeHtml(problem.message)}</div>`),
+    ...preview.warnings.map(problem => `<div class="import-warning">⚠️ ${escapeHtml(problem.item)}: ${escapeHtml(problem.message)}</div>`)
+  ].join('');
+  
+  const commitBtn = document.getElementById('commitImportBtn');
+  commitBtn.disabled = preview.total === 0;
+  commitBtn.textContent = `Import ${preview.total} Note(s)`;
+}
+
+/**
+ * Import the previewed notes
+ */
+async function handleCommitImport() {
+  const commitBtn = document.getElementById('commitImportBtn');
+  commitBtn.disabled = true;
+  
+  try {
+    const notebookId = document.getElementById('importNotebook').value;
+    const result = await window.electronAPI.files.commitImport({
+      mapping: currentImportMapping(),
+      notebookId: notebookId ? Number(notebookId) : null
+    });
+    
+    if (!result.success) {
+      commitBtn.disabled = false;
+      showMessage(`Error: ${result.error}`, 'error');
+      return;
+    }
+    
+    const { inserted, skipped, failed } = result.data;
+    showMessage(`Import finished: ${inserted} inserted, ${skipped} skipped (already existed), ${failed} failed.`, failed > 0 ? 'info' : 'success');
+    document.getElementById('importModal').hidden = true;
+  } catch (error) {
+    commitBtn.disabled = false;
+    showMessage(`Error: ${error.message}`, 'error');
+  }
+}
+
+/**
+ * Open the Trash
+ */
+async function openTrashModal() {
+  document.getElementById('trashModal').hidden = false;
+  await loadTrash();
+}
+
+/**
+ * Hide the Trash
+ */
+function closeTrashModal() {
+  document.getElementById('trashModal').hidden = true;
+}
+
+/**
+ * Load and render the notes in the Trash
+ */
+async function loadTrash() {
+  try {
+    const result = await window.electronAPI.db.getTrash();
+    
+    if (!result.success) {
+      showMessage(`Error loading trash: ${result.error}`, 'error');
+      return;
+    }
+    
+    document.getElementById('trashRetentionDays').value = result.retentionDays;
+    document.getElementById('emptyTrashBtn').disabled = result.data.length === 0;
+    
+    const list = document.getElementById('trashList');
+    if (result.data.length === 0) {
+      list.innerHTML = '<div class="empty-state"><p>The Trash is empty.</p></div>';
+      return;
+    }
+    
+    list.innerHTML = result.data.map(note => `
+      <div class="trash-item">
+        <div>
+          <strong>${escapeHtml(note.title)}</strong>
+          <div class="trash-meta">Deleted ${formatDate(note.trashed_at)}</div>
+        </div>
+        <div>
+          <button class="btn btn-success" onclick="handleRestoreNote(${note.id})">Restore</button>
+          <button class="btn btn-danger" onclick="handleDeleteForever(${note.id})">Delete Forever</button>
+        </div>
+      </div>
+    `).join('');
+  } catch (error) {
+    showMessage(`Error: ${error.message}`, 'error');
+  }
+}
+
+/**
+ * Restore a note from the Trash
+ */
+async function handleRestoreNote(id) {
+  try {
+    const result = await window.electronAPI.db.restoreNote(id);
+    
+    if (result.success) {
+      showMessage('Note restored.', 'success');
+    } else {
+      showMessage(`Error: ${result.error}`, 'error');
+    }
+  } catch (error) {
+    showMessage(`Error: ${error.message}`, 'error');
+  }
+}
+
+/**
+ * Permanently delete one note from the Trash
+ */
+async function handleDeleteForever(id) {
+  if (!confirm('Delete this note permanently? This cannot be undone.')) {
+    return;
+  }
+  
+  try {
+    const result = await window.electronAPI.db.deleteNote(id);
+    
+    if (result.success) {
+      showMessage('Note deleted permanently.', 'success');
+    } else {
+      showMessage(`Error: ${result.message || result.error}`, 'error');
+    }
+  } catch (error) {
+    showMessage(`Error: ${error.message}`, 'error');
+  }
+}
+
+/**
+ * Permanently delete every note in the Trash
+ */
+async function handleEmptyTrash() {
+  if (!confirm('Permanently delete all notes in the Trash? This cannot be undone.')) {
+    return;
+  }
+  
+  try {
+    const result = await window.electronAPI.db.emptyTrash();
+    
+    if (result.success) {
+      showMessage(`Deleted ${result.data.deleted} note(s) permanently.`, 'success');
+    } else {
+      showMessage(`Error: ${result.error}`, 'error');
+    }
+  } catch (error) {
+    showMessage(`Error: ${error.message}`, 'error');
+  }
+}
+
+/**
+ * Save the number of days notes are kept in the Trash
+ */
+async function handleTrashRetentionChange(event) {
+  try {
+    const result = await window.electronAPI.db.setTrashRetentionDays(Number(event.target.value));
+    
+    if (result.success) {
+      showMessage(`Notes in the Trash are now deleted after ${result.data.retentionDays} days.`, 'success');
+    } else {
+      showMessage(`Error: ${result.error}`, 'error');
+    }
+    // Show the stored value (notes purged by a shorter retention arrive as database changes)
+    loadTrash();
+  } catch (error) {
+    showMessage(`Error: ${error.message}`, 'error');
+  }
+}
+
+// Note shown in the history modal: { noteId, revisions, selectedId }
+let historyState = null;
+
+/**
+ * Show the saved revisions of a note
+ */
+async function openHistoryModal(noteId) {
+  try {
+    const result = await window.electronAPI.db.getNoteRevisions(noteId);
+    
+    if (!result.success) {
+      showMessage(`Error: ${result.error}`, 'error');
+      return;
+    }
+    if (result.data.length === 0) {
+      showMessage('This note has no earlier versions yet.', 'info');
+      return;
+    }
+    
+    historyState = { noteId, revisions: result.data, selectedId: null };
+    document.getElementById('historyModal').hidden = false;
+    selectRevision(result.data[0].id);
+  } catch (error) {
+    showMessage(`Error: ${error.message}`, 'error');
+  }
+}
+
+/**
+ * Hide the history modal
+ */
+function closeHistoryModal() {
+  historyState = null;
+  document.getElementById('historyModal').hidden = true;
+}
+
+/**
+ * Select a revision in the history list and show what changed since
+ */
+function selectRevision(revisionId) {
+  if (!historyState) return;
+  historyState.selectedId = revisionId;
+  
+  document.getElementById('historyList').innerHTML = historyState.revisions.map(rev => `
+    <div class="history-item ${rev.id === revisionId ? 'active' : ''}" onclick="selectRevision(${rev.id})">
+      ${escapeHtml(rev.title || '(Untitled)')}<br>
+      <small>${formatDate(rev.created_at)}</small>
+    </div>
+  `).join('');
+  
+  // Compare against the current note by default, or any other revision
+  document.getElementById('historyCompareTo').innerHTML = [
+    '<option value="">Current version</option>',
+    ...historyState.revisions
+      .filter(rev => rev.id !== revisionId)
+      .map(rev => `<option value="${rev.id}">${escapeHtml(formatDate(rev.created_at))}</option>`)
+  ].join('');
+  
+  showHistoryDiff();
+}
+
+/**
+ * Render the diff between the selected revision and the compared version
+ */
+async function showHistoryDiff() {
+  if (!historyState) return;
+  
+  const compareTo = document.getElementById('historyCompareTo').value;
+  
+  try {
+    const result = await window.electronAPI.db.diffRevisions(
+      historyState.noteId,
+      historyState.selectedId,
+      compareTo ? Number(compareTo) : null
+    );
+    
+    if (!result.success) {
+      showMessage(`Error: ${result.error}`, 'error');
+      return;
+    }
+    
+    const { from, to, titleChanged, changes } = result.data;
+    const markers = { equal: ' ', added: '+', removed: '-' };
+    
+    document.getElementById('historyTitleChange').innerHTML = titleChanged
+      ? `Title: <del>${escapeHtml(from.title)}</del> → <strong>${escapeHtml(to.title)}</strong>`
+      : `Title: <strong>${escapeHtml(to.title)}</strong> (unchanged)`;
+    
+    document.getElementById('historyDiff').innerHTML = changes.length === 0
+      ? '<em>No content</em>'
+      : changes.map(change => `<div class="diff-line diff-${change.type}">${markers[change.type]} ${escapeHtml(change.text)}</div>`).join('');
+  } catch (error) {
+    showMessage(`Error: ${error.message}`, 'error');
+  }
+}
+
+/**
+ * Restore the selected revision (saved as a new edit, so it can be undone)
+ */
+async function handleRestoreRevision() {
+  if (!historyState || !historyState.selectedId) return;
+  
+  if (!confirm('Restore this revision? The current version will be kept in the history.')) {
+    return;
+  }
+  
+  try {
+    const result = await window.electronAPI.db.restoreRevision(historyState.noteId, historyState.selectedId);
+    
+    if (result.success) {
+      showMessage('Revision restored.', 'success');
+      closeHistoryModal();
+    } else {
+      showMessage(`Error: ${result.error}`, 'error');
+    }
+  } catch (error) {
+    showMessage(`Error: ${error.message}`, 'error');
+  }
+}
+
+// Labels for the reason a backup was taken
+const BACKUP_KIND_LABELS = {
+  scheduled: 'Daily backup',
+  manual: 'Manual backup',
+  'pre-restore': 'Before restore'
+};
+
+/**
+ * Back up the database now
+ */
+async function handleBackupNow() {
+  const button = document.getElementById('backupNowBtn');
+  button.disabled = true;
+  
+  try {
+    const result = await window.electronAPI.backup.create();
+    
+    if (result.success) {
+      showMessage(`Backup saved (${formatFileSize(result.data.size)}).`, 'success');
+      if (!document.getElementById('backupModal').hidden) {
+        loadBackups();
+      }
+    } else {
+      showMessage(`Error: ${result.error}`, 'error');
+    }
+  } catch (error) {
+    showMessage(`Error: ${error.message}`, 'error');
+  } finally {
+    button.disabled = false;
+  }
+}
+
+/**
+ * Show the backups modal
+ */
+function openBackupModal() {
+  document.getElementById('backupModal').hidden = false;
+  loadBackups();
+}
+
+/**
+ * Hide the backups modal
+ */
+function closeBackupModal() {
+  document.getElementById('backupModal').hidden = true;
+}
+
+/**
+ * Load the list of backups and the retention settings
+ */
+async function loadBackups() {
+  try {
+    const result = await window.electronAPI.backup.list();
+    
+    if (!result.success) {
+      showMessage(`Error loading backups: ${result.error}`, 'error');
+      return;
+    }
+    
+    document.getElementById('backupKeepDaily').value = result.retention.keepDaily;
+    document.getElementById('backupKeepWeekly').value = result.retention.keepWeekly;
+    
+    const warning = document.getElementById('backupWarning');
+    warning.hidden = result.integrityProblems.length === 0;
+    warning.textContent = `The database failed its integrity check at startup (${result.integrityProblems[0] || ''}). ` +
+      'Daily backups are paused; restore a backup made before the damage.';
+    
+    const list = document.getElementById('backupList');
+    if (result.data.length === 0) {
+      list.innerHTML = '<div class="empty-state"><p>No backups yet.</p></div>';
+      return;
+    }
+    
+    list.innerHTML = result.data.map(backup => `
+      <div class="backup-item">
+        <div>
+          <strong>${escapeHtml(formatDate(backup.createdAt))}</strong>
+          <div class="backup-meta">${escapeHtml(BACKUP_KIND_LABELS[backup.kind] || backup.kind)} · ${formatFileSize(backup.size)}</div>
+        </div>
+        <button class="btn btn-success" onclick="handleRestoreBackup('${escapeHtml(backup.file)}')">Restore</button>
+      </div>
+    `).join('');
+  } catch (error) {
+    showMessage(`Error: ${error.message}`, 'error');
+  }
+}
+
+/**
+ * Replace all notes with a backup (the window reloads when done)
+ */
+async function handleRestoreBackup(file) {
+  if (!confirm('Restore this backup? All notes will be replaced with the backed-up version. Your current notes are backed up first.')) {
+    return;
+  }
+  
+  try {
+    showMessage('Restoring backup...', 'info');
+    const result = await window.electronAPI.backup.restore(file);
+    
+    if (!result.success) {
+      showMessage(`Error: ${result.error}`, 'error');
+    }
+  } catch (error) {
+    showMessage(`Error: ${error.message}`, 'error');
+  }
+}
+
+/**
+ * Save the daily / weekly backup retention
+ */
+async function handleBackupRetentionChange() {
+  try {
+    const result = await window.electronAPI.backup.setRetention({
+      keepDaily: Number(document.getElementById('backupKeepDaily').value),
+      keepWeekly: Number(document.getElementById('backupKeepWeekly').value)
+    });
+    
+    if (result.success) {
+      const { keepDaily, keepWeekly, pruned } = result.data;
+      showMessage(
+        `Keeping daily backups for ${keepDaily} days and weekly backups for ${keepWeekly} weeks` +
+        (pruned > 0 ? ` (${pruned} old backup(s) deleted).` : '.'),
+        'success'
+      );
+    } else {
+      showMessage(`Error: ${result.error}`, 'error');
+    }
+    // Show the stored values and anything pruned by a shorter retention
+    loadBackups();
+  } catch (error) {
+    showMessage(`Error: ${error.message}`, 'error');
+  }
+}
+
+/**
+ * Show whether notes are encrypted and the matching buttons
+ */
+async function loadEncryptionStatus() {
+  try {
+    const result = await window.electronAPI.security.getStatus();
+    
+    if (!result.success) {
+      showMessage(`Error: ${result.error}`, 'error');
+      return;
+    }
+    
+    const { enabled } = result.data;
+    document.getElementById('encryptionStatus').textContent = enabled
+      ? 'Notes are encrypted with your passphrase.'
+      : 'Notes are stored unencrypted.';
+    document.getElementById('enableEncryptionBtn').hidden = enabled;
+    document.getElementById('changePassphraseBtn').hidden = !enabled;
+    document.getElementById('disableEncryptionBtn').hidden = !enabled;
+  } catch (error) {
+    showMessage(`Error: ${error.message}`, 'error');
+  }
+}
+
+// Passphrase modal modes: which fields are shown and what the button says
+const PASSPHRASE_MODES = {
+  enable: { title: 'Enable Encryption', button: 'Encrypt Notes', current: false, next: true },
+  change: { title: 'Change Passphrase', button: 'Change Passphrase', current: true, next: true },
+  disable: { title: 'Disable Encryption', button: 'Decrypt Notes', current: true, next: false }
+};
+
+// Mode of the open passphrase modal ('enable', 'change' or 'disable')
+let passphraseMode = null;
+
+/**
+ * Open the passphrase modal for enabling, changing or disabling encryption
+ */
+function openPassphraseModal(mode) {
+  const config = PASSPHRASE_MODES[mode];
+  passphraseMode = mode;
+  
+  document.getElementById('passphraseForm').reset();
+  document.getElementById('passphraseModalTitle').textContent = config.title;
+  document.getElementById('submitPassphraseBtn').textContent = config.button;
+  document.getElementById('passphraseError').textContent = '';
+  document.getElementById('currentPassphraseGroup').hidden = !config.current;
+  document.getElementById('newPassphraseGroup').hidden = !config.next;
+  document.getElementById('confirmPassphraseGroup').hidden = !config.next;
+  document.getElementById('passphraseModal').hidden = false;
+  
+  document.getElementById(config.current ? 'currentPassphrase' : 'newPassphrase').focus();
+}
+
+/**
+ * Hide the passphrase modal (and forget what was typed)
+ */
+function closePassphraseModal() {
+  passphraseMode = null;
+  document.getElementById('passphraseForm').reset();
+  document.getElementById('passphraseModal').hidden = true;
+}
+
+/**
+ * Enable, change or disable encryption with the entered passphrases
+ */
+async function handlePassphraseSubmit(e) {
+  e.preventDefault();
+  if (!passphraseMode) return;
+  
+  const config = PASSPHRASE_MODES[passphraseMode];
+  const current = document.getElementById('currentPassphrase').value;
+  const next = document.getElementById('newPassphrase').value;
+  const errorEl = document.getElementById('passphraseError');
+  
+  if (config.next && next !== document.getElementById('confirmPassphrase').value) {
+    errorEl.textContent = 'The new passphrases do not match.';
+    return;
+  }
+  if (passphraseMode === 'disable' &&
+      !confirm('Decrypt all notes? They will be stored on disk without encryption.')) {
+    return;
+  }
+  
+  const submitBtn = document.getElementById('submitPassphraseBtn');
+  submitBtn.disabled = true;
+  errorEl.textContent = '';
+  
+  try {
+    let result;
+    if (passphraseMode === 'enable') {
+      result = await window.electronAPI.security.enableEncryption(next);
+    } else if (passphraseMode === 'change') {
+      result = await window.electronAPI.security.changePassphrase(current, next);
+    } else {
+      result = await window.electronAPI.security.disableEncryption(current);
+    }
+    
+    if (result.success) {
+      const messages = {
+        enable: 'Notes are now encrypted. Keep your passphrase safe - it cannot be recovered.',
+        change: 'Passphrase changed.',
+        disable: 'Encryption disabled.'
+      };
+      showMessage(messages[passphraseMode], 'success');
+      closePassphraseModal();
+      loadEncryptionStatus();
+    } else {
+      errorEl.textContent = result.error;
+    }
+  } catch (error) {
+    errorEl.textContent = error.message;
+  } finally {
+    submitBtn.disabled = false;
+  }
+}
+
+/**
+ * Show the quick capture shortcut and the keep-running-in-tray option
+ */
+function showDesktopSettings(settings) {
+  document.getElementById('quickCaptureShortcut').value = settings.quickCaptureShortcut;
+  document.getElementById('keepRunningInTray').checked = settings.keepRunningInTray;
+  document.getElementById('quickCaptureShortcutWarning').hidden =
+    settings.shortcutRegistered || !settings.quickCaptureShortcut;
+}
+
+/**
+ * Load the tray and quick capture settings
+ */
+async function loadDesktopSettings() {
+  try {
+    const result = await window.electronAPI.desktop.getSettings();
+    
+    if (result.success) {
+      showDesktopSettings(result.data);
+    } else {
+      showMessage(`Error: ${result.error}`, 'error');
+    }
+  } catch (error) {
+    showMessage(`Error: ${error.message}`, 'error');
+  }
+}
+
+/**
+ * Save the tray and quick capture settings after either one is changed
+ * A shortcut that cannot be registered is rejected and the previous one shown again.
+ */
+async function handleDesktopSettingsChange() {
+  try {
+    const result = await window.electronAPI.desktop.setSettings({
+      quickCaptureShortcut: document.getElementById('quickCaptureShortcut').value,
+      keepRunningInTray: document.getElementById('keepRunningInTray').checked
+    });
+    
+    if (result.success) {
+      showDesktopSettings(result.data);
+      showMessage('Desktop settings saved', 'success');
+    } else {
+      showMessage(`Error: ${result.error}`, 'error');
+      loadDesktopSettings();
+    }
+  } catch (error) {
+    showMessage(`Error: ${error.message}`, 'error');
+  }
+}
+
+// Conflict currently shown in the resolution modal
+let activeConflict = null;
+
+/**
+ * Load unresolved sync conflicts and list them above the notes
+ */
+async function loadConflicts() {
+  try {
+    const result = await window.electronAPI.db.getConflicts();
+    
+    if (!result.success) {
+      showMessage(`Error loading conflicts: ${result.error}`, 'error');
+      return;
+    }
+    
+    const section = document.getElementById('conflictsSection');
+    const list = document.getElementById('conflictsList');
+    section.hidden = result.data.length === 0;
+    
+    list.innerHTML = result.data.map(conflict => `
+      <div class="conflict-item">
+        <span>
+          <strong>${escapeHtml(conflict.local.title)}</strong>
+          ${conflict.local.deleted_at ? '(deleted here)' : ''}
+          ${conflict.remote.deleted_at ? '(deleted on server)' : ''}
+        </span>
+        <button class="btn btn-danger" onclick="openConflictModal(${conflict.id})">Resolve</button>
+      </div>
+    `).join('');
+  } catch (error) {
+    showMessage(`Error: ${error.message}`, 'error');
+  }
+}
+
+/**
+ * Show the local and server versions of a note side by side
+ */
+async function openConflictModal(id) {
+  try {
+    const result = await window.electronAPI.db.getConflicts();
+    const conflict = result.success ? result.data.find(c => c.id === id) : null;
+    
+    if (!conflict) {
+      showMessage('Conflict not found', 'error');
+      loadConflicts();
+      return;
+    }
+    
+    activeConflict = conflict;
+    const { local, remote } = conflict;
+    
+    document.getElementById('conflictLocalTitle').textContent = local.title;
+    document.getElementById('conflictLocalContent').textContent = local.deleted_at ? '(Deleted on this device)' : (local.content || '(No content)');
+    document.getElementById('conflictLocalMeta').textContent = `Updated: ${formatDate(local.updated_at)} · Tags: ${local.tags.join(', ') || 'none'}` +
+      ` · Notebook: ${local.notebook.join(' / ') || 'none'}`;
+    
+    document.getElementById('conflictRemoteTitle').textContent = remote.title || '';
+    document.getElementById('conflictRemoteContent').textContent = remote.deleted_at ? '(Deleted on the server)' : (remote.content || '(No content)');
+    document.getElementById('conflictRemoteMeta').textContent = `Updated: ${formatDate(remote.updated_at)}` +
+      (remote.tags ? ` · Tags: ${remote.tags.join(', ') || 'none'}` : '') +
+      (remote.notebook ? ` · Notebook: ${remote.notebook.join(' / ') || 'none'}` : '');
+    
+    // Start the merge from the local version
+    document.getElementById('mergedTitle').value = local.title;
+    document.getElementById('mergedContent').value = local.content || '';
+    
+    document.getElementById('conflictModal').hidden = false;
+  } catch (error) {
+    showMessage(`Error: ${error.message}`, 'error');
+  }
+}
+
+/**
+ * Hide the conflict resolution modal
+ */
+function closeConflictModal() {
+  activeConflict = null;
+  document.getElementById('conflictModal').hidden = true;
+}
+
+/**
+ * Resolve the conflict shown in the modal
+ * @param {string} resolution - 'local', 'remote' or 'merged'
+ */
+async function handleResolveConflict(resolution) {
+  if (!activeConflict) return;
+  
+  const merged = {
+    title: document.getElementById('mergedTitle').value.trim(),
+    content: document.getElementById('mergedContent').value
+  };
+  
+  if (resolution === 'merged' && !merged.title) {
+    showMessage('Please enter a title for the merged note', 'error');
+    return;
+  }
+  
+  try {
+    const result = await window.electronAPI.db.resolveConflict(activeConflict.id, resolution, merged);
+    
+    if (result.success) {
+      showMessage(
+        resolution === 'remote' ? 'Conflict resolved.' : 'Conflict resolved. The result will be sent on the next sync.',
+        'success'
+      );
+      closeConflictModal();
+    } else {
+      showMessage(`Error: ${result.error}`, 'error');
+    }
+  } catch (error) {
+    showMessage(`Error: ${error.message}`, 'error');
+  }
+}
+
+/**
+ * Load notes the server rejected and list them with the reason
+ */
+async function loadSyncIssues() {
+  try {
+    const result = await window.electronAPI.db.getSyncErrors();
+    
+    if (!result.success) {
+      showMessage(`Error loading sync issues: ${result.error}`, 'error');
+      return;
+    }
+    
+    const section = document.getElementById('syncIssuesSection');
+    const list = document.getElementById('syncIssuesList');
+    section.hidden = result.data.length === 0;
+    
+    list.innerHTML = result.data.map(issue => `
+      <div class="sync-issue-item">
+        <div>
+          <strong>${escapeHtml(issue.title)}</strong>
+          ${issue.deleted_at ? '(deleted here)' : ''}
+          <div class="issue-message">${escapeHtml(issue.message || 'Unknown error')}</div>
+          <div class="issue-meta">
+            Attempts: ${issue.attempts} ·
+            Last attempt: ${formatDate(issue.last_attempt_at)} ·
+            Next retry: ${issue.next_retry_at ? formatDate(issue.next_retry_at) : 'next sync'}
+          </div>
+        </div>
+        <div class="issue-actions">
+          <button class="btn btn-primary" onclick="handleRetrySync(${issue.id})">Retry</button>
+          <button class="btn btn-danger" onclick="handleDiscardChange(${issue.id})">Discard</button>
+        </div>
+      </div>
+    `).join('');
+  } catch (error) {
+    showMessage(`Error: ${error.message}`, 'error');
+  }
+}
+
+/**
+ * Retry syncing one failed note now
+ */
+async function handleRetrySync(id) {
+  try {
+    const result = await window.electronAPI.db.retryNoteSync(id);
+    
+    if (result.success) {
+      showMessage('Retrying sync...', 'info');
+      loadSyncIssues();
+    } else {
+      showMessage(`Error: ${result.error}`, 'error');
+    }
+  } catch (error) {
+    showMessage(`Error: ${error.message}`, 'error');
+  }
+}
+
+/**
+ * Discard the local change of a failed note
+ */
+async function handleDiscardChange(id) {
+  if (!confirm('Discard your local change to this note? Notes that were never synced will be deleted.')) {
+    return;
+  }
+  
+  try {
+    const result = await window.electronAPI.db.discardLocalChange(id);
+    
+    if (result.success) {
+      showMessage('Local change discarded. The server version will be restored on the next sync.', 'success');
+    } else {
+      showMessage(`Error: ${result.error}`, 'error');
+    }
+  } catch (error) {
+    showMessage(`Error: ${error.message}`, 'error');
+  }
+}
+
+/**
+ * Show a message to the user
+ */
+function showMessage(text, type = 'info') {
+  // A note window only shows the editor: report errors in its status line
+  if (noteWindowNoteId && type === 'error') {
+    setEditorStatus(text, true);
+    return;
+  }
+  
+  const messageEl = document.getElementById('message');
+  messageEl.textContent = text;
+  messageEl.className = `message ${type}`;
+  
+  // Auto-hide after 5 seconds
+  setTimeout(() => {
+    messageEl.className = 'message';
+  }, 5000);
+}
+
+/**
+ * Format date for display
+ */
+function formatDate(dateString) {
+  if (!dateString) return 'N/A';
+  const date = new Date(dateString);
+  return date.toLocaleString();
+}
+
+/**
+ * Format a size in bytes for display
+ */
+function formatFileSize(bytes) {
+  if (bytes < 1024) return `${bytes} B`;
+  if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+  return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+}
+
+/**
+ * Escape HTML to prevent XSS attacks
+ */
+function escapeHtml(text) {
+  const div = document.createElement('div');
+  div.textContent = text;
+  return div.innerHTML;
+}
+
+/**
+ * Render search highlights as <mark> elements
+ * db.searchNotes() wraps matches in \u0002...\u0003 markers, so the text is
+ * escaped first and only the markers are turned into HTML
+ */
+function renderHighlight(text) {
+  return escapeHtml(text)
+    .replace(/\u0002/g, '<mark>')
+    .replace(/\u0003/g, '</mark>');
 }
 
 // Make functions available globally for onclick handlers
 window.handleEdit = handleEdit;
 window.handleDelete = handleDelete;
+window.openConflictModal = openConflictModal;
+window.openHistoryModal = openHistoryModal;
+window.handleRestoreNote = handleRestoreNote;
+window.handleImportMappingChange = handleImportMappingChange;
+window.handleDeleteForever = handleDeleteForever;
+window.handleRestoreBackup = handleRestoreBackup;
+window.selectRevision = selectRevision;
+window.handleRetrySync = handleRetrySync;
+window.handleAddTag = handleAddTag;
+window.handleRemoveTag = handleRemoveTag;
+window.handleRenameTag = handleRenameTag;
+window.toggleTagFilter = toggleTagFilter;
+window.clearTagFilter = clearTagFilter;
+window.selectNotebook = selectNotebook;
+window.handleCreateNotebook = handleCreateNotebook;
+window.handleRenameNotebook = handleRenameNotebook;
+window.handleDeleteNotebook = handleDeleteNotebook;
+window.handleMoveNote = handleMoveNote;
+window.handleNoteDragStart = handleNoteDragStart;
+window.handleNotebookDragStart = handleNotebookDragStart;
+window.handleNotebookDragOver = handleNotebookDragOver;
+window.handleNotebookDragLeave = handleNotebookDragLeave;
+window.handleNotebookDrop = handleNotebookDrop;
+window.handleDiscardChange = handleDiscardChange;
+window.handleRemoveAttachment = handleRemoveAttachment;
@@ -0,0 +1,238 @@
+/**
+ * Background Sync Scheduler (Main Process)
+ *
+ * This module handles:
+ * - Syncing on a fixed interval and shortly after local edits
+ * - Exponential backoff (with jitter) after failed syncs
+ * - Pausing while the machine is offline
+ * - Making sure only one sync runs at a time
+ * - Reporting status changes through a callback (broadcast to renderers by main.js)
+ */
+
+const DEFAULT_OPTIONS = {
+  intervalMs: 5 * 60 * 1000,      // Regular sync interval
+  changeDelayMs: 5 * 1000,        // Delay after a local edit (debounced)
+  minBackoffMs: 10 * 1000,        // First retry delay after a failure
+  maxBackoffMs: 10 * 60 * 1000,   // Upper bound for retry delays
+  offlinePollMs: 30 * 1000        // How often to re-check connectivity while offline
+};
+
+/**
+ * Create a sync scheduler
+ * @param {Object} options
+ * @param {Function} options.sync - async (apiUrl) => sync result ({ success, networkError, authRequired, retryAfterMs, ... })
+ * @param {Function} options.getApiUrl - () => configured API URL, or null if sync is not set up
+ * @param {Function} options.isOnline - () => boolean, e.g. Electron's net.isOnline()
+ * @param {Function} options.onStatus - (status) => void, called on every status change
+ * @returns {Object} Scheduler API
+ */
+const createSyncScheduler = ({ sync, getApiUrl, isOnline, onStatus, ...overrides }) => {
+  const config = { ...DEFAULT_OPTIONS, ...overrides };
+
+  let timer = null;
+  let started = false;
+  let currentRun = null;
+  let changedDuringRun = false;
+  let failures = 0;
+
+  const status = {
+    state: 'idle',        // 'idle', 'syncing', 'offline', 'error', 'auth-required', 'stopped'
+    online: true,
+    lastSyncAt: null,
+    lastResult: null,
+    nextSyncAt: null,
+    failures: 0
+  };
+
+  const emit = (changes) => {
+    Object.assign(status, changes);
+    onStatus({ ...status });
+  };
+
+  const schedule = (delayMs) => {
+    if (!started) return;
+    clearTimeout(timer);
+    timer = setTimeout(() => { run(); }, delayMs);
+    emit({ nextSyncAt: new Date(Date.now() + delayMs).toISOString() });
+  };
+
+  /**
+   * Delay before the next attempt after `failures` consecutive failures
+   * Doubles each time, capped at maxBackoffMs, with +/-20% jitter so many
+   * clients don't retry against the server in lockstep
+   */
+  const backoffDelay = () => {
+    const base = Math.min(config.maxBackoffMs, config.minBackoffMs * 2 ** (failures - 1));
+    return Math.round(base * (0.8 + Math.random() * 0.4));
+  };
+
+  const performSync = async () => {
+    const apiUrl = getApiUrl();
+
+    // Nothing to do until a backend has been configured
+    if (!apiUrl) {
+      emit({ state: 'idle', nextSyncAt: null });
+      return null;
+    }
+
+    if (!isOnline()) {
+      emit({ state: 'offline', online: false, nextSyncAt: null });
+      schedule(config.offlinePollMs);
+      return {
+        success: false,
+        synced: 0,
+        networkError: true,
+        error: 'Network error: App appears to be offline',
+        message: 'Cannot sync while offline. Changes will be synced when connection is restored.'
+      };
+    }
+
+    clearTimeout(timer);
+    emit({ state: 'syncing', online: true, nextSyncAt: null });
+
+    let result;
+    try {
+      result = await sync(apiUrl);
+    } catch (error) {
+      result = { success: false, synced: 0, error: error.message, message: 'Sync failed' };
+    }
+
+    if (!started) {
+      emit({ state: 'stopped', lastResult: result });
+      return result;
+    }
+
+    if (result.authRequired) {
+      // Retrying is pointless until the user logs in (see syncNow)
+      failures = 0;
+      emit({ state: 'auth-required', lastResult: result, failures, nextSyncAt: null });
+    } else if (result.success) {
+      failures = 0;
+      emit({ state: 'idle', lastSyncAt: new Date().toISOString(), lastResult: result, failures });
+      // Sync again soon if notes were edited while this sync was running
+      schedule(changedDuringRun ? config.changeDelayMs : config.intervalMs);
+    } else {
+      failures++;
+      const offline = result.networkError && !isOnline();
+      emit({ state: offline ? 'offline' : 'error', online: !offline, lastResult: result, failures });
+
+      if (offline) {
+        schedule(config.offlinePollMs);
+      } else {
+        // Never retry sooner than a rate-limiting server asked us to
+        schedule(Math.max(backoffDelay(), result.retryAfterMs || 0));
+      }
+    }
+
+    return result;
+  };
+
+  /**
+   * Run a sync now, or join the one already in progress
+   * @returns {Promise<Object|null>} Sync result (null if no API URL is configured)
+   */
+  const run = () => {
+    if (currentRun) {
+      return currentRun;
+    }
+
+    changedDuringRun = false;
+    currentRun = performSync().finally(() => {
+      currentRun = null;
+    });
+
+    return currentRun;
+  };
+
+  return {
+    /**
+     * Start background syncing
+     */
+    start() {
+      if (started) return;
+      started = true;
+      schedule(config.changeDelayMs);
+    },
+
+    /**
+     * Stop background syncing (an in-flight sync is allowed to finish)
+     */
+    stop() {
+      started = false;
+      clearTimeout(timer);
+      timer = null;
+      emit({ state: 'stopped', nextSyncAt: null });
+    },
+
+    /**
+     * Wait for an in-flight sync to finish (e.g. after stop(), before replacing the database)
+     * @returns {Promise<void>}
+     */
+    async whenIdle() {
+      if (currentRun) {
+        await currentRun.catch(() => {});
+      }
+    },
+
+    /**
+     * Sync immediately (e.g. the "Sync Now" button), resetting any backoff
+     * @returns {Promise<Object|null>} Sync result
+     */
+    syncNow() {
+      failures = 0;
+      return run();
+    },
+
+    /**
+     * Schedule a sync shortly after a local edit
+     * Repeated edits push the sync back (debounce); an active backoff is kept
+     */
+    notifyLocalChange() {
+      if (!started) return;
+
+      if (currentRun) {
+        changedDuringRun = true;
+        return;
+      }
+
+      if (failures === 0 && !['offline', 'auth-required'].includes(status.state)) {
+        schedule(config.changeDelayMs);
+      }
+    },
+
+    /**
+     * Connectivity changed (reported by the renderer's online/offline events)
+     * @param {boolean} online - Whether the machine is online
+     */
+    setOnline(online) {
+      if (!started) return;
+
+      if (!online) {
+        clearTimeout(timer);
+        emit({ state: 'offline', online: false, nextSyncAt: null });
+        schedule(config.offlinePollMs);
+        return;
+      }
+
+      if (!status.online || status.state === 'offline') {
+        // Back online: retry right away instead of waiting out the backoff
+        failures = 0;
+        emit({ state: 'idle', online: true });
+        schedule(1000);
+      }
+    },
+
+    /**
+     * Get the current scheduler status
+     * @returns {Object} Status snapshot
+     */
+    getStatus() {
+      return { ...status };
+    }
+  };
+};
+
+module.exports = {
+  createSyncScheduler,
+  DEFAULT_OPTIONS
+};
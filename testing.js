@@ -0,0 +1,103 @@
+/**
+ * Test Helpers (node --test)
+ *
+ * This module handles:
+ * - Standing in for Electron, so main-process modules load in plain Node:
+ *   `app.getPath('userData')` is a fresh temporary directory (db.js keeps its
+ *   database there instead of the project directory) and `safeStorage` can be
+ *   switched off to test the fallbacks
+ * - Starting a local stub HTTP server that records requests, for sync and auth tests
+ *
+ * Require it before the module under test. node --test runs each test file in
+ * its own process, so every file gets its own database.
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const http = require('http');
+const Module = require('module');
+
+const userDataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'notes-test-'));
+
+process.on('exit', () => {
+  fs.rmSync(userDataDir, { recursive: true, force: true });
+});
+
+// The parts of the electron module that db.js, auth.js and window-state.js use
+const electron = {
+  app: {
+    isPackaged: true,
+    getPath: () => userDataDir,
+    on: () => {}
+  },
+  safeStorage: {
+    available: true,
+    isEncryptionAvailable() {
+      return this.available;
+    },
+    // Reversible but not plain text, so tests can tell stored tokens were encrypted
+    encryptString: (value) => Buffer.from(`safe:${value}`).reverse(),
+    decryptString: (buffer) => Buffer.from(buffer).reverse().toString().replace(/^safe:/, '')
+  }
+};
+
+// require('electron') resolves to the stand-in above
+const resolveFilename = Module._resolveFilename;
+Module._resolveFilename = function (request, ...args) {
+  return request === 'electron' ? 'electron' : resolveFilename.call(this, request, ...args);
+};
+require.cache.electron = { id: 'electron', filename: 'electron', loaded: true, exports: electron };
+
+/**
+ * Start a stub HTTP server on a free local port
+ * @param {Function} handler - (request, body) => { status, body, headers } or a Promise of it;
+ *   `request` has method, url, path, query and headers, `body` is the parsed JSON body (or null)
+ * @returns {Promise<Object>} { url, requests (every request received, in order), close() }
+ */
+const startStubServer = async (handler) => {
+  const requests = [];
+
+  const server = http.createServer(async (req, res) => {
+    const chunks = [];
+    for await (const chunk of req) chunks.push(chunk);
+    const text = Buffer.concat(chunks).toString();
+
+    const url = new URL(req.url, 'http://localhost');
+    const request = {
+      method: req.method,
+      url: req.url,
+      path: url.pathname,
+      query: Object.fromEntries(url.searchParams),
+      headers: req.headers
+    };
+    const body = text ? JSON.parse(text) : null;
+    requests.push({ ...request, body });
+
+    try {
+      const reply = (await handler(request, body)) || {};
+      res.writeHead(reply.status || 200, { 'Content-Type': 'application/json', ...reply.headers });
+      res.end(JSON.stringify(reply.body ?? {}));
+    } catch (error) {
+      res.writeHead(500, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ message: error.message }));
+    }
+  });
+
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+
+  return {
+    url: `http://127.0.0.1:${server.address().port}`,
+    requests,
+    close: () => new Promise(resolve => {
+      server.closeAllConnections();
+      server.close(resolve);
+    })
+  };
+};
+
+module.exports = {
+  electron,
+  userDataDir,
+  startStubServer
+};
@@ -0,0 +1,100 @@
+/**
+ * Line Diff Utility
+ *
+ * This module handles:
+ * - Comparing two texts line by line (used for note revision history)
+ * - Producing a list of equal / added / removed lines for display
+ *
+ * Uses the longest common subsequence of lines after trimming the common
+ * prefix and suffix. Very large, completely different texts fall back to
+ * "everything removed, everything added" to bound memory use.
+ */
+
+// Upper bound for the LCS table (rows x columns) before falling back
+const MAX_LCS_CELLS = 4 * 1000 * 1000;
+
+/**
+ * Split text into lines (an empty or missing text has no lines)
+ * @param {string} text - Text to split
+ * @returns {Array} Lines without line endings
+ */
+const splitLines = (text) => {
+  return text ? String(text).split(/\r?\n/) : [];
+};
+
+/**
+ * Diff the middle section (common prefix/suffix already removed)
+ * @param {Array} a - Old lines
+ * @param {Array} b - New lines
+ * @returns {Array} Array of { type, text } entries
+ */
+const diffMiddle = (a, b) => {
+  if (a.length === 0 || b.length === 0 || a.length * b.length > MAX_LCS_CELLS) {
+    return [
+      ...a.map(text => ({ type: 'removed', text })),
+      ...b.map(text => ({ type: 'added', text }))
+    ];
+  }
+
+  // lcs[i][j] = length of the LCS of a[i..] and b[j..]
+  const lcs = Array.from({ length: a.length + 1 }, () => new Uint32Array(b.length + 1));
+  for (let i = a.length - 1; i >= 0; i--) {
+    for (let j = b.length - 1; j >= 0; j--) {
+      lcs[i][j] = a[i] === b[j]
+        ? lcs[i + 1][j + 1] + 1
+        : Math.max(lcs[i + 1][j], lcs[i][j + 1]);
+    }
+  }
+
+  const result = [];
+  let i = 0;
+  let j = 0;
+  while (i < a.length && j < b.length) {
+    if (a[i] === b[j]) {
+      result.push({ type: 'equal', text: a[i] });
+      i++;
+      j++;
+    } else if (lcs[i + 1][j] >= lcs[i][j + 1]) {
+      result.push({ type: 'removed', text: a[i++] });
+    } else {
+      result.push({ type: 'added', text: b[j++] });
+    }
+  }
+  while (i < a.length) result.push({ type: 'removed', text: a[i++] });
+  while (j < b.length) result.push({ type: 'added', text: b[j++] });
+
+  return result;
+};
+
+/**
+ * Compare two texts line by line
+ * @param {string} oldText - Previous text
+ * @param {string} newText - Current text
+ * @returns {Array} Array of { type: 'equal'|'added'|'removed', text } entries in order
+ */
+const diffLines = (oldText, newText) => {
+  const a = splitLines(oldText);
+  const b = splitLines(newText);
+
+  let start = 0;
+  while (start < a.length && start < b.length && a[start] === b[start]) {
+    start++;
+  }
+
+  let endA = a.length;
+  let endB = b.length;
+  while (endA > start && endB > start && a[endA - 1] === b[endB - 1]) {
+    endA--;
+    endB--;
+  }
+
+  return [
+    ...a.slice(0, start).map(text => ({ type: 'equal', text })),
+    ...diffMiddle(a.slice(start, endA), b.slice(start, endB)),
+    ...a.slice(endA).map(text => ({ type: 'equal', text }))
+  ];
+};
+
+module.exports = {
+  diffLines
+};
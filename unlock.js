@@ -0,0 +1,48 @@
+/**
+ * Unlock Window - Renderer Logic
+ *
+ * This file handles:
+ * - Sending the passphrase of an encrypted database to the main process
+ * - Showing an error for a wrong passphrase
+ *
+ * On success the main process opens the main window and closes this one.
+ */
+
+document.addEventListener('DOMContentLoaded', () => {
+  document.getElementById('unlockForm').addEventListener('submit', handleUnlock);
+});
+
+/**
+ * Try to unlock the database with the entered passphrase
+ */
+async function handleUnlock(e) {
+  e.preventDefault();
+
+  const input = document.getElementById('passphrase');
+  const errorEl = document.getElementById('unlockError');
+  const unlockBtn = document.getElementById('unlockBtn');
+
+  if (!input.value) {
+    errorEl.textContent = 'Please enter your passphrase';
+    return;
+  }
+
+  // Deriving the key takes a moment
+  unlockBtn.disabled = true;
+  unlockBtn.textContent = 'Unlocking...';
+  errorEl.textContent = '';
+
+  try {
+    const result = await window.electronAPI.security.unlock(input.value);
+
+    if (!result.success) {
+      errorEl.textContent = result.error;
+      input.select();
+    }
+  } catch (error) {
+    errorEl.textContent = error.message;
+  } finally {
+    unlockBtn.disabled = false;
+    unlockBtn.textContent = 'Unlock';
+  }
+}
@@ -0,0 +1,201 @@
+/**
+ * Window State (Main Process)
+ *
+ * This module handles:
+ * - Remembering the size and position of the main window and of note windows
+ * - Remembering which notes are open in their own windows, to reopen them on the next start
+ * - Keeping restored windows on a display that is still connected
+ *
+ * The state is a small JSON file in userData. It is written shortly after a
+ * window moves or is resized (so dragging does not write on every step),
+ * and right away when the app quits (see flushWindowState).
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { app } = require('electron');
+
+// How long to wait after a change before writing the file
+const SAVE_DELAY_MS = 500;
+
+// How much of a window (px, in both directions) must be on a display for its saved bounds to be used
+const MIN_VISIBLE_PX = 100;
+
+/**
+ * Get the path of the window state file
+ */
+const getStatePath = () => path.join(app.getPath('userData'), 'window-state.json');
+
+// { main: bounds or null, notes: [{ noteId, bounds }] }, loaded lazily from disk;
+// bounds are { x, y, width, height, maximized }
+let state;
+let saveTimer = null;
+
+/**
+ * Check the shape of stored bounds
+ * @param {*} bounds - Value read from the file
+ * @returns {Object|null} { x, y, width, height, maximized }, or null if malformed
+ */
+const readBounds = (bounds) => {
+  if (!bounds || !['x', 'y', 'width', 'height'].every(key => Number.isSafeInteger(bounds[key]))) {
+    return null;
+  }
+  if (bounds.width <= 0 || bounds.height <= 0) {
+    return null;
+  }
+
+  const { x, y, width, height } = bounds;
+  return { x, y, width, height, maximized: Boolean(bounds.maximized) };
+};
+
+/**
+ * Load the stored state from disk (an unreadable file is ignored)
+ * @returns {Object} State
+ */
+const loadState = () => {
+  if (state) {
+    return state;
+  }
+
+  state = { main: null, notes: [] };
+
+  try {
+    const stored = JSON.parse(fs.readFileSync(getStatePath(), 'utf8'));
+    state.main = readBounds(stored.main);
+
+    if (Array.isArray(stored.notes)) {
+      for (const entry of stored.notes) {
+        const bounds = readBounds(entry && entry.bounds);
+        if (bounds && Number.isSafeInteger(entry.noteId) && entry.noteId > 0 &&
+            !state.notes.some(note => note.noteId === entry.noteId)) {
+          state.notes.push({ noteId: entry.noteId, bounds });
+        }
+      }
+    }
+  } catch (error) {
+    if (error.code !== 'ENOENT') {
+      console.warn('Ignoring unreadable window state:', error.message);
+    }
+  }
+
+  return state;
+};
+
+/**
+ * Write the state to disk now
+ */
+const writeState = () => {
+  clearTimeout(saveTimer);
+  saveTimer = null;
+
+  try {
+    fs.writeFileSync(getStatePath(), JSON.stringify(loadState()));
+  } catch (error) {
+    console.error('Error saving window state:', error);
+  }
+};
+
+/**
+ * Write the state to disk once changes pause
+ */
+const scheduleSave = () => {
+  if (!saveTimer) {
+    saveTimer = setTimeout(writeState, SAVE_DELAY_MS);
+  }
+};
+
+/**
+ * Write a pending change right away (call when the app quits)
+ */
+const flushWindowState = () => {
+  if (saveTimer) {
+    writeState();
+  }
+};
+
+/**
+ * Get the saved bounds of the main window
+ * @returns {Object|null} { x, y, width, height, maximized }, or null if none were saved
+ */
+const getMainWindowBounds = () => loadState().main;
+
+/**
+ * Remember the bounds of the main window
+ * @param {Object} bounds - { x, y, width, height, maximized }
+ */
+const setMainWindowBounds = (bounds) => {
+  loadState().main = readBounds(bounds);
+  scheduleSave();
+};
+
+/**
+ * Get the notes that were open in their own windows
+ * @returns {Array} [{ noteId, bounds }] in the order they were opened
+ */
+const getNoteWindows = () => loadState().notes.map(note => ({ ...note }));
+
+/**
+ * Remember that a note is open in its own window, and where
+ * @param {number} noteId - Note ID
+ * @param {Object} bounds - { x, y, width, height, maximized }
+ */
+const setNoteWindowBounds = (noteId, bounds) => {
+  const { notes } = loadState();
+  const checked = readBounds(bounds);
+  if (!checked) return;
+
+  const entry = notes.find(note => note.noteId === noteId);
+  if (entry) {
+    entry.bounds = checked;
+  } else {
+    notes.push({ noteId, bounds: checked });
+  }
+  scheduleSave();
+};
+
+/**
+ * Forget a note window (it was closed, or its note no longer exists)
+ * @param {number} noteId - Note ID
+ */
+const forgetNoteWindow = (noteId) => {
+  const current = loadState();
+  const notes = current.notes.filter(note => note.noteId !== noteId);
+  if (notes.length !== current.notes.length) {
+    current.notes = notes;
+    scheduleSave();
+  }
+};
+
+/**
+ * Use saved bounds only if enough of the window would be on a connected display
+ * (e.g. not after the monitor it was on was unplugged)
+ * @param {Object|null} bounds - Saved bounds
+ * @param {Array} workAreas - Work areas of the connected displays ({ x, y, width, height })
+ * @returns {Object|null} The bounds, or null to let the window use its default position
+ */
+const visibleBounds = (bounds, workAreas) => {
+  if (!bounds) {
+    return null;
+  }
+
+  const overlap = (start, size, areaStart, areaSize) => {
+    return Math.min(start + size, areaStart + areaSize) - Math.max(start, areaStart);
+  };
+
+  const onScreen = workAreas.some(area =>
+    overlap(bounds.x, bounds.width, area.x, area.width) >= Math.min(MIN_VISIBLE_PX, bounds.width) &&
+    overlap(bounds.y, bounds.height, area.y, area.height) >= Math.min(MIN_VISIBLE_PX, bounds.height)
+  );
+
+  return onScreen ? bounds : null;
+};
+
+module.exports = {
+  getMainWindowBounds,
+  setMainWindowBounds,
+  getNoteWindows,
+  setNoteWindowBounds,
+  forgetNoteWindow,
+  visibleBounds,
+  flushWindowState
+};
@@ -0,0 +1,181 @@
+/**
+ * Minimal Zip Archive Reader/Writer
+ *
+ * This module handles:
+ * - Writing a .zip file from a list of files (deflate compressed)
+ * - Reading the files back out of a .zip (stored or deflated entries)
+ *
+ * Only what Markdown export/import needs: no encryption, no Zip64, so
+ * archives are limited to 65535 entries and 4 GB. File names are UTF-8.
+ */
+
+const zlib = require('zlib');
+
+const LOCAL_HEADER_SIGNATURE = 0x04034b50;
+const CENTRAL_HEADER_SIGNATURE = 0x02014b50;
+const END_OF_CENTRAL_DIR_SIGNATURE = 0x06054b50;
+
+const FLAG_ENCRYPTED = 0x0001;
+const FLAG_UTF8 = 0x0800;
+const METHOD_STORED = 0;
+const METHOD_DEFLATE = 8;
+
+const MAX_ENTRIES = 0xffff;
+const MAX_SIZE = 0xffffffff;
+
+/**
+ * Convert a date to MS-DOS time and date fields
+ * @param {Date} date - Modification date
+ * @returns {Object} { time, date }
+ */
+const toDosDateTime = (date) => {
+  const year = Math.max(date.getFullYear(), 1980);
+  return {
+    time: (date.getHours() << 11) | (date.getMinutes() << 5) | Math.floor(date.getSeconds() / 2),
+    date: ((year - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate()
+  };
+};
+
+/**
+ * Build a zip archive
+ * @param {Array} files - Array of { name, data } (data is a Buffer or string)
+ * @param {Date} modified - Modification time stored for every entry (default: now)
+ * @returns {Buffer} The zip file contents
+ * @throws {Error} If the archive would need Zip64
+ */
+const createZip = (files, modified = new Date()) => {
+  if (files.length > MAX_ENTRIES) {
+    throw new Error(`Zip archives are limited to ${MAX_ENTRIES} files`);
+  }
+
+  const { time, date } = toDosDateTime(modified);
+  const localParts = [];
+  const centralParts = [];
+  let offset = 0;
+
+  for (const file of files) {
+    const name = Buffer.from(file.name, 'utf8');
+    const data = Buffer.isBuffer(file.data) ? file.data : Buffer.from(String(file.data), 'utf8');
+    const compressed = zlib.deflateRawSync(data);
+    const crc = zlib.crc32(data);
+
+    const local = Buffer.alloc(30);
+    local.writeUInt32LE(LOCAL_HEADER_SIGNATURE, 0);
+    local.writeUInt16LE(20, 4);
+    local.writeUInt16LE(FLAG_UTF8, 6);
+    local.writeUInt16LE(METHOD_DEFLATE, 8);
+    local.writeUInt16LE(time, 10);
+    local.writeUInt16LE(date, 12);
+    local.writeUInt32LE(crc, 14);
+    local.writeUInt32LE(compressed.length, 18);
+    local.writeUInt32LE(data.length, 22);
+    local.writeUInt16LE(name.length, 26);
+    local.writeUInt16LE(0, 28);
+
+    const central = Buffer.alloc(46);
+    central.writeUInt32LE(CENTRAL_HEADER_SIGNATURE, 0);
+    central.writeUInt16LE(20, 4);
+    central.writeUInt16LE(20, 6);
+    central.writeUInt16LE(FLAG_UTF8, 8);
+    central.writeUInt16LE(METHOD_DEFLATE, 10);
+    central.writeUInt16LE(time, 12);
+    central.writeUInt16LE(date, 14);
+    central.writeUInt32LE(crc, 16);
+    central.writeUInt32LE(compressed.length, 20);
+    central.writeUInt32LE(data.length, 24);
+    central.writeUInt16LE(name.length, 28);
+    central.writeUInt32LE(offset, 42);
+
+    localParts.push(local, name, compressed);
+    centralParts.push(central, name);
+    offset += local.length + name.length + compressed.length;
+
+    if (offset > MAX_SIZE) {
+      throw new Error('Zip archive would exceed 4 GB');
+    }
+  }
+
+  const centralDir = Buffer.concat(centralParts);
+  const end = Buffer.alloc(22);
+  end.writeUInt32LE(END_OF_CENTRAL_DIR_SIGNATURE, 0);
+  end.writeUInt16LE(files.length, 8);
+  end.writeUInt16LE(files.length, 10);
+  end.writeUInt32LE(centralDir.length, 12);
+  end.writeUInt32LE(offset, 16);
+
+  return Buffer.concat([...localParts, centralDir, end]);
+};
+
+/**
+ * Find the end of central directory record
+ * @param {Buffer} buffer - Zip file contents
+ * @returns {number} Offset of the record
+ * @throws {Error} If the buffer is not a zip archive
+ */
+const findEndOfCentralDir = (buffer) => {
+  // The record is 22 bytes plus a comment of up to 65535 bytes
+  const stop = Math.max(0, buffer.length - 22 - 0xffff);
+  for (let i = buffer.length - 22; i >= stop; i--) {
+    if (buffer.readUInt32LE(i) === END_OF_CENTRAL_DIR_SIGNATURE) {
+      return i;
+    }
+  }
+  throw new Error('Not a zip archive');
+};
+
+/**
+ * Read every file in a zip archive (directory entries are skipped)
+ * @param {Buffer} buffer - Zip file contents
+ * @returns {Array} Array of { name, data } (data is a Buffer)
+ * @throws {Error} If the archive is invalid, encrypted or uses an unsupported compression method
+ */
+const readZip = (buffer) => {
+  const end = findEndOfCentralDir(buffer);
+  const count = buffer.readUInt16LE(end + 10);
+  let pos = buffer.readUInt32LE(end + 16);
+  const files = [];
+
+  for (let i = 0; i < count; i++) {
+    if (buffer.readUInt32LE(pos) !== CENTRAL_HEADER_SIGNATURE) {
+      throw new Error('Corrupt zip archive (bad central directory)');
+    }
+
+    const flags = buffer.readUInt16LE(pos + 8);
+    const method = buffer.readUInt16LE(pos + 10);
+    const compressedSize = buffer.readUInt32LE(pos + 20);
+    const nameLength = buffer.readUInt16LE(pos + 28);
+    const extraLength = buffer.readUInt16LE(pos + 30);
+    const commentLength = buffer.readUInt16LE(pos + 32);
+    const localOffset = buffer.readUInt32LE(pos + 42);
+    const name = buffer.toString(flags & FLAG_UTF8 ? 'utf8' : 'latin1', pos + 46, pos + 46 + nameLength);
+    pos += 46 + nameLength + extraLength + commentLength;
+
+    if (name.endsWith('/')) continue;
+
+    if (flags & FLAG_ENCRYPTED) {
+      throw new Error(`Cannot read encrypted zip entry: ${name}`);
+    }
+    if (buffer.readUInt32LE(localOffset) !== LOCAL_HEADER_SIGNATURE) {
+      throw new Error(`Corrupt zip archive (bad header for ${name})`);
+    }
+
+    // The local header's name/extra lengths can differ from the central directory's
+    const dataStart = localOffset + 30 + buffer.readUInt16LE(localOffset + 26) + buffer.readUInt16LE(localOffset + 28);
+    const raw = buffer.subarray(dataStart, dataStart + compressedSize);
+
+    if (method === METHOD_STORED) {
+      files.push({ name, data: Buffer.from(raw) });
+    } else if (method === METHOD_DEFLATE) {
+      files.push({ name, data: zlib.inflateRawSync(raw) });
+    } else {
+      throw new Error(`Unsupported compression method ${method} for ${name}`);
+    }
+  }
+
+  return files;
+};
+
+module.exports = {
+  createZip,
+  readZip
+};